@@ -1,5 +1,7 @@
 import * as THREE from "three";
 import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+import { reportConfigLoadError, validateConfig } from "../config/configValidation.js";
+import { AUDIO_MANIFEST_SCHEMA, LEGACY_AUDIO_MANIFEST_SCHEMA } from "../config/configSchemas.js";
 
 // Ensure we always work with strings; accept object forms like { url: "..." }
 function ensureUrl(input) {
@@ -10,12 +12,16 @@ function ensureUrl(input) {
 
 let manifestWarningLogged = false;
 
+// Ambience ids whose volume follows the weather instead of staying fixed.
+const WEATHER_LOOP_IDS = ["wind", "rain"];
+
 /**
  * Living City Soundscape
  * - Global ambient loops (sea/wind)
  * - Zone ambience (harbor/agora/acropolis) with positional audio
  * - Randomized one-shots (goats, cart, blacksmith)
  * - Day/Night mix (more wind/lyre at night, more market by day)
+ * - Weather loops (wind/rain) that follow the weather controller
  * - Graceful missing-asset handling (logs tip, continues)
  */
 export class Soundscape {
@@ -62,6 +68,13 @@ export class Soundscape {
     this.manifestLoaded = false;
     this._manifest = null;
 
+    // Weather-driven loops, keyed "wind"/"rain". Each starts silent and is
+    // faded towards its target level in update().
+    this.weatherLoops = new Map();
+    this.weatherMix = { wind: 0.2, rain: 0 };
+    // Seasonal mix: busier markets in summer, more wind in winter.
+    this.seasonMix = { crowd: 1, wind: 0 };
+
     // Zones
     this.zones = {
       harbor: { pos: anchors.harbor, radius: 50 },
@@ -140,6 +153,30 @@ export class Soundscape {
     return src;
   }
 
+  _registerWeatherLoop(id, src, volume) {
+    if (!src || !WEATHER_LOOP_IDS.includes(id)) return;
+    src.setVolume(0);
+    this.weatherLoops.set(id, { src, volume, level: 0 });
+  }
+
+  /**
+   * Feed the current weather in (0..1 each); loops fade towards it in update().
+   * @param {{ wind?: number, rain?: number }} mix
+   */
+  setWeatherMix({ wind, rain } = {}) {
+    if (Number.isFinite(wind)) this.weatherMix.wind = Math.min(1, Math.max(0, wind));
+    if (Number.isFinite(rain)) this.weatherMix.rain = Math.min(1, Math.max(0, rain));
+  }
+
+  /**
+   * @param {{ crowd?: number, wind?: number }} mix  crowd scales the voices
+   *   bus (1 = unchanged); wind (0..1) adds to the wind loop level.
+   */
+  setSeasonMix({ crowd, wind } = {}) {
+    if (Number.isFinite(crowd)) this.seasonMix.crowd = Math.min(1.5, Math.max(0, crowd));
+    if (Number.isFinite(wind)) this.seasonMix.wind = Math.min(1, Math.max(0, wind));
+  }
+
   _normalizeManifestSchema(rawManifest) {
     if (!rawManifest || typeof rawManifest !== "object" || Array.isArray(rawManifest)) {
       return rawManifest;
@@ -216,12 +253,21 @@ export class Soundscape {
           console.warn(`[audio] manifest missing: ${manifestUrl}`);
           manifestWarningLogged = true;
         }
+        reportConfigLoadError("audio/manifest.json", manifestUrl, `HTTP ${response.status}; audio is off`, {
+          severity: "warning",
+        });
         this.manifestLoaded = true;
         this._manifest = null;
         return null;
       }
 
       const manifest = await response.json();
+      // Check the file as written: normalising drops entries it cannot use.
+      const schema = manifest?.categories ? AUDIO_MANIFEST_SCHEMA : LEGACY_AUDIO_MANIFEST_SCHEMA;
+      validateConfig("audio/manifest.json", manifest, schema, {
+        source: manifestUrl,
+        baseUrl: BASE,
+      });
       this._manifest = this._normalizeManifestSchema(manifest);
       this.manifestLoaded = true;
       console.log("[audio] manifest loaded:", manifestUrl);
@@ -231,6 +277,7 @@ export class Soundscape {
         console.warn(`[audio] manifest fetch error: ${manifestUrl}`, err);
         manifestWarningLogged = true;
       }
+      reportConfigLoadError("audio/manifest.json", manifestUrl, err);
       this.manifestLoaded = true;
       this._manifest = null;
       return null;
@@ -257,7 +304,9 @@ export class Soundscape {
       if (target) {
         this._makePositional(buffer, target, entry.group || "ambience", opts)?.play();
       } else {
-        this._makeGlobal(buffer, entry.group || "ambience", opts)?.play();
+        const src = this._makeGlobal(buffer, entry.group || "ambience", opts);
+        this._registerWeatherLoop(entry.id, src, opts.volume);
+        src?.play();
       }
     }
 
@@ -315,15 +364,21 @@ export class Soundscape {
     const market = await this.loadBuffer("market", toUrl(ambient.market));
     const fountain = await this.loadBuffer("fountain", toUrl(ambient.fountain));
     const lyre = await this.loadBuffer("lyre", toUrl(ambient.lyre));
+    const rain = await this.loadBuffer("rain", toUrl(ambient.rain));
 
     // Effects / one-shots
     const blacksmith = await this.loadBuffer("blacksmith", toUrl(effects.blacksmith));
     const goats = await this.loadBuffer("goats", toUrl(effects.goats));
     const cart = await this.loadBuffer("cart", toUrl(effects.cart));
 
-    // Global ambient: sea + wind (wind mixed more at night)
+    // Global ambient: sea, plus wind and rain which follow the weather
     this._makeGlobal(sea, "ambience", { volume: 0.25 })?.play();
-    this._makeGlobal(wind, "ambience", { volume: 0.05 })?.play();
+    const windSrc = this._makeGlobal(wind, "ambience", { volume: 0.05 });
+    this._registerWeatherLoop("wind", windSrc, 0.05);
+    windSrc?.play();
+    const rainSrc = this._makeGlobal(rain, "ambience", { volume: 0.4 });
+    this._registerWeatherLoop("rain", rainSrc, 0.4);
+    rainSrc?.play();
 
     // Zones: harbor, agora, acropolis
     this._makePositional(gulls, this.zones.harbor.pos, "ambience", { volume: 0.35, refDistance: 16, maxDistance: 120 })?.play();
@@ -364,10 +419,21 @@ export class Soundscape {
     const night = this.lightingRef?.getNightFactor?.() ?? 0;
     // Day/Night crossfade: more market by day, more wind/lyre by night
     const lerp = (a,b,t)=> a+(b-a)*t;
-    this.bus.voices.gain.value = lerp(0.75, 0.35, night);
+    this.bus.voices.gain.value = lerp(0.75, 0.35, night) * this.seasonMix.crowd;
     this.bus.ambience.gain.value = lerp(0.85, 0.95, night);
     // Master stays ~0.9; optionally lower late night:
     this.masterGain.gain.value = lerp(0.9, 0.8, night);
+
+    // Weather loops: a light wind bed is always there (a little more at night),
+    // rain only while it falls. Ease so transitions and lightning don't click.
+    for (const [id, loop] of this.weatherLoops) {
+      const target =
+        id === "wind"
+          ? Math.min(1, 0.3 + night * 0.15 + this.weatherMix.wind * 0.7 + this.seasonMix.wind * 0.3)
+          : this.weatherMix.rain;
+      loop.level = lerp(loop.level, target, 0.05);
+      loop.src.setVolume(loop.volume * loop.level);
+    }
   }
 
   async ensureUserGestureResume() {
@@ -389,6 +455,7 @@ export class Soundscape {
     });
     this.oneShotTimers.forEach(id => clearTimeout(id));
     this.emitters = [];
+    this.weatherLoops.clear();
     this.buffers.clear();
     // detach listener
     try { this.camera.remove(this.listener); } catch {}
@@ -0,0 +1,322 @@
+// src/config/configSchemas.js
+// -----------------------------------------------------------------------------
+// Schemas for the configs checked by configValidation.js. Only fields the
+// loaders actually read are listed; objects that reject unknown fields
+// (`additionalProperties: false`) turn a misspelt key into a warning instead of
+// a silently ignored setting.
+// -----------------------------------------------------------------------------
+
+import { LAYOUT_ANCHORS } from "../world/layoutAnchors.js";
+
+const number = { type: "number" };
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const id = { type: "string", pattern: "^\\S+$" };
+const color = {
+  anyOf: [
+    { type: "integer", minimum: 0, maximum: 0xffffff },
+    { type: "string", pattern: "^(#|0x)[0-9a-fA-F]{6}$" },
+  ],
+};
+const vector3 = {
+  anyOf: [
+    {
+      type: "object",
+      // With an anchor, x/y/z are offsets from it (layoutAnchors.js).
+      properties: { anchor: { enum: Object.keys(LAYOUT_ANCHORS) }, x: number, y: number, z: number },
+      additionalProperties: false,
+    },
+    { type: "array", items: number },
+    number,
+  ],
+};
+
+// Building types buildingSpawner.js knows how to place.
+export const BUILDING_TYPES = [
+  "house",
+  "shop",
+  "workshop",
+  "warehouse",
+  "stoa",
+  "fountain",
+  "plaza",
+  "temple",
+  "pier",
+  "market",
+  "monument",
+];
+
+/** public/config/districts.json (districtRules.js) */
+export const DISTRICTS_SCHEMA = {
+  type: "object",
+  required: ["districts"],
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    seed: number,
+    densitySpacingMeters: {
+      type: "object",
+      properties: {
+        high: { type: "number", minimum: 1 },
+        medium: { type: "number", minimum: 1 },
+        low: { type: "number", minimum: 1 },
+      },
+      additionalProperties: false,
+    },
+    densityToLotSpacing: { type: "object", additionalProperties: number },
+    maxSlopeDeltaPerLot: { type: "number", minimum: 0 },
+    roadSetbackMeters: { type: "number", minimum: 0 },
+    typeOverrides: {
+      type: "object",
+      additionalProperties: {
+        type: "object",
+        properties: {
+          roadSetback: { type: "number", minimum: 0 },
+          minSeparation: { type: "number", minimum: 0 },
+        },
+      },
+    },
+    districts: {
+      type: "array",
+      uniqueKey: "id",
+      items: {
+        type: "object",
+        required: ["id"],
+        additionalProperties: false,
+        properties: {
+          id,
+          name: string,
+          polygon: {
+            type: "array",
+            minItems: 3,
+            items: {
+              anyOf: [
+                { type: "array", minItems: 2, items: number },
+                {
+                  type: "object",
+                  required: ["x", "z"],
+                  properties: { x: number, z: number },
+                  additionalProperties: false,
+                },
+              ],
+            },
+          },
+          heightRange: { type: "array", minItems: 2, items: number },
+          buildingDensity: { enum: ["high", "medium", "low"] },
+          minSeparation: { type: "number", minimum: 0 },
+          allowedTypes: { type: "array", items: { enum: BUILDING_TYPES } },
+          road: {
+            type: "object",
+            properties: { width: { type: "number", minimum: 0.5 }, color },
+            additionalProperties: false,
+          },
+          palette: {
+            type: "object",
+            properties: {
+              walls: { type: "array", items: color },
+              roofs: { type: "array", items: color },
+            },
+            additionalProperties: false,
+          },
+        },
+      },
+    },
+  },
+};
+
+const audioEntry = {
+  type: "object",
+  required: ["file"],
+  additionalProperties: false,
+  properties: {
+    id,
+    file: { type: "string", format: "file", fileBase: "audio" },
+    loop: boolean,
+    volume: { type: "number", minimum: 0, maximum: 2 },
+    group: { enum: ["ambience", "voices", "effects"] },
+    refDistance: { type: "number", minimum: 0 },
+    maxDistance: { type: "number", minimum: 0 },
+    rolloff: { type: "number", minimum: 0 },
+  },
+};
+
+// Legacy manifests map ids to a file name, or to an object naming the file as
+// `file`, `url` or `path`.
+const legacyAudioFile = { type: "string", format: "file", fileBase: "audio" };
+const legacyAudioFields = {
+  file: legacyAudioFile,
+  url: legacyAudioFile,
+  path: legacyAudioFile,
+  loop: boolean,
+  volume: { type: "number", minimum: 0, maximum: 2 },
+  group: { enum: ["ambience", "voices", "effects"] },
+  refDistance: { type: "number", minimum: 0 },
+  maxDistance: { type: "number", minimum: 0 },
+  rolloff: { type: "number", minimum: 0 },
+};
+const legacyAudioEntry = {
+  anyOf: [
+    legacyAudioFile,
+    ...["file", "url", "path"].map((key) => ({
+      type: "object",
+      required: [key],
+      additionalProperties: false,
+      properties: legacyAudioFields,
+    })),
+  ],
+};
+
+/** public/audio/manifest.json */
+export const AUDIO_MANIFEST_SCHEMA = {
+  type: "object",
+  required: ["categories"],
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    categories: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        ambience: { type: "array", uniqueKey: "id", items: audioEntry },
+        fx: { type: "array", uniqueKey: "id", items: audioEntry },
+      },
+    },
+  },
+};
+
+/** public/audio/manifest.json in the legacy `ambient`/`effects` layout */
+export const LEGACY_AUDIO_MANIFEST_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    ambient: { type: "object", additionalProperties: legacyAudioEntry },
+    effects: { type: "object", additionalProperties: legacyAudioEntry },
+  },
+};
+
+/** public/models/npcs/manifest.json (npcs.js) */
+export const NPC_MANIFEST_SCHEMA = {
+  type: "object",
+  required: ["npcs"],
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    npcs: {
+      type: "array",
+      items: { type: "string", format: "file", fileBase: "models/npcs", pattern: "\\.(glb|gltf)$" },
+    },
+  },
+};
+
+const snapOptions = {
+  type: "object",
+  properties: { clampToSea: boolean, minAboveSea: number },
+  additionalProperties: false,
+};
+
+const placement = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    position: vector3,
+    rotation: vector3,
+    euler: vector3,
+    rotateY: number,
+    scale: vector3,
+    surfaceOffset: number,
+    alignToTerrain: boolean,
+    snapOptions,
+  },
+};
+
+// Settings a landmark can take directly or inherit from group/global defaults.
+const landmarkSettings = {
+  collision: boolean,
+  alignToTerrain: boolean,
+  surfaceOffset: number,
+  snapOptions,
+  rotateY: number,
+  scale: vector3,
+  materialPreset: string,
+  labelDistance: { type: "number", minimum: 0 },
+  placeholder: { type: "object" },
+  loadOptions: { type: "object" },
+};
+
+const landmark = {
+  type: "object",
+  required: ["id", "assetFiles"],
+  additionalProperties: false,
+  // Primary and fallback files are alternatives; a placeholder covers the rest.
+  fileGroup: true,
+  missing: "warning",
+  properties: {
+    ...landmarkSettings,
+    id,
+    enabled: boolean,
+    name: string,
+    description: string,
+    // Shown in the info panel; not one of the model alternatives.
+    image: { type: "string", format: "file", fileGroup: false },
+    assetFiles: { type: "array", minItems: 1, items: { type: "string", format: "file" } },
+    fallbackFiles: { type: "array", items: { type: "string", format: "file" } },
+    placement,
+    messages: {
+      type: "object",
+      additionalProperties: false,
+      properties: {
+        missingPrimary: string,
+        fallbackUsed: string,
+        fallbackMissing: string,
+        allMissing: string,
+      },
+    },
+  },
+};
+
+/** public/config/athensLayout.json, read by LandmarkManager.loadConfigFromUrl */
+export const LANDMARK_LAYOUT_SCHEMA = {
+  type: "object",
+  additionalProperties: false,
+  properties: {
+    version: { type: "integer", minimum: 1 },
+    metadata: { type: "object" },
+    defaults: { type: "object", additionalProperties: false, properties: landmarkSettings },
+    // Named candidate lists kept for reference; nothing loads them directly.
+    landmarks: { type: "object", additionalProperties: { type: "array", items: string } },
+    groups: {
+      type: "array",
+      uniqueKey: "id",
+      items: {
+        type: "object",
+        required: ["id", "landmarks"],
+        additionalProperties: false,
+        properties: {
+          id,
+          label: string,
+          description: string,
+          enabled: boolean,
+          defaults: { type: "object", additionalProperties: false, properties: landmarkSettings },
+          landmarks: { type: "array", uniqueKey: "id", items: landmark },
+        },
+      },
+    },
+    collectibles: {
+      type: "array",
+      uniqueKey: "id",
+      items: {
+        type: "object",
+        required: ["id", "item", "placement"],
+        additionalProperties: false,
+        properties: {
+          id,
+          enabled: boolean,
+          item: id,
+          count: { type: "integer", minimum: 1 },
+          placement,
+        },
+      },
+    },
+  },
+};
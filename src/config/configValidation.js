@@ -0,0 +1,284 @@
+// src/config/configValidation.js
+// -----------------------------------------------------------------------------
+// Shared checks for the JSON-style configs (districts, audio and NPC manifests,
+// the landmark layout). Loaders still fall back quietly so the game keeps
+// running, but they hand what they read to `validateConfig`, which records
+// field-level problems and the asset files the config points at. Once the
+// world has loaded, `checkConfigFiles` looks those files up and
+// `logConfigSummary` prints one summary; the dev overlay in
+// src/ui/configReport.js shows the same list.
+//
+// Schemas are a small subset of JSON Schema (see configSchemas.js):
+//   type, enum, minimum, maximum, minItems, items, properties, required,
+//   additionalProperties, anyOf, pattern
+// plus three additions:
+//   format: "file"   the string is an asset path; `fileBase` is the folder it
+//                    is relative to
+//   fileGroup: true  on objects, the files below are alternatives: only report
+//                    when none of them exists (`missing: "warning"` softens it);
+//                    `fileGroup: false` on a file keeps it out of the group
+//   uniqueKey: "id"  on arrays, flags entries that repeat that key
+// Entries switched off with `enabled: false` are still checked, but their
+// files are not looked up.
+// -----------------------------------------------------------------------------
+
+import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+
+/**
+ * @typedef {{ path: string, message: string, severity: "error" | "warning" }} ConfigIssue
+ * @typedef {{ path: string, severity: "error" | "warning" }} ConfigFileGroup
+ * @typedef {{ path: string, file: string, url: string, group: ConfigFileGroup | null }} ConfigFileRef
+ * @typedef {{ name: string, source: string, issues: ConfigIssue[], files: ConfigFileRef[] }} ConfigReport
+ */
+
+/** @type {Map<string, ConfigReport>} */
+const reports = new Map();
+
+const isAbsoluteUrl = (value) => /^(?:[a-z]+:)?\/\//i.test(value);
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+const joinField = (path, key) => (typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key);
+
+/**
+ * Check a value against a schema.
+ * @param {any} value
+ * @param {object} schema
+ * @param {{ baseUrl?: string }} [options]
+ * @returns {{ issues: ConfigIssue[], files: ConfigFileRef[] }}
+ */
+export function validateSchema(value, schema, { baseUrl = resolveBaseUrl() } = {}) {
+  const issues = [];
+  const files = [];
+  walk(value, schema, "", { issues, files, baseUrl, collectFiles: true });
+  return { issues, files };
+}
+
+function walk(value, schema, path, ctx) {
+  const fail = (message, severity = "error") => ctx.issues.push({ path: path || "(root)", message, severity });
+
+  if (schema.anyOf) {
+    // Take the first branch that fits; otherwise report the closest one,
+    // preferring a branch of the right type.
+    let best = null;
+    for (const branch of schema.anyOf) {
+      const trial = { ...ctx, issues: [], files: [], branchPath: path, wrongType: false };
+      walk(value, branch, path, trial);
+      const errors = trial.issues.filter((issue) => issue.severity === "error").length;
+      const score = errors + (trial.wrongType ? 0.5 : 0);
+      if (!best || score < best.score) best = { trial, score };
+      if (errors === 0) break;
+    }
+    ctx.issues.push(...best.trial.issues);
+    ctx.files.push(...best.trial.files);
+    return;
+  }
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      if (ctx.branchPath === path) ctx.wrongType = true;
+      fail(`expected ${types.join(" or ")}, got ${value === undefined ? "nothing" : typeOf(value)}`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(", ")}; got ${JSON.stringify(value)}`);
+  }
+
+  if (typeof value === "number") {
+    if (Number.isFinite(schema.minimum) && value < schema.minimum) fail(`must be at least ${schema.minimum}`);
+    if (Number.isFinite(schema.maximum) && value > schema.maximum) fail(`must be at most ${schema.maximum}`);
+  }
+
+  if (typeof value === "string") {
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`${JSON.stringify(value)} does not match ${schema.pattern}`);
+    }
+    if (schema.format === "file") {
+      if (!value.trim()) {
+        fail("file path is empty");
+      } else if (ctx.collectFiles) {
+        const file = value.trim();
+        const url = isAbsoluteUrl(file)
+          ? file
+          : joinPath(ctx.baseUrl, schema.fileBase ? joinPath(schema.fileBase, file) : file);
+        ctx.files.push({ path, file, url, group: schema.fileGroup === false ? null : ctx.group ?? null });
+      }
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (Number.isFinite(schema.minItems) && value.length < schema.minItems) {
+      fail(`needs at least ${schema.minItems} item${schema.minItems === 1 ? "" : "s"}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => walk(item, schema.items, joinField(path, index), ctx));
+    }
+    if (schema.uniqueKey) {
+      const seen = new Map();
+      value.forEach((item, index) => {
+        const key = item?.[schema.uniqueKey];
+        if (key === undefined) return;
+        if (seen.has(key)) {
+          ctx.issues.push({
+            path: joinField(path, index),
+            message: `duplicate ${schema.uniqueKey} ${JSON.stringify(key)} (also at [${seen.get(key)}])`,
+            severity: "error",
+          });
+        } else {
+          seen.set(key, index);
+        }
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (value[key] === undefined) {
+        ctx.issues.push({ path: joinField(path, key), message: "is required", severity: "error" });
+      }
+    }
+    const properties = schema.properties ?? {};
+    let childCtx = ctx;
+    if (value.enabled === false) childCtx = { ...childCtx, collectFiles: false };
+    if (schema.fileGroup && !ctx.group) {
+      childCtx = { ...childCtx, group: { path: path || "(root)", severity: schema.missing === "warning" ? "warning" : "error" } };
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        walk(child, properties[key], joinField(path, key), childCtx);
+      } else if (schema.additionalProperties === false) {
+        ctx.issues.push({ path: joinField(path, key), message: "unknown field", severity: "warning" });
+      } else if (typeof schema.additionalProperties === "object") {
+        walk(child, schema.additionalProperties, joinField(path, key), childCtx);
+      }
+    }
+  }
+}
+
+/**
+ * Validate a loaded config and keep the result for the boot report. Returns
+ * the issues so a loader can act on them; it never throws.
+ * @param {string} name  short label, e.g. "districts.json"
+ * @param {any} data  parsed config
+ * @param {object} schema
+ * @param {{ source?: string, baseUrl?: string }} [options]  source is the URL it came from
+ */
+export function validateConfig(name, data, schema, { source = "", baseUrl } = {}) {
+  let result;
+  try {
+    result = validateSchema(data, schema, { baseUrl });
+  } catch (error) {
+    result = { issues: [{ path: "(root)", message: `validator failed: ${error?.message || error}`, severity: "error" }], files: [] };
+  }
+  reports.set(name, { name, source, ...result });
+  return result.issues;
+}
+
+/**
+ * Record a config that could not be read at all (missing file, bad JSON).
+ * @param {string} name
+ * @param {string} source
+ * @param {unknown} error  an Error or a message
+ * @param {{ severity?: "error" | "warning" }} [options]
+ */
+export function reportConfigLoadError(name, source, error, { severity = "error" } = {}) {
+  const message = typeof error === "string" ? error : error?.message || String(error);
+  reports.set(name, { name, source, issues: [{ path: "(file)", message, severity }], files: [] });
+}
+
+async function fileExists(url) {
+  try {
+    const res = await fetch(url, { method: "HEAD", cache: "no-cache" });
+    // Dev servers answer unknown paths with the HTML app shell.
+    return res.ok && !(res.headers.get("content-type") || "").includes("text/html");
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Look up every file the validated configs reference and report the missing
+ * ones. Each URL is requested once.
+ * @param {{ exists?: (url: string) => Promise<boolean> }} [options]
+ */
+export async function checkConfigFiles({ exists = fileExists } = {}) {
+  const lookups = new Map();
+  for (const report of reports.values()) {
+    for (const ref of report.files) {
+      if (!lookups.has(ref.url)) lookups.set(ref.url, exists(ref.url));
+    }
+  }
+  for (const report of reports.values()) {
+    const groups = new Map();
+    for (const ref of report.files) {
+      const found = await lookups.get(ref.url);
+      if (ref.group) {
+        const entry = groups.get(ref.group) ?? { found: false, files: [] };
+        entry.found ||= found;
+        entry.files.push(ref.file);
+        groups.set(ref.group, entry);
+      } else if (!found) {
+        report.issues.push({ path: ref.path, message: `missing file ${ref.file} (${ref.url})`, severity: "error" });
+      }
+    }
+    for (const [group, { found, files }] of groups) {
+      if (found) continue;
+      report.issues.push({ path: group.path, message: `none of its files exist: ${files.join(", ")}`, severity: group.severity });
+    }
+    // Looked up once; a second call does not repeat the reports.
+    report.files = [];
+  }
+  return getConfigReports();
+}
+
+/** @returns {ConfigReport[]} every recorded config, in load order */
+export function getConfigReports() {
+  return Array.from(reports.values());
+}
+
+/** Count errors and warnings across the recorded configs. */
+export function countConfigIssues(list = getConfigReports()) {
+  let errors = 0;
+  let warnings = 0;
+  for (const report of list) {
+    for (const issue of report.issues) {
+      if (issue.severity === "error") errors += 1;
+      else warnings += 1;
+    }
+  }
+  return { errors, warnings };
+}
+
+/** Print a one-line summary plus a table of issues per config. */
+export function logConfigSummary(logger = console) {
+  const list = getConfigReports();
+  const { errors, warnings } = countConfigIssues(list);
+  const headline = `[config] ${list.length} configs checked: ${errors} error${errors === 1 ? "" : "s"}, ${warnings} warning${warnings === 1 ? "" : "s"}`;
+  if (errors === 0 && warnings === 0) {
+    logger.info?.(headline);
+    return;
+  }
+  (errors > 0 ? logger.warn : logger.info)?.call(logger, headline);
+  for (const report of list) {
+    if (report.issues.length === 0) continue;
+    const rows = report.issues.map(({ severity, path, message }) => ({ severity, field: path, message }));
+    logger.groupCollapsed?.(`[config] ${report.name} (${report.issues.length})${report.source ? ` ${report.source}` : ""}`);
+    if (typeof logger.table === "function") logger.table(rows);
+    else rows.forEach((row) => logger.log?.(`${row.severity}: ${row.field} ${row.message}`));
+    logger.groupEnd?.();
+  }
+}
@@ -42,6 +42,13 @@ export class PlayerController {
     this.cameraEuler = new THREE.Euler(0, 0, 0, 'YXZ');
     this.cameraOffset = new THREE.Vector3();
 
+    // First person: camera sits at eye height inside the capsule and the
+    // character mesh is hidden. Otherwise updateCamera() trails behind.
+    this.firstPerson = false;
+    this.eyeHeight = this.height * 0.92; // above the feet
+    this.firstPersonMinPitch = THREE.MathUtils.degToRad(-85);
+    this.firstPersonMaxPitch = THREE.MathUtils.degToRad(85);
+
     const topOffset = this.height - this.radius;
     this.capsule = new Capsule(
       new THREE.Vector3(0, this.radius, 0),
@@ -78,6 +85,67 @@ export class PlayerController {
     return this.object.position;
   }
 
+  /**
+   * Snapshot of the controller state that is worth persisting between sessions.
+   */
+  getState() {
+    const { x, y, z } = this.object.position;
+    return {
+      position: { x, y, z },
+      flying: this.flying,
+      cameraYaw: this.cameraYaw,
+      cameraPitch: this.cameraPitch,
+    };
+  }
+
+  /**
+   * Restore a snapshot produced by getState(). Velocity is reset so the player
+   * does not carry momentum from before the load.
+   * @param {{ position?: { x: number, y: number, z: number }, flying?: boolean, cameraYaw?: number, cameraPitch?: number }} state
+   */
+  applyState(state) {
+    if (!state || typeof state !== 'object') return;
+    const position = state.position;
+    if (
+      position &&
+      Number.isFinite(position.x) &&
+      Number.isFinite(position.y) &&
+      Number.isFinite(position.z)
+    ) {
+      this.object.position.set(position.x, position.y, position.z);
+      this.syncCapsuleToObject();
+    }
+
+    this.flying = Boolean(state.flying);
+    this.velocity.set(0, 0, 0);
+    this.grounded = false;
+    this.jumpLocked = true;
+
+    if (Number.isFinite(state.cameraYaw)) {
+      this.cameraYaw = state.cameraYaw;
+    }
+    if (Number.isFinite(state.cameraPitch)) {
+      this.cameraPitch = THREE.MathUtils.clamp(state.cameraPitch, ...this.getPitchLimits());
+    }
+  }
+
+  /**
+   * Switch between the eye-height first-person camera and the trailing one.
+   * @param {boolean} enabled
+   */
+  setFirstPerson(enabled) {
+    this.firstPerson = !!enabled;
+    if (this.character) this.character.visible = !this.firstPerson;
+    this.cameraPitch = THREE.MathUtils.clamp(this.cameraPitch, ...this.getPitchLimits());
+  }
+
+  /** @returns {[number, number]} */
+  getPitchLimits() {
+    return this.firstPerson
+      ? [this.firstPersonMinPitch, this.firstPersonMaxPitch]
+      : [this.cameraMinPitch, this.cameraMaxPitch];
+  }
+
   /**
    * @param {import('../characters/Character.js').Character} char
    */
@@ -85,6 +153,7 @@ export class PlayerController {
     this.character = char;
     this.object.add(char);
     char.position.set(0, 0, 0);
+    char.visible = !this.firstPerson;
   }
 
   /**
@@ -110,11 +179,7 @@ export class PlayerController {
     if (this.camera) {
       this.cameraYaw -= lookDelta.yaw;
       this.cameraPitch -= lookDelta.pitch;
-      this.cameraPitch = THREE.MathUtils.clamp(
-        this.cameraPitch,
-        this.cameraMinPitch,
-        this.cameraMaxPitch
-      );
+      this.cameraPitch = THREE.MathUtils.clamp(this.cameraPitch, ...this.getPitchLimits());
       if (!Number.isFinite(this.cameraYaw)) this.cameraYaw = 0;
       this.cameraYaw = THREE.MathUtils.euclideanModulo(this.cameraYaw + Math.PI, Math.PI * 2) - Math.PI;
     }
@@ -222,14 +287,18 @@ export class PlayerController {
   computeDesiredVelocity(speed, allowVertical = false) {
     this.desired.set(0, 0, 0);
 
-    const dirX = (this.input.right ? 1 : 0) - (this.input.left ? 1 : 0);
-    const dirZ = (this.input.forward ? 1 : 0) - (this.input.back ? 1 : 0);
+    // Analog intent: keys give unit vectors, a stick anything shorter, so a
+    // half-tilted stick walks at half speed.
+    const move = this.input.getMoveVector();
+    const dirX = move.x;
+    const dirZ = move.z;
     const dirY = allowVertical
       ? (this.input.flyUp ? 1 : 0) - (this.input.flyDown ? 1 : 0)
       : 0;
 
     if (dirX !== 0 || dirZ !== 0) {
-      this.tmpVec2.set(dirX, 0, dirZ).normalize();
+      this.tmpVec2.set(dirX, 0, dirZ);
+      if (this.tmpVec2.lengthSq() > 1) this.tmpVec2.normalize();
 
       if (this.camera) {
         this.tmpQuat.setFromEuler(
@@ -267,12 +336,26 @@ export class PlayerController {
       return;
     }
 
-    this.desired.normalize().multiplyScalar(speed);
+    if (this.desired.lengthSq() > 1) {
+      this.desired.normalize();
+    }
+    this.desired.multiplyScalar(speed);
   }
 
   updateCamera(dt) {
     if (!this.camera) return;
 
+    if (this.firstPerson) {
+      // object.position is the capsule centre (half the height above the feet).
+      // No positional smoothing here: the view must not lag the body.
+      this.camera.position.copy(this.object.position);
+      this.camera.position.y += this.eyeHeight - this.height * 0.5;
+      this.camera.quaternion.setFromEuler(
+        this.cameraEuler.set(this.cameraPitch, this.cameraYaw, 0, 'YXZ')
+      );
+      return;
+    }
+
     this.cameraTarget.copy(this.object.position);
     this.cameraTarget.y += this.cameraTargetHeight;
 
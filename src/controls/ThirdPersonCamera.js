@@ -4,6 +4,7 @@ import {
   subscribe,
   defaultCameraSettings,
 } from "../state/settingsStore.js";
+import { isActionKey } from "../input/keyBindings.js";
 
 const DEFAULT_OFFSET = new THREE.Vector3(0, 2.2, -4.5);
 const DEFAULT_TARGET_OFFSET = new THREE.Vector3(0, 1.2, 0);
@@ -33,14 +34,22 @@ const _tmpTarget = new THREE.Vector3();
 const _tmpCollision = new THREE.Vector3();
 const _tmpLookAt = new THREE.Vector3();
 
-const KEY_CODES = [
-  "ArrowLeft",
-  "ArrowRight",
-  "ArrowUp",
-  "ArrowDown",
-  "PageUp",
-  "PageDown",
-];
+// ArrowKeyOrbit: binding action -> keyOrbitState.keys flag
+const ORBIT_ACTIONS = {
+  lookLeft: "left",
+  lookRight: "right",
+  lookUp: "up",
+  lookDown: "down",
+  zoomIn: "pageUp",
+  zoomOut: "pageDown",
+};
+
+function orbitKeyFor(code) {
+  for (const [action, key] of Object.entries(ORBIT_ACTIONS)) {
+    if (isActionKey(action, code)) return key;
+  }
+  return null;
+}
 
 function wrapAngle(angle) {
   return THREE.MathUtils.euclideanModulo(angle + Math.PI, TAU) - Math.PI;
@@ -139,63 +148,17 @@ export class ThirdPersonCamera {
     this.keyOrbitHandlersAttached = false;
     this.handleKeyDown = (event) => {
       if (!this.shouldHandleKeyOrbitEvent(event)) return;
-      let handled = false;
-      switch (event.code) {
-        case "ArrowLeft":
-          this.keyOrbitState.keys.left = true;
-          handled = true;
-          break;
-        case "ArrowRight":
-          this.keyOrbitState.keys.right = true;
-          handled = true;
-          break;
-        case "ArrowUp":
-          this.keyOrbitState.keys.up = true;
-          handled = true;
-          break;
-        case "ArrowDown":
-          this.keyOrbitState.keys.down = true;
-          handled = true;
-          break;
-        case "PageUp":
-          this.keyOrbitState.keys.pageUp = true;
-          handled = true;
-          break;
-        case "PageDown":
-          this.keyOrbitState.keys.pageDown = true;
-          handled = true;
-          break;
-        default:
-          break;
-      }
-      if (handled && this.shouldConsumeKeyOrbit()) {
+      const key = orbitKeyFor(event.code);
+      if (!key) return;
+      this.keyOrbitState.keys[key] = true;
+      if (this.shouldConsumeKeyOrbit()) {
         event.preventDefault(); // ArrowKeyOrbit: prevent scrolling when orbiting
       }
     };
     this.handleKeyUp = (event) => {
       if (!this.keyOrbitHandlersAttached) return;
-      switch (event.code) {
-        case "ArrowLeft":
-          this.keyOrbitState.keys.left = false;
-          break;
-        case "ArrowRight":
-          this.keyOrbitState.keys.right = false;
-          break;
-        case "ArrowUp":
-          this.keyOrbitState.keys.up = false;
-          break;
-        case "ArrowDown":
-          this.keyOrbitState.keys.down = false;
-          break;
-        case "PageUp":
-          this.keyOrbitState.keys.pageUp = false;
-          break;
-        case "PageDown":
-          this.keyOrbitState.keys.pageDown = false;
-          break;
-        default:
-          break;
-      }
+      const key = orbitKeyFor(event.code);
+      if (key) this.keyOrbitState.keys[key] = false;
     };
 
     const clampedY = THREE.MathUtils.clamp(this.offset.y / this.distance, -1, 1);
@@ -219,14 +182,6 @@ export class ThirdPersonCamera {
       : [];
 
     // CameraSettingsStore: keyboard orbit state
-    this.keyboardState = {
-      ArrowLeft: false,
-      ArrowRight: false,
-      ArrowUp: false,
-      ArrowDown: false,
-      PageUp: false,
-      PageDown: false,
-    };
     this.arrowOrbitEnabled = defaultCameraSettings.enableArrowOrbit;
     this.keyboardYawSpeed = defaultCameraSettings.yawSpeed;
     this.keyboardPitchSpeed = defaultCameraSettings.pitchSpeed;
@@ -234,22 +189,11 @@ export class ThirdPersonCamera {
     this.minDistance = defaultCameraSettings.minDist;
     this.maxDistance = defaultCameraSettings.maxDist;
     this.invertKeyboardPitch = defaultCameraSettings.invertPitch;
+    this.stickLookSpeed = defaultCameraSettings.gamepadLookSpeed;
     this._settingsUnsubscribe = null;
 
-    this._handleKeyDown = (event) => {
-      if (!event || typeof event.code !== "string") return;
-      if (!KEY_CODES.includes(event.code)) return;
-      this.keyboardState[event.code] = true;
-    };
-    this._handleKeyUp = (event) => {
-      if (!event || typeof event.code !== "string") return;
-      if (!KEY_CODES.includes(event.code)) return;
-      this.keyboardState[event.code] = false;
-    };
     this._handleBlur = this._handleBlur.bind(this);
     if (typeof window !== "undefined") {
-      window.addEventListener("keydown", this._handleKeyDown, true);
-      window.addEventListener("keyup", this._handleKeyUp, true);
       window.addEventListener("blur", this._handleBlur, { passive: true });
     }
 
@@ -282,11 +226,6 @@ export class ThirdPersonCamera {
         this.keyStates[key] = false;
       });
     }
-    if (this.keyboardState) {
-      for (const key of Object.keys(this.keyboardState)) {
-        this.keyboardState[key] = false;
-      }
-    }
     if (this.keyOrbitState && this.keyOrbitState.keys) {
       const { keys } = this.keyOrbitState;
       for (const key of Object.keys(keys)) {
@@ -361,6 +300,10 @@ export class ThirdPersonCamera {
     this.keyboardPitchSpeed = this.keyOrbit.pitchSpeed;
     this.keyboardZoomSpeed = this.keyOrbit.zoomSpeed;
     this.invertKeyboardPitch = this.keyOrbit.invertPitch;
+    this.stickLookSpeed = toNumber(
+      resolved.gamepadLookSpeed,
+      defaultCameraSettings.gamepadLookSpeed
+    );
 
     this.minDistance = this.keyOrbit.minDist;
     this.maxDistance = this.keyOrbit.maxDist;
@@ -558,6 +501,26 @@ export class ThirdPersonCamera {
     this.targetPitch = THREE.MathUtils.clamp(pitch, this.minPitch, this.maxPitch);
   }
 
+  /**
+   * Orbit from an analog stick. Axes follow the Gamepad API (+x right,
+   * +y down) and are expected to be dead-zoned already.
+   * @param {number} x
+   * @param {number} y
+   * @param {number} dt
+   */
+  handleStick(x, y, dt) {
+    if (!this.enabled || this.disposed) return;
+    if (!Number.isFinite(x) || !Number.isFinite(y) || !Number.isFinite(dt)) return;
+    if (x === 0 && y === 0) return;
+
+    const invert = this.invertKeyboardPitch ? -1 : 1;
+    const yaw = this.targetYaw + x * this.stickLookSpeed * dt;
+    const pitch = this.targetPitch + y * this.stickLookSpeed * dt * invert;
+
+    this.targetYaw = wrapAngle(yaw);
+    this.targetPitch = THREE.MathUtils.clamp(pitch, this.minPitch, this.maxPitch);
+  }
+
   /**
    * @param {boolean} value
    */
@@ -565,8 +528,6 @@ export class ThirdPersonCamera {
     this.setEnabled(false);
     this.solids.length = 0;
     if (typeof window !== "undefined") {
-      window.removeEventListener("keydown", this._handleKeyDown, true);
-      window.removeEventListener("keyup", this._handleKeyUp, true);
       window.removeEventListener("blur", this._handleBlur);
     }
     this.clearKeyStates();
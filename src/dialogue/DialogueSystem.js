@@ -0,0 +1,340 @@
+// src/dialogue/DialogueSystem.js
+// -----------------------------------------------------------------------------
+// Branching NPC conversations loaded from public/config/dialogue.json.
+//
+//   {
+//     "variables": { "drachmae": 0 },
+//     "npcs": { "citizen-0": "philosopher" },   // npcId → dialogue id
+//     "defaultDialogue": "citizen",             // used for unmapped NPCs
+//     "dialogues": {
+//       "philosopher": {
+//         "speaker": "Philosopher",
+//         "start": "hello",
+//         "nodes": {
+//           "hello": {
+//             "text": "…",
+//             "set": { "metPhilosopher": true },
+//             "choices": [
+//               { "text": "…", "next": "more", "if": { "var": "drachmae", "gte": 1 } },
+//               { "text": "Farewell." }             // no `next` ends the talk
+//             ]
+//           }
+//         }
+//       }
+//     }
+//   }
+//
+// Conditions (`if` on choices, or a node's `redirect: [{ if, next }]` list) support
+// { var, eq|ne|gt|gte|lt|lte|truthy }, { quest, is: active|completed|inactive },
+// and the combinators { all: [] }, { any: [] }, { not: {} }.
+// Effects on nodes and choices: `set`, `add` (numeric increment), `startQuest`.
+// -----------------------------------------------------------------------------
+
+import * as THREE from "three";
+import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+
+const STORAGE_KEY = "athens.dialogue.variables";
+const TALK_DISTANCE = 6;
+const TURN_SPEED = 6;
+
+const EMPTY_DATA = { variables: {}, npcs: {}, defaultDialogue: "", dialogues: {} };
+
+function hasStorage() {
+  try {
+    return typeof window !== "undefined" && !!window.localStorage;
+  } catch {
+    return false;
+  }
+}
+
+function readStoredVariables() {
+  if (!hasStorage()) return null;
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    return parsed && typeof parsed === "object" ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredVariables(variables) {
+  if (!hasStorage()) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(variables));
+  } catch {
+    // Ignore quota/security errors.
+  }
+}
+
+function normalizeDialogueData(cfg) {
+  if (!cfg || typeof cfg !== "object") return { ...EMPTY_DATA };
+  const dialogues = {};
+  for (const [id, tree] of Object.entries(cfg.dialogues || {})) {
+    if (!tree || typeof tree.nodes !== "object") continue;
+    const start = typeof tree.start === "string" ? tree.start : Object.keys(tree.nodes)[0];
+    if (!start || !tree.nodes[start]) {
+      console.warn(`[Dialogue] ${id} has no valid start node`);
+      continue;
+    }
+    dialogues[id] = {
+      speaker: typeof tree.speaker === "string" ? tree.speaker : "",
+      start,
+      nodes: tree.nodes,
+    };
+  }
+  return {
+    variables: cfg.variables && typeof cfg.variables === "object" ? { ...cfg.variables } : {},
+    npcs: cfg.npcs && typeof cfg.npcs === "object" ? { ...cfg.npcs } : {},
+    defaultDialogue: typeof cfg.defaultDialogue === "string" ? cfg.defaultDialogue : "",
+    dialogues,
+  };
+}
+
+/** Load dialogue trees from /config/dialogue.json; resolves to empty data when missing. */
+export async function loadDialogueData(baseUrl = "") {
+  const resolvedBase =
+    typeof baseUrl === "string" && baseUrl.length > 0 ? baseUrl : resolveBaseUrl();
+  const url = joinPath(resolvedBase, "config/dialogue.json");
+  try {
+    const res = await fetch(url, { method: "GET", cache: "no-cache" });
+    if (res.ok) {
+      return normalizeDialogueData(await res.json());
+    }
+  } catch {}
+  console.info("[Dialogue] No dialogue.json found; NPCs stay silent.");
+  return { ...EMPTY_DATA };
+}
+
+export class DialogueSystem {
+  /**
+   * @param {{
+   *   data: ReturnType<typeof normalizeDialogueData>,
+   *   box: ReturnType<typeof import("../ui/dialogueBox.js").mountDialogueBox>,
+   *   getPlayerPosition?: () => THREE.Vector3 | null,
+   *   questEngine?: import("../quests/QuestEngine.js").QuestEngine | null,
+   * }} options
+   */
+  constructor({ data, box, getPlayerPosition = null, questEngine = null }) {
+    this.data = data ?? { ...EMPTY_DATA };
+    this.box = box;
+    this.getPlayerPosition = getPlayerPosition;
+    this.questEngine = questEngine;
+    this.variables = { ...this.data.variables, ...(readStoredVariables() || {}) };
+
+    this.npc = null;
+    this.tree = null;
+    this.node = null;
+    this.choices = [];
+
+    this.box?.onChoose((index) => this.choose(index));
+    this.box?.onClose(() => this.end());
+  }
+
+  isActive() {
+    return !!this.npc;
+  }
+
+  getVariables() {
+    return { ...this.variables };
+  }
+
+  setVariables(variables) {
+    this.variables = { ...this.data.variables, ...(variables || {}) };
+    writeStoredVariables(this.variables);
+  }
+
+  /**
+   * Begin a conversation with an NPC (an Object3D carrying userData.npcId).
+   * @param {THREE.Object3D} npc
+   */
+  start(npc) {
+    const npcId = npc?.userData?.npcId;
+    if (!npcId) return false;
+    if (this.npc === npc) return true;
+    if (!this.isWithinTalkDistance(npc)) {
+      console.log("[Dialogue] Too far away to talk.");
+      return false;
+    }
+    const dialogueId = this.data.npcs[npcId] ?? this.data.defaultDialogue;
+    const tree = this.data.dialogues[dialogueId];
+    if (!tree) {
+      console.log(`[Dialogue] ${npcId} has nothing to say.`);
+      return false;
+    }
+
+    this.end();
+    this.npc = npc;
+    this.tree = tree;
+    npc.userData.talking = true;
+    this.questEngine?.notifyTalk(npcId);
+    this.enterNode(tree.start);
+    return true;
+  }
+
+  end() {
+    if (!this.npc) return;
+    this.npc.userData.talking = false;
+    this.npc = null;
+    this.tree = null;
+    this.node = null;
+    this.choices = [];
+    this.box?.hide();
+  }
+
+  /**
+   * @param {number} index - Index into the currently visible choices.
+   */
+  choose(index) {
+    const choice = this.choices[index];
+    if (!this.node || !choice) return;
+    this.applyEffects(choice);
+    if (typeof choice.next === "string" && choice.next) {
+      this.enterNode(choice.next);
+    } else {
+      this.end();
+    }
+  }
+
+  /**
+   * Keep the speaker facing the player and end the talk if the player leaves.
+   * @param {number} dt
+   */
+  update(dt) {
+    if (!this.npc) return;
+    const playerPos = this.getPlayerPosition?.();
+    if (!playerPos) return;
+    if (!this.isWithinTalkDistance(this.npc)) {
+      this.end();
+      return;
+    }
+    const npcPos = this.npc.getWorldPosition(new THREE.Vector3());
+    const dx = playerPos.x - npcPos.x;
+    const dz = playerPos.z - npcPos.z;
+    const targetYaw = Math.atan2(dx, dz);
+    const current = this.npc.rotation.y;
+    const delta = Math.atan2(Math.sin(targetYaw - current), Math.cos(targetYaw - current));
+    const t = Number.isFinite(dt) ? Math.min(1, dt * TURN_SPEED) : 1;
+    this.npc.rotation.set(0, current + delta * t, 0);
+  }
+
+  /** @private */
+  isWithinTalkDistance(npc) {
+    const playerPos = this.getPlayerPosition?.();
+    if (!playerPos) return true;
+    const npcPos = npc.getWorldPosition(new THREE.Vector3());
+    const dx = playerPos.x - npcPos.x;
+    const dz = playerPos.z - npcPos.z;
+    return dx * dx + dz * dz <= TALK_DISTANCE * TALK_DISTANCE;
+  }
+
+  /** @private */
+  enterNode(nodeId, depth = 0) {
+    const node = this.tree?.nodes?.[nodeId];
+    if (!node || depth > 16) {
+      if (!node) console.warn(`[Dialogue] Missing node "${nodeId}"`);
+      this.end();
+      return;
+    }
+
+    // `redirect: [{ if, next }]` jumps to the first branch whose condition holds.
+    if (Array.isArray(node.redirect)) {
+      const branch = node.redirect.find((entry) => this.evaluate(entry?.if));
+      if (branch?.next) {
+        this.enterNode(branch.next, depth + 1);
+        return;
+      }
+    }
+    // Text-less nodes are pure routing: fall through to `next`.
+    if (!node.text && typeof node.next === "string") {
+      this.applyEffects(node);
+      this.enterNode(node.next, depth + 1);
+      return;
+    }
+
+    this.node = node;
+    this.applyEffects(node);
+    const choices = Array.isArray(node.choices) ? node.choices : [];
+    this.choices = choices.filter((choice) => choice && this.evaluate(choice.if));
+    if (!this.choices.length) {
+      this.choices = [{ text: node.next ? "Continue" : "Goodbye", next: node.next }];
+    }
+
+    this.box?.show({
+      speaker: node.speaker ?? this.tree.speaker,
+      text: this.interpolate(node.text ?? ""),
+      choices: this.choices.map((choice) => this.interpolate(choice.text ?? "…")),
+    });
+  }
+
+  /**
+   * @param {unknown} condition
+   * @returns {boolean}
+   */
+  evaluate(condition) {
+    if (condition == null) return true;
+    if (typeof condition !== "object") return Boolean(condition);
+    if (Array.isArray(condition.all)) return condition.all.every((c) => this.evaluate(c));
+    if (Array.isArray(condition.any)) return condition.any.some((c) => this.evaluate(c));
+    if ("not" in condition) return !this.evaluate(condition.not);
+
+    if (typeof condition.quest === "string") {
+      const progress = this.questEngine?.getProgress();
+      const completed = progress?.completed?.includes(condition.quest) ?? false;
+      const active = progress ? condition.quest in progress.active : false;
+      switch (condition.is) {
+        case "completed":
+          return completed;
+        case "active":
+          return active;
+        case "inactive":
+          return !active && !completed;
+        default:
+          return active || completed;
+      }
+    }
+
+    if (typeof condition.var === "string") {
+      const value = this.variables[condition.var];
+      if ("eq" in condition) return value === condition.eq;
+      if ("ne" in condition) return value !== condition.ne;
+      if ("gt" in condition) return Number(value) > condition.gt;
+      if ("gte" in condition) return Number(value) >= condition.gte;
+      if ("lt" in condition) return Number(value) < condition.lt;
+      if ("lte" in condition) return Number(value) <= condition.lte;
+      return Boolean(value);
+    }
+
+    console.warn("[Dialogue] Unknown condition", condition);
+    return false;
+  }
+
+  /** @private */
+  applyEffects(entry) {
+    let changed = false;
+    if (entry.set && typeof entry.set === "object") {
+      Object.assign(this.variables, entry.set);
+      changed = true;
+    }
+    if (entry.add && typeof entry.add === "object") {
+      for (const [key, amount] of Object.entries(entry.add)) {
+        const current = Number(this.variables[key]) || 0;
+        this.variables[key] = current + (Number(amount) || 0);
+      }
+      changed = true;
+    }
+    if (typeof entry.startQuest === "string") {
+      this.questEngine?.startQuest(entry.startQuest);
+    }
+    if (changed) writeStoredVariables(this.variables);
+  }
+
+  /** Replace {{name}} with the variable's current value. @private */
+  interpolate(text) {
+    return String(text).replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, key) =>
+      key in this.variables ? String(this.variables[key]) : ""
+    );
+  }
+}
+
+export default DialogueSystem;
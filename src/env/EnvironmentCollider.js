@@ -33,6 +33,8 @@ export class EnvironmentCollider {
     this.mesh.userData.noCollision = true;
 
     this.lastRoot = null;
+    /** @type {{ getHeightAt: Function, getNormalAt: Function } | null} */
+    this.terrain = null;
     this.positionAttr = null;
     this.indexAttr = null;
     this.boundsTree = null;
@@ -171,10 +173,58 @@ export class EnvironmentCollider {
   }
 
   /**
+   * Collide against an analytic heightfield (terrain.userData from
+   * terrainHeight.js) instead of baking its triangles into the BVH. The
+   * terrain's chunks change with LOD, but the sampler always answers for the
+   * full-detail surface, and it stays in sync when the heights are edited.
+   * @param {{ getHeightAt: (x: number, z: number) => number | null,
+   *   getNormalAt: (x: number, z: number, target?: THREE.Vector3) => THREE.Vector3 } | null} sampler
+   */
+  setTerrain(sampler) {
+    this.terrain =
+      typeof sampler?.getHeightAt === 'function' && typeof sampler?.getNormalAt === 'function'
+        ? sampler
+        : null;
+  }
+
+  /**
+   * Deepest contact between the capsule and the static scene or terrain.
    * @param {import('three/examples/jsm/math/Capsule.js').Capsule} capsule
    * @returns {{ normal: THREE.Vector3, depth: number } | null}
    */
   capsuleIntersect(capsule) {
+    const meshHit = this.meshIntersect(capsule);
+    const terrainHit = this.terrainIntersect(capsule);
+    if (!terrainHit) return meshHit;
+    if (!meshHit) return terrainHit;
+    return terrainHit.depth > meshHit.depth ? terrainHit : meshHit;
+  }
+
+  /**
+   * Lower capsule sphere against the terrain's tangent plane under it.
+   * @param {import('three/examples/jsm/math/Capsule.js').Capsule} capsule
+   * @returns {{ normal: THREE.Vector3, depth: number } | null}
+   */
+  terrainIntersect(capsule) {
+    const terrain = this.terrain;
+    if (!terrain) return null;
+    const bottom = capsule.start.y <= capsule.end.y ? capsule.start : capsule.end;
+    const ground = terrain.getHeightAt(bottom.x, bottom.z);
+    if (!Number.isFinite(ground)) return null;
+
+    const normal = terrain.getNormalAt(bottom.x, bottom.z, this.tmpVec9);
+    // Distance from the sphere centre to the plane through the ground point.
+    const distance = (bottom.y - ground) * normal.y;
+    const depth = capsule.radius - distance;
+    if (depth <= EPSILON) return null;
+    return { normal: normal.clone(), depth };
+  }
+
+  /**
+   * @param {import('three/examples/jsm/math/Capsule.js').Capsule} capsule
+   * @returns {{ normal: THREE.Vector3, depth: number } | null}
+   */
+  meshIntersect(capsule) {
     const geometry = this.mesh.geometry;
     const position = this.positionAttr;
     if (!geometry || !position || position.count === 0) return null;
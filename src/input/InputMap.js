@@ -3,28 +3,65 @@ import {
   subscribe,
   defaultCameraSettings,
 } from "../state/settingsStore.js";
+import { isActionKey } from "./keyBindings.js";
 
-const CONTROL_KEYS = new Set([
-  "KeyW",
-  "KeyA",
-  "KeyS",
-  "KeyD",
-  "ArrowUp",
-  "ArrowDown",
-  "ArrowLeft",
-  "ArrowRight",
-  "ShiftLeft",
-  "ShiftRight",
-  "Space",
-  "ControlLeft",
-  "ControlRight",
-  "KeyF",
-]);
+// Actions whose keys should not scroll the page or trigger browser shortcuts.
+const CONTROL_ACTIONS = [
+  "moveForward",
+  "moveBack",
+  "moveLeft",
+  "moveRight",
+  "lookLeft",
+  "lookRight",
+  "lookUp",
+  "lookDown",
+  "sprint",
+  "jump",
+  "flyDown",
+  "flyToggle",
+];
+
+// Standard-mapping gamepad buttons (https://w3c.github.io/gamepad/#remapping).
+const GAMEPAD_BUTTONS = {
+  jump: [0], // A / Cross (also flies up)
+  flyDown: [1], // B / Circle
+  interact: [2], // X / Square
+  flyToggle: [3], // Y / Triangle
+  sprint: [4, 10], // LB / L1 or left-stick click
+  viewToggle: [8], // View / Back / Share
+};
+
+// Radians of look per pixel dragged on the touch look pad.
+const TOUCH_LOOK_SENSITIVITY = 0.005;
+// Radians per pixel of pointer-locked mouse movement at sensitivity 1.
+const MOUSE_LOOK_SENSITIVITY = 0.0022;
+const HELD_ACTIONS = ["jump", "sprint", "flyDown"];
+const QUEUED_ACTIONS = ["flyToggle", "interact", "viewToggle"];
 
 /**
  * @typedef {{ yaw: number, pitch: number }} LookDelta
+ * @typedef {{ x: number, z: number }} MoveVector
  */
 
+/** @param {string} code */
+function isControlKey(code) {
+  return CONTROL_ACTIONS.some((action) => isActionKey(action, code));
+}
+
+/**
+ * Radial dead zone: zero inside `deadZone`, then rescaled so the response
+ * still runs smoothly from 0 to 1 at full deflection.
+ * @param {number} x
+ * @param {number} y
+ * @param {number} deadZone
+ */
+function applyDeadZone(x, y, deadZone) {
+  const magnitude = Math.hypot(x, y);
+  if (!Number.isFinite(magnitude) || magnitude <= deadZone) return { x: 0, y: 0 };
+  const scaled = Math.min(1, (magnitude - deadZone) / Math.max(1e-6, 1 - deadZone));
+  return { x: (x / magnitude) * scaled, y: (y / magnitude) * scaled };
+}
+
 export class InputMap {
   /**
    * @param {HTMLCanvasElement | null} [canvas]
@@ -37,6 +74,61 @@ export class InputMap {
 
     /** @private */
     this.flyToggleQueued = false;
+    /** @private */
+    this.interactQueued = false;
+    /** @private */
+    this.viewToggleQueued = false;
+
+    // Gamepad state, refreshed by pollGamepad() once per frame.
+    /** @private */
+    this.padMove = { x: 0, y: 0 };
+    /** @private */
+    this.padLook = { x: 0, y: 0 };
+    /** @private */
+    this.padButtons = new Set();
+    /** @private */
+    this.padConnected = false;
+
+    // On-screen touch controls (see ui/touchControls.js) write here.
+    /** @private */
+    this.touchMove = { x: 0, y: 0 };
+    /** @private */
+    this.touchLook = { x: 0, y: 0 };
+    /** @private */
+    this.touchButtons = new Set();
+
+    // First-person mouse look: raw movement while the canvas holds the
+    // pointer lock, smoothed as a rate in consumeLookDelta().
+    /** @private */
+    this.pointerLookEnabled = false;
+    /** @private */
+    this.mouseDelta = { x: 0, y: 0 };
+    /** @private */
+    this.mouseRate = { x: 0, y: 0 };
+    /** @private */
+    this.pointerLockListeners = new Set();
+    /** @private */
+    this.mouseMoveHandler = (event) => {
+      if (!this.isPointerLocked()) return;
+      this.mouseDelta.x += Number.isFinite(event.movementX) ? event.movementX : 0;
+      this.mouseDelta.y += Number.isFinite(event.movementY) ? event.movementY : 0;
+    };
+    /** @private */
+    this.pointerLockChangeHandler = () => {
+      const locked = this.isPointerLocked();
+      if (!locked) {
+        // Esc (or focus loss) released the lock: drop any pending motion.
+        this.mouseDelta = { x: 0, y: 0 };
+        this.mouseRate = { x: 0, y: 0 };
+      }
+      this.pointerLockListeners.forEach((listener) => {
+        try {
+          listener(locked);
+        } catch (err) {
+          console.error("[InputMap] pointer lock listener error", err);
+        }
+      });
+    };
 
     // CameraSettingsStore: sync arrow-key look speeds
     /** @private */
@@ -49,17 +141,19 @@ export class InputMap {
     /** @private */
     this.keyDownHandler = (event) => {
       this.keys.add(event.code);
-      if (event.code === "KeyF" && !event.repeat) {
-        this.flyToggleQueued = true;
+      if (!event.repeat) {
+        if (isActionKey("flyToggle", event.code)) this.flyToggleQueued = true;
+        if (isActionKey("interact", event.code)) this.interactQueued = true;
+        if (isActionKey("toggleView", event.code)) this.viewToggleQueued = true;
       }
-      if (CONTROL_KEYS.has(event.code)) {
+      if (isControlKey(event.code)) {
         event.preventDefault();
       }
     };
     /** @private */
     this.keyUpHandler = (event) => {
       this.keys.delete(event.code);
-      if (CONTROL_KEYS.has(event.code)) {
+      if (isControlKey(event.code)) {
         event.preventDefault();
       }
     };
@@ -67,12 +161,19 @@ export class InputMap {
     this.blurHandler = () => {
       this.resetKeys();
       this.flyToggleQueued = false;
+      this.interactQueued = false;
+      this.viewToggleQueued = false;
+      this.resetTouch();
     };
     /** @private */
     window.addEventListener("keydown", this.keyDownHandler);
     window.addEventListener("keyup", this.keyUpHandler);
     window.addEventListener("blur", this.blurHandler);
     window.addEventListener("focus", this.blurHandler);
+    if (typeof document !== "undefined") {
+      document.addEventListener("mousemove", this.mouseMoveHandler);
+      document.addEventListener("pointerlockchange", this.pointerLockChangeHandler);
+    }
   }
 
   dispose() {
@@ -80,18 +181,294 @@ export class InputMap {
     window.removeEventListener("keyup", this.keyUpHandler);
     window.removeEventListener("blur", this.blurHandler);
     window.removeEventListener("focus", this.blurHandler);
+    if (typeof document !== "undefined") {
+      document.removeEventListener("mousemove", this.mouseMoveHandler);
+      document.removeEventListener("pointerlockchange", this.pointerLockChangeHandler);
+    }
+    this.exitPointerLock();
+    this.pointerLockListeners.clear();
     this.unsubscribeCameraSettings?.();
     this.unsubscribeCameraSettings = null;
   }
 
+  /**
+   * Allow (or stop) first-person mouse look. Disabling releases the lock.
+   * @param {boolean} enabled
+   */
+  setPointerLookEnabled(enabled) {
+    this.pointerLookEnabled = !!enabled;
+    if (!this.pointerLookEnabled) this.exitPointerLock();
+  }
+
+  isPointerLocked() {
+    return (
+      !!this.canvas &&
+      typeof document !== "undefined" &&
+      document.pointerLockElement === this.canvas
+    );
+  }
+
+  /**
+   * Lock the pointer to the canvas. Must run inside a user gesture (click).
+   * Asks for unaccelerated movement where the browser supports it.
+   */
+  requestPointerLock() {
+    if (!this.pointerLookEnabled || !this.canvas || this.isPointerLocked()) return;
+    if (typeof this.canvas.requestPointerLock !== "function") return;
+    const fallback = () => {
+      try {
+        this.canvas.requestPointerLock();
+      } catch {}
+    };
+    try {
+      const result = this.canvas.requestPointerLock({ unadjustedMovement: true });
+      if (result && typeof result.catch === "function") {
+        result.catch((error) => {
+          if (error?.name === "NotSupportedError") fallback();
+        });
+      }
+    } catch {
+      fallback();
+    }
+  }
+
+  exitPointerLock() {
+    if (!this.isPointerLocked() || typeof document.exitPointerLock !== "function") return;
+    try {
+      document.exitPointerLock();
+    } catch {}
+  }
+
+  /**
+   * @param {(locked: boolean) => void} listener
+   * @returns {() => void}
+   */
+  onPointerLockChange(listener) {
+    if (typeof listener !== "function") return () => {};
+    this.pointerLockListeners.add(listener);
+    return () => {
+      this.pointerLockListeners.delete(listener);
+    };
+  }
+
+  /**
+   * Smoothed mouse movement since the last frame, in pixels.
+   * @private
+   * @param {number} dt
+   */
+  consumeMouseDelta(dt) {
+    const raw = this.mouseDelta;
+    this.mouseDelta = { x: 0, y: 0 };
+    const settings = this.cameraSettings || defaultCameraSettings;
+    const smoothing = Number.isFinite(settings.mouseSmoothing)
+      ? settings.mouseSmoothing
+      : defaultCameraSettings.mouseSmoothing;
+    if (smoothing <= 0 || dt <= 0) {
+      this.mouseRate = { x: 0, y: 0 };
+      return raw;
+    }
+    // Smooth the rate (px/s) rather than the per-frame delta so the feel does
+    // not change with frame rate.
+    const alpha = 1 - Math.pow(smoothing, dt * 60);
+    this.mouseRate.x += (raw.x / dt - this.mouseRate.x) * alpha;
+    this.mouseRate.y += (raw.y / dt - this.mouseRate.y) * alpha;
+    return { x: this.mouseRate.x * dt, y: this.mouseRate.y * dt };
+  }
+
+  /**
+   * Read the first connected gamepad. Call once per frame before the player
+   * update; button presses are latched here so short taps are not missed.
+   */
+  pollGamepad() {
+    const settings = this.cameraSettings || defaultCameraSettings;
+    const pads =
+      settings.gamepadEnabled &&
+      typeof navigator !== "undefined" &&
+      typeof navigator.getGamepads === "function"
+        ? navigator.getGamepads()
+        : [];
+    const pad = Array.from(pads ?? []).find((candidate) => candidate && candidate.connected);
+
+    if (!pad) {
+      if (this.padConnected) this.resetGamepad();
+      return;
+    }
+    this.padConnected = true;
+
+    const deadZone = Number.isFinite(settings.gamepadDeadZone)
+      ? settings.gamepadDeadZone
+      : defaultCameraSettings.gamepadDeadZone;
+    const axis = (index) => {
+      const value = pad.axes[index];
+      return Number.isFinite(value) ? value : 0;
+    };
+    this.padMove = applyDeadZone(axis(0), axis(1), deadZone);
+    this.padLook = applyDeadZone(axis(2), axis(3), deadZone);
+
+    const previous = this.padButtons;
+    const pressed = new Set();
+    pad.buttons.forEach((button, index) => {
+      if (button?.pressed) pressed.add(index);
+    });
+    this.padButtons = pressed;
+
+    const justPressed = (action) =>
+      GAMEPAD_BUTTONS[action].some((index) => pressed.has(index) && !previous.has(index));
+    if (justPressed("flyToggle")) this.flyToggleQueued = true;
+    if (justPressed("interact")) this.interactQueued = true;
+    if (justPressed("viewToggle")) this.viewToggleQueued = true;
+  }
+
+  /** @private */
+  resetGamepad() {
+    this.padConnected = false;
+    this.padMove = { x: 0, y: 0 };
+    this.padLook = { x: 0, y: 0 };
+    this.padButtons = new Set();
+  }
+
+  get gamepadConnected() {
+    return this.padConnected;
+  }
+
+  /**
+   * @param {keyof typeof GAMEPAD_BUTTONS} action
+   */
+  isPadDown(action) {
+    return GAMEPAD_BUTTONS[action].some((index) => this.padButtons.has(index));
+  }
+
+  /**
+   * Virtual joystick deflection in [-1, 1], same axes as a gamepad stick
+   * (+x right, +y down).
+   * @param {number} x
+   * @param {number} y
+   */
+  setTouchMove(x, y) {
+    const length = Math.hypot(x, y);
+    const scale = length > 1 ? 1 / length : 1;
+    this.touchMove = {
+      x: Number.isFinite(x) ? x * scale : 0,
+      y: Number.isFinite(y) ? y * scale : 0,
+    };
+  }
+
+  /**
+   * Accumulate a look-pad drag in CSS pixels. Dragging moves the view like
+   * grabbing the world, matching the third-person drag-to-orbit.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  addTouchLook(dx, dy) {
+    if (!Number.isFinite(dx) || !Number.isFinite(dy)) return;
+    this.touchLook.x += dx;
+    this.touchLook.y += dy;
+  }
+
+  /**
+   * Take the look-pad drag accumulated since the last call, in pixels.
+   * @returns {{ x: number, y: number }}
+   */
+  consumeTouchLook() {
+    const delta = this.touchLook;
+    this.touchLook = { x: 0, y: 0 };
+    return delta;
+  }
+
+  /**
+   * Hold or release an on-screen button ("jump", "sprint" or "flyDown").
+   * @param {string} action
+   * @param {boolean} pressed
+   */
+  setTouchButton(action, pressed) {
+    if (!HELD_ACTIONS.includes(action)) return;
+    if (pressed) this.touchButtons.add(action);
+    else this.touchButtons.delete(action);
+  }
+
+  /**
+   * Queue a one-shot action ("flyToggle", "interact" or "viewToggle") from an
+   * alternate input source; consumed like the matching key press.
+   * @param {string} action
+   */
+  queueAction(action) {
+    if (!QUEUED_ACTIONS.includes(action)) return;
+    if (action === "flyToggle") this.flyToggleQueued = true;
+    if (action === "interact") this.interactQueued = true;
+    if (action === "viewToggle") this.viewToggleQueued = true;
+  }
+
+  /** @private */
+  resetTouch() {
+    this.touchMove = { x: 0, y: 0 };
+    this.touchLook = { x: 0, y: 0 };
+    this.touchButtons.clear();
+  }
+
+  /**
+   * @private
+   * @param {string} action
+   */
+  isHeld(action) {
+    return this.isPadDown(action) || this.touchButtons.has(action);
+  }
+
+  /**
+   * Right-stick deflection after the dead zone; +x is right, +y is down.
+   * @returns {{ x: number, y: number }}
+   */
+  getGamepadLook() {
+    return { ...this.padLook };
+  }
+
+  /**
+   * Planar movement intent with length in [0, 1]: +x strafes right, +z moves
+   * forward. Keys give full-speed unit vectors; the left stick is analog.
+   * @returns {MoveVector}
+   */
+  getMoveVector() {
+    const keyX = (this.right ? 1 : 0) - (this.left ? 1 : 0);
+    const keyZ = (this.forward ? 1 : 0) - (this.back ? 1 : 0);
+    if (keyX !== 0 || keyZ !== 0) {
+      const length = Math.hypot(keyX, keyZ);
+      return { x: keyX / length, z: keyZ / length };
+    }
+    // Whichever analog source is pushed further wins.
+    const stick =
+      Math.hypot(this.touchMove.x, this.touchMove.y) > Math.hypot(this.padMove.x, this.padMove.y)
+        ? this.touchMove
+        : this.padMove;
+    return { x: stick.x, z: -stick.y };
+  }
+
   /**
    * @param {number} [dt=0]
    * @returns {LookDelta}
    */
   consumeLookDelta(dt = 0) {
     const settings = this.cameraSettings || defaultCameraSettings;
+    const dtSafe = Number.isFinite(dt) ? Math.max(0, dt) : 0;
+    const invert = settings.invertPitch ? -1 : 1;
+
+    const stickSpeed = Number.isFinite(settings.gamepadLookSpeed)
+      ? settings.gamepadLookSpeed
+      : defaultCameraSettings.gamepadLookSpeed;
+    const drag = this.consumeTouchLook();
+    const stickYaw = this.padLook.x * stickSpeed * dtSafe - drag.x * TOUCH_LOOK_SENSITIVITY;
+    const stickPitch =
+      this.padLook.y * stickSpeed * dtSafe * invert - drag.y * TOUCH_LOOK_SENSITIVITY;
+
+    const mouse = this.consumeMouseDelta(dtSafe);
+    const mouseScale =
+      MOUSE_LOOK_SENSITIVITY *
+      (Number.isFinite(settings.mouseSensitivity)
+        ? settings.mouseSensitivity
+        : defaultCameraSettings.mouseSensitivity);
+    const mouseYaw = mouse.x * mouseScale;
+    const mousePitch = mouse.y * mouseScale * (settings.invertMouseY ? -1 : 1);
+
     if (!settings.enableArrowOrbit) {
-      return { yaw: 0, pitch: 0 };
+      return { yaw: stickYaw + mouseYaw, pitch: stickPitch + mousePitch };
     }
 
     const yawInput = (this.lookRight ? 1 : 0) - (this.lookLeft ? 1 : 0);
@@ -102,11 +479,9 @@ export class InputMap {
     const pitchSpeed = Number.isFinite(settings.pitchSpeed)
       ? settings.pitchSpeed
       : defaultCameraSettings.pitchSpeed;
-    const invert = settings.invertPitch ? -1 : 1;
-    const dtSafe = Number.isFinite(dt) ? Math.max(0, dt) : 0;
 
-    const yawDelta = yawInput * yawSpeed * dtSafe;
-    const pitchDelta = pitchInput * pitchSpeed * dtSafe * invert;
+    const yawDelta = yawInput * yawSpeed * dtSafe + stickYaw + mouseYaw;
+    const pitchDelta = pitchInput * pitchSpeed * dtSafe * invert + stickPitch + mousePitch;
 
     return {
       yaw: yawDelta,
@@ -121,52 +496,63 @@ export class InputMap {
     return this.keys.has(code);
   }
 
+  /**
+   * True while any key bound to `action` is held.
+   * @param {import("./keyBindings.js").KeyAction} action
+   */
+  isActionDown(action) {
+    for (const code of this.keys) {
+      if (isActionKey(action, code)) return true;
+    }
+    return false;
+  }
+
   get forward() {
-    return this.isDown("KeyW");
+    return this.isActionDown("moveForward");
   }
 
   get back() {
-    return this.isDown("KeyS");
+    return this.isActionDown("moveBack");
   }
 
   get left() {
-    return this.isDown("KeyA");
+    return this.isActionDown("moveLeft");
   }
 
   get right() {
-    return this.isDown("KeyD");
+    return this.isActionDown("moveRight");
   }
 
   get sprint() {
-    return this.isDown("ShiftLeft") || this.isDown("ShiftRight");
+    return this.isActionDown("sprint") || this.isHeld("sprint");
   }
 
   get jump() {
-    return this.isDown("Space");
+    return this.isActionDown("jump") || this.isHeld("jump");
   }
 
   get flyUp() {
-    return this.isDown("Space");
+    return this.isActionDown("jump") || this.isHeld("jump");
   }
 
   get flyDown() {
-    return this.isDown("ControlLeft") || this.isDown("ControlRight");
+    return this.isActionDown("flyDown") || this.isHeld("flyDown");
   }
 
   get lookLeft() {
-    return this.isDown("ArrowLeft");
+    return this.isActionDown("lookLeft");
   }
 
   get lookRight() {
-    return this.isDown("ArrowRight");
+    return this.isActionDown("lookRight");
   }
 
   get lookUp() {
-    return this.isDown("ArrowUp");
+    return this.isActionDown("lookUp");
   }
 
   get lookDown() {
-    return this.isDown("ArrowDown");
+    return this.isActionDown("lookDown");
   }
 
   consumeFlyToggle() {
@@ -175,7 +561,18 @@ export class InputMap {
     return true;
   }
 
-  /** @private */
+  consumeInteract() {
+    if (!this.interactQueued) return false;
+    this.interactQueued = false;
+    return true;
+  }
+
+  consumeViewToggle() {
+    if (!this.viewToggleQueued) return false;
+    this.viewToggleQueued = false;
+    return true;
+  }
+
   resetKeys() {
     this.keys.clear();
   }
@@ -0,0 +1,196 @@
+import {
+  loadKeyBindings,
+  saveKeyBindings,
+  subscribeKeyBindings,
+  defaultKeyBindings,
+  MAX_KEYS_PER_ACTION,
+} from "../state/settingsStore.js";
+
+// Central action -> key table. Everything that reacts to a key asks here
+// (isActionKey) instead of comparing KeyboardEvent.code literals, so a rebind
+// in the controls panel takes effect everywhere at once.
+
+/**
+ * @typedef {keyof typeof defaultKeyBindings} KeyAction
+ * @typedef {{ id: KeyAction, label: string, group: string }} KeyActionInfo
+ */
+
+/** @type {KeyActionInfo[]} */
+export const KEY_ACTIONS = [
+  { id: "moveForward", label: "Move forward", group: "Movement" },
+  { id: "moveBack", label: "Move back", group: "Movement" },
+  { id: "moveLeft", label: "Strafe left", group: "Movement" },
+  { id: "moveRight", label: "Strafe right", group: "Movement" },
+  { id: "sprint", label: "Sprint", group: "Movement" },
+  { id: "jump", label: "Jump / fly up", group: "Movement" },
+  { id: "flyDown", label: "Fly down", group: "Movement" },
+  { id: "flyToggle", label: "Toggle flight mode", group: "Movement" },
+  { id: "lookLeft", label: "Look left", group: "Camera" },
+  { id: "lookRight", label: "Look right", group: "Camera" },
+  { id: "lookUp", label: "Look up", group: "Camera" },
+  { id: "lookDown", label: "Look down", group: "Camera" },
+  { id: "zoomIn", label: "Zoom in (third person)", group: "Camera" },
+  { id: "zoomOut", label: "Zoom out (third person)", group: "Camera" },
+  { id: "toggleView", label: "First / third person", group: "Camera" },
+  { id: "interact", label: "Interact with highlighted objects", group: "Interface" },
+  { id: "inventory", label: "Toggle inventory", group: "Interface" },
+  { id: "worldMap", label: "World map / fast travel", group: "Interface" },
+  { id: "hotkeys", label: "Controls overlay", group: "Interface" },
+  { id: "saveSlots", label: "Save / load game", group: "Interface" },
+  { id: "exposure", label: "Toggle exposure slider", group: "Interface" },
+  { id: "audioMixer", label: "Toggle audio mixer", group: "Interface" },
+];
+
+// Keys the UI keeps for itself (closing panels, cancelling a rebind).
+export const RESERVED_CODES = new Set(["Escape"]);
+
+const KEY_NAMES = {
+  Space: "Space",
+  ShiftLeft: "Shift",
+  ShiftRight: "Right Shift",
+  ControlLeft: "Ctrl",
+  ControlRight: "Right Ctrl",
+  AltLeft: "Alt",
+  AltRight: "Right Alt",
+  MetaLeft: "Meta",
+  MetaRight: "Right Meta",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+  PageUp: "Page Up",
+  PageDown: "Page Down",
+  Backquote: "`",
+  Minus: "-",
+  Equal: "=",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Backslash: "\\",
+  Semicolon: ";",
+  Quote: "'",
+  Comma: ",",
+  Period: ".",
+  Slash: "/",
+};
+
+let bindings = loadKeyBindings();
+subscribeKeyBindings((next) => {
+  bindings = next;
+});
+
+/**
+ * Human-readable label for a KeyboardEvent.code.
+ * @param {string} code
+ */
+export function formatKeyCode(code) {
+  if (typeof code !== "string" || !code) return "—";
+  if (KEY_NAMES[code]) return KEY_NAMES[code];
+  if (code.startsWith("Key") && code.length === 4) return code.slice(3);
+  if (code.startsWith("Digit")) return code.slice(5);
+  if (code.startsWith("Numpad")) return `Num ${code.slice(6)}`;
+  return code;
+}
+
+/** Snapshot of the live bindings. */
+export function getKeyBindings() {
+  const copy = {};
+  for (const [action, codes] of Object.entries(bindings)) copy[action] = [...codes];
+  return copy;
+}
+
+/**
+ * @param {KeyAction} action
+ * @returns {string[]}
+ */
+export function getActionKeys(action) {
+  return [...(bindings[action] ?? [])];
+}
+
+/**
+ * @param {KeyAction} action
+ * @param {string} code
+ */
+export function isActionKey(action, code) {
+  return !!bindings[action]?.includes(code);
+}
+
+/**
+ * "Shift / Right Shift" style label for every key bound to `action`.
+ * @param {KeyAction} action
+ */
+export function getActionKeyLabel(action) {
+  const codes = bindings[action] ?? [];
+  return codes.length ? codes.map(formatKeyCode).join(" / ") : "Unbound";
+}
+
+/**
+ * Every code bound to more than one action.
+ * @param {Record<string, string[]>} [table]
+ * @returns {Map<string, KeyAction[]>}
+ */
+export function findKeyConflicts(table = bindings) {
+  const owners = new Map();
+  for (const [action, codes] of Object.entries(table)) {
+    for (const code of codes) {
+      if (!owners.has(code)) owners.set(code, []);
+      owners.get(code).push(action);
+    }
+  }
+  for (const [code, actions] of owners) {
+    if (actions.length < 2) owners.delete(code);
+  }
+  return owners;
+}
+
+/**
+ * Bind `code` to slot `slot` of `action`. If another action already uses the
+ * key, the two swap keys so no binding is silently duplicated or lost.
+ * Returns the action the key was taken from, if any.
+ * @param {KeyAction} action
+ * @param {number} slot
+ * @param {string} code
+ * @returns {{ ok: boolean, swappedWith: KeyAction | null, reason?: string }}
+ */
+export function bindActionKey(action, slot, code) {
+  if (!(action in defaultKeyBindings)) {
+    return { ok: false, swappedWith: null, reason: `Unknown action "${action}"` };
+  }
+  if (RESERVED_CODES.has(code)) {
+    return { ok: false, swappedWith: null, reason: `${formatKeyCode(code)} is reserved` };
+  }
+  const index = Math.min(Math.max(0, slot), MAX_KEYS_PER_ACTION - 1);
+  const own = [...(bindings[action] ?? [])];
+  const previous = own[index] ?? null;
+  if (previous === code) return { ok: true, swappedWith: null };
+
+  const changes = {};
+  let swappedWith = null;
+  for (const [other, codes] of Object.entries(bindings)) {
+    if (other === action || !codes.includes(code)) continue;
+    swappedWith = other;
+    const replacement = previous && !codes.includes(previous) ? previous : null;
+    changes[other] = codes
+      .map((existing) => (existing === code ? replacement : existing))
+      .filter(Boolean);
+  }
+
+  const next = [...own];
+  next[index] = code;
+  changes[action] = next.filter((existing, i) => existing && (existing !== code || i === index));
+
+  saveKeyBindings(changes);
+  return { ok: true, swappedWith };
+}
+
+/**
+ * Remove the key in slot `slot` of `action`.
+ * @param {KeyAction} action
+ * @param {number} slot
+ */
+export function clearActionKey(action, slot) {
+  const codes = [...(bindings[action] ?? [])];
+  codes.splice(slot, 1);
+  saveKeyBindings({ [action]: codes });
+}
+
+export { resetKeyBindings, subscribeKeyBindings } from "../state/settingsStore.js";
@@ -0,0 +1,272 @@
+// src/inventory/Inventory.js
+// -----------------------------------------------------------------------------
+// Item definitions loaded from public/config/items.json plus the player's
+// stacked inventory:
+//
+//   {
+//     "maxSlots": 20,
+//     "items": {
+//       "owl-drachma": { "name": "Owl Drachma", "maxStack": 99, "shape": "coin" }
+//     }
+//   }
+//
+// Stacks fill up to the item's `maxStack` before a new slot is used. The
+// inventory also remembers which world collectibles were already picked up so
+// they stay gone after a reload. State is persisted to localStorage and can be
+// snapshotted into save slots through getState()/setState().
+// -----------------------------------------------------------------------------
+
+import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+
+const STORAGE_KEY = "athens.inventory";
+const DEFAULT_MAX_SLOTS = 20;
+
+export const ITEM_SHAPES = ["coin", "shard", "amphora", "scroll", "wreath", "box"];
+
+function hasStorage() {
+  try {
+    return typeof window !== "undefined" && !!window.localStorage;
+  } catch {
+    return false;
+  }
+}
+
+function readStoredState() {
+  if (!hasStorage()) return null;
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredState(state) {
+  if (!hasStorage()) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch {
+    // Ignore quota/security errors.
+  }
+}
+
+function normalizeItemDefinitions(cfg) {
+  const items = {};
+  for (const [id, def] of Object.entries(cfg?.items || {})) {
+    if (!def || typeof def !== "object") continue;
+    const maxStack = Number.isInteger(def.maxStack) && def.maxStack > 0 ? def.maxStack : 1;
+    items[id] = {
+      id,
+      name: typeof def.name === "string" ? def.name : id,
+      description: typeof def.description === "string" ? def.description : "",
+      maxStack,
+      shape: ITEM_SHAPES.includes(def.shape) ? def.shape : "box",
+      color: typeof def.color === "string" ? def.color : "#d8c8a0",
+      icon: typeof def.icon === "string" ? def.icon : "",
+    };
+  }
+  const maxSlots =
+    Number.isInteger(cfg?.maxSlots) && cfg.maxSlots > 0 ? cfg.maxSlots : DEFAULT_MAX_SLOTS;
+  return { maxSlots, items };
+}
+
+/** Load item definitions from /config/items.json; resolves to no items when missing. */
+export async function loadItemDefinitions(baseUrl = "") {
+  const resolvedBase =
+    typeof baseUrl === "string" && baseUrl.length > 0 ? baseUrl : resolveBaseUrl();
+  const url = joinPath(resolvedBase, "config/items.json");
+  try {
+    const res = await fetch(url, { method: "GET", cache: "no-cache" });
+    if (res.ok) {
+      return normalizeItemDefinitions(await res.json());
+    }
+  } catch {}
+  console.info("[Inventory] No items.json found; collectibles disabled.");
+  return normalizeItemDefinitions(null);
+}
+
+export class Inventory {
+  /**
+   * @param {ReturnType<typeof normalizeItemDefinitions>} definitions
+   * @param {{ persist?: boolean }} [options]
+   */
+  constructor(definitions, { persist = true } = {}) {
+    this.items = definitions?.items ?? {};
+    this.maxSlots = definitions?.maxSlots ?? DEFAULT_MAX_SLOTS;
+    this.persist = persist;
+    /** @type {{ item: string, count: number }[]} */
+    this.stacks = [];
+    /** @type {Set<string>} collectible ids already picked up */
+    this.collected = new Set();
+    this.listeners = new Set();
+
+    const stored = persist ? readStoredState() : null;
+    this.setState(stored, { silent: true });
+  }
+
+  /** @param {string} itemId */
+  getDefinition(itemId) {
+    return this.items[itemId] ?? null;
+  }
+
+  getStacks() {
+    return this.stacks.map((stack) => ({ ...stack }));
+  }
+
+  /** @param {string} itemId */
+  getCount(itemId) {
+    return this.stacks.reduce((sum, stack) => (stack.item === itemId ? sum + stack.count : sum), 0);
+  }
+
+  /** @param {string} collectibleId */
+  hasCollected(collectibleId) {
+    return this.collected.has(collectibleId);
+  }
+
+  getState() {
+    return {
+      stacks: this.getStacks(),
+      collected: [...this.collected],
+    };
+  }
+
+  setState(state, { silent = false } = {}) {
+    this.stacks = [];
+    this.collected.clear();
+    if (state && typeof state === "object") {
+      for (const stack of Array.isArray(state.stacks) ? state.stacks : []) {
+        const count = Number.isInteger(stack?.count) ? stack.count : 0;
+        if (this.items[stack?.item] && count > 0) this.insert(stack.item, count);
+      }
+      for (const id of Array.isArray(state.collected) ? state.collected : []) {
+        if (typeof id === "string" && id) this.collected.add(id);
+      }
+    }
+    if (!silent) this.commit();
+  }
+
+  reset() {
+    this.setState(null);
+  }
+
+  /**
+   * How many of `itemId` still fit, counting free room in existing stacks and
+   * empty slots.
+   * @param {string} itemId
+   */
+  spaceFor(itemId) {
+    const def = this.items[itemId];
+    if (!def) return 0;
+    let space = (this.maxSlots - this.stacks.length) * def.maxStack;
+    for (const stack of this.stacks) {
+      if (stack.item === itemId) space += def.maxStack - stack.count;
+    }
+    return Math.max(0, space);
+  }
+
+  /**
+   * Add items, topping up existing stacks first. Returns how many were added.
+   * @param {string} itemId
+   * @param {number} [count]
+   */
+  add(itemId, count = 1) {
+    if (!this.items[itemId]) {
+      console.warn(`[Inventory] Unknown item "${itemId}"`);
+      return 0;
+    }
+    const added = this.insert(itemId, Math.min(Math.max(0, Math.floor(count)), this.spaceFor(itemId)));
+    if (added > 0) this.commit();
+    return added;
+  }
+
+  /**
+   * Remove items from the last stacks first. Returns how many were removed.
+   * @param {string} itemId
+   * @param {number} [count]
+   */
+  remove(itemId, count = 1) {
+    let remaining = Math.max(0, Math.floor(count));
+    for (let i = this.stacks.length - 1; i >= 0 && remaining > 0; i--) {
+      const stack = this.stacks[i];
+      if (stack.item !== itemId) continue;
+      const taken = Math.min(stack.count, remaining);
+      stack.count -= taken;
+      remaining -= taken;
+      if (stack.count <= 0) this.stacks.splice(i, 1);
+    }
+    const removed = Math.floor(count) - remaining;
+    if (removed > 0) this.commit();
+    return removed;
+  }
+
+  /**
+   * Pick up a world collectible. Nothing is added unless the whole amount fits,
+   * so a pickup never half-disappears.
+   * @param {string} collectibleId
+   * @param {string} itemId
+   * @param {number} [count]
+   */
+  collect(collectibleId, itemId, count = 1) {
+    if (!collectibleId || this.collected.has(collectibleId)) return false;
+    const def = this.items[itemId];
+    if (!def) {
+      console.warn(`[Inventory] ${collectibleId} references unknown item "${itemId}"`);
+      return false;
+    }
+    if (this.spaceFor(itemId) < count) {
+      console.log(`[Inventory] No room for ${def.name}.`);
+      return false;
+    }
+    this.insert(itemId, count);
+    this.collected.add(collectibleId);
+    console.log(`[Inventory] Picked up ${count > 1 ? `${count}× ` : ""}${def.name}`);
+    this.commit();
+    return true;
+  }
+
+  subscribe(listener) {
+    if (typeof listener !== "function") return () => {};
+    this.listeners.add(listener);
+    try {
+      listener(this);
+    } catch (err) {
+      console.error("[Inventory] listener error", err);
+    }
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /** @private */
+  insert(itemId, count) {
+    const { maxStack } = this.items[itemId];
+    let remaining = count;
+    for (const stack of this.stacks) {
+      if (remaining <= 0) break;
+      if (stack.item !== itemId || stack.count >= maxStack) continue;
+      const moved = Math.min(maxStack - stack.count, remaining);
+      stack.count += moved;
+      remaining -= moved;
+    }
+    while (remaining > 0 && this.stacks.length < this.maxSlots) {
+      const moved = Math.min(maxStack, remaining);
+      this.stacks.push({ item: itemId, count: moved });
+      remaining -= moved;
+    }
+    return count - remaining;
+  }
+
+  /** @private */
+  commit() {
+    if (this.persist) writeStoredState(this.getState());
+    this.listeners.forEach((listener) => {
+      try {
+        listener(this);
+      } catch (err) {
+        console.error("[Inventory] listener error", err);
+      }
+    });
+  }
+}
+
+export default Inventory;
@@ -12,19 +12,42 @@ import {
 } from "./world/sky.js";
 import { createLighting, updateLighting, createMoon, updateMoon } from "./world/lighting.js";
 import { createInteractor } from "./world/interactions.js";
-import { attachCrosshair } from "./world/ui/crosshair.js";
-import { createTerrain, updateTerrain } from "./world/terrain.js";
+import { attachCrosshair, setCrosshairVisible } from "./world/ui/crosshair.js";
+import { createTerrain, updateTerrain, setTerrainPalette } from "./world/terrain.js";
+import { loadTerrainSource } from "./world/terrainSource.js";
+import { createTerrainSculptor } from "./world/terrainSculpt.js";
+import { createLandmarkEditor } from "./world/landmarkEditor.js";
 import { createOcean, updateOcean } from "./world/ocean.js";
 import { createHarbor, updateHarborLighting } from "./world/harbor.js";
 import { createMainHillRoad, updateMainHillRoadLighting } from "./world/roads_hillcity.js";
 import { mountHillCityDebug } from "./world/debug_hillcity.js";
 import { createPlazas } from "./world/plazas.js";
 import { updateCityLighting, createHillCity, createCity } from "./world/city.js";
+import { loadDistrictRules } from "./world/districtRules.js";
 import {
   mount as mountGrass,
   update as updateGrass,
   setNightFactor as setGrassNightFactor,
+  setWind as setGrassWind,
+  setSeasonLook as setGrassSeasonLook,
+  refresh as refreshGrass,
 } from "./world/grass.js";
+import {
+  createSeasonCalendar,
+  updateSeason,
+  advanceCalendarDay,
+  setCalendarDay,
+  describeSeason,
+} from "./world/seasons.js";
+import {
+  createWeather,
+  updateWeather,
+  setWeather,
+  getWeather,
+  describeWeather,
+  WEATHER_IDS,
+  WEATHER_PRESETS,
+} from "./world/weather.js";
 import {
   AGORA_CENTER_3D,
   HARBOR_CENTER_3D,
@@ -46,11 +69,35 @@ import { PlayerController } from "./controls/PlayerController.js";
 import { ThirdPersonCamera } from "./controls/ThirdPersonCamera.js";
 import { Character } from "./characters/Character.js";
 import { spawnCitizenCrowd, spawnGLBNPCs } from "./world/npcs.js";
+import { DEFAULT_SCHEDULE_ROTATION } from "./world/npcSchedules.js";
+import { buildNavGraph } from "./world/navGraph.js";
+import { CrowdSimulation } from "./world/crowd.js";
 import { mountExposureSlider } from "./ui/exposureSlider.js";
 import { mountHotkeyOverlay } from "./ui/hotkeyOverlay.js";
+import { mountKeyBindingsPanel } from "./ui/keyBindingsPanel.js";
+import { getActionKeyLabel } from "./input/keyBindings.js";
 import { mountDevHUD } from "./ui/devHud.js";
+import { mountTerrainSculptPanel } from "./ui/terrainSculptPanel.js";
+import { mountLandmarkEditorPanel } from "./ui/landmarkEditorPanel.js";
+import { mountLandmarkInfoPanel } from "./ui/landmarkInfoPanel.js";
+import { mountLandmarkLabels } from "./ui/landmarkLabels.js";
+import { mountConfigReport } from "./ui/configReport.js";
 import { mount as mountHUDCameraSettings } from "./ui/HUDCameraSettings.js";
+import { mountSaveSlotPicker } from "./ui/saveSlots.js";
+import { readSaveSlot, writeSaveSlot, deleteSaveSlot } from "./state/saveGameStore.js";
+import { QuestEngine, loadQuestDefinitions } from "./quests/QuestEngine.js";
+import { Inventory, loadItemDefinitions } from "./inventory/Inventory.js";
+import { createCollectibleSpawner } from "./world/collectibles.js";
+import { mountInventoryPanel } from "./ui/inventoryPanel.js";
+import { mountMinimap } from "./ui/minimap.js";
+import { mountWorldMap } from "./ui/worldMap.js";
+import { renderTerrainLayer } from "./ui/mapLayers.js";
+import { mountTouchControls, prefersTouchControls } from "./ui/touchControls.js";
+import { DialogueSystem, loadDialogueData } from "./dialogue/DialogueSystem.js";
+import { mountDialogueBox } from "./ui/dialogueBox.js";
 import { createPin } from "./world/pins.js";
+import { resolveWorldSeed, deriveSeed, createRng } from "./world/worldSeed.js";
+import { saveWorldSeed } from "./state/settingsStore.js";
 import { attachHeightSampler } from "./world/terrainHeight.js";
 import { addDepthOccluderRibbon } from "./world/occluders.js";
 import { snapAboveGround } from "./world/ground.js";
@@ -59,6 +106,11 @@ import { resolveBaseUrl, joinPath } from "./utils/baseUrl.js";
 import { applyTextureBudgetToObject } from "./utils/textureBudget.js";
 import { LandmarkManager } from "./world/LandmarkManager.js";
 import { athensLayoutConfig } from "./config/athensLayoutConfig.js";
+import {
+  checkConfigFiles,
+  countConfigIssues,
+  logConfigSummary,
+} from "./config/configValidation.js";
 // === CODex: Aristotle PBR hook (non-breaking) ===
 import { attachAristotleMarblePBR } from "./features/aristotle-texture.js";
 import { applyGravelToRoads } from "./features/roads-gravel.js";
@@ -506,6 +558,9 @@ function startTimeOfDayCycle(options = {}) {
 
 async function mainApp() {
   console.log("🔧 Athens mainApp start");
+  // Every procedural system derives its own sub-seed from this one value.
+  const { seed: worldSeed, source: worldSeedSource } = resolveWorldSeed();
+  console.log(`[world] seed ${worldSeed} (${worldSeedSource})`);
   runAssetQuickChecks().catch((err) => {
     console.warn("Asset QuickChecks failed", err);
   });
@@ -533,12 +588,13 @@ async function mainApp() {
   })();
 
   if (shouldMountExposureSlider) {
-    // Mount the exposure control (F9 toggles visibility)
-    mountExposureSlider(renderer, { min: 0.2, max: 2.0, step: 0.01, key: "F9" });
+    // Mount the exposure control (the `exposure` key binding toggles visibility)
+    mountExposureSlider(renderer, { min: 0.2, max: 2.0, step: 0.01 });
   }
   initializeAssetTranscoders(renderer);
   attachCrosshair();
-  mountHotkeyOverlay({ toggleKey: "KeyH" });
+  const keyBindingsPanel = mountKeyBindingsPanel();
+  mountHotkeyOverlay({ onCustomize: () => keyBindingsPanel.setOpen(true) });
 
   const interactPrompt = document.createElement("div");
   interactPrompt.textContent = "Press E to interact";
@@ -560,6 +616,26 @@ async function mainApp() {
   });
   document.body.appendChild(interactPrompt);
 
+  // First-person hint while the mouse is not yet captured.
+  const lookHint = document.createElement("div");
+  lookHint.textContent = "Click to look around · Esc releases the mouse";
+  Object.assign(lookHint.style, {
+    position: "fixed",
+    left: "50%",
+    top: "calc(50% + 28px)",
+    transform: "translateX(-50%)",
+    padding: "6px 10px",
+    borderRadius: "6px",
+    background: "rgba(0, 0, 0, 0.5)",
+    color: "#fff",
+    fontFamily: "sans-serif",
+    fontSize: "13px",
+    letterSpacing: "0.04em",
+    pointerEvents: "none",
+    display: "none",
+  });
+  document.body.appendChild(lookHint);
+
   const timeOfDayDisplay = document.createElement("div");
   Object.assign(timeOfDayDisplay.style, {
     position: "fixed",
@@ -587,6 +663,9 @@ async function mainApp() {
   }
 
   let lastDisplayedTime = "";
+  let lastWeatherLabel = "";
+  // Set once the dev HUD has mounted; animate() keeps its weather line current.
+  let setWeatherStatus = null;
 
   const scene = new THREE.Scene();
   scene.userData = scene.userData || {};
@@ -665,6 +744,13 @@ async function mainApp() {
   // Sky, stars & lighting
   const skyObj = createSky(scene);
   const lights = createLighting(scene);
+  // Weather cycles on its own; `?weather=storm` (or clear, overcast, rain,
+  // seaMist) pins one state for testing.
+  const weatherOverride = new URLSearchParams(window.location.search).get("weather");
+  const weather = createWeather(scene, {
+    initial: weatherOverride ?? "clear",
+    pinned: WEATHER_IDS.includes(weatherOverride),
+  });
   // ---- Living City Soundscape ----
   const soundscape = new Soundscape(
     scene,
@@ -694,13 +780,18 @@ async function mainApp() {
   }
 
   // Create a star field with 1000 tiny points so nights feel alive.
-  const stars = createStars(scene, 1000);
+  const stars = createStars(scene, 1000, createRng(deriveSeed(worldSeed, "stars")));
   const moon = createMoon(scene);
 
-  // Generate a dynamic terrain mesh so the world has rolling hills instead of
-  // a perfectly flat plane. We'll pass the mesh to the character so it can
-  // query ground height during its update loop.
-  const terrain = createTerrain(scene);
+  // Generate the chunked terrain so the world has rolling hills instead of a
+  // perfectly flat plane. Chunks refine around the camera each frame; the
+  // group is passed to the character so it can query ground height.
+  // public/config/terrain.json can swap the noise for an authored heightmap.
+  const terrainSource = await loadTerrainSource(BASE_URL);
+  const terrain = createTerrain(scene, {
+    seed: deriveSeed(worldSeed, "terrain"),
+    source: terrainSource,
+  });
   attachHeightSampler(terrain);
   scene.userData.terrain = terrain;
   scene.userData.getHeightAt = terrain?.userData?.getHeightAt;
@@ -743,6 +834,8 @@ async function mainApp() {
   const ocean = await createOcean(scene, { bounds: HARBOR_WATER_BOUNDS });
   const harbor = createHarbor(scene, { center: HARBOR_CENTER_3D });
   const envCollider = new EnvironmentCollider();
+  // Ground comes from the terrain's analytic sampler, not baked LOD chunks.
+  envCollider.setTerrain(terrain.userData);
   scene.add(envCollider.mesh);
 
   const worldRoot = refreshWorldRoot();
@@ -775,7 +868,7 @@ async function mainApp() {
   }
 
   if (grassEnabled) {
-    grassRoot = mountGrass(scene);
+    grassRoot = mountGrass(scene, { seed: deriveSeed(worldSeed, "grass") });
     if (grassRoot) {
       setGrassNightFactor(lights.nightFactor);
     }
@@ -851,14 +944,21 @@ async function mainApp() {
   // Plazas (agora + acropolis terraces) — disabled per request to remove large discs
   // createPlazas(worldRoot);
 
+  // One set of district rules (config/districts.json) for both city builders.
+  const districtRules = await loadDistrictRules(BASE_URL);
+
   const harborCity = await createCity(worldRoot, terrain, {
+    districtRules,
     roadsVisible,
+    seed: deriveSeed(worldSeed, "city"),
+    buildingSeed: deriveSeed(worldSeed, "cityBuildings"),
   });
 
   // Hill-city buildings (uses terrain sampler + road curve)
   const hillCity = createHillCity(worldRoot, terrain, mainRoad, {
-    seed: 42,
+    seed: deriveSeed(worldSeed, "hillCity"),
     buildingCount: 140,
+    districtRules,
   });
 
   try {
@@ -886,10 +986,34 @@ async function mainApp() {
   // player can stand on the new plazas instead of falling through them.
   envCollider.refresh();
 
+  // Road network (city streets + hill road + promenade) for A* routing via
+  // navGraph.findPath(from, to). Add ?nav=1 to draw the graph.
+  const navGraph = buildNavGraph({
+    terrain,
+    city: harborCity,
+    hillRoad: mainRoad,
+    promenade: civicDistrict.walkingLoop,
+  });
+  scene.userData.navGraph = navGraph;
+  if (shouldShowOverlay({ queryKey: "nav", defaultValue: false, devDefault: false })) {
+    worldRoot.add(navGraph.createDebugLines());
+  }
+
   const input = new InputMap(renderer.domElement);
   const player = new PlayerController(input, envCollider, { camera });
   worldRoot.add(player.object);
 
+  // Virtual joystick, look pad and action buttons. Shown automatically on
+  // coarse-pointer (touch) devices; force with ?touch=1 or hide with ?touch=0.
+  const touchControls = shouldShowOverlay({
+    queryKey: "touch",
+    windowFlagKey: "SHOW_TOUCH_CONTROLS",
+    defaultValue: prefersTouchControls(),
+    devDefault: false,
+  })
+    ? mountTouchControls({ input, getFlying: () => player.flying })
+    : null;
+
   const spawnPosition = new THREE.Vector3(0, 0, 10);
   player.object.position.copy(spawnPosition);
   const spawnClearance = 0.1;
@@ -1025,6 +1149,37 @@ async function mainApp() {
     clearThirdPersonPointer();
   };
 
+  // ThirdPersonCamera stores the angles of its orbit position, the player the
+  // angles of its view direction. They describe the same heading when
+  // orbitYaw = π - viewYaw and orbitPitch = -viewPitch.
+  const wrapYaw = (yaw) =>
+    THREE.MathUtils.euclideanModulo(yaw + Math.PI, Math.PI * 2) - Math.PI;
+  const syncPlayerViewFromOrbit = () => {
+    player.cameraYaw = wrapYaw(Math.PI - thirdPersonCamera.getYaw());
+    player.cameraPitch = -thirdPersonCamera.getPitch();
+  };
+  const syncOrbitFromPlayerView = () => {
+    thirdPersonCamera.setAngles(
+      wrapYaw(Math.PI - (player.cameraYaw ?? 0)),
+      -(player.cameraPitch ?? 0),
+      { snap: true }
+    );
+  };
+
+  // First person: eye-height camera, pointer-lock mouse look and crosshair.
+  const updateLookHint = () => {
+    const show =
+      player.firstPerson && !input.isPointerLocked() && !touchControls?.isVisible();
+    lookHint.style.display = show ? "block" : "none";
+  };
+  input.onPointerLockChange(updateLookHint);
+  const setFirstPersonMode = (enabled) => {
+    player.setFirstPerson(enabled);
+    input.setPointerLookEnabled(enabled);
+    setCrosshairVisible(enabled);
+    updateLookHint();
+  };
+
   const setThirdPersonEnabled = (enabled) => {
     if (!thirdPersonCamera) return;
 
@@ -1035,25 +1190,14 @@ async function mainApp() {
     thirdPersonCamera.setEnabled(next);
 
     if (next) {
-      thirdPersonCamera.setAngles(player.cameraYaw ?? 0, player.cameraPitch ?? 0, {
-        snap: true,
-      });
+      syncOrbitFromPlayerView();
       thirdPersonCamera.update(0);
       attachThirdPersonPointer();
-      if (
-        typeof document !== "undefined" &&
-        document.pointerLockElement === viewCanvas &&
-        typeof document.exitPointerLock === "function"
-      ) {
-        try {
-          document.exitPointerLock();
-        } catch {}
-      }
+      setFirstPersonMode(false);
     } else {
-      thirdPersonCamera.setAngles(player.cameraYaw ?? 0, player.cameraPitch ?? 0, {
-        snap: true,
-      });
+      syncPlayerViewFromOrbit();
       detachThirdPersonPointer();
+      setFirstPersonMode(true);
     }
   };
 
@@ -1093,15 +1237,23 @@ async function mainApp() {
   door.receiveShadow = true;
   doorPivot.add(door);
 
+  const setDoorOpen = (open) => {
+    doorPivot.userData.open = open;
+    door.rotation.y = open ? -Math.PI / 2 : 0;
+  };
+
   doorPivot.userData.interactable = true;
   doorPivot.userData.highlightTarget = door;
   doorPivot.userData.open = false;
   doorPivot.userData.onUse = (object) => {
     const willOpen = !object.userData.open;
-    object.userData.open = willOpen;
-    door.rotation.y = willOpen ? -Math.PI / 2 : 0;
+    setDoorOpen(willOpen);
     console.log(`Door ${willOpen ? "opened" : "closed"}`);
   };
+  // saveId + get/applySaveState let the save-game system persist this prop.
+  doorPivot.userData.saveId = "demo-door";
+  doorPivot.userData.getSaveState = () => ({ open: !!doorPivot.userData.open });
+  doorPivot.userData.applySaveState = (state) => setDoorOpen(!!state?.open);
 
   worldRoot.add(doorPivot);
 
@@ -1131,6 +1283,11 @@ async function mainApp() {
   pointLight.castShadow = false;
   lamp.add(pointLight);
 
+  const setLampOn = (on) => {
+    pointLight.intensity = on ? 1.5 : 0;
+    bulbMaterial.emissiveIntensity = on ? 1.5 : 0;
+  };
+
   lamp.userData.interactable = true;
   lamp.userData.highlightTarget = bulb;
   lamp.userData.light = pointLight;
@@ -1138,10 +1295,12 @@ async function mainApp() {
     const light = object.userData.light;
     if (!light) return;
     const isOn = light.intensity > 0.1;
-    light.intensity = isOn ? 0 : 1.5;
-    bulbMaterial.emissiveIntensity = isOn ? 0 : 1.5;
+    setLampOn(!isOn);
     console.log(`Lamp ${isOn ? "turned off" : "turned on"}`);
   };
+  lamp.userData.saveId = "demo-lamp";
+  lamp.userData.getSaveState = () => ({ on: pointLight.intensity > 0.1 });
+  lamp.userData.applySaveState = (state) => setLampOn(state?.on !== false);
 
   worldRoot.add(lamp);
 
@@ -1267,17 +1426,61 @@ async function mainApp() {
   const buildingsRoot = new THREE.Group();
   buildingsRoot.name = "BuildingsRoot";
   worldRoot.add(buildingsRoot);
+  const questEngine = new QuestEngine(await loadQuestDefinitions(BASE_URL));
+  scene.userData.questEngine = questEngine;
+
+  // Inventory (I toggles the panel) and the pickups placed by the layout config.
+  const inventory = new Inventory(await loadItemDefinitions(BASE_URL));
+  scene.userData.inventory = inventory;
+  const collectibles = createCollectibleSpawner({ parent: worldRoot, inventory });
+  mountInventoryPanel({ inventory });
+
+  // NPCs become interactable once dialogue is available; using one opens the
+  // dialogue box and pauses that NPC's walker until the conversation ends.
+  const dialogue = new DialogueSystem({
+    data: await loadDialogueData(BASE_URL),
+    box: mountDialogueBox(),
+    getPlayerPosition: () => player.position,
+    questEngine,
+  });
+  const onTalk = (npc) => dialogue.start(npc);
+
+  // Local avoidance between NPCs, the player and static geometry.
+  const crowd = new CrowdSimulation({ envCollider, getHeightAt: terrainHeightSampler });
+
+  // ?citizens=200 stress-tests the crowd layer.
+  const citizenCount = (() => {
+    try {
+      const value = Number.parseInt(new URLSearchParams(window.location.search).get("citizens"), 10);
+      return Number.isFinite(value) && value >= 0 ? Math.min(value, 500) : 8;
+    } catch {
+      return 8;
+    }
+  })();
+
   const npcUpdaters = [];
   if (civicDistrict.walkingLoop) {
-    const crowd = spawnCitizenCrowd(worldRoot, civicDistrict.walkingLoop, {
-      count: 8,
+    const citizens = spawnCitizenCrowd(worldRoot, civicDistrict.walkingLoop, {
+      count: citizenCount,
       minSpeed: 0.7,
       maxSpeed: 1.4,
       terrain,
+      onTalk,
+      schedules: DEFAULT_SCHEDULE_ROTATION,
+      navGraph,
+      crowd,
+      random: createRng(deriveSeed(worldSeed, "citizens")),
     });
-    npcUpdaters.push(...crowd.updaters);
+    npcUpdaters.push(...citizens.updaters);
   }
-  spawnGLBNPCs(worldRoot, mainRoad, { terrain })
+  const glbNpcsReady = spawnGLBNPCs(worldRoot, mainRoad, {
+    random: createRng(deriveSeed(worldSeed, "glbNpcs")),
+    terrain,
+    onTalk,
+    schedules: DEFAULT_SCHEDULE_ROTATION,
+    navGraph,
+    crowd,
+  })
     .then((glbNpcs) => {
       if (!glbNpcs) return;
       if (Array.isArray(glbNpcs.updaters)) {
@@ -1602,6 +1805,8 @@ async function mainApp() {
     }
   });
 
+  // Using a landmark opens its info panel (name, group, description, image).
+  const landmarkInfoPanel = mountLandmarkInfoPanel();
   const landmarkManager = new LandmarkManager({
     scene: worldRoot,
     parent: buildingsRoot,
@@ -1614,20 +1819,58 @@ async function mainApp() {
         ...options,
         parent: options.parent ?? buildingsRoot,
       }),
+    spawnCollectible: collectibles.spawn,
+    despawnCollectible: collectibles.despawn,
+    onInspect: (info, object) => landmarkInfoPanel.show(info, { object, playerPosition: player.position }),
     quietMissing: true,
   });
 
+  // Landmark layout (public/config/athensLayout.json). In dev, saving the file
+  // re-places landmarks in the running game. If it cannot be fetched, the
+  // built-in copy in athensLayoutConfig.js is placed instead.
   try {
-    await landmarkManager.loadConfig(athensLayoutConfig);
+    const placed = await landmarkManager.loadConfigFromUrl(joinPath(BASE_URL, "config/athensLayout.json"), {
+      watch: !!import.meta.env?.DEV,
+    });
+    if (!placed) {
+      // Not validated again, so the report keeps the fetch error.
+      await landmarkManager.loadConfig(athensLayoutConfig, {
+        source: "src/config/athensLayoutConfig.js",
+        validate: false,
+      });
+    }
   } catch (error) {
     console.error("[LandmarkManager] Failed to load Athens layout", error);
   }
 
+  // Floating names over nearby landmarks; the list is rebuilt when a layout
+  // reload changes what is placed.
+  let labelledRevision = -1;
+  let labelledLandmarks = [];
+  const landmarkLabels = mountLandmarkLabels({
+    camera,
+    canvas: renderer.domElement,
+    getLandmarks: () => {
+      if (labelledRevision !== landmarkManager.revision) {
+        labelledRevision = landmarkManager.revision;
+        labelledLandmarks = landmarkManager
+          .getPlacedLandmarks()
+          .map(({ object }) => ({ object, info: object.userData.landmarkInfo }))
+          .filter(({ info }) => info);
+      }
+      return labelledLandmarks;
+    },
+  });
+
   interactor = createInteractor(renderer, camera, scene);
 
+  // Quests advance from interactor use events and the player's location.
+  interactor.addUseListener((object) => questEngine.notifyUse(object));
+
   if (thirdPersonCamera) {
     setThirdPersonEnabled(USE_THIRD_PERSON);
   }
+  setFirstPersonMode(!thirdPersonEnabled);
 
   // Texture budget safe mode.
   applyTextureBudgetToObject(scene, { safeMode: true });
@@ -1635,8 +1878,30 @@ async function mainApp() {
   const clock = new THREE.Clock();
   // Slow the sun/moon orbit so each in-game day lasts 20 real minutes by default.
   const dayCycle = startTimeOfDayCycle();
-  const timeOfDayState = { timeOfDayPhase: 0 };
-  setTimeOfDayPhase(timeOfDayState, 0);
+  const timeOfDayState = { timeOfDayPhase: 0, sunDeclination: 0 };
+  const npcContext = { timeOfDayPhase: 0, nightFactor: 0 };
+  // Start at 06:00 so a new session opens at sunrise (phase 0 is midnight).
+  setTimeOfDayPhase(timeOfDayState, 0.25);
+
+  // Seasons advance one day per day-cycle wrap. `?season=winter` picks the
+  // starting season and `?daysPerSeason=4` stretches the year.
+  const seasonParams = new URLSearchParams(window.location.search);
+  const calendar = createSeasonCalendar({
+    daysPerSeason: Number.parseInt(seasonParams.get("daysPerSeason") ?? "", 10) || undefined,
+    startSeason: seasonParams.get("season") ?? undefined,
+  });
+  // Sun arc, grass, terrain palette and ambience all follow the calendar.
+  const applySeason = (phase) => {
+    const season = updateSeason(calendar, phase);
+    timeOfDayState.sunDeclination = season.declination;
+    setTerrainPalette(terrain, season.terrainPalette);
+    if (grassRoot) {
+      setGrassSeasonLook(season.grassColor, season.grassHeight);
+    }
+    soundscape.setSeasonMix(season);
+  };
+  const formatClockLabel = (phase) =>
+    `Time: ${formatPhaseAsTime(phase)} · ${describeSeason(calendar)}`;
 
   const applyLightingPreset = (presetName) => {
     const preset = LIGHTING_PRESETS[presetName];
@@ -1646,29 +1911,38 @@ async function mainApp() {
     renderer.toneMappingExposure = preset.exposure;
     console.log(`[HUD] preset: ${presetName}`);
 
-    const sunDir = updateSky(skyObj, timeOfDayState);
-    updateLighting(lights, sunDir);
+    applySeason(phase);
+    const sunDir = updateSky(skyObj, timeOfDayState, weather.params);
+    updateLighting(lights, sunDir, weather.params);
     updateHarborLighting(harbor, lights.nightFactor);
     updateCityLighting(harborCity, lights.nightFactor);
     updateCityLighting(hillCity, lights.nightFactor);
     updateMainHillRoadLighting(roadGroup, lights.nightFactor);
-    updateStars(stars, phase);
+    updateStars(stars, sunDir, weather.params);
     updateMoon(moon, sunDir);
-    updateOcean(ocean, 0, sunDir, lights.nightFactor);
+    updateOcean(ocean, 0, sunDir, lights.nightFactor, weather.params);
     if (grassRoot) {
       setGrassNightFactor(lights.nightFactor);
       updateGrass(0, player?.position ?? null);
     }
 
-    const formattedTime = formatPhaseAsTime(phase);
-    if (formattedTime !== lastDisplayedTime) {
-      timeOfDayDisplay.textContent = `Time: ${formattedTime}`;
-      lastDisplayedTime = formattedTime;
+    const clockLabel = formatClockLabel(phase);
+    if (clockLabel !== lastDisplayedTime) {
+      timeOfDayDisplay.textContent = clockLabel;
+      lastDisplayedTime = clockLabel;
     }
 
     renderer.render(scene, camera);
   };
 
+  // Mounted once the HUD getters exist; animate() refreshes it when present.
+  let minimap = null;
+
+  // Dev terrain sculpting panel, mounted on first use (toggleTerrainSculpt).
+  let terrainSculptPanel = null;
+  // Dev landmark placement editor, mounted on first use (toggleLandmarkEditor).
+  let landmarkEditorPanel = null;
+
   function animate() {
     requestAnimationFrame(animate);
 
@@ -1680,58 +1954,115 @@ async function mainApp() {
       const deltaPhase = deltaTime / dayCycle.secondsPerDay;
       const nextPhase = (timeOfDayState.timeOfDayPhase ?? 0) + deltaPhase;
       const wrappedPhase = nextPhase - Math.floor(nextPhase);
+      // Midnight passed: turn the calendar page.
+      advanceCalendarDay(calendar, Math.floor(nextPhase));
       setTimeOfDayPhase(timeOfDayState, wrappedPhase);
     }
 
     const phase = timeOfDayState.timeOfDayPhase ?? 0;
-    const sunDir = updateSky(skyObj, timeOfDayState);
+    applySeason(phase);
+    // Weather first: fog and rain follow the camera, and the blended
+    // parameters feed the sky, lighting, ocean, grass and soundscape below.
+    updateWeather(weather, deltaTime, {
+      cameraPosition: camera.position,
+      nightFactor: lights.nightFactor,
+    });
+    const sunDir = updateSky(skyObj, timeOfDayState, weather.params);
 
     // Update sky dome, atmospheric lighting, and celestial bodies each frame.
-    updateLighting(lights, sunDir);
+    updateLighting(lights, sunDir, weather.params);
     updateHarborLighting(harbor, lights.nightFactor);
     updateCityLighting(harborCity, lights.nightFactor);
     updateCityLighting(hillCity, lights.nightFactor);
     updateMainHillRoadLighting(roadGroup, lights.nightFactor);
     // Fade the stars in and out depending on the time of day.
-    updateStars(stars, phase);
+    updateStars(stars, sunDir, weather.params);
     updateMoon(moon, sunDir);
     if (grassRoot) {
       setGrassNightFactor(lights.nightFactor);
+      setGrassWind(weather.params.wind);
       updateGrass(deltaTime, player?.position ?? null);
     }
 
-    // Advance the GPU-driven terrain sway (no CPU vertex updates required).
-    updateTerrain(terrain, elapsed);
-    updateOcean(ocean, deltaTime, sunDir, lights.nightFactor);
+    // Advance the GPU-driven terrain sway and refine chunk LOD around the camera.
+    updateTerrain(terrain, elapsed, camera.position);
+    terrainSculptPanel?.update(deltaTime);
+    landmarkEditorPanel?.update();
+    updateOcean(ocean, deltaTime, sunDir, lights.nightFactor, weather.params);
 
     // Update soundscape once per frame (player position optional)
+    soundscape.setWeatherMix(weather.params);
     soundscape.update(player?.position);
 
+    // Gamepad: sample sticks/buttons once per frame. View toggle and interact
+    // arrive here from keys, pad buttons and touch alike. The right stick (and
+    // the touch look pad) orbit the third-person camera; in first person the
+    // player consumes them through input.consumeLookDelta().
+    input.pollGamepad();
+    if (input.consumeViewToggle() && thirdPersonCamera) {
+      setThirdPersonEnabled(!thirdPersonEnabled);
+    }
+    if (input.consumeInteract()) {
+      interactor.useObject();
+    }
+    if (thirdPersonCamera && thirdPersonEnabled) {
+      const stick = input.getGamepadLook();
+      thirdPersonCamera.handleStick(stick.x, stick.y, deltaTime);
+      const drag = input.consumeTouchLook();
+      thirdPersonCamera.handlePointer(drag.x, drag.y);
+    }
+    touchControls?.update();
+
     if (thirdPersonCamera && thirdPersonEnabled) {
-      player.cameraYaw = thirdPersonCamera.getYaw();
-      player.cameraPitch = thirdPersonCamera.getPitch();
+      syncPlayerViewFromOrbit();
     }
 
     // Update player movement and drive the attached character animation.
     player.update(deltaTime);
     if (thirdPersonCamera && thirdPersonEnabled) {
-      player.cameraYaw = thirdPersonCamera.getYaw();
-      player.cameraPitch = thirdPersonCamera.getPitch();
+      syncPlayerViewFromOrbit();
     }
     if (thirdPersonCamera) {
       thirdPersonCamera.update(deltaTime);
     }
-    for (const updateNpc of npcUpdaters) updateNpc(deltaTime);
+    // NPC schedules follow the day cycle and head indoors as night falls.
+    npcContext.timeOfDayPhase = phase;
+    npcContext.nightFactor = lights.nightFactor;
+    crowd.beginFrame();
+    for (const updateNpc of npcUpdaters) updateNpc(deltaTime, npcContext);
+    crowd.update(deltaTime, { position: player.position, radius: player.radius });
+    dialogue.update(deltaTime);
+    questEngine.updateLocation(player.position);
+    collectibles.update(deltaTime);
+    minimap?.update(deltaTime);
+    landmarkLabels.update(player.position);
+    landmarkInfoPanel.update(player.position);
 
     // Cast a ray through the center of the screen to detect hovered objects and
     // highlight anything marked as interactable via userData.
     const hovered = interactor.updateHover(deltaTime);
     interactPrompt.style.opacity = hovered ? "1" : "0";
+    if (hovered) {
+      // Prompts are authored as "Press E …"; show the live interact binding.
+      const prompt = (hovered.userData.prompt ?? "Press E to interact").replace(
+        /^Press E\b/,
+        touchControls?.isVisible() ? "Tap USE" : `Press ${getActionKeyLabel("interact")}`
+      );
+      if (interactPrompt.textContent !== prompt) interactPrompt.textContent = prompt;
+    }
 
-    const formattedTime = formatPhaseAsTime(phase);
-    if (formattedTime !== lastDisplayedTime) {
-      timeOfDayDisplay.textContent = `Time: ${formattedTime}`;
-      lastDisplayedTime = formattedTime;
+    const clockLabel = formatClockLabel(phase);
+    if (clockLabel !== lastDisplayedTime) {
+      timeOfDayDisplay.textContent = clockLabel;
+      lastDisplayedTime = clockLabel;
+    }
+
+    if (setWeatherStatus) {
+      const weatherLabel = describeWeather(weather);
+      if (weatherLabel !== lastWeatherLabel) {
+        setWeatherStatus(`Weather: ${weatherLabel}`);
+        lastWeatherLabel = weatherLabel;
+      }
     }
 
     renderer.render(scene, camera);
@@ -1761,11 +2092,20 @@ async function mainApp() {
   };
 
   // Optional: drop a 3D pin with "P"
+  const droppedPins = [];
   const onPin = (p) => {
     const pin = createPin(worldRoot, p);
     // auto-lift pin to ground if sampler exists
     const y = terrain?.userData?.getHeightAt?.(p.x, p.z);
     if (Number.isFinite(y)) pin.position.y = y;
+    droppedPins.push(pin);
+  };
+  const clearPins = () => {
+    for (const pin of droppedPins) {
+      disposeObject(pin);
+      pin.parent?.remove(pin);
+    }
+    droppedPins.length = 0;
   };
 
   // Mount HUD in dev OR if a global flag is set (useful in prod previews)
@@ -1780,27 +2120,384 @@ async function mainApp() {
     onPin,
     onSetLightingPreset: applyLightingPreset,
     lightingPresets: LIGHTING_PRESETS,
+    weatherStates: WEATHER_IDS.map((id) => ({ id, label: WEATHER_PRESETS[id].label })),
+    onSetWeather: (id) => setWeather(weather, id),
+    worldSeed,
+    onSetWorldSeed: (value) => {
+      // The world is built once at boot; reload to rebuild with the new seed.
+      saveWorldSeed(value);
+      const url = new URL(window.location.href);
+      url.searchParams.delete("seed");
+      window.location.assign(url.toString());
+    },
+    onToggleTerrainSculpt: () => toggleTerrainSculpt(),
+    onToggleLandmarkEditor: () => toggleLandmarkEditor(),
   });
+  if (devHud) {
+    setWeatherStatus = (line) => devHud.setStatusLine("weather", line);
+  }
   mountHUDCameraSettings(devHud?.rootElement ?? null);
+
+  // Both maps share one terrain raster covering the whole heightfield.
+  const terrainSize = terrain.userData?.size ?? 500;
+  const mapWorldBounds = {
+    minX: terrain.position.x - terrainSize / 2,
+    maxX: terrain.position.x + terrainSize / 2,
+    minZ: terrain.position.z - terrainSize / 2,
+    maxZ: terrain.position.z + terrainSize / 2,
+  };
+  const mapTerrainLayer = renderTerrainLayer(terrainHeightSampler, mapWorldBounds, SEA_LEVEL_Y, 512);
+  const mapRoadSegments = harborCity?.userData?.roadCenterSegments ?? [];
+  const mapAnchors = [
+    {
+      id: "agora",
+      name: "Agora",
+      description: "Market square and civic heart of the city.",
+      position: AGORA_CENTER_3D,
+    },
+    {
+      id: "harbor",
+      name: "Harbor",
+      description: "Quays and moorings on the western shore.",
+      position: HARBOR_CENTER_3D,
+    },
+    {
+      id: "acropolis",
+      name: "Acropolis",
+      description: "Limestone plateau crowned by Athena's sanctuaries.",
+      position: ACROPOLIS_PEAK_3D,
+    },
+  ];
+
+  // Corner minimap (?minimap=0 hides it).
+  if (shouldShowOverlay({ queryKey: "minimap", windowFlagKey: "SHOW_MINIMAP" })) {
+    // Rebuilt when a layout hot reload moves landmarks (revision changes).
+    let mapLandmarks = [];
+    let mapLandmarksRevision = -1;
+    const getMapLandmarks = () => {
+      if (mapLandmarksRevision === landmarkManager.revision) return mapLandmarks;
+      mapLandmarksRevision = landmarkManager.revision;
+      mapLandmarks = mapAnchors.map(({ name, position }) => ({
+        x: position.x,
+        z: position.z,
+        label: name,
+      }));
+      for (const { spec, object } of landmarkManager.results) {
+        const position = object?.getWorldPosition?.(new THREE.Vector3()) ?? spec.placement?.position;
+        if (!position) continue;
+        mapLandmarks.push({ x: position.x, z: position.z, label: spec.name || spec.id });
+      }
+      return mapLandmarks;
+    };
+    minimap = mountMinimap({
+      getPosition,
+      getDirection,
+      terrainLayer: mapTerrainLayer,
+      worldBounds: mapWorldBounds,
+      roadSegments: mapRoadSegments,
+      hillRoad: mainRoad,
+      civicOutline: civicDistrict.outline,
+      getLandmarks: getMapLandmarks,
+      getNpcs: () => crowd.getObjects(),
+    });
+  }
+
+  // --- Fast travel ------------------------------------------------------------
+  // Land near the target on solid ground: try the spot itself (or a ring around
+  // it for landmarks) and keep the first capsule placement that is not inside
+  // walls or monuments. snapAboveGround keeps the landing above the sea.
+  const FAST_TRAVEL_RING = 8;
+  const fastTravelTo = ({ x, z, anchor = false }) => {
+    const candidates = anchor ? [[0, 0]] : [];
+    for (let i = 0; i < 8; i++) {
+      const angle = (i / 8) * Math.PI * 2;
+      candidates.push([Math.sin(angle) * FAST_TRAVEL_RING, Math.cos(angle) * FAST_TRAVEL_RING]);
+    }
+    const landing = new THREE.Vector3();
+    for (const [dx, dz] of candidates) {
+      player.object.position.set(x + dx, 0, z + dz);
+      snapAboveGround(player.object, terrain, x + dx, z + dz, spawnOffset, {
+        clampToSea: true,
+        seaLevel: SEA_LEVEL_Y,
+        minAboveSea: 0.25,
+      });
+      player.syncCapsuleToObject();
+      landing.copy(player.object.position);
+      const hit = envCollider.capsuleIntersect(player.capsule);
+      if (!hit || hit.normal.y > 0.7) break;
+    }
+    dialogue.end();
+    player.applyState({
+      position: landing,
+      flying: false,
+      cameraYaw: player.cameraYaw,
+      cameraPitch: player.cameraPitch,
+    });
+    if (thirdPersonCamera) {
+      syncOrbitFromPlayerView();
+    }
+  };
+
+  // Full-screen world map (M) with fast travel to anchors and landmarks.
+  mountWorldMap({
+    terrainLayer: mapTerrainLayer,
+    worldBounds: mapWorldBounds,
+    roadSegments: mapRoadSegments,
+    hillRoad: mainRoad,
+    civicOutline: civicDistrict.outline,
+    getLayout: () => landmarkManager.config,
+    anchors: mapAnchors,
+    getPosition,
+    getDirection,
+    onTravel: (destination) => {
+      fastTravelTo(destination);
+      console.log(`[WorldMap] Travelled to ${destination.name}`);
+    },
+    onOpenChange: (open) => {
+      if (open) {
+        input.resetKeys();
+        // The map needs the cursor back.
+        input.exitPointerLock();
+      }
+    },
+  });
+  // Terrain sculpting (dev HUD button or ?sculpt=1). Brushes edit the
+  // heightfield in place, which the height sampler and collider read live;
+  // grass and the map raster cache heights, so they re-sync after each stroke.
+  function toggleTerrainSculpt() {
+    if (!terrainSculptPanel) {
+      const sculptor = createTerrainSculptor(terrain, {
+        onChange: () => {
+          if (grassRoot) refreshGrass();
+          const raster = renderTerrainLayer(
+            terrainHeightSampler,
+            mapWorldBounds,
+            SEA_LEVEL_Y,
+            mapTerrainLayer.width
+          );
+          mapTerrainLayer.getContext("2d").drawImage(raster, 0, 0);
+        },
+      });
+      terrainSculptPanel = mountTerrainSculptPanel({
+        sculptor,
+        terrain,
+        camera,
+        canvas: renderer.domElement,
+        scene,
+      });
+    }
+    terrainSculptPanel.toggle();
+    if (terrainSculptPanel.isOpen()) {
+      // Both tools take left-drags on the view.
+      landmarkEditorPanel?.setOpen(false);
+      input.resetKeys();
+      // Brushes follow the mouse cursor.
+      input.exitPointerLock();
+    }
+  }
+  if (shouldShowOverlay({ queryKey: "sculpt", defaultValue: false, devDefault: false })) {
+    toggleTerrainSculpt();
+  }
+
+  // Landmark placement editor (dev HUD button or ?placelandmarks=1). Moves the
+  // placed landmarks with a gizmo and exports the placements as layout JSON.
+  function toggleLandmarkEditor() {
+    if (!landmarkEditorPanel) {
+      landmarkEditorPanel = mountLandmarkEditorPanel({
+        editor: createLandmarkEditor(landmarkManager),
+        camera,
+        canvas: renderer.domElement,
+        scene,
+      });
+    }
+    landmarkEditorPanel.toggle();
+    if (landmarkEditorPanel.isOpen()) {
+      terrainSculptPanel?.setOpen(false);
+      input.resetKeys();
+      // Selection follows the mouse cursor.
+      input.exitPointerLock();
+    }
+  }
+  if (shouldShowOverlay({ queryKey: "placelandmarks", defaultValue: false, devDefault: false })) {
+    toggleLandmarkEditor();
+  }
+
   if (audioManifestMissing) {
     devHud?.setStatusLine?.("audio", "Audio: Off (no manifest)");
   }
 
-  // Simple controls: clicking the canvas or pressing E will run the onUse
-  // callback attached to whatever we are currently looking at.
+  // Every config has been read by now (the NPC manifest once its spawner
+  // settles): look up the files they reference, then summarise in the console,
+  // the dev HUD and, in dev builds or with ?configcheck=1, an overlay.
+  glbNpcsReady
+    .then(() => checkConfigFiles())
+    .then((reports) => {
+      logConfigSummary();
+      const { errors, warnings } = countConfigIssues(reports);
+      if (errors + warnings > 0) {
+        devHud?.setStatusLine?.("config", `Config: ${errors} errors, ${warnings} warnings (see console)`);
+      }
+      const forced = new URLSearchParams(window.location.search).has("configcheck");
+      if (
+        shouldShowOverlay({ queryKey: "configcheck", defaultValue: false }) &&
+        (forced || errors + warnings > 0)
+      ) {
+        mountConfigReport(reports);
+      }
+    })
+    .catch((error) => console.warn("[config] Config check failed", error));
+
+  questEngine.subscribe((objective) => {
+    devHud?.setStatusLine?.(
+      "quest",
+      objective
+        ? `Quest: ${objective.questTitle} (${objective.stepIndex + 1}/${objective.stepCount}) — ${objective.objective}`
+        : ""
+    );
+  });
+
+  // --- Save / load ------------------------------------------------------------
+  // Interactables opt in by exposing userData.saveId plus get/applySaveState.
+  const forEachSavableInteractable = (callback) => {
+    worldRoot.traverse((object) => {
+      const data = object.userData;
+      if (!data?.saveId || typeof data.getSaveState !== "function") return;
+      callback(object, data);
+    });
+  };
+
+  const captureSaveGame = () => {
+    const interactables = {};
+    forEachSavableInteractable((object, data) => {
+      try {
+        interactables[data.saveId] = data.getSaveState(object);
+      } catch (error) {
+        console.warn(`[SaveGame] Failed to capture ${data.saveId}`, error);
+      }
+    });
+    return {
+      player: player.getState(),
+      world: {
+        timeOfDayPhase: timeOfDayState.timeOfDayPhase ?? 0,
+        weather: getWeather(weather),
+        calendarDay: calendar.day,
+        worldSeed,
+      },
+      interactables,
+      quests: questEngine.getProgress(),
+      dialogue: { variables: dialogue.getVariables() },
+      inventory: inventory.getState(),
+      pins: droppedPins.map(({ position }) => ({
+        x: position.x,
+        y: position.y,
+        z: position.z,
+      })),
+    };
+  };
+
+  const applySaveGame = (save) => {
+    if (!save) return false;
+    if (save.player) {
+      player.applyState(save.player);
+      if (thirdPersonCamera) {
+        syncOrbitFromPlayerView();
+      }
+    }
+    setTimeOfDayPhase(timeOfDayState, save.world?.timeOfDayPhase ?? 0);
+    setCalendarDay(calendar, save.world?.calendarDay ?? 0);
+    if (save.world?.weather) {
+      setWeather(weather, save.world.weather, { immediate: true });
+    }
+    forEachSavableInteractable((object, data) => {
+      if (!(data.saveId in save.interactables)) return;
+      if (typeof data.applySaveState !== "function") return;
+      try {
+        data.applySaveState(save.interactables[data.saveId], object);
+      } catch (error) {
+        console.warn(`[SaveGame] Failed to restore ${data.saveId}`, error);
+      }
+    });
+    if (save.quests) {
+      questEngine.setProgress(save.quests);
+    }
+    dialogue.end();
+    if (save.dialogue) {
+      dialogue.setVariables(save.dialogue.variables);
+    }
+    if (save.inventory) {
+      inventory.setState(save.inventory);
+    }
+    clearPins();
+    for (const p of save.pins) {
+      onPin(new THREE.Vector3(p.x, p.y, p.z));
+    }
+    return true;
+  };
+
+  // Positions in a save only make sense in the world it was made in. A slot
+  // from another seed reloads the page with that seed and loads it on boot;
+  // on boot with an explicit ?seed= that disagrees, it loads with a warning.
+  const loadSaveSlot = (slotId, { onBoot = false } = {}) => {
+    const save = readSaveSlot(slotId);
+    const savedSeed = save?.world.worldSeed ?? null;
+    if (savedSeed === null || savedSeed === worldSeed) return applySaveGame(save);
+    const url = new URL(window.location.href);
+    if (onBoot && url.searchParams.has("seed")) {
+      console.warn(
+        `[SaveGame] ${slotId} was saved in world seed ${savedSeed} but this world is ${worldSeed}; positions may be off.`
+      );
+      return applySaveGame(save);
+    }
+    console.log(`[SaveGame] Reloading with world seed ${savedSeed} for ${slotId}…`);
+    url.searchParams.set("seed", String(savedSeed));
+    url.searchParams.set("load", slotId);
+    window.location.assign(url.toString());
+    return false;
+  };
+
+  mountSaveSlotPicker({
+    onSave: (slotId) => {
+      if (writeSaveSlot(slotId, captureSaveGame())) {
+        console.log(`[SaveGame] Saved ${slotId}`);
+      }
+    },
+    onLoad: (slotId) => {
+      if (loadSaveSlot(slotId)) {
+        console.log(`[SaveGame] Loaded ${slotId}`);
+      }
+    },
+    onDelete: (slotId) => deleteSaveSlot(slotId),
+  });
+
+  // Restore a slot on boot with ?load=slot1
+  try {
+    const params = new URLSearchParams(window.location.search);
+    const bootSlot = params.get("load");
+    if (bootSlot) {
+      if (loadSaveSlot(bootSlot, { onBoot: true })) {
+        console.log(`[SaveGame] Loaded ${bootSlot} on boot`);
+      } else if (!readSaveSlot(bootSlot)) {
+        console.warn(`[SaveGame] No save found in ${bootSlot}`);
+      }
+    }
+  } catch (error) {
+    console.warn("[SaveGame] Failed to parse load slot from query string:", error);
+  }
+
+  // Simple controls: clicking the canvas (or the interact key/button, queued by
+  // InputMap and handled in animate) runs the onUse callback attached to
+  // whatever we are currently looking at.
   renderer.domElement.addEventListener("pointerdown", (event) => {
     if (event.button === 0) {
       if (thirdPersonEnabled && thirdPersonCamera) {
         return;
       }
-      interactor.useObject();
-    }
-  });
-
-  window.addEventListener("keydown", (event) => {
-    if (event.code === "KeyV" && !event.repeat && thirdPersonCamera) {
-      setThirdPersonEnabled(!thirdPersonEnabled);
-    } else if (event.code === "KeyE") {
+      // First click in first person captures the mouse; later clicks use
+      // whatever is under the crosshair.
+      if (event.pointerType === "mouse" && !input.isPointerLocked()) {
+        input.requestPointerLock();
+        return;
+      }
       interactor.useObject();
     }
   });
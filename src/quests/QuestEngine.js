@@ -0,0 +1,324 @@
+// src/quests/QuestEngine.js
+// -----------------------------------------------------------------------------
+// Declarative quests loaded from public/config/quests.json. Each quest is an
+// ordered list of steps; the engine advances a step when a matching event is
+// reported:
+//   • visitZone  – player enters a named zone or an ad-hoc { position, radius }
+//   • useObject  – the interactor uses an object whose id matches `target`
+//   • talkToNpc  – a dialogue with the NPC id in `npc` starts
+// Progress is persisted to localStorage so quests survive reloads, and can be
+// snapshotted into save slots through getProgress()/setProgress().
+// -----------------------------------------------------------------------------
+
+import {
+  AGORA_CENTER_3D,
+  AGORA_RADIUS,
+  ACROPOLIS_PEAK_3D,
+  ACROPOLIS_RADIUS,
+  HARBOR_CENTER_3D,
+} from "../world/locations.js";
+import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+
+const STORAGE_KEY = "athens.quests.progress";
+
+export const STEP_TYPES = ["visitZone", "useObject", "talkToNpc"];
+
+// Named zones quests can reference by id.
+export const QUEST_ZONES = {
+  harbor: { x: HARBOR_CENTER_3D.x, z: HARBOR_CENTER_3D.z, radius: 50 },
+  agora: { x: AGORA_CENTER_3D.x, z: AGORA_CENTER_3D.z, radius: AGORA_RADIUS },
+  acropolis: { x: ACROPOLIS_PEAK_3D.x, z: ACROPOLIS_PEAK_3D.z, radius: ACROPOLIS_RADIUS },
+};
+
+function hasStorage() {
+  try {
+    return typeof window !== "undefined" && !!window.localStorage;
+  } catch {
+    return false;
+  }
+}
+
+function readStoredProgress() {
+  if (!hasStorage()) return null;
+  try {
+    const raw = window.localStorage.getItem(STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function writeStoredProgress(progress) {
+  if (!hasStorage()) return;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(progress));
+  } catch {
+    // Ignore quota/security errors.
+  }
+}
+
+/**
+ * Stable id for an interactable: explicit questId, then saveId, then name.
+ * @param {import("three").Object3D | null} object
+ */
+export function resolveObjectId(object) {
+  const data = object?.userData;
+  return data?.questId || data?.saveId || object?.name || "";
+}
+
+function normalizeZone(step) {
+  if (typeof step.zone === "string") {
+    const zone = QUEST_ZONES[step.zone];
+    if (!zone) return null;
+    return {
+      x: zone.x,
+      z: zone.z,
+      radius: Number.isFinite(step.radius) ? step.radius : zone.radius,
+    };
+  }
+  const position = step.position;
+  if (Array.isArray(position) || (position && typeof position === "object")) {
+    const x = Array.isArray(position) ? position[0] : position.x;
+    const z = Array.isArray(position) ? position[position.length - 1] : position.z;
+    if (!Number.isFinite(x) || !Number.isFinite(z)) return null;
+    return { x, z, radius: Number.isFinite(step.radius) ? step.radius : 8 };
+  }
+  return null;
+}
+
+function normalizeQuests(cfg) {
+  const quests = [];
+  const list = Array.isArray(cfg?.quests) ? cfg.quests : [];
+  for (const quest of list) {
+    if (!quest?.id || !Array.isArray(quest.steps)) continue;
+    const steps = [];
+    quest.steps.forEach((step, index) => {
+      if (!step || !STEP_TYPES.includes(step.type)) {
+        console.warn(`[QuestEngine] ${quest.id} step ${index} has unknown type`, step?.type);
+        return;
+      }
+      const normalized = {
+        id: step.id || `${quest.id}:${index}`,
+        type: step.type,
+        objective: typeof step.objective === "string" ? step.objective : "",
+        target: typeof step.target === "string" ? step.target : "",
+        npc: typeof step.npc === "string" ? step.npc : "",
+        zone: step.type === "visitZone" ? normalizeZone(step) : null,
+      };
+      if (step.type === "visitZone" && !normalized.zone) {
+        console.warn(`[QuestEngine] ${quest.id} step ${index} has no valid zone`);
+        return;
+      }
+      steps.push(normalized);
+    });
+    if (!steps.length) continue;
+    quests.push({
+      id: quest.id,
+      title: typeof quest.title === "string" ? quest.title : quest.id,
+      description: typeof quest.description === "string" ? quest.description : "",
+      autoStart: quest.autoStart !== false,
+      requires: Array.isArray(quest.requires) ? quest.requires.filter(Boolean) : [],
+      steps,
+    });
+  }
+  return quests;
+}
+
+/** Load quest definitions from /config/quests.json; resolves to [] when missing. */
+export async function loadQuestDefinitions(baseUrl = "") {
+  const resolvedBase =
+    typeof baseUrl === "string" && baseUrl.length > 0 ? baseUrl : resolveBaseUrl();
+  const url = joinPath(resolvedBase, "config/quests.json");
+  try {
+    const res = await fetch(url, { method: "GET", cache: "no-cache" });
+    if (res.ok) {
+      return normalizeQuests(await res.json());
+    }
+  } catch {}
+  console.info("[QuestEngine] No quests.json found; quests disabled.");
+  return [];
+}
+
+export class QuestEngine {
+  /**
+   * @param {ReturnType<typeof normalizeQuests>} quests
+   * @param {{ persist?: boolean }} [options]
+   */
+  constructor(quests = [], { persist = true } = {}) {
+    this.quests = new Map(quests.map((quest) => [quest.id, quest]));
+    this.persist = persist;
+    /** @type {Map<string, number>} questId → current step index */
+    this.active = new Map();
+    /** @type {Set<string>} */
+    this.completed = new Set();
+    this.listeners = new Set();
+
+    const stored = persist ? readStoredProgress() : null;
+    this.setProgress(stored, { silent: true });
+  }
+
+  getProgress() {
+    return {
+      active: Object.fromEntries(this.active),
+      completed: [...this.completed],
+    };
+  }
+
+  setProgress(progress, { silent = false } = {}) {
+    this.active.clear();
+    this.completed.clear();
+    if (progress && typeof progress === "object") {
+      for (const id of Array.isArray(progress.completed) ? progress.completed : []) {
+        if (this.quests.has(id)) this.completed.add(id);
+      }
+      for (const [id, stepIndex] of Object.entries(progress.active || {})) {
+        const quest = this.quests.get(id);
+        if (!quest || this.completed.has(id)) continue;
+        const index = Number.isInteger(stepIndex) ? stepIndex : 0;
+        this.active.set(id, Math.min(Math.max(0, index), quest.steps.length - 1));
+      }
+    }
+    this.startAvailableQuests();
+    if (!silent) this.commit();
+  }
+
+  reset() {
+    this.setProgress(null);
+  }
+
+  /**
+   * @param {string} questId
+   */
+  startQuest(questId) {
+    const quest = this.quests.get(questId);
+    if (!quest || this.active.has(questId) || this.completed.has(questId)) return false;
+    this.active.set(questId, 0);
+    console.log(`[QuestEngine] Started: ${quest.title}`);
+    this.commit();
+    return true;
+  }
+
+  /** @private */
+  startAvailableQuests() {
+    for (const quest of this.quests.values()) {
+      if (!quest.autoStart) continue;
+      if (this.active.has(quest.id) || this.completed.has(quest.id)) continue;
+      if (!quest.requires.every((id) => this.completed.has(id))) continue;
+      this.active.set(quest.id, 0);
+    }
+  }
+
+  /**
+   * The first active quest's current step, for HUD display.
+   */
+  getActiveObjective() {
+    for (const [questId, stepIndex] of this.active) {
+      const quest = this.quests.get(questId);
+      const step = quest?.steps[stepIndex];
+      if (!step) continue;
+      return {
+        questId,
+        questTitle: quest.title,
+        stepIndex,
+        stepCount: quest.steps.length,
+        objective: step.objective || describeStep(step),
+      };
+    }
+    return null;
+  }
+
+  /**
+   * Report the player's position; completes any visitZone steps it satisfies.
+   * @param {{ x: number, z: number } | null} position
+   */
+  updateLocation(position) {
+    if (!position || !this.active.size) return;
+    this.advanceMatching((step) => {
+      if (step.type !== "visitZone" || !step.zone) return false;
+      const dx = position.x - step.zone.x;
+      const dz = position.z - step.zone.z;
+      return dx * dx + dz * dz <= step.zone.radius * step.zone.radius;
+    });
+  }
+
+  /**
+   * @param {import("three").Object3D} object
+   */
+  notifyUse(object) {
+    const id = resolveObjectId(object);
+    if (!id) return;
+    this.advanceMatching((step) => step.type === "useObject" && step.target === id);
+  }
+
+  /**
+   * @param {string} npcId
+   */
+  notifyTalk(npcId) {
+    if (!npcId) return;
+    this.advanceMatching((step) => step.type === "talkToNpc" && step.npc === npcId);
+  }
+
+  /** @private */
+  advanceMatching(predicate) {
+    let changed = false;
+    for (const [questId, stepIndex] of [...this.active]) {
+      const quest = this.quests.get(questId);
+      const step = quest?.steps[stepIndex];
+      if (!step || !predicate(step)) continue;
+      changed = true;
+      const next = stepIndex + 1;
+      if (next >= quest.steps.length) {
+        this.active.delete(questId);
+        this.completed.add(questId);
+        console.log(`[QuestEngine] Completed: ${quest.title}`);
+      } else {
+        this.active.set(questId, next);
+      }
+    }
+    if (changed) {
+      this.startAvailableQuests();
+      this.commit();
+    }
+  }
+
+  subscribe(listener) {
+    if (typeof listener !== "function") return () => {};
+    this.listeners.add(listener);
+    try {
+      listener(this.getActiveObjective());
+    } catch (err) {
+      console.error("[QuestEngine] listener error", err);
+    }
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  /** @private */
+  commit() {
+    if (this.persist) writeStoredProgress(this.getProgress());
+    const objective = this.getActiveObjective();
+    this.listeners.forEach((listener) => {
+      try {
+        listener(objective);
+      } catch (err) {
+        console.error("[QuestEngine] listener error", err);
+      }
+    });
+  }
+}
+
+function describeStep(step) {
+  switch (step.type) {
+    case "visitZone":
+      return "Travel to the marked area";
+    case "useObject":
+      return `Use ${step.target}`;
+    case "talkToNpc":
+      return `Talk to ${step.npc}`;
+    default:
+      return "";
+  }
+}
+
+export default QuestEngine;
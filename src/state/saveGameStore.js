@@ -0,0 +1,246 @@
+// SaveGameStore: versioned save slots persisted to localStorage
+
+const STORAGE_PREFIX = "athens.save.";
+export const SAVE_VERSION = 1;
+export const SAVE_SLOT_IDS = ["slot1", "slot2", "slot3"];
+
+/**
+ * @typedef {{
+ *   version: number,
+ *   savedAt: string,
+ *   label?: string,
+ *   player: {
+ *     position: { x: number, y: number, z: number },
+ *     flying: boolean,
+ *     cameraYaw: number,
+ *     cameraPitch: number,
+ *   } | null,
+ *   world: {
+ *     timeOfDayPhase: number,
+ *     weather: string | null,
+ *     calendarDay: number,
+ *     worldSeed: number | null,
+ *   },
+ *   interactables: Record<string, unknown>,
+ *   quests: { active: Record<string, number>, completed: string[] } | null,
+ *   dialogue: { variables: Record<string, unknown> } | null,
+ *   inventory: { stacks: { item: string, count: number }[], collected: string[] } | null,
+ *   pins: { x: number, y: number, z: number }[],
+ * }} SaveGameData
+ */
+
+const listeners = new Set();
+
+// Each entry upgrades a save from `version` to `version + 1`. Add a migration
+// here whenever SAVE_VERSION is bumped so older slots keep loading.
+const MIGRATIONS = {};
+
+function hasStorage() {
+  try {
+    return typeof window !== "undefined" && !!window.localStorage;
+  } catch {
+    return false;
+  }
+}
+
+function storageKey(slotId) {
+  return `${STORAGE_PREFIX}${slotId}`;
+}
+
+function isValidSlot(slotId) {
+  return typeof slotId === "string" && SAVE_SLOT_IDS.includes(slotId);
+}
+
+function toFiniteNumber(value, fallback = 0) {
+  const num = Number(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+function normalizeVector(value) {
+  if (!value || typeof value !== "object") return null;
+  return {
+    x: toFiniteNumber(value.x),
+    y: toFiniteNumber(value.y),
+    z: toFiniteNumber(value.z),
+  };
+}
+
+function migrateSave(raw) {
+  if (!raw || typeof raw !== "object") return null;
+  let data = raw;
+  let version = Number.isInteger(data.version) ? data.version : 0;
+  if (version > SAVE_VERSION) {
+    console.warn(
+      `[SaveGameStore] Save version ${version} is newer than supported ${SAVE_VERSION}; ignoring.`
+    );
+    return null;
+  }
+  while (version < SAVE_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (typeof migrate !== "function") {
+      console.warn(`[SaveGameStore] No migration from save version ${version}; ignoring.`);
+      return null;
+    }
+    data = migrate(data);
+    version += 1;
+  }
+  return data;
+}
+
+function normalizeSave(raw) {
+  const data = migrateSave(raw);
+  if (!data) return null;
+
+  const player = data.player && typeof data.player === "object" ? data.player : null;
+  const position = normalizeVector(player?.position);
+
+  return {
+    version: SAVE_VERSION,
+    savedAt: typeof data.savedAt === "string" ? data.savedAt : "",
+    label: typeof data.label === "string" ? data.label : "",
+    player: position
+      ? {
+          position,
+          flying: Boolean(player.flying),
+          cameraYaw: toFiniteNumber(player.cameraYaw),
+          cameraPitch: toFiniteNumber(player.cameraPitch),
+        }
+      : null,
+    world: {
+      timeOfDayPhase: toFiniteNumber(data.world?.timeOfDayPhase),
+      weather: typeof data.world?.weather === "string" ? data.world.weather : null,
+      calendarDay: Math.max(0, Math.round(toFiniteNumber(data.world?.calendarDay))),
+      // Saves from before world seeds existed have none and load into any world.
+      worldSeed: Number.isInteger(data.world?.worldSeed) ? data.world.worldSeed >>> 0 : null,
+    },
+    interactables:
+      data.interactables && typeof data.interactables === "object"
+        ? { ...data.interactables }
+        : {},
+    quests:
+      data.quests && typeof data.quests === "object"
+        ? {
+            active: { ...(data.quests.active || {}) },
+            completed: Array.isArray(data.quests.completed) ? [...data.quests.completed] : [],
+          }
+        : null,
+    dialogue:
+      data.dialogue?.variables && typeof data.dialogue.variables === "object"
+        ? { variables: { ...data.dialogue.variables } }
+        : null,
+    inventory:
+      data.inventory && typeof data.inventory === "object"
+        ? {
+            stacks: Array.isArray(data.inventory.stacks)
+              ? data.inventory.stacks
+                  .filter((stack) => typeof stack?.item === "string")
+                  .map((stack) => ({ item: stack.item, count: toFiniteNumber(stack.count) }))
+              : [],
+            collected: Array.isArray(data.inventory.collected)
+              ? data.inventory.collected.filter((id) => typeof id === "string")
+              : [],
+          }
+        : null,
+    pins: Array.isArray(data.pins) ? data.pins.map(normalizeVector).filter(Boolean) : [],
+  };
+}
+
+function notifyListeners() {
+  const summaries = listSaveSlots();
+  listeners.forEach((listener) => {
+    try {
+      listener(summaries);
+    } catch (err) {
+      console.error("[SaveGameStore] listener error", err);
+    }
+  });
+}
+
+/**
+ * @param {string} slotId
+ * @returns {SaveGameData | null}
+ */
+export function readSaveSlot(slotId) {
+  if (!isValidSlot(slotId) || !hasStorage()) return null;
+  try {
+    const raw = window.localStorage.getItem(storageKey(slotId));
+    if (!raw) return null;
+    return normalizeSave(JSON.parse(raw));
+  } catch (err) {
+    console.warn(`[SaveGameStore] Failed to read ${slotId}`, err);
+    return null;
+  }
+}
+
+/**
+ * @param {string} slotId
+ * @param {Omit<SaveGameData, "version" | "savedAt">} data
+ * @returns {SaveGameData | null}
+ */
+export function writeSaveSlot(slotId, data) {
+  if (!isValidSlot(slotId) || !hasStorage()) return null;
+  const record = normalizeSave({
+    ...data,
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+  });
+  if (!record) return null;
+  try {
+    window.localStorage.setItem(storageKey(slotId), JSON.stringify(record));
+  } catch (err) {
+    console.warn(`[SaveGameStore] Failed to write ${slotId}`, err);
+    return null;
+  }
+  notifyListeners();
+  return record;
+}
+
+export function deleteSaveSlot(slotId) {
+  if (!isValidSlot(slotId) || !hasStorage()) return;
+  try {
+    window.localStorage.removeItem(storageKey(slotId));
+  } catch {
+    // Ignore quota/security errors.
+  }
+  notifyListeners();
+}
+
+/**
+ * @returns {{ id: string, empty: boolean, savedAt: string, label: string }[]}
+ */
+export function listSaveSlots() {
+  return SAVE_SLOT_IDS.map((id) => {
+    const save = readSaveSlot(id);
+    return {
+      id,
+      empty: !save,
+      savedAt: save?.savedAt ?? "",
+      label: save?.label ?? "",
+    };
+  });
+}
+
+export function subscribe(listener) {
+  if (typeof listener !== "function") {
+    return () => {};
+  }
+  listeners.add(listener);
+  try {
+    listener(listSaveSlots());
+  } catch (err) {
+    console.error("[SaveGameStore] listener error", err);
+  }
+  return () => {
+    listeners.delete(listener);
+  };
+}
+
+export default {
+  SAVE_VERSION,
+  SAVE_SLOT_IDS,
+  readSaveSlot,
+  writeSaveSlot,
+  deleteSaveSlot,
+  listSaveSlots,
+  subscribe,
+};
@@ -18,6 +18,12 @@ export const defaultCameraSettings = {
   minDist: 2.5, // meters
   maxDist: 7.5, // meters
   invertPitch: false,
+  gamepadEnabled: true,
+  gamepadDeadZone: 0.15, // stick magnitude ignored around centre
+  gamepadLookSpeed: 2.4, // rad/s at full right-stick deflection
+  mouseSensitivity: 1.0, // multiplier on the base first-person mouse-look rate
+  mouseSmoothing: 0.3, // 0 = raw, closer to 1 = heavier smoothing
+  invertMouseY: false,
 };
 
 const CAMERA_RANGES = {
@@ -28,6 +34,10 @@ const CAMERA_RANGES = {
   maxPitch: { min: 0.0, max: 1.0 },
   minDist: { min: 1.5, max: 6.0 },
   maxDist: { min: 4.0, max: 12.0 },
+  gamepadDeadZone: { min: 0.0, max: 0.5 },
+  gamepadLookSpeed: { min: 0.5, max: 5.0 },
+  mouseSensitivity: { min: 0.1, max: 3.0 },
+  mouseSmoothing: { min: 0.0, max: 0.9 },
 };
 
 const listeners = new Set();
@@ -122,6 +132,28 @@ function normalizeSettings(partial = {}) {
       CAMERA_RANGES.maxDist.max
     ),
     invertPitch: Boolean(merged.invertPitch),
+    gamepadEnabled: Boolean(merged.gamepadEnabled),
+    gamepadDeadZone: clamp(
+      toNumber(merged.gamepadDeadZone, defaultCameraSettings.gamepadDeadZone),
+      CAMERA_RANGES.gamepadDeadZone.min,
+      CAMERA_RANGES.gamepadDeadZone.max
+    ),
+    gamepadLookSpeed: clamp(
+      toNumber(merged.gamepadLookSpeed, defaultCameraSettings.gamepadLookSpeed),
+      CAMERA_RANGES.gamepadLookSpeed.min,
+      CAMERA_RANGES.gamepadLookSpeed.max
+    ),
+    mouseSensitivity: clamp(
+      toNumber(merged.mouseSensitivity, defaultCameraSettings.mouseSensitivity),
+      CAMERA_RANGES.mouseSensitivity.min,
+      CAMERA_RANGES.mouseSensitivity.max
+    ),
+    mouseSmoothing: clamp(
+      toNumber(merged.mouseSmoothing, defaultCameraSettings.mouseSmoothing),
+      CAMERA_RANGES.mouseSmoothing.min,
+      CAMERA_RANGES.mouseSmoothing.max
+    ),
+    invertMouseY: Boolean(merged.invertMouseY),
   };
 
   if (normalized.minPitch > normalized.maxPitch) {
@@ -157,6 +189,10 @@ function normalizeSettings(partial = {}) {
   normalized.yawSpeed = Number(normalized.yawSpeed.toFixed(4));
   normalized.pitchSpeed = Number(normalized.pitchSpeed.toFixed(4));
   normalized.zoomSpeed = Number(normalized.zoomSpeed.toFixed(4));
+  normalized.gamepadDeadZone = Number(normalized.gamepadDeadZone.toFixed(4));
+  normalized.gamepadLookSpeed = Number(normalized.gamepadLookSpeed.toFixed(4));
+  normalized.mouseSensitivity = Number(normalized.mouseSensitivity.toFixed(4));
+  normalized.mouseSmoothing = Number(normalized.mouseSmoothing.toFixed(4));
 
   return normalized;
 }
@@ -246,10 +282,197 @@ export function subscribe(listener) {
   };
 }
 
+
+// KeyBindings: action -> KeyboardEvent.code list, persisted beside the camera
+// settings. Action metadata (labels, groups) lives in input/keyBindings.js.
+
+const KEY_BINDINGS_STORAGE_KEY = "athens.settings.keys";
+export const MAX_KEYS_PER_ACTION = 2;
+
+export const defaultKeyBindings = {
+  moveForward: ["KeyW"],
+  moveBack: ["KeyS"],
+  moveLeft: ["KeyA"],
+  moveRight: ["KeyD"],
+  sprint: ["ShiftLeft", "ShiftRight"],
+  jump: ["Space"],
+  flyDown: ["ControlLeft", "ControlRight"],
+  flyToggle: ["KeyF"],
+  interact: ["KeyE"],
+  toggleView: ["KeyV"],
+  lookLeft: ["ArrowLeft"],
+  lookRight: ["ArrowRight"],
+  lookUp: ["ArrowUp"],
+  lookDown: ["ArrowDown"],
+  zoomIn: ["PageUp"],
+  zoomOut: ["PageDown"],
+  inventory: ["KeyI"],
+  worldMap: ["KeyM"],
+  hotkeys: ["KeyH"],
+  saveSlots: ["F8"],
+  exposure: ["F9"],
+  audioMixer: ["F10"],
+};
+
+const keyBindingListeners = new Set();
+let currentKeyBindings = null;
+
+function cloneKeyBindings(bindings) {
+  const copy = {};
+  for (const [action, codes] of Object.entries(bindings)) {
+    copy[action] = [...codes];
+  }
+  return copy;
+}
+
+function normalizeKeyBindings(partial = {}) {
+  const normalized = {};
+  for (const [action, defaults] of Object.entries(defaultKeyBindings)) {
+    const value = partial && typeof partial === "object" ? partial[action] : undefined;
+    if (!Array.isArray(value)) {
+      normalized[action] = [...defaults];
+      continue;
+    }
+    const codes = [];
+    for (const code of value) {
+      if (typeof code !== "string" || !code || codes.includes(code)) continue;
+      codes.push(code);
+      if (codes.length >= MAX_KEYS_PER_ACTION) break;
+    }
+    normalized[action] = codes;
+  }
+  return normalized;
+}
+
+function keyBindingsEqual(a, b) {
+  for (const action of Object.keys(defaultKeyBindings)) {
+    const left = a[action];
+    const right = b[action];
+    if (left.length !== right.length) return false;
+    if (left.some((code, index) => code !== right[index])) return false;
+  }
+  return true;
+}
+
+function ensureKeyBindingsLoaded() {
+  if (currentKeyBindings) return;
+  let stored = null;
+  if (hasStorage()) {
+    try {
+      const raw = window.localStorage.getItem(KEY_BINDINGS_STORAGE_KEY);
+      stored = raw ? JSON.parse(raw) : null;
+    } catch {
+      stored = null;
+    }
+  }
+  currentKeyBindings = normalizeKeyBindings(stored ?? {});
+}
+
+export function loadKeyBindings() {
+  ensureKeyBindingsLoaded();
+  return cloneKeyBindings(currentKeyBindings);
+}
+
+/**
+ * Replace the codes of the given actions; omitted actions keep their keys.
+ * @param {Record<string, string[]>} partial
+ */
+export function saveKeyBindings(partial = {}) {
+  ensureKeyBindingsLoaded();
+  if (!partial || typeof partial !== "object") {
+    return cloneKeyBindings(currentKeyBindings);
+  }
+  const next = normalizeKeyBindings({ ...currentKeyBindings, ...partial });
+  if (keyBindingsEqual(next, currentKeyBindings)) {
+    return cloneKeyBindings(currentKeyBindings);
+  }
+  currentKeyBindings = next;
+  if (hasStorage()) {
+    try {
+      window.localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(next));
+    } catch {
+      // Ignore quota/security errors.
+    }
+  }
+  const snapshot = cloneKeyBindings(next);
+  keyBindingListeners.forEach((listener) => {
+    try {
+      listener(snapshot);
+    } catch (err) {
+      console.error("[KeyBindings] listener error", err);
+    }
+  });
+  return cloneKeyBindings(currentKeyBindings);
+}
+
+export function resetKeyBindings() {
+  return saveKeyBindings(defaultKeyBindings);
+}
+
+export function subscribeKeyBindings(listener) {
+  if (typeof listener !== "function") {
+    return () => {};
+  }
+  ensureKeyBindingsLoaded();
+  keyBindingListeners.add(listener);
+  try {
+    listener(cloneKeyBindings(currentKeyBindings));
+  } catch (err) {
+    console.error("[KeyBindings] listener error", err);
+  }
+  return () => {
+    keyBindingListeners.delete(listener);
+  };
+}
+
+
+// World seed: the text typed into the dev HUD, kept as entered ("athens",
+// "1234"). world/worldSeed.js turns it into a number; a `?seed=` URL
+// parameter takes precedence for the session without being saved.
+
+const WORLD_SEED_STORAGE_KEY = "athens.settings.worldSeed";
+
+/** @returns {string | null} */
+export function loadWorldSeed() {
+  if (!hasStorage()) return null;
+  try {
+    const raw = window.localStorage.getItem(WORLD_SEED_STORAGE_KEY);
+    return typeof raw === "string" && raw.trim() ? raw.trim() : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Persist the seed used on the next load; pass null or "" to go back to the
+ * default world.
+ * @param {string | number | null} value
+ */
+export function saveWorldSeed(value) {
+  if (!hasStorage()) return;
+  const text = value === null || value === undefined ? "" : String(value).trim();
+  try {
+    if (text) {
+      window.localStorage.setItem(WORLD_SEED_STORAGE_KEY, text);
+    } else {
+      window.localStorage.removeItem(WORLD_SEED_STORAGE_KEY);
+    }
+  } catch {
+    // Ignore quota/security errors.
+  }
+}
+
 export default {
   loadSettings,
   saveSettings,
   subscribe,
   getSettings,
   defaultCameraSettings,
+  loadKeyBindings,
+  saveKeyBindings,
+  resetKeyBindings,
+  subscribeKeyBindings,
+  defaultKeyBindings,
+  loadWorldSeed,
+  saveWorldSeed,
 };
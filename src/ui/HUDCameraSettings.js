@@ -14,6 +14,10 @@ const RANGE_CONFIG = {
   maxPitch: { min: 0.0, max: 1.0, step: 0.01, label: "Max Pitch", suffix: "rad" },
   minDist: { min: 1.5, max: 6.0, step: 0.1, label: "Min Distance", suffix: "m" },
   maxDist: { min: 4.0, max: 12.0, step: 0.1, label: "Max Distance", suffix: "m" },
+  gamepadDeadZone: { min: 0.0, max: 0.5, step: 0.01, label: "Stick Dead Zone", suffix: "" },
+  gamepadLookSpeed: { min: 0.5, max: 5.0, step: 0.1, label: "Stick Look Speed", suffix: "rad/s" },
+  mouseSensitivity: { min: 0.1, max: 3.0, step: 0.05, label: "Mouse Sensitivity", suffix: "×" },
+  mouseSmoothing: { min: 0.0, max: 0.9, step: 0.05, label: "Mouse Smoothing", suffix: "" },
 };
 
 const formatValue = (value, suffix = "") => {
@@ -194,6 +198,10 @@ export function mount(rootEl) {
     "maxPitch",
     "minDist",
     "maxDist",
+    "gamepadDeadZone",
+    "gamepadLookSpeed",
+    "mouseSensitivity",
+    "mouseSmoothing",
   ]) {
     const config = RANGE_CONFIG[key];
     const slider = createSlider(key, config, onSliderInput);
@@ -226,8 +234,28 @@ export function mount(rootEl) {
     }
   );
 
+  const gamepadCheckbox = createCheckbox(
+    "Enable Gamepad",
+    "gamepadEnabled",
+    (key, checked) => {
+      if (state.disposed) return;
+      saveSettings({ [key]: checked });
+    }
+  );
+
   toggles.appendChild(enableCheckbox.wrapper);
   toggles.appendChild(invertCheckbox.wrapper);
+  const invertMouseCheckbox = createCheckbox(
+    "Invert Mouse Y (first person)",
+    "invertMouseY",
+    (key, checked) => {
+      if (state.disposed) return;
+      saveSettings({ [key]: checked });
+    }
+  );
+
+  toggles.appendChild(gamepadCheckbox.wrapper);
+  toggles.appendChild(invertMouseCheckbox.wrapper);
 
   panel.appendChild(toggles);
   panel.appendChild(slidersContainer);
@@ -242,6 +270,8 @@ export function mount(rootEl) {
     state.settings = settings;
     enableCheckbox.checkbox.checked = settings.enableArrowOrbit;
     invertCheckbox.checkbox.checked = settings.invertPitch;
+    gamepadCheckbox.checkbox.checked = settings.gamepadEnabled;
+    invertMouseCheckbox.checkbox.checked = settings.invertMouseY;
 
     for (const key of Object.keys(RANGE_CONFIG)) {
       const control = controls[key];
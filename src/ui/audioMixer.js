@@ -1,9 +1,11 @@
 import { getUISlot } from "./uiRoot.js";
+import { isActionKey } from "../input/keyBindings.js";
 
-// Minimal UI overlay for audio mixer (F10 toggles)
+// Minimal UI overlay for audio mixer (the `audioMixer` binding, F10 by
+// default, toggles)
 export function mountAudioMixer(soundscape, opts = {}) {
   if (!soundscape) return null;
-  const KEY = opts.key ?? "F10";
+  const ACTION = opts.action ?? "audioMixer";
   const wrap = document.createElement("div");
   Object.assign(wrap.style, {
     // mounted in a shared UI slot; no absolute positioning needed
@@ -26,7 +28,7 @@ export function mountAudioMixer(soundscape, opts = {}) {
   wrap.appendChild(mk("Voices", soundscape.bus.voices, 0.7));
   wrap.appendChild(mk("Effects", soundscape.bus.effects, 0.7));
   getUISlot("topRight").appendChild(wrap);
-  const onKey = (e)=>{ if (e.key === KEY){ wrap.style.display = wrap.style.display !== "none" ? "none" : "block"; e.preventDefault(); }};
+  const onKey = (e)=>{ if (isActionKey(ACTION, e.code)){ wrap.style.display = wrap.style.display !== "none" ? "none" : "block"; e.preventDefault(); }};
   window.addEventListener("keydown", onKey);
   return { dispose(){ window.removeEventListener("keydown", onKey); wrap.remove(); } };
 }
@@ -0,0 +1,98 @@
+import { getUISlot } from "./uiRoot.js";
+import { countConfigIssues } from "../config/configValidation.js";
+
+const BUTTON_STYLE = {
+  padding: "3px 8px",
+  borderRadius: "4px",
+  border: "1px solid rgba(255,255,255,0.35)",
+  background: "rgba(0,0,0,0.35)",
+  color: "inherit",
+  font: "inherit",
+  cursor: "pointer",
+};
+
+const SEVERITY_COLORS = { error: "#ff8a80", warning: "#ffd56a" };
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? "" : "s"}`;
+
+// Dev overlay listing the problems found in the JSON configs at boot (see
+// src/config/configValidation.js): one block per config with the field path
+// and message of each issue.
+/**
+ * @param {import("../config/configValidation.js").ConfigReport[]} reports
+ */
+export function mountConfigReport(reports) {
+  const { errors, warnings } = countConfigIssues(reports);
+
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "10px 12px",
+    background: "rgba(0,0,0,0.7)",
+    backdropFilter: "blur(4px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "12px/1.3 ui-sans-serif, system-ui",
+    maxWidth: "420px",
+    maxHeight: "45vh",
+    overflowY: "auto",
+  });
+
+  const header = document.createElement("div");
+  Object.assign(header.style, {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "12px",
+    marginBottom: "6px",
+  });
+  const title = document.createElement("div");
+  title.textContent = `Config check: ${plural(errors, "error")}, ${plural(warnings, "warning")}`;
+  Object.assign(title.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  });
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  Object.assign(closeButton.style, BUTTON_STYLE);
+  closeButton.addEventListener("click", () => wrap.remove());
+  header.append(title, closeButton);
+  wrap.appendChild(header);
+
+  for (const report of reports) {
+    if (report.issues.length === 0) continue;
+    const block = document.createElement("div");
+    block.style.marginTop = "8px";
+    const name = document.createElement("div");
+    name.textContent = report.name;
+    name.title = report.source;
+    name.style.fontWeight = "600";
+    block.appendChild(name);
+
+    for (const issue of report.issues) {
+      const row = document.createElement("div");
+      Object.assign(row.style, { display: "flex", gap: "6px", marginTop: "2px" });
+      const field = document.createElement("code");
+      field.textContent = issue.path;
+      field.style.color = SEVERITY_COLORS[issue.severity] ?? "#fff";
+      const message = document.createElement("span");
+      message.textContent = issue.message;
+      message.style.opacity = "0.85";
+      row.append(field, message);
+      block.appendChild(row);
+    }
+    wrap.appendChild(block);
+  }
+
+  if (errors === 0 && warnings === 0) {
+    const ok = document.createElement("div");
+    ok.textContent = `${plural(reports.length, "config")} checked, no problems.`;
+    ok.style.opacity = "0.8";
+    wrap.appendChild(ok);
+  }
+
+  getUISlot("topLeft").appendChild(wrap);
+  return { dispose: () => wrap.remove() };
+}
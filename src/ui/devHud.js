@@ -1,5 +1,69 @@
 import { getUISlot } from "./uiRoot.js";
 
+function makeHudButton(label, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.title = title;
+  Object.assign(button.style, {
+    padding: "4px 8px",
+    borderRadius: "4px",
+    border: "1px solid rgba(255,255,255,0.35)",
+    background: "rgba(0,0,0,0.35)",
+    color: "inherit",
+    font: "inherit",
+    cursor: "pointer",
+    pointerEvents: "auto",
+    transition: "background 0.2s ease, border-color 0.2s ease",
+  });
+  button.addEventListener("mouseenter", () => {
+    button.style.background = "rgba(255,255,255,0.18)";
+    button.style.borderColor = "rgba(255,255,255,0.55)";
+  });
+  button.addEventListener("mouseleave", () => {
+    button.style.background = "rgba(0,0,0,0.35)";
+    button.style.borderColor = "rgba(255,255,255,0.35)";
+  });
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+function makeHudSection(className, title) {
+  const section = document.createElement("div");
+  section.className = className;
+  Object.assign(section.style, {
+    marginTop: "8px",
+    paddingTop: "6px",
+    borderTop: "1px solid rgba(255,255,255,0.15)",
+    pointerEvents: "auto",
+  });
+
+  const heading = document.createElement("div");
+  heading.textContent = title;
+  Object.assign(heading.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    opacity: "0.85",
+    textTransform: "uppercase",
+  });
+  section.appendChild(heading);
+
+  const buttonRow = document.createElement("div");
+  Object.assign(buttonRow.style, {
+    display: "flex",
+    flexWrap: "wrap",
+    gap: "6px",
+    marginTop: "6px",
+  });
+  section.appendChild(buttonRow);
+
+  return { section, buttonRow };
+}
+
 // Dev HUD: compass + coordinates + pin hotkey (P)
 export function mountDevHUD({
   getPosition,
@@ -7,6 +71,12 @@ export function mountDevHUD({
   onPin,
   onSetLightingPreset,
   lightingPresets,
+  weatherStates = [],
+  onSetWeather,
+  worldSeed,
+  onSetWorldSeed,
+  onToggleTerrainSculpt,
+  onToggleLandmarkEditor,
 } = {}) {
   const allowHud =
     import.meta.env?.DEV ||
@@ -117,33 +187,7 @@ export function mountDevHUD({
   });
 
   if (availablePresets.length && !read.querySelector(".hud-lighting-presets")) {
-    const section = document.createElement("div");
-    section.className = "hud-lighting-presets";
-    Object.assign(section.style, {
-      marginTop: "8px",
-      paddingTop: "6px",
-      borderTop: "1px solid rgba(255,255,255,0.15)",
-      pointerEvents: "auto",
-    });
-
-    const heading = document.createElement("div");
-    heading.textContent = "Lighting Presets";
-    Object.assign(heading.style, {
-      fontWeight: 600,
-      letterSpacing: "0.08em",
-      fontSize: "11px",
-      opacity: "0.85",
-      textTransform: "uppercase",
-    });
-    section.appendChild(heading);
-
-    const buttonRow = document.createElement("div");
-    Object.assign(buttonRow.style, {
-      display: "flex",
-      flexWrap: "wrap",
-      gap: "6px",
-      marginTop: "6px",
-    });
+    const { section, buttonRow } = makeHudSection("hud-lighting-presets", "Lighting Presets");
 
     const presetHotkeyConfig = [
       { name: "dawn", codes: ["Digit1", "Numpad1"], keys: ["1"] },
@@ -156,44 +200,17 @@ export function mountDevHUD({
 
     for (const preset of availablePresets) {
       const presetMeta = lightingPresets?.[preset.name] || {};
-      const button = document.createElement("button");
-      button.type = "button";
       const displayLabel = presetMeta.label || preset.label;
-      button.textContent = displayLabel;
-      Object.assign(button.style, {
-        padding: "4px 8px",
-        borderRadius: "4px",
-        border: "1px solid rgba(255,255,255,0.35)",
-        background: "rgba(0,0,0,0.35)",
-        color: "inherit",
-        font: "inherit",
-        cursor: "pointer",
-        pointerEvents: "auto",
-        transition: "background 0.2s ease, border-color 0.2s ease",
-      });
-      button.addEventListener("mouseenter", () => {
-        button.style.background = "rgba(255,255,255,0.18)";
-        button.style.borderColor = "rgba(255,255,255,0.55)";
-      });
-      button.addEventListener("mouseleave", () => {
-        button.style.background = "rgba(0,0,0,0.35)";
-        button.style.borderColor = "rgba(255,255,255,0.35)";
-      });
-
       const hotkeyLabel = presetMeta.hotkey || "";
-      if (hotkeyLabel) {
-        button.title = `Set ${displayLabel} lighting (Hotkey ${hotkeyLabel})`;
-      } else {
-        button.title = `Set ${displayLabel} lighting`;
-      }
+      const title = hotkeyLabel
+        ? `Set ${displayLabel} lighting (Hotkey ${hotkeyLabel})`
+        : `Set ${displayLabel} lighting`;
 
-      button.addEventListener("click", (event) => {
-        event.preventDefault();
+      const button = makeHudButton(displayLabel, title, () => {
         if (typeof onSetLightingPreset === "function") {
           onSetLightingPreset(preset.name);
         }
       });
-
       buttonRow.appendChild(button);
     }
 
@@ -214,6 +231,63 @@ export function mountDevHUD({
     read._presetKeyBindings = presetKeyBindings;
   }
 
+  // Weather: each button starts a blend towards that state.
+  if (weatherStates.length && typeof onSetWeather === "function") {
+    const { section, buttonRow } = makeHudSection("hud-weather", "Weather");
+    for (const { id, label } of weatherStates) {
+      buttonRow.appendChild(makeHudButton(label, `Change weather to ${label}`, () => onSetWeather(id)));
+    }
+    read.appendChild(section);
+  }
+
+  // World seed: applying saves it and rebuilds the world (the host reloads).
+  if (typeof onSetWorldSeed === "function") {
+    const { section, buttonRow } = makeHudSection("hud-world-seed", "World Seed");
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = worldSeed != null ? String(worldSeed) : "";
+    input.placeholder = "number or text";
+    input.setAttribute("aria-label", "World seed");
+    Object.assign(input.style, {
+      width: "110px",
+      padding: "3px 6px",
+      borderRadius: "4px",
+      border: "1px solid rgba(255,255,255,0.35)",
+      background: "rgba(0,0,0,0.35)",
+      color: "inherit",
+      font: "inherit",
+    });
+    // Typing here must not move the player or fire hotkeys.
+    input.addEventListener("keydown", (event) => {
+      event.stopPropagation();
+      if (event.key === "Enter") onSetWorldSeed(input.value);
+    });
+    buttonRow.append(
+      input,
+      makeHudButton("Apply", "Rebuild the world with this seed", () => onSetWorldSeed(input.value)),
+      makeHudButton("Default", "Rebuild the default world", () => onSetWorldSeed(null))
+    );
+    read.appendChild(section);
+  }
+
+  // Terrain: opens the sculpt brushes panel.
+  if (typeof onToggleTerrainSculpt === "function") {
+    const { section, buttonRow } = makeHudSection("hud-terrain", "Terrain");
+    buttonRow.appendChild(
+      makeHudButton("Sculpt", "Open or close the terrain sculpt brushes", () => onToggleTerrainSculpt())
+    );
+    read.appendChild(section);
+  }
+
+  // Landmarks: opens the placement editor.
+  if (typeof onToggleLandmarkEditor === "function") {
+    const { section, buttonRow } = makeHudSection("hud-landmarks", "Landmarks");
+    buttonRow.appendChild(
+      makeHudButton("Place", "Open or close the landmark placement editor", () => onToggleLandmarkEditor())
+    );
+    read.appendChild(section);
+  }
+
   wrap.appendChild(comp);
   wrap.appendChild(read);
   const slot = getUISlot("topRight");
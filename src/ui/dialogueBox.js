@@ -0,0 +1,138 @@
+// Dialogue box: speaker name, line of text and a numbered list of choices.
+// Choices are picked by clicking or with the number keys; Enter picks the
+// highlighted choice and Escape closes the conversation.
+
+const CHOICE_STYLE = {
+  display: "block",
+  width: "100%",
+  textAlign: "left",
+  margin: "4px 0 0",
+  padding: "6px 10px",
+  borderRadius: "6px",
+  border: "1px solid rgba(255,255,255,0.25)",
+  background: "rgba(255,255,255,0.06)",
+  color: "inherit",
+  font: "inherit",
+  cursor: "pointer",
+};
+
+export function mountDialogueBox() {
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    position: "fixed",
+    left: "50%",
+    bottom: "12%",
+    transform: "translateX(-50%)",
+    width: "min(560px, calc(100vw - 32px))",
+    padding: "14px 16px",
+    background: "rgba(0,0,0,0.72)",
+    backdropFilter: "blur(4px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "14px/1.4 ui-sans-serif, system-ui",
+    zIndex: "1300",
+    display: "none",
+  });
+
+  const speakerEl = document.createElement("div");
+  Object.assign(speakerEl.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+    opacity: "0.8",
+    marginBottom: "4px",
+  });
+  wrap.appendChild(speakerEl);
+
+  const textEl = document.createElement("div");
+  textEl.style.marginBottom = "6px";
+  wrap.appendChild(textEl);
+
+  const list = document.createElement("div");
+  wrap.appendChild(list);
+
+  document.body.appendChild(wrap);
+
+  let chooseHandler = null;
+  let closeHandler = null;
+  let buttons = [];
+  let selected = 0;
+
+  const highlight = (index) => {
+    selected = index;
+    buttons.forEach((button, i) => {
+      button.style.background =
+        i === selected ? "rgba(255,255,255,0.2)" : CHOICE_STYLE.background;
+    });
+  };
+
+  const isOpen = () => wrap.style.display !== "none";
+
+  const show = ({ speaker = "", text = "", choices = [] } = {}) => {
+    speakerEl.textContent = speaker;
+    speakerEl.style.display = speaker ? "block" : "none";
+    textEl.textContent = text;
+    list.replaceChildren();
+    buttons = choices.map((label, index) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = `${index + 1}. ${label}`;
+      Object.assign(button.style, CHOICE_STYLE);
+      button.addEventListener("mouseenter", () => highlight(index));
+      button.addEventListener("click", (event) => {
+        event.preventDefault();
+        chooseHandler?.(index);
+      });
+      list.appendChild(button);
+      return button;
+    });
+    highlight(0);
+    wrap.style.display = "block";
+  };
+
+  const hide = () => {
+    wrap.style.display = "none";
+    list.replaceChildren();
+    buttons = [];
+  };
+
+  // Capture phase so number keys don't also trigger lighting presets etc.
+  const onKey = (event) => {
+    if (!isOpen() || event.repeat) return;
+    let handled = true;
+    if (/^Digit[1-9]$/.test(event.code)) {
+      const index = Number(event.code.slice(5)) - 1;
+      if (index < buttons.length) chooseHandler?.(index);
+    } else if (event.code === "Enter" || event.code === "NumpadEnter") {
+      chooseHandler?.(selected);
+    } else if (event.code === "Tab") {
+      highlight((selected + (event.shiftKey ? buttons.length - 1 : 1)) % buttons.length);
+    } else if (event.code === "Escape") {
+      closeHandler?.();
+    } else {
+      handled = false;
+    }
+    if (handled) {
+      event.preventDefault();
+      event.stopPropagation();
+    }
+  };
+  window.addEventListener("keydown", onKey, true);
+
+  return {
+    show,
+    hide,
+    isOpen,
+    onChoose(handler) {
+      chooseHandler = typeof handler === "function" ? handler : null;
+    },
+    onClose(handler) {
+      closeHandler = typeof handler === "function" ? handler : null;
+    },
+    dispose() {
+      window.removeEventListener("keydown", onKey, true);
+      wrap.remove();
+    },
+  };
+}
@@ -1,11 +1,13 @@
 import { getUISlot } from "./uiRoot.js";
+import { isActionKey } from "../input/keyBindings.js";
 
-// Minimal UI overlay for tone mapping exposure (F9 toggles). No deps.
+// Minimal UI overlay for tone mapping exposure (the `exposure` binding, F9 by
+// default, toggles).
 export function mountExposureSlider(renderer, opts = {}) {
   const MIN = opts.min ?? 0.2;
   const MAX = opts.max ?? 2.0;
   const STEP = opts.step ?? 0.01;
-  const KEY_TOGGLE = opts.key ?? 'F9';
+  const ACTION = opts.action ?? 'exposure';
   const LS_KEY = opts.storageKey ?? 'toneMappingExposure';
 
   const wrap = document.createElement('div');
@@ -61,7 +63,7 @@ export function mountExposureSlider(renderer, opts = {}) {
   getUISlot("topRight").appendChild(wrap);
 
   const onKey = (e) => {
-    if (e.key === KEY_TOGGLE) {
+    if (isActionKey(ACTION, e.code)) {
       wrap.style.display = wrap.style.display !== 'none' ? 'none' : 'block';
       e.preventDefault();
     }
@@ -1,4 +1,11 @@
 import { getUISlot } from "./uiRoot.js";
+import {
+  formatKeyCode,
+  getActionKeys,
+  getActionKeyLabel,
+  isActionKey,
+  subscribeKeyBindings,
+} from "../input/keyBindings.js";
 
 const STYLE_ID = "hotkey-overlay-style";
 const ROOT_CLASS = "hotkey-overlay";
@@ -21,22 +28,45 @@ function saveOpenState(isOpen) {
   }
 }
 
+// Rows name binding actions, so the labels follow whatever the player has
+// rebound. Rows listing several actions show the first key of each.
 const DEFAULT_HOTKEYS = [
-  { keys: ["W", "A", "S", "D"], description: "Move" },
-  { keys: ["Shift"], description: "Sprint" },
-  { keys: ["Space"], description: "Jump / fly up" },
-  { keys: ["Ctrl"], description: "Fly down" },
-  { keys: ["F"], description: "Toggle flight mode" },
-  { keys: ["E"], description: "Interact with highlighted objects" },
-  { keys: ["Arrow Keys"], description: "Look around" },
-  { keys: ["F9"], description: "Toggle exposure slider" },
+  { actions: ["moveForward", "moveLeft", "moveBack", "moveRight"], description: "Move" },
+  { actions: ["sprint"], description: "Sprint" },
+  { actions: ["jump"], description: "Jump / fly up" },
+  { actions: ["flyDown"], description: "Fly down" },
+  { actions: ["flyToggle"], description: "Toggle flight mode" },
+  { actions: ["interact"], description: "Interact with highlighted objects" },
+  { actions: ["toggleView"], description: "First / third person" },
+  { actions: ["inventory"], description: "Toggle inventory" },
+  { actions: ["worldMap"], description: "World map / fast travel" },
+  { actions: ["lookLeft", "lookRight", "lookUp", "lookDown"], description: "Look around" },
+  { actions: ["saveSlots"], description: "Save / load game" },
+  { actions: ["exposure"], description: "Toggle exposure slider" },
+  { actions: ["audioMixer"], description: "Toggle audio mixer" },
 ];
 
+/**
+ * @param {{ keys?: string[], actions?: string[] }} entry
+ * @returns {string[]}
+ */
+function resolveEntryKeys(entry) {
+  if (Array.isArray(entry.actions) && entry.actions.length > 0) {
+    if (entry.actions.length === 1) {
+      const codes = getActionKeys(entry.actions[0]);
+      return codes.length > 0 ? codes.map(formatKeyCode) : [formatKeyCode(null)];
+    }
+    return entry.actions.map((action) => formatKeyCode(getActionKeys(action)[0]));
+  }
+  return Array.isArray(entry.keys) ? entry.keys.map((key) => String(key).trim()) : [];
+}
+
 /**
  * @typedef {{
- *  hotkeys?: { keys: string[]; description: string }[];
- *  toggleKey?: string;
+ *  hotkeys?: { keys?: string[]; actions?: string[]; description: string }[];
+ *  toggleAction?: string;
  *  showButton?: boolean;
+ *  onCustomize?: () => void;
  * }} HotkeyOverlayOptions
  */
 
@@ -56,9 +86,10 @@ export function mountHotkeyOverlay(options = {}) {
     ? options.hotkeys
     : DEFAULT_HOTKEYS;
 
-  const toggleKey = typeof options.toggleKey === "string" && options.toggleKey.trim().length > 0
-    ? options.toggleKey
-    : "KeyH";
+  const toggleAction =
+    typeof options.toggleAction === "string" && options.toggleAction.trim().length > 0
+      ? options.toggleAction
+      : "hotkeys";
 
   const showButton = options.showButton !== false;
 
@@ -75,9 +106,9 @@ export function mountHotkeyOverlay(options = {}) {
       <path fill="currentColor"
         d="M3 6a3 3 0 0 1 3-3h12a3 3 0 0 1 3 3v8a3 3 0 0 1-3 3h-6l-3.5 3.5a1 1 0 0 1-1.7-.7V17H6a3 3 0 0 1-3-3V6zm4 2a1 1 0 1 0 0 2h2a1 1 0 1 0 0-2H7zm5 0a1 1 0 1 0 0 2h2a1 1 0 1 0 0-2h-2zm5 0a1 1 0 1 0 0 2h2a1 1 0 1 0 0-2h-2z"/>
     </svg>
-    <span class="${ROOT_CLASS}__sr">Hotkeys (press ${resolveKeyLabel(toggleKey)})</span>
+    <span class="${ROOT_CLASS}__sr"></span>
   `;
-  toggleButton.setAttribute("title", `Hotkeys (${resolveKeyLabel(toggleKey)})`);
+  const toggleLabel = toggleButton.querySelector(`.${ROOT_CLASS}__sr`);
   toggleButton.setAttribute("aria-expanded", "false");
   toggleButton.setAttribute("aria-controls", `${ROOT_CLASS}-panel`);
 
@@ -94,35 +125,51 @@ export function mountHotkeyOverlay(options = {}) {
 
   const list = document.createElement("dl");
   list.className = `${ROOT_CLASS}__list`;
+  panel.appendChild(list);
 
-  for (const entry of hotkeys) {
-    if (!entry || !Array.isArray(entry.keys) || entry.keys.length === 0) {
-      continue;
-    }
-    const keys = entry.keys.map((key) => String(key).trim()).filter(Boolean);
-    const description = typeof entry.description === "string" ? entry.description : "";
-    if (keys.length === 0 || !description) {
-      continue;
-    }
+  const hint = document.createElement("p");
+  hint.className = `${ROOT_CLASS}__hint`;
+  panel.appendChild(hint);
 
-    const dt = document.createElement("dt");
-    dt.className = `${ROOT_CLASS}__keys`;
-    dt.textContent = keys.join(" / ");
+  if (typeof options.onCustomize === "function") {
+    const customize = document.createElement("button");
+    customize.type = "button";
+    customize.className = `${ROOT_CLASS}__customize`;
+    customize.textContent = "Customize keys…";
+    customize.addEventListener("click", () => options.onCustomize());
+    panel.appendChild(customize);
+  }
 
-    const dd = document.createElement("dd");
-    dd.className = `${ROOT_CLASS}__description`;
-    dd.textContent = description;
+  const render = () => {
+    list.replaceChildren();
+    for (const entry of hotkeys) {
+      if (!entry) {
+        continue;
+      }
+      const keys = resolveEntryKeys(entry).filter(Boolean);
+      const description = typeof entry.description === "string" ? entry.description : "";
+      if (keys.length === 0 || !description) {
+        continue;
+      }
 
-    list.appendChild(dt);
-    list.appendChild(dd);
-  }
+      const dt = document.createElement("dt");
+      dt.className = `${ROOT_CLASS}__keys`;
+      dt.textContent = keys.join(" / ");
 
-  panel.appendChild(list);
+      const dd = document.createElement("dd");
+      dd.className = `${ROOT_CLASS}__description`;
+      dd.textContent = description;
 
-  const hint = document.createElement("p");
-  hint.className = `${ROOT_CLASS}__hint`;
-  hint.textContent = `Press ${resolveKeyLabel(toggleKey)} to toggle`;
-  panel.appendChild(hint);
+      list.appendChild(dt);
+      list.appendChild(dd);
+    }
+
+    const toggleKeyLabel = getActionKeyLabel(toggleAction);
+    hint.textContent = `Press ${toggleKeyLabel} to toggle`;
+    toggleLabel.textContent = `Hotkeys (press ${toggleKeyLabel})`;
+    toggleButton.setAttribute("title", `Hotkeys (${toggleKeyLabel})`);
+  };
+  subscribeKeyBindings(render);
 
   const initialOpen = loadOpenState();
   if (!initialOpen) {
@@ -170,7 +217,7 @@ export function mountHotkeyOverlay(options = {}) {
   }
 
   window.addEventListener("keydown", (event) => {
-    if (event.code === toggleKey && !event.repeat) {
+    if (isActionKey(toggleAction, event.code) && !event.repeat) {
       updateVisibility(true);
     }
     if (event.code === "Escape" && !root.classList.contains(HIDDEN_MOD)) {
@@ -266,6 +313,23 @@ function ensureStyles() {
       text-transform: uppercase;
     }
 
+    .${ROOT_CLASS}__customize {
+      margin-top: 10px;
+      background: rgba(255,255,255,0.08);
+      border: 1px solid rgba(255,255,255,0.25);
+      border-radius: 6px;
+      color: inherit;
+      font: inherit;
+      font-size: 12px;
+      padding: 4px 10px;
+      cursor: pointer;
+    }
+    .${ROOT_CLASS}__customize:hover,
+    .${ROOT_CLASS}__customize:focus-visible {
+      background: rgba(255,255,255,0.16);
+      outline: none;
+    }
+
     .${ROOT_CLASS}.${HIDDEN_MOD} .${ROOT_CLASS}__panel {
       opacity: 0;
       pointer-events: none;
@@ -281,23 +345,3 @@ function ensureStyles() {
 
   document.head.appendChild(style);
 }
-
-function resolveKeyLabel(code) {
-  switch (code) {
-    case "KeyH":
-      return "H";
-    case "F9":
-    case "F10":
-    case "F11":
-    case "F12":
-      return code;
-    case "ControlLeft":
-    case "ControlRight":
-      return "Ctrl";
-    default:
-      if (code.startsWith("Key") && code.length === 4) {
-        return code.slice(3);
-      }
-      return code;
-  }
-}
@@ -0,0 +1,159 @@
+import { getUISlot } from "./uiRoot.js";
+import { isActionKey, getActionKeyLabel, subscribeKeyBindings } from "../input/keyBindings.js";
+
+const SLOT_SIZE = 56;
+
+const SLOT_STYLE = {
+  position: "relative",
+  width: `${SLOT_SIZE}px`,
+  height: `${SLOT_SIZE}px`,
+  borderRadius: "6px",
+  border: "1px solid rgba(255,255,255,0.2)",
+  background: "rgba(255,255,255,0.05)",
+  display: "grid",
+  placeItems: "center",
+  overflow: "hidden",
+};
+
+function renderIcon(def) {
+  if (def.icon) {
+    const img = document.createElement("img");
+    img.src = def.icon;
+    img.alt = "";
+    Object.assign(img.style, { width: "70%", height: "70%", objectFit: "contain" });
+    return img;
+  }
+  // No icon art yet: a colour swatch with the item's initial.
+  const swatch = document.createElement("div");
+  swatch.textContent = def.name.charAt(0).toUpperCase();
+  Object.assign(swatch.style, {
+    width: "60%",
+    height: "60%",
+    borderRadius: def.shape === "coin" || def.shape === "wreath" ? "50%" : "6px",
+    background: def.color,
+    color: "rgba(0,0,0,0.65)",
+    display: "grid",
+    placeItems: "center",
+    fontWeight: 700,
+  });
+  return swatch;
+}
+
+// Inventory grid (the `inventory` binding, I by default, toggles). Stack data
+// lives in the Inventory model; the panel re-renders whenever it changes and
+// shows item details on hover.
+export function mountInventoryPanel({ inventory, action = "inventory" } = {}) {
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "10px 12px",
+    background: "rgba(0,0,0,0.6)",
+    backdropFilter: "blur(4px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "12px/1.3 ui-sans-serif, system-ui",
+    userSelect: "none",
+    display: "none",
+  });
+
+  const title = document.createElement("div");
+  Object.assign(title.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+    marginBottom: "8px",
+  });
+  wrap.appendChild(title);
+
+  const grid = document.createElement("div");
+  Object.assign(grid.style, {
+    display: "grid",
+    gridTemplateColumns: `repeat(5, ${SLOT_SIZE}px)`,
+    gap: "6px",
+  });
+  wrap.appendChild(grid);
+
+  const details = document.createElement("div");
+  Object.assign(details.style, { marginTop: "8px", minHeight: "32px", maxWidth: "310px" });
+  wrap.appendChild(details);
+
+  const hint = document.createElement("div");
+  Object.assign(hint.style, { marginTop: "6px", opacity: "0.6", fontSize: "11px" });
+  wrap.appendChild(hint);
+
+  const showDetails = (def, count) => {
+    details.replaceChildren();
+    if (!def) return;
+    const name = document.createElement("div");
+    name.textContent = count > 1 ? `${def.name} ×${count}` : def.name;
+    name.style.fontWeight = "600";
+    const description = document.createElement("div");
+    description.textContent = def.description;
+    description.style.opacity = "0.8";
+    details.append(name, description);
+  };
+
+  const render = () => {
+    const stacks = inventory.getStacks();
+    title.textContent = `Inventory (${stacks.length}/${inventory.maxSlots})`;
+    grid.replaceChildren();
+    for (let i = 0; i < inventory.maxSlots; i++) {
+      const cell = document.createElement("div");
+      Object.assign(cell.style, SLOT_STYLE);
+      const stack = stacks[i];
+      const def = stack ? inventory.getDefinition(stack.item) : null;
+      if (def) {
+        cell.title = def.name;
+        cell.appendChild(renderIcon(def));
+        if (stack.count > 1) {
+          const badge = document.createElement("span");
+          badge.textContent = String(stack.count);
+          Object.assign(badge.style, {
+            position: "absolute",
+            right: "4px",
+            bottom: "2px",
+            fontSize: "11px",
+            fontWeight: 600,
+            textShadow: "0 1px 2px rgba(0,0,0,0.8)",
+          });
+          cell.appendChild(badge);
+        }
+        cell.addEventListener("mouseenter", () => showDetails(def, stack.count));
+        cell.addEventListener("mouseleave", () => showDetails(null));
+      }
+      grid.appendChild(cell);
+    }
+    details.textContent = stacks.length ? "" : "Nothing collected yet.";
+  };
+
+  const unsubscribe = inventory.subscribe(render);
+  const unsubscribeKeys = subscribeKeyBindings(() => {
+    hint.textContent = `${getActionKeyLabel(action)} to close`;
+  });
+  getUISlot("center").appendChild(wrap);
+
+  const isOpen = () => wrap.style.display !== "none";
+  const setOpen = (open) => {
+    wrap.style.display = open ? "block" : "none";
+  };
+  const onKey = (e) => {
+    if (isActionKey(action, e.code) && !e.repeat) {
+      setOpen(!isOpen());
+      e.preventDefault();
+    } else if (e.code === "Escape" && isOpen()) {
+      setOpen(false);
+    }
+  };
+  window.addEventListener("keydown", onKey);
+
+  return {
+    setOpen,
+    isOpen,
+    dispose() {
+      unsubscribe();
+      unsubscribeKeys();
+      window.removeEventListener("keydown", onKey);
+      wrap.remove();
+    },
+  };
+}
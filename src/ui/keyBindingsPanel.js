@@ -0,0 +1,233 @@
+import { getUISlot } from "./uiRoot.js";
+import {
+  KEY_ACTIONS,
+  bindActionKey,
+  clearActionKey,
+  findKeyConflicts,
+  formatKeyCode,
+  getKeyBindings,
+  resetKeyBindings,
+  subscribeKeyBindings,
+} from "../input/keyBindings.js";
+import { MAX_KEYS_PER_ACTION } from "../state/settingsStore.js";
+
+const KEY_BUTTON_STYLE = {
+  minWidth: "74px",
+  padding: "3px 8px",
+  borderRadius: "5px",
+  border: "1px solid rgba(255,255,255,0.3)",
+  background: "rgba(255,255,255,0.08)",
+  color: "#fff",
+  font: "600 12px/1.2 ui-sans-serif, system-ui",
+  cursor: "pointer",
+};
+
+const CONFLICT_BORDER = "1px solid #ff6b5e";
+const CAPTURE_BORDER = "1px solid #ffd56a";
+
+function makeButton(label) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  Object.assign(button.style, KEY_BUTTON_STYLE);
+  return button;
+}
+
+function actionLabel(id) {
+  return KEY_ACTIONS.find((action) => action.id === id)?.label ?? id;
+}
+
+// Rebinding panel opened from the controls overlay. Click a key slot, then
+// press the new key: Esc cancels, Backspace/Delete clears the slot. Taking a
+// key that another action uses swaps the two bindings, and any conflicts that
+// remain (e.g. from hand-edited storage) are outlined in red.
+export function mountKeyBindingsPanel() {
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "12px 14px",
+    background: "rgba(10,12,18,0.92)",
+    backdropFilter: "blur(6px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "12px/1.3 ui-sans-serif, system-ui",
+    userSelect: "none",
+    maxHeight: "80vh",
+    overflowY: "auto",
+    minWidth: "340px",
+    display: "none",
+  });
+
+  const header = document.createElement("div");
+  Object.assign(header.style, {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "12px",
+    marginBottom: "8px",
+  });
+  const title = document.createElement("div");
+  title.textContent = "Key bindings";
+  Object.assign(title.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  });
+  const headerButtons = document.createElement("div");
+  headerButtons.style.display = "flex";
+  headerButtons.style.gap = "6px";
+  const resetButton = makeButton("Reset defaults");
+  const closeButton = makeButton("Close");
+  resetButton.style.minWidth = closeButton.style.minWidth = "0";
+  headerButtons.append(resetButton, closeButton);
+  header.append(title, headerButtons);
+  wrap.appendChild(header);
+
+  const notice = document.createElement("div");
+  Object.assign(notice.style, { minHeight: "16px", marginBottom: "6px", color: "#ffd56a" });
+  wrap.appendChild(notice);
+
+  const table = document.createElement("div");
+  Object.assign(table.style, {
+    display: "grid",
+    gridTemplateColumns: `1fr repeat(${MAX_KEYS_PER_ACTION}, max-content)`,
+    gap: "4px 8px",
+    alignItems: "center",
+  });
+  wrap.appendChild(table);
+
+  const hint = document.createElement("div");
+  hint.textContent = "Click a key, then press the new one. Esc cancels, Backspace clears.";
+  Object.assign(hint.style, { marginTop: "8px", opacity: "0.6", fontSize: "11px" });
+  wrap.appendChild(hint);
+
+  /** @type {{ action: string, slot: number } | null} */
+  let capture = null;
+
+  const render = () => {
+    const bindings = getKeyBindings();
+    const conflicts = findKeyConflicts(bindings);
+    table.replaceChildren();
+
+    let group = null;
+    for (const action of KEY_ACTIONS) {
+      if (action.group !== group) {
+        group = action.group;
+        const heading = document.createElement("div");
+        heading.textContent = group;
+        Object.assign(heading.style, {
+          gridColumn: "1 / -1",
+          marginTop: "6px",
+          opacity: "0.6",
+          fontSize: "11px",
+          textTransform: "uppercase",
+          letterSpacing: "0.06em",
+        });
+        table.appendChild(heading);
+      }
+
+      const label = document.createElement("div");
+      label.textContent = action.label;
+      table.appendChild(label);
+
+      const codes = bindings[action.id] ?? [];
+      for (let slot = 0; slot < MAX_KEYS_PER_ACTION; slot++) {
+        const code = codes[slot];
+        const capturing = capture?.action === action.id && capture.slot === slot;
+        const button = makeButton(capturing ? "Press a key…" : code ? formatKeyCode(code) : "—");
+        if (capturing) {
+          button.style.border = CAPTURE_BORDER;
+        } else if (code && conflicts.has(code)) {
+          button.style.border = CONFLICT_BORDER;
+          button.title = `Also bound to ${conflicts
+            .get(code)
+            .filter((other) => other !== action.id)
+            .map(actionLabel)
+            .join(", ")}`;
+        }
+        // A second key can only be added once the first exists.
+        button.disabled = slot > codes.length;
+        button.style.opacity = button.disabled ? "0.35" : "1";
+        button.addEventListener("click", () => {
+          capture = { action: action.id, slot };
+          notice.textContent = `Press a key for "${action.label}"…`;
+          render();
+        });
+        table.appendChild(button);
+      }
+    }
+
+    if (!capture && conflicts.size > 0) {
+      const [code, actions] = conflicts.entries().next().value;
+      notice.textContent = `${formatKeyCode(code)} is bound to ${actions.map(actionLabel).join(" and ")}.`;
+    }
+  };
+
+  const endCapture = (message = "") => {
+    capture = null;
+    notice.textContent = message;
+    render();
+  };
+
+  // Capture phase so the key being bound never reaches the game or other panels.
+  const onKeyCapture = (event) => {
+    if (!capture) return;
+    event.preventDefault();
+    event.stopPropagation();
+    if (event.repeat) return;
+
+    const { action, slot } = capture;
+    if (event.code === "Escape") {
+      endCapture();
+      return;
+    }
+    if (event.code === "Backspace" || event.code === "Delete") {
+      clearActionKey(action, slot);
+      endCapture(`Cleared a key from "${actionLabel(action)}".`);
+      return;
+    }
+    const result = bindActionKey(action, slot, event.code);
+    if (!result.ok) {
+      notice.textContent = result.reason ?? "That key cannot be bound.";
+      return;
+    }
+    endCapture(
+      result.swappedWith
+        ? `${formatKeyCode(event.code)} was used by "${actionLabel(result.swappedWith)}"; the two bindings were swapped.`
+        : ""
+    );
+  };
+  window.addEventListener("keydown", onKeyCapture, true);
+
+  const isOpen = () => wrap.style.display !== "none";
+  const setOpen = (open) => {
+    wrap.style.display = open ? "block" : "none";
+    if (!open && capture) endCapture();
+  };
+
+  const onKey = (event) => {
+    if (event.code === "Escape" && isOpen()) setOpen(false);
+  };
+  window.addEventListener("keydown", onKey);
+
+  resetButton.addEventListener("click", () => {
+    resetKeyBindings();
+    endCapture("Default keys restored.");
+  });
+  closeButton.addEventListener("click", () => setOpen(false));
+
+  const unsubscribe = subscribeKeyBindings(render);
+  getUISlot("center").appendChild(wrap);
+
+  return {
+    setOpen,
+    isOpen,
+    toggle: () => setOpen(!isOpen()),
+    dispose() {
+      unsubscribe();
+      window.removeEventListener("keydown", onKeyCapture, true);
+      window.removeEventListener("keydown", onKey);
+      wrap.remove();
+    },
+  };
+}
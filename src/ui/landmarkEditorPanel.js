@@ -0,0 +1,397 @@
+import * as THREE from "three";
+import { TransformControls } from "three/examples/jsm/controls/TransformControls.js";
+import { getUISlot } from "./uiRoot.js";
+
+const BUTTON_STYLE = {
+  padding: "3px 8px",
+  borderRadius: "5px",
+  border: "1px solid rgba(255,255,255,0.3)",
+  background: "rgba(255,255,255,0.08)",
+  color: "#fff",
+  font: "600 12px/1.2 ui-sans-serif, system-ui",
+  cursor: "pointer",
+};
+
+const ACTIVE_BORDER = "1px solid #ffd56a";
+const MODES = [
+  { id: "translate", label: "Move", code: "KeyG" },
+  { id: "rotate", label: "Rotate", code: "KeyR" },
+  { id: "scale", label: "Scale", code: "KeyT" },
+];
+
+function makeButton(label) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  Object.assign(button.style, BUTTON_STYLE);
+  return button;
+}
+
+function makeCheckbox(label) {
+  const row = document.createElement("label");
+  Object.assign(row.style, { display: "flex", alignItems: "center", gap: "6px", cursor: "pointer" });
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  const name = document.createElement("span");
+  name.textContent = label;
+  row.append(input, name);
+  return { row, input };
+}
+
+function download(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+const formatVector = (v, digits) => [v.x, v.y, v.z].map((n) => n.toFixed(digits)).join(", ");
+
+// Dev-mode landmark placement. While open, clicking a landmark or placeholder
+// selects it and a gizmo moves (G), rotates (R) or scales (T) it; clicks that
+// miss every landmark still orbit the camera. C toggles collision, Esc drops
+// the selection and then closes the panel. Copy puts the selection's
+// placement block on the clipboard; Download layout saves athensLayout.json
+// with every edit applied.
+export function mountLandmarkEditorPanel({ editor, camera, canvas, scene }) {
+  const controls = new TransformControls(camera);
+  const gizmo = controls.getHelper();
+  gizmo.userData.noCollision = true;
+  const outline = new THREE.BoxHelper(undefined, 0xffd56a);
+  outline.userData.noCollision = true;
+  outline.visible = false;
+  const raycaster = new THREE.Raycaster();
+  /** @type {number | null} */
+  let dragging = null;
+
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "12px 14px",
+    background: "rgba(10,12,18,0.92)",
+    backdropFilter: "blur(6px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "12px/1.3 ui-sans-serif, system-ui",
+    userSelect: "none",
+    width: "280px",
+    display: "none",
+  });
+
+  const header = document.createElement("div");
+  Object.assign(header.style, {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "12px",
+    marginBottom: "8px",
+  });
+  const title = document.createElement("div");
+  title.textContent = "Landmark editor";
+  Object.assign(title.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  });
+  const closeButton = makeButton("Close");
+  header.append(title, closeButton);
+  wrap.appendChild(header);
+
+  const picker = document.createElement("select");
+  Object.assign(picker.style, {
+    width: "100%",
+    padding: "3px 4px",
+    borderRadius: "5px",
+    border: "1px solid rgba(255,255,255,0.3)",
+    background: "rgba(0,0,0,0.35)",
+    color: "inherit",
+    font: "inherit",
+  });
+  wrap.appendChild(picker);
+
+  const details = document.createElement("div");
+  Object.assign(details.style, { marginTop: "6px", opacity: "0.85", whiteSpace: "pre-line" });
+  wrap.appendChild(details);
+
+  const modeRow = document.createElement("div");
+  Object.assign(modeRow.style, { display: "flex", gap: "6px", marginTop: "8px" });
+  const modeButtons = new Map();
+  for (const mode of MODES) {
+    const button = makeButton(`${mode.label} (${mode.code.slice(3)})`);
+    button.addEventListener("click", () => setMode(mode.id));
+    modeButtons.set(mode.id, button);
+    modeRow.appendChild(button);
+  }
+  wrap.appendChild(modeRow);
+
+  const toggles = document.createElement("div");
+  Object.assign(toggles.style, { display: "flex", gap: "14px", marginTop: "8px" });
+  const snapToggle = makeCheckbox("Snap to terrain");
+  const collisionToggle = makeCheckbox("Collision (C)");
+  toggles.append(snapToggle.row, collisionToggle.row);
+  wrap.appendChild(toggles);
+
+  const actions = document.createElement("div");
+  Object.assign(actions.style, { display: "flex", flexWrap: "wrap", gap: "6px", marginTop: "10px" });
+  const resetButton = makeButton("Reset");
+  const copyJsonButton = makeButton("Copy JSON");
+  const copyJsButton = makeButton("Copy JS");
+  const downloadButton = makeButton("Download layout");
+  actions.append(resetButton, copyJsonButton, copyJsButton, downloadButton);
+  wrap.appendChild(actions);
+
+  const notice = document.createElement("div");
+  Object.assign(notice.style, { minHeight: "16px", marginTop: "6px", color: "#ffd56a" });
+  wrap.appendChild(notice);
+
+  const hint = document.createElement("div");
+  hint.textContent = "Click a landmark to select it. Drag the gizmo handles; other drags orbit the camera.";
+  Object.assign(hint.style, { opacity: "0.6", fontSize: "11px" });
+  wrap.appendChild(hint);
+
+  const fillPicker = () => {
+    const current = editor.getSelected()?.key ?? "";
+    picker.replaceChildren();
+    const none = document.createElement("option");
+    none.value = "";
+    none.textContent = "Select a landmark…";
+    picker.appendChild(none);
+    for (const { key, spec, placeholder } of editor.list()) {
+      const option = document.createElement("option");
+      option.value = key;
+      option.textContent = `${spec.name || spec.id}${placeholder ? " (placeholder)" : ""}`;
+      picker.appendChild(option);
+    }
+    picker.value = current;
+  };
+
+  const render = () => {
+    const edit = editor.getSelected();
+    for (const [mode, button] of modeButtons) {
+      button.style.border = mode === controls.mode ? ACTIVE_BORDER : BUTTON_STYLE.border;
+    }
+    const buttons = [resetButton, copyJsonButton, copyJsButton, snapToggle.input, collisionToggle.input];
+    for (const control of buttons) {
+      control.disabled = !edit;
+      control.style.opacity = edit ? "1" : "0.35";
+    }
+    const changed = editor.changedCount();
+    downloadButton.disabled = changed === 0;
+    downloadButton.style.opacity = changed ? "1" : "0.35";
+    downloadButton.textContent = changed ? `Download layout (${changed})` : "Download layout";
+    if (picker.value !== (edit?.key ?? "")) picker.value = edit?.key ?? "";
+
+    if (!edit) {
+      details.textContent = "Nothing selected.";
+      return;
+    }
+    const { object, spec } = edit;
+    details.textContent = [
+      `${spec.groupLabel || spec.groupId || ""}${edit.placeholder ? " · placeholder" : ""}${edit.changed ? " · edited" : ""}`,
+      `Position ${formatVector(object.position, 2)}`,
+      `Rotation ${formatVector(object.rotation, 3)}`,
+      `Scale ${formatVector(object.scale, 3)}`,
+    ].join("\n");
+    snapToggle.input.checked = edit.align;
+    collisionToggle.input.checked = edit.collision;
+  };
+
+  const setMode = (mode) => {
+    controls.setMode(mode);
+    render();
+  };
+
+  const refreshOutline = () => {
+    const edit = editor.getSelected();
+    if (edit) outline.setFromObject(edit.object);
+  };
+
+  const select = (key) => {
+    const edit = editor.select(key);
+    if (edit) {
+      controls.attach(edit.object);
+      refreshOutline();
+      outline.visible = true;
+      notice.textContent = "";
+    } else {
+      controls.detach();
+      outline.visible = false;
+    }
+    render();
+  };
+
+  const isOpen = () => wrap.style.display !== "none";
+  const setOpen = (open) => {
+    wrap.style.display = open ? "block" : "none";
+    if (open) {
+      scene.add(gizmo, outline);
+      fillPicker();
+      render();
+    } else {
+      if (dragging !== null) controls.pointerUp(null);
+      dragging = null;
+      select(null);
+      scene.remove(gizmo, outline);
+    }
+  };
+
+  controls.addEventListener("objectChange", () => {
+    editor.objectChanged();
+    refreshOutline();
+    render();
+  });
+
+  const toPointer = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    return {
+      x: ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      y: -((event.clientY - rect.top) / rect.height) * 2 + 1,
+      button: event.button,
+    };
+  };
+
+  // Capture phase on window, like the sculpt panel: the gizmo is driven by
+  // hand so gizmo drags and landmark clicks never reach the camera orbit,
+  // pointer lock or click-to-use handlers on the canvas.
+  const onPointerDown = (event) => {
+    if (!isOpen() || event.target !== canvas || event.button !== 0 || event.altKey) return;
+    const pointer = toPointer(event);
+    if (controls.object) {
+      controls.pointerHover(pointer);
+      if (controls.axis !== null) {
+        event.stopPropagation();
+        event.preventDefault();
+        dragging = event.pointerId;
+        try {
+          canvas.setPointerCapture(event.pointerId);
+        } catch {}
+        controls.pointerDown(pointer);
+        return;
+      }
+    }
+    raycaster.setFromCamera(pointer, camera);
+    const targets = editor.list().map((entry) => entry.object);
+    const hit = raycaster.intersectObjects(targets, true).find((candidate) => candidate.object.visible);
+    const key = hit ? editor.keyForObject(hit.object) : null;
+    if (!key) return;
+    event.stopPropagation();
+    event.preventDefault();
+    select(key);
+  };
+  const onPointerMove = (event) => {
+    if (!isOpen()) return;
+    if (dragging === event.pointerId) {
+      event.stopPropagation();
+      controls.pointerMove(toPointer(event));
+    } else if (event.target === canvas && dragging === null) {
+      controls.pointerHover(toPointer(event));
+    }
+  };
+  const onPointerUp = (event) => {
+    if (dragging !== event.pointerId) return;
+    event.stopPropagation();
+    try {
+      canvas.releasePointerCapture(event.pointerId);
+    } catch {}
+    dragging = null;
+    controls.pointerUp(toPointer(event));
+    editor.finishChange();
+    render();
+  };
+  window.addEventListener("pointerdown", onPointerDown, true);
+  window.addEventListener("pointermove", onPointerMove, true);
+  window.addEventListener("pointerup", onPointerUp, true);
+  window.addEventListener("pointercancel", onPointerUp, true);
+
+  const copy = (format) => {
+    const text = editor.exportSelection(format);
+    if (!text) return;
+    const done = () => {
+      notice.textContent = `Copied the ${format.toUpperCase()} placement block.`;
+    };
+    const fail = () => {
+      console.log(text);
+      notice.textContent = "Clipboard unavailable: the block is in the console.";
+    };
+    if (navigator.clipboard?.writeText) {
+      navigator.clipboard.writeText(text).then(done, fail);
+    } else {
+      fail();
+    }
+  };
+
+  const onKey = (event) => {
+    if (!isOpen() || event.target instanceof HTMLInputElement || event.target instanceof HTMLSelectElement) return;
+    if (event.code === "Escape") {
+      if (editor.getSelected()) select(null);
+      else setOpen(false);
+      return;
+    }
+    const mode = MODES.find((candidate) => candidate.code === event.code);
+    if (mode && !event.ctrlKey && !event.metaKey) {
+      setMode(mode.id);
+    } else if (event.code === "KeyC" && editor.getSelected()) {
+      editor.setCollision(!editor.getSelected().collision);
+      render();
+    }
+  };
+  window.addEventListener("keydown", onKey);
+
+  picker.addEventListener("change", () => select(picker.value || null));
+  // Keep picker keys away from the player controls.
+  picker.addEventListener("keydown", (event) => event.stopPropagation());
+  snapToggle.input.addEventListener("change", () => {
+    editor.setSnap(snapToggle.input.checked);
+    refreshOutline();
+    render();
+  });
+  collisionToggle.input.addEventListener("change", () => {
+    editor.setCollision(collisionToggle.input.checked);
+    render();
+  });
+  resetButton.addEventListener("click", () => {
+    editor.reset();
+    select(editor.getSelected()?.key ?? null);
+    notice.textContent = "Back to the layout's placement.";
+  });
+  copyJsonButton.addEventListener("click", () => copy("json"));
+  copyJsButton.addEventListener("click", () => copy("js"));
+  downloadButton.addEventListener("click", () => {
+    download(editor.exportLayout(), "athensLayout.json", "application/json");
+    notice.textContent = "Saved: replace public/config/athensLayout.json with it.";
+  });
+  closeButton.addEventListener("click", () => setOpen(false));
+
+  getUISlot("bottomRight").appendChild(wrap);
+
+  /** Per frame: follow layout reloads, which may replace the selection. */
+  let listedRevision = null;
+  const update = () => {
+    if (!isOpen() || editor.revision() === listedRevision) return;
+    listedRevision = editor.revision();
+    const before = editor.getSelected();
+    editor.sync();
+    if (before && !editor.getSelected()) select(null);
+    fillPicker();
+  };
+
+  return {
+    setOpen,
+    isOpen,
+    toggle: () => setOpen(!isOpen()),
+    update,
+    dispose() {
+      setOpen(false);
+      window.removeEventListener("pointerdown", onPointerDown, true);
+      window.removeEventListener("pointermove", onPointerMove, true);
+      window.removeEventListener("pointerup", onPointerUp, true);
+      window.removeEventListener("pointercancel", onPointerUp, true);
+      window.removeEventListener("keydown", onKey);
+      // Never connected to a DOM element, so only the gizmo meshes need freeing.
+      gizmo.dispose();
+      wrap.remove();
+    },
+  };
+}
@@ -0,0 +1,150 @@
+import * as THREE from "three";
+import { getUISlot } from "./uiRoot.js";
+
+// How far past the label distance (or where it was opened) the player can walk
+// before the panel closes by itself.
+const CLOSE_MARGIN = 5;
+
+const BUTTON_STYLE = {
+  padding: "3px 8px",
+  borderRadius: "4px",
+  border: "1px solid rgba(255,255,255,0.35)",
+  background: "rgba(0,0,0,0.35)",
+  color: "inherit",
+  font: "inherit",
+  cursor: "pointer",
+};
+
+// Info panel for a used landmark: name, group label, optional image and the
+// description from the layout config. Escape or Close hides it, and so does
+// walking away.
+export function mountLandmarkInfoPanel() {
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "12px 14px",
+    background: "rgba(0,0,0,0.72)",
+    backdropFilter: "blur(4px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "14px/1.4 ui-sans-serif, system-ui",
+    width: "min(420px, calc(100vw - 32px))",
+    alignSelf: "center",
+    display: "none",
+  });
+
+  const header = document.createElement("div");
+  Object.assign(header.style, {
+    display: "flex",
+    alignItems: "flex-start",
+    justifyContent: "space-between",
+    gap: "12px",
+  });
+  const titles = document.createElement("div");
+  const groupEl = document.createElement("div");
+  Object.assign(groupEl.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+    opacity: "0.7",
+  });
+  const nameEl = document.createElement("div");
+  Object.assign(nameEl.style, { fontWeight: 600, fontSize: "18px" });
+  titles.append(groupEl, nameEl);
+  const closeButton = document.createElement("button");
+  closeButton.type = "button";
+  closeButton.textContent = "Close";
+  Object.assign(closeButton.style, BUTTON_STYLE, { fontSize: "12px" });
+  header.append(titles, closeButton);
+  wrap.appendChild(header);
+
+  const image = document.createElement("img");
+  image.alt = "";
+  Object.assign(image.style, {
+    display: "none",
+    width: "100%",
+    maxHeight: "220px",
+    objectFit: "cover",
+    borderRadius: "6px",
+    marginTop: "10px",
+  });
+  // A missing picture just leaves the text.
+  image.addEventListener("error", () => {
+    image.style.display = "none";
+  });
+  image.addEventListener("load", () => {
+    image.style.display = "block";
+  });
+  wrap.appendChild(image);
+
+  const descriptionEl = document.createElement("div");
+  Object.assign(descriptionEl.style, { marginTop: "8px", opacity: "0.9" });
+  wrap.appendChild(descriptionEl);
+
+  getUISlot("center").appendChild(wrap);
+
+  /** @type {{ object: THREE.Object3D | null, closeDistance: number } | null} */
+  let current = null;
+
+  const isOpen = () => wrap.style.display !== "none";
+
+  const hide = () => {
+    wrap.style.display = "none";
+    current = null;
+  };
+
+  /**
+   * @param {ReturnType<import("../world/LandmarkManager.js").LandmarkManager["getLandmarkInfo"]>} info
+   * @param {{ object?: THREE.Object3D | null, playerPosition?: { x: number, z: number } | null }} [options]
+   *   object and playerPosition let the panel close once the player walks off
+   */
+  const show = (info, { object = null, playerPosition = null } = {}) => {
+    groupEl.textContent = info.groupLabel ?? "";
+    groupEl.style.display = info.groupLabel ? "block" : "none";
+    nameEl.textContent = info.name ?? "";
+    descriptionEl.textContent = info.description || "No description yet.";
+    image.style.display = "none";
+    if (info.image) {
+      image.src = info.image;
+      if (image.complete && image.naturalWidth > 0) image.style.display = "block";
+    } else {
+      image.removeAttribute("src");
+    }
+    let closeDistance = info.labelDistance ?? 0;
+    if (object && playerPosition) {
+      closeDistance = Math.max(closeDistance, horizontalDistance(object, playerPosition));
+    }
+    current = { object, closeDistance: closeDistance + CLOSE_MARGIN };
+    wrap.style.display = "block";
+  };
+
+  /** Per frame: close when the player has walked away from the landmark. */
+  const update = (playerPosition) => {
+    if (!current?.object || !playerPosition) return;
+    if (horizontalDistance(current.object, playerPosition) > current.closeDistance) hide();
+  };
+
+  const onKey = (event) => {
+    if (event.code === "Escape" && isOpen()) hide();
+  };
+  window.addEventListener("keydown", onKey);
+  closeButton.addEventListener("click", hide);
+
+  return {
+    show,
+    hide,
+    isOpen,
+    update,
+    dispose() {
+      window.removeEventListener("keydown", onKey);
+      wrap.remove();
+    },
+  };
+}
+
+const _worldPosition = new THREE.Vector3();
+
+function horizontalDistance(object, position) {
+  const at = object.getWorldPosition(_worldPosition);
+  return Math.hypot(at.x - position.x, at.z - position.z);
+}
@@ -0,0 +1,127 @@
+import * as THREE from "three";
+
+// Part of the label distance over which a label fades out.
+const FADE_FRACTION = 0.25;
+// Metres above the top of the model.
+const LABEL_LIFT = 1.5;
+
+const LABEL_STYLE = {
+  position: "absolute",
+  left: "0",
+  top: "0",
+  padding: "3px 8px",
+  borderRadius: "6px",
+  background: "rgba(0,0,0,0.55)",
+  color: "#fff",
+  font: "600 13px/1.25 ui-sans-serif, system-ui",
+  textAlign: "center",
+  whiteSpace: "nowrap",
+  display: "none",
+};
+
+function makeLabel(info) {
+  const element = document.createElement("div");
+  Object.assign(element.style, LABEL_STYLE);
+  const name = document.createElement("div");
+  name.textContent = info.name;
+  element.appendChild(name);
+  if (info.groupLabel) {
+    const group = document.createElement("div");
+    group.textContent = info.groupLabel;
+    Object.assign(group.style, { fontSize: "10px", fontWeight: 400, letterSpacing: "0.06em", opacity: "0.75" });
+    element.appendChild(group);
+  }
+  return element;
+}
+
+// Floating name labels over the landmarks near the player. A label shows while
+// the player is within the landmark's `labelDistance` (0 turns it off) and
+// fades over the last part of that range; labels behind the camera or off
+// screen are hidden.
+/**
+ * @param {{
+ *   camera: THREE.Camera,
+ *   canvas: HTMLCanvasElement,
+ *   getLandmarks: () => Array<{ object: THREE.Object3D, info: { name: string, groupLabel?: string, labelDistance: number } }>,
+ * }} options  getLandmarks should return the same array until the landmarks change
+ */
+export function mountLandmarkLabels({ camera, canvas, getLandmarks }) {
+  const layer = document.createElement("div");
+  Object.assign(layer.style, {
+    position: "fixed",
+    inset: "0",
+    overflow: "hidden",
+    pointerEvents: "none",
+    zIndex: "1050", // under the touch controls and HUD panels
+  });
+  document.body.appendChild(layer);
+
+  /** @type {Map<THREE.Object3D, { element: HTMLDivElement, info: any, height: number | null }>} */
+  const labels = new Map();
+  let listed = null;
+  const box = new THREE.Box3();
+  const world = new THREE.Vector3();
+  const projected = new THREE.Vector3();
+
+  const sync = () => {
+    const landmarks = getLandmarks() ?? [];
+    if (landmarks === listed) return;
+    listed = landmarks;
+    const current = new Set();
+    for (const { object, info } of landmarks) {
+      current.add(object);
+      if (labels.has(object)) continue;
+      const element = makeLabel(info);
+      layer.appendChild(element);
+      labels.set(object, { element, info, height: null });
+    }
+    for (const [object, label] of labels) {
+      if (current.has(object)) continue;
+      label.element.remove();
+      labels.delete(object);
+    }
+  };
+
+  /** Per frame, with the player's position. */
+  const update = (playerPosition) => {
+    sync();
+    const rect = canvas.getBoundingClientRect();
+    for (const [object, label] of labels) {
+      const { element, info } = label;
+      const range = info.labelDistance;
+      object.getWorldPosition(world);
+      const distance = playerPosition
+        ? Math.hypot(world.x - playerPosition.x, world.z - playerPosition.z)
+        : Infinity;
+      if (!(range > 0) || distance > range) {
+        element.style.display = "none";
+        continue;
+      }
+      if (label.height === null) {
+        box.setFromObject(object);
+        label.height = box.isEmpty() ? 0 : box.max.y - world.y;
+      }
+      projected.set(world.x, world.y + label.height + LABEL_LIFT, world.z).project(camera);
+      // z > 1: behind the camera.
+      if (projected.z > 1 || Math.abs(projected.x) > 1.1 || Math.abs(projected.y) > 1.1) {
+        element.style.display = "none";
+        continue;
+      }
+      const x = rect.left + ((projected.x + 1) / 2) * rect.width;
+      const y = rect.top + ((1 - projected.y) / 2) * rect.height;
+      element.style.transform = `translate(${x.toFixed(1)}px, ${y.toFixed(1)}px) translate(-50%, -100%)`;
+      element.style.opacity = String(Math.min(1, (range - distance) / (range * FADE_FRACTION)));
+      element.style.display = "block";
+    }
+  };
+
+  return {
+    update,
+    setVisible(visible) {
+      layer.style.display = visible ? "block" : "none";
+    },
+    dispose() {
+      layer.remove();
+    },
+  };
+}
@@ -0,0 +1,266 @@
+// Shared map drawing for the minimap and the full-screen world map: a terrain
+// raster with height shading plus vector overlays for water, roads and the
+// civic district. North (-Z) is drawn up and east (+X) to the right.
+
+const DEFAULT_RESOLUTION = 384;
+
+export const MAP_COLORS = {
+  background: "#1b2a33",
+  water: "rgba(48, 110, 160, 0.85)",
+  road: "rgba(238, 226, 200, 0.85)",
+  hillRoad: "rgba(214, 180, 120, 0.95)",
+  civic: "rgba(255, 236, 170, 0.9)",
+  landmark: "#f5d76e",
+  npc: "#7fd1ff",
+  player: "#ff5a4e",
+};
+
+function mixColor(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
+
+// Height → colour ramp: sea, beach, lowland, hillside, rocky crown.
+const RAMP = [
+  { h: -4, c: [28, 70, 110] },
+  { h: 0, c: [60, 120, 160] },
+  { h: 0.6, c: [205, 190, 140] },
+  { h: 4, c: [130, 150, 90] },
+  { h: 14, c: [150, 140, 100] },
+  { h: 30, c: [185, 180, 170] },
+];
+
+function rampColor(height) {
+  if (height <= RAMP[0].h) return RAMP[0].c;
+  for (let i = 1; i < RAMP.length; i++) {
+    const hi = RAMP[i];
+    if (height <= hi.h) {
+      const lo = RAMP[i - 1];
+      return mixColor(lo.c, hi.c, (height - lo.h) / (hi.h - lo.h));
+    }
+  }
+  return RAMP[RAMP.length - 1].c;
+}
+
+/**
+ * World → canvas mapping shared by the minimap and the world map, so the two
+ * cannot disagree. North (-Z) is up and east (+X) to the right, which is how
+ * the world looks from above; the world point (originX, originZ) lands on
+ * canvas pixel (left, top).
+ * @param {{ originX: number, originZ: number, scale: number, left?: number, top?: number }} view
+ *   scale is canvas pixels per metre
+ */
+export function createMapProjection({ originX, originZ, scale, left = 0, top = 0 }) {
+  return {
+    scale,
+    toX: (x) => left + (x - originX) * scale,
+    toY: (z) => top + (z - originZ) * scale,
+  };
+}
+
+/**
+ * Bearing of a world direction for drawPlayerArrow: 0 is north (-Z), turning
+ * clockwise through east (+X).
+ * @param {{ x: number, z: number } | null | undefined} direction
+ */
+export function mapBearing(direction) {
+  return direction ? Math.atan2(direction.x, -direction.z) : 0;
+}
+
+/**
+ * Rasterise terrain heights with a simple north-west hillshade.
+ * @param {(x: number, z: number) => number | null} heightSampler
+ * @param {{ minX: number, maxX: number, minZ: number, maxZ: number }} bounds
+ * @param {number} seaLevel
+ * @param {number} [resolution] - Raster pixels per side.
+ */
+export function renderTerrainLayer(heightSampler, bounds, seaLevel, resolution = DEFAULT_RESOLUTION) {
+  const canvas = document.createElement("canvas");
+  canvas.width = resolution;
+  canvas.height = resolution;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(resolution, resolution);
+  const stepX = (bounds.maxX - bounds.minX) / resolution;
+  const stepZ = (bounds.maxZ - bounds.minZ) / resolution;
+
+  const heights = new Float32Array(resolution * resolution);
+  for (let j = 0; j < resolution; j++) {
+    const z = bounds.minZ + (j + 0.5) * stepZ;
+    for (let i = 0; i < resolution; i++) {
+      const x = bounds.minX + (i + 0.5) * stepX;
+      const h = typeof heightSampler === "function" ? heightSampler(x, z) : null;
+      heights[j * resolution + i] = Number.isFinite(h) ? h : seaLevel - 4;
+    }
+  }
+
+  const at = (i, j) =>
+    heights[
+      Math.min(resolution - 1, Math.max(0, j)) * resolution +
+        Math.min(resolution - 1, Math.max(0, i))
+    ];
+  for (let j = 0; j < resolution; j++) {
+    for (let i = 0; i < resolution; i++) {
+      const h = at(i, j);
+      const color = rampColor(h - seaLevel);
+      // Light from the north-west: brighten slopes facing up-left.
+      const slope = (at(i - 1, j - 1) - at(i + 1, j + 1)) / (stepX * 2);
+      const shade = h <= seaLevel ? 1 : Math.min(1.35, Math.max(0.6, 1 + slope * 0.8));
+      const o = (j * resolution + i) * 4;
+      image.data[o] = Math.min(255, color[0] * shade);
+      image.data[o + 1] = Math.min(255, color[1] * shade);
+      image.data[o + 2] = Math.min(255, color[2] * shade);
+      image.data[o + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+/**
+ * Draw a renderTerrainLayer raster over the bounds it was made for.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {CanvasImageSource} image
+ * @param {{ minX: number, maxX: number, minZ: number, maxZ: number }} bounds
+ * @param {ReturnType<typeof createMapProjection>} projection
+ */
+export function drawTerrainLayer(ctx, image, bounds, { toX, toY, scale }) {
+  ctx.imageSmoothingEnabled = true;
+  ctx.drawImage(
+    image,
+    toX(bounds.minX),
+    toY(bounds.minZ),
+    (bounds.maxX - bounds.minX) * scale,
+    (bounds.maxZ - bounds.minZ) * scale
+  );
+}
+
+/**
+ * Draw water, roads, the hill road and the civic outline with a world → canvas
+ * mapping. Line widths follow world metres so roads thicken as the map zooms in.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {{
+ *   toX: (x: number) => number,
+ *   toY: (z: number) => number,
+ *   scale: number,
+ *   dpr?: number,
+ *   waterBounds?: { west: number, east: number, north: number, south: number } | null,
+ *   roadSegments?: { ax: number, az: number, bx: number, bz: number }[],
+ *   hillRoadPoints?: { x: number, z: number }[],
+ *   civicOutline?: { x: number, y: number }[] | null,
+ * }} options
+ */
+export function drawMapFeatures(
+  ctx,
+  { toX, toY, scale, dpr = 1, waterBounds = null, roadSegments = [], hillRoadPoints = [], civicOutline = null }
+) {
+  if (waterBounds) {
+    ctx.fillStyle = MAP_COLORS.water;
+    ctx.fillRect(
+      toX(waterBounds.west),
+      toY(waterBounds.north),
+      (waterBounds.east - waterBounds.west) * scale,
+      (waterBounds.south - waterBounds.north) * scale
+    );
+  }
+
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+  if (roadSegments.length) {
+    ctx.strokeStyle = MAP_COLORS.road;
+    ctx.lineWidth = Math.max(1, 2.4 * scale);
+    ctx.beginPath();
+    for (const segment of roadSegments) {
+      ctx.moveTo(toX(segment.ax), toY(segment.az));
+      ctx.lineTo(toX(segment.bx), toY(segment.bz));
+    }
+    ctx.stroke();
+  }
+
+  if (hillRoadPoints.length > 1) {
+    ctx.strokeStyle = MAP_COLORS.hillRoad;
+    ctx.lineWidth = Math.max(1.5, 3.2 * scale);
+    ctx.beginPath();
+    hillRoadPoints.forEach((point, index) => {
+      if (index === 0) ctx.moveTo(toX(point.x), toY(point.z));
+      else ctx.lineTo(toX(point.x), toY(point.z));
+    });
+    ctx.stroke();
+  }
+
+  if (civicOutline?.length > 2) {
+    ctx.strokeStyle = MAP_COLORS.civic;
+    ctx.lineWidth = Math.max(1, 1.5 * dpr);
+    ctx.setLineDash([4 * dpr, 3 * dpr]);
+    ctx.beginPath();
+    civicOutline.forEach((point, index) => {
+      if (index === 0) ctx.moveTo(toX(point.x), toY(point.y));
+      else ctx.lineTo(toX(point.x), toY(point.y));
+    });
+    ctx.closePath();
+    ctx.stroke();
+    ctx.setLineDash([]);
+  }
+}
+
+/**
+ * Diamond marker with an optional outlined label above it.
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {{ dpr?: number, radius?: number, label?: string, color?: string, fontSize?: number }} [options]
+ */
+export function drawLandmarkMarker(
+  ctx,
+  x,
+  y,
+  { dpr = 1, radius = 4, label = "", color = MAP_COLORS.landmark, fontSize = 10 } = {}
+) {
+  const r = radius * dpr;
+  ctx.fillStyle = color;
+  ctx.strokeStyle = "rgba(0,0,0,0.6)";
+  ctx.lineWidth = dpr;
+  ctx.beginPath();
+  ctx.moveTo(x, y - r);
+  ctx.lineTo(x + r, y);
+  ctx.lineTo(x, y + r);
+  ctx.lineTo(x - r, y);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  if (label) {
+    ctx.font = `${fontSize * dpr}px ui-sans-serif, system-ui`;
+    ctx.textAlign = "center";
+    ctx.fillStyle = "#fff";
+    ctx.strokeStyle = "rgba(0,0,0,0.7)";
+    ctx.lineWidth = 3 * dpr;
+    ctx.strokeText(label, x, y - r - 3 * dpr);
+    ctx.fillText(label, x, y - r - 3 * dpr);
+  }
+}
+
+/**
+ * Player arrow. Bearing 0 points north (-Z, up) and turns clockwise through
+ * east (+X).
+ * @param {CanvasRenderingContext2D} ctx
+ * @param {number} x
+ * @param {number} y
+ * @param {number} bearing - Radians.
+ * @param {number} [dpr]
+ */
+export function drawPlayerArrow(ctx, x, y, bearing, dpr = 1) {
+  ctx.save();
+  ctx.translate(x, y);
+  ctx.rotate(bearing);
+  const a = 7 * dpr;
+  ctx.fillStyle = MAP_COLORS.player;
+  ctx.strokeStyle = "#fff";
+  ctx.lineWidth = 1.5 * dpr;
+  ctx.beginPath();
+  ctx.moveTo(0, -a);
+  ctx.lineTo(a * 0.7, a * 0.75);
+  ctx.lineTo(0, a * 0.35);
+  ctx.lineTo(-a * 0.7, a * 0.75);
+  ctx.closePath();
+  ctx.fill();
+  ctx.stroke();
+  ctx.restore();
+}
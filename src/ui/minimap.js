@@ -0,0 +1,270 @@
+import { getUISlot } from "./uiRoot.js";
+import { HARBOR_WATER_BOUNDS, SEA_LEVEL_Y } from "../world/locations.js";
+import {
+  MAP_COLORS,
+  createMapProjection,
+  mapBearing,
+  renderTerrainLayer,
+  drawTerrainLayer,
+  drawMapFeatures,
+  drawLandmarkMarker,
+  drawPlayerArrow,
+} from "./mapLayers.js";
+
+// Corner minimap drawn from world data. Terrain height shading is rasterised
+// once (see mapLayers.js); roads, outlines, landmarks, NPCs and the player
+// arrow are drawn as vectors on every refresh so they stay crisp at every zoom
+// level. North (-Z, see HARBOR_WATER_BOUNDS) is up and east (+X) to the
+// right, so the map reads like the world seen from above.
+
+const STORAGE_KEY = "minimapZoom";
+// Metres visible across the map at each zoom level.
+const ZOOM_LEVELS = [60, 120, 240, 480];
+const DEFAULT_ZOOM_INDEX = 1;
+const REFRESH_INTERVAL = 1 / 12; // seconds between redraws
+const LABEL_MAX_VIEW = 160; // only label landmarks when zoomed in this far
+
+function loadZoomIndex() {
+  try {
+    const stored = Number.parseInt(localStorage.getItem(STORAGE_KEY), 10);
+    return Number.isInteger(stored) && stored >= 0 && stored < ZOOM_LEVELS.length
+      ? stored
+      : DEFAULT_ZOOM_INDEX;
+  } catch {
+    return DEFAULT_ZOOM_INDEX;
+  }
+}
+
+function saveZoomIndex(index) {
+  try {
+    localStorage.setItem(STORAGE_KEY, String(index));
+  } catch {
+    // ignore write errors (e.g., storage disabled)
+  }
+}
+
+function makeZoomButton(label, title, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.title = title;
+  Object.assign(button.style, {
+    width: "22px",
+    height: "22px",
+    padding: "0",
+    borderRadius: "4px",
+    border: "1px solid rgba(255,255,255,0.35)",
+    background: "rgba(0,0,0,0.55)",
+    color: "#fff",
+    font: "600 13px/1 ui-sans-serif, system-ui",
+    cursor: "pointer",
+  });
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * @typedef {{
+ *   getPosition: () => { x: number, z: number } | null,
+ *   getDirection: () => { x: number, z: number } | null,
+ *   heightSampler?: ((x: number, z: number) => number | null) | null,
+ *   terrainLayer?: HTMLCanvasElement | null,
+ *   worldBounds: { minX: number, maxX: number, minZ: number, maxZ: number },
+ *   seaLevel?: number,
+ *   waterBounds?: { west: number, east: number, north: number, south: number } | null,
+ *   roadSegments?: { ax: number, az: number, bx: number, bz: number }[],
+ *   hillRoad?: { getPoints: (divisions: number) => { x: number, z: number }[] } | null,
+ *   civicOutline?: { x: number, y: number }[] | null,
+ *   getLandmarks?: () => { x: number, z: number, label?: string }[],
+ *   getNpcs?: () => { position: { x: number, z: number }, visible: boolean }[],
+ *   size?: number,
+ * }} MinimapOptions
+ */
+
+/**
+ * Mount the minimap in the top-left UI slot.
+ * @param {MinimapOptions} options
+ */
+export function mountMinimap({
+  getPosition,
+  getDirection,
+  heightSampler = null,
+  terrainLayer = null,
+  worldBounds,
+  seaLevel = SEA_LEVEL_Y,
+  waterBounds = HARBOR_WATER_BOUNDS,
+  roadSegments = [],
+  hillRoad = null,
+  civicOutline = null,
+  getLandmarks = () => [],
+  getNpcs = () => [],
+  size = 180,
+} = {}) {
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    position: "relative",
+    width: `${size}px`,
+    height: `${size}px`,
+    borderRadius: "10px",
+    overflow: "hidden",
+    border: "2px solid rgba(255,255,255,0.6)",
+    boxShadow: "0 6px 18px rgba(0,0,0,0.35)",
+    background: MAP_COLORS.background,
+  });
+
+  const dpr = Math.min(2, window.devicePixelRatio || 1);
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(size * dpr);
+  canvas.height = Math.round(size * dpr);
+  Object.assign(canvas.style, { width: `${size}px`, height: `${size}px`, display: "block" });
+  wrap.appendChild(canvas);
+  const ctx = canvas.getContext("2d");
+
+  const controls = document.createElement("div");
+  Object.assign(controls.style, {
+    position: "absolute",
+    right: "4px",
+    bottom: "4px",
+    display: "flex",
+    gap: "3px",
+  });
+  wrap.appendChild(controls);
+
+  const scaleLabel = document.createElement("div");
+  Object.assign(scaleLabel.style, {
+    position: "absolute",
+    left: "6px",
+    bottom: "5px",
+    color: "#fff",
+    font: "10px/1 ui-sans-serif, system-ui",
+    textShadow: "0 1px 2px rgba(0,0,0,0.8)",
+    pointerEvents: "none",
+  });
+  wrap.appendChild(scaleLabel);
+
+  const northLabel = document.createElement("div");
+  northLabel.textContent = "N";
+  Object.assign(northLabel.style, {
+    position: "absolute",
+    left: "50%",
+    top: "3px",
+    transform: "translateX(-50%)",
+    color: "#fff",
+    font: "700 11px/1 ui-sans-serif, system-ui",
+    textShadow: "0 1px 2px rgba(0,0,0,0.8)",
+    pointerEvents: "none",
+  });
+  wrap.appendChild(northLabel);
+
+  let zoomIndex = loadZoomIndex();
+  const setZoom = (index) => {
+    zoomIndex = Math.min(ZOOM_LEVELS.length - 1, Math.max(0, index));
+    saveZoomIndex(zoomIndex);
+    scaleLabel.textContent = `${ZOOM_LEVELS[zoomIndex]} m`;
+    dirty = true;
+  };
+  controls.appendChild(makeZoomButton("+", "Zoom in", () => setZoom(zoomIndex - 1)));
+  controls.appendChild(makeZoomButton("−", "Zoom out", () => setZoom(zoomIndex + 1)));
+  wrap.addEventListener(
+    "wheel",
+    (event) => {
+      event.preventDefault();
+      setZoom(zoomIndex + (event.deltaY > 0 ? 1 : -1));
+    },
+    { passive: false }
+  );
+
+  getUISlot("topLeft").appendChild(wrap);
+
+  // Reuse a raster shared with the world map when the host already made one.
+  const terrainImage = terrainLayer ?? renderTerrainLayer(heightSampler, worldBounds, seaLevel);
+  const hillRoadPoints = hillRoad?.getPoints ? hillRoad.getPoints(160) : [];
+
+  let dirty = true;
+  setZoom(zoomIndex);
+
+  const draw = () => {
+    const position = getPosition?.();
+    if (!position) return;
+    const direction = getDirection?.();
+    const px = position.x;
+    const pz = position.z;
+    const viewMeters = ZOOM_LEVELS[zoomIndex];
+    const pixels = canvas.width;
+    const scale = pixels / viewMeters;
+    const cx = pixels / 2;
+    const cy = pixels / 2;
+    const projection = createMapProjection({ originX: px, originZ: pz, scale, left: cx, top: cy });
+    const { toX, toY } = projection;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = MAP_COLORS.background;
+    ctx.fillRect(0, 0, pixels, pixels);
+
+    drawTerrainLayer(ctx, terrainImage, worldBounds, projection);
+
+    drawMapFeatures(ctx, {
+      toX,
+      toY,
+      scale,
+      dpr,
+      waterBounds,
+      roadSegments,
+      hillRoadPoints,
+      civicOutline,
+    });
+
+    const inView = (x, y, margin = 8) =>
+      x >= -margin && y >= -margin && x <= pixels + margin && y <= pixels + margin;
+
+    ctx.fillStyle = MAP_COLORS.npc;
+    for (const npc of getNpcs?.() ?? []) {
+      if (!npc?.visible) continue;
+      const x = toX(npc.position.x);
+      const y = toY(npc.position.z);
+      if (!inView(x, y)) continue;
+      ctx.beginPath();
+      ctx.arc(x, y, 2.2 * dpr, 0, Math.PI * 2);
+      ctx.fill();
+    }
+
+    const showLabels = viewMeters <= LABEL_MAX_VIEW;
+    for (const landmark of getLandmarks?.() ?? []) {
+      const x = toX(landmark.x);
+      const y = toY(landmark.z);
+      if (!inView(x, y, 40 * dpr)) continue;
+      drawLandmarkMarker(ctx, x, y, {
+        dpr,
+        label: showLabels ? landmark.label : "",
+      });
+    }
+
+    drawPlayerArrow(ctx, cx, cy, mapBearing(direction), dpr);
+  };
+
+  let elapsed = REFRESH_INTERVAL;
+  const update = (dt) => {
+    elapsed += Number.isFinite(dt) ? dt : REFRESH_INTERVAL;
+    if (!dirty && elapsed < REFRESH_INTERVAL) return;
+    elapsed = 0;
+    dirty = false;
+    try {
+      draw();
+    } catch (error) {
+      console.warn("[Minimap] draw failed", error);
+    }
+  };
+
+  return {
+    update,
+    setZoom,
+    getZoomLevels: () => [...ZOOM_LEVELS],
+    rootElement: wrap,
+    dispose() {
+      wrap.remove();
+    },
+  };
+}
@@ -0,0 +1,128 @@
+import { getUISlot } from "./uiRoot.js";
+import { subscribe } from "../state/saveGameStore.js";
+import { isActionKey, getActionKeyLabel, subscribeKeyBindings } from "../input/keyBindings.js";
+
+const BUTTON_STYLE = {
+  padding: "3px 8px",
+  borderRadius: "4px",
+  border: "1px solid rgba(255,255,255,0.35)",
+  background: "rgba(0,0,0,0.35)",
+  color: "inherit",
+  font: "inherit",
+  cursor: "pointer",
+};
+
+function formatSavedAt(iso) {
+  if (!iso) return "";
+  const date = new Date(iso);
+  if (Number.isNaN(date.getTime())) return "";
+  return date.toLocaleString(undefined, {
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function makeButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  Object.assign(button.style, BUTTON_STYLE);
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    onClick();
+  });
+  return button;
+}
+
+// Save slot picker (the `saveSlots` binding, F8 by default, toggles). Slot
+// data lives in saveGameStore; this panel only renders the summaries and
+// forwards save/load/delete to the host.
+export function mountSaveSlotPicker({ onSave, onLoad, onDelete, action = "saveSlots" } = {}) {
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "10px 12px",
+    background: "rgba(0,0,0,0.55)",
+    backdropFilter: "blur(4px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "12px/1.2 ui-sans-serif, system-ui",
+    userSelect: "none",
+    minWidth: "240px",
+    display: "none",
+  });
+
+  const title = document.createElement("div");
+  title.textContent = "Saved Games";
+  Object.assign(title.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+    marginBottom: "6px",
+  });
+  wrap.appendChild(title);
+
+  const list = document.createElement("div");
+  wrap.appendChild(list);
+
+  const hint = document.createElement("div");
+  Object.assign(hint.style, { marginTop: "6px", opacity: "0.6", fontSize: "11px" });
+  wrap.appendChild(hint);
+
+  const render = (slots) => {
+    list.replaceChildren();
+    slots.forEach((slot, index) => {
+      const row = document.createElement("div");
+      Object.assign(row.style, {
+        display: "flex",
+        alignItems: "center",
+        gap: "6px",
+        margin: "4px 0",
+      });
+
+      const label = document.createElement("span");
+      label.style.flex = "1";
+      const savedAt = formatSavedAt(slot.savedAt);
+      label.textContent = slot.empty
+        ? `Slot ${index + 1} — empty`
+        : `Slot ${index + 1} — ${savedAt || "saved"}`;
+      row.appendChild(label);
+
+      row.appendChild(makeButton("Save", () => onSave?.(slot.id)));
+      if (!slot.empty) {
+        row.appendChild(makeButton("Load", () => onLoad?.(slot.id)));
+        row.appendChild(makeButton("✕", () => onDelete?.(slot.id)));
+      }
+      list.appendChild(row);
+    });
+  };
+
+  const unsubscribe = subscribe(render);
+  const unsubscribeKeys = subscribeKeyBindings(() => {
+    hint.textContent = `${getActionKeyLabel(action)} to close`;
+  });
+  getUISlot("bottomLeft").appendChild(wrap);
+
+  const setOpen = (open) => {
+    wrap.style.display = open ? "block" : "none";
+  };
+  const onKey = (e) => {
+    if (isActionKey(action, e.code) && !e.repeat) {
+      setOpen(wrap.style.display === "none");
+      e.preventDefault();
+    }
+  };
+  window.addEventListener("keydown", onKey);
+
+  return {
+    setOpen,
+    dispose() {
+      unsubscribe();
+      unsubscribeKeys();
+      window.removeEventListener("keydown", onKey);
+      wrap.remove();
+    },
+  };
+}
@@ -0,0 +1,289 @@
+import * as THREE from "three";
+import { getUISlot } from "./uiRoot.js";
+import { SCULPT_MODES } from "../world/terrainSculpt.js";
+
+const BUTTON_STYLE = {
+  padding: "3px 8px",
+  borderRadius: "5px",
+  border: "1px solid rgba(255,255,255,0.3)",
+  background: "rgba(255,255,255,0.08)",
+  color: "#fff",
+  font: "600 12px/1.2 ui-sans-serif, system-ui",
+  cursor: "pointer",
+};
+
+const ACTIVE_BORDER = "1px solid #ffd56a";
+const MODE_LABELS = { raise: "Raise", lower: "Lower", flatten: "Flatten", smooth: "Smooth" };
+const MIN_RADIUS = 2;
+const MAX_RADIUS = 60;
+
+function makeButton(label) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  Object.assign(button.style, BUTTON_STYLE);
+  return button;
+}
+
+function makeSlider(label, min, max, step, value) {
+  const row = document.createElement("label");
+  Object.assign(row.style, {
+    display: "grid",
+    gridTemplateColumns: "64px 1fr 40px",
+    alignItems: "center",
+    gap: "8px",
+    marginTop: "6px",
+  });
+  const name = document.createElement("span");
+  name.textContent = label;
+  const input = document.createElement("input");
+  input.type = "range";
+  input.min = String(min);
+  input.max = String(max);
+  input.step = String(step);
+  input.value = String(value);
+  const readout = document.createElement("span");
+  readout.style.opacity = "0.8";
+  row.append(name, input, readout);
+  return { row, input, readout };
+}
+
+function download(data, fileName, type) {
+  const url = URL.createObjectURL(new Blob([data], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// Dev-mode terrain sculpting. While open, left-dragging on the view paints the
+// selected brush (Alt + drag still orbits the third-person camera); Ctrl+Z
+// undoes a stroke, [ and ] resize the brush and Esc closes the panel. Export
+// downloads the heightmap PNG and a matching terrain.json.
+export function mountTerrainSculptPanel({ sculptor, terrain, camera, canvas, scene }) {
+  const brush = { mode: "raise", radius: 12, strength: 0.5 };
+  const pointer = new THREE.Vector2();
+  const raycaster = new THREE.Raycaster();
+  raycaster.firstHitOnly = true;
+  /** @type {THREE.Vector3 | null} */
+  let hover = null;
+  let hasPointer = false;
+  let painting = null;
+
+  const wrap = document.createElement("div");
+  Object.assign(wrap.style, {
+    padding: "12px 14px",
+    background: "rgba(10,12,18,0.92)",
+    backdropFilter: "blur(6px)",
+    borderRadius: "10px",
+    color: "#fff",
+    font: "12px/1.3 ui-sans-serif, system-ui",
+    userSelect: "none",
+    width: "260px",
+    display: "none",
+  });
+
+  const header = document.createElement("div");
+  Object.assign(header.style, {
+    display: "flex",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: "12px",
+    marginBottom: "8px",
+  });
+  const title = document.createElement("div");
+  title.textContent = "Terrain sculpt";
+  Object.assign(title.style, {
+    fontWeight: 600,
+    letterSpacing: "0.08em",
+    fontSize: "11px",
+    textTransform: "uppercase",
+  });
+  const closeButton = makeButton("Close");
+  header.append(title, closeButton);
+  wrap.appendChild(header);
+
+  const modeRow = document.createElement("div");
+  Object.assign(modeRow.style, { display: "flex", flexWrap: "wrap", gap: "6px" });
+  const modeButtons = new Map();
+  for (const mode of SCULPT_MODES) {
+    const button = makeButton(MODE_LABELS[mode] ?? mode);
+    button.addEventListener("click", () => {
+      brush.mode = mode;
+      render();
+    });
+    modeButtons.set(mode, button);
+    modeRow.appendChild(button);
+  }
+  wrap.appendChild(modeRow);
+
+  const radius = makeSlider("Radius", MIN_RADIUS, MAX_RADIUS, 1, brush.radius);
+  const strength = makeSlider("Strength", 0.05, 1, 0.05, brush.strength);
+  wrap.append(radius.row, strength.row);
+  radius.input.addEventListener("input", () => {
+    brush.radius = Number(radius.input.value);
+    render();
+  });
+  strength.input.addEventListener("input", () => {
+    brush.strength = Number(strength.input.value);
+    render();
+  });
+
+  const actions = document.createElement("div");
+  Object.assign(actions.style, { display: "flex", gap: "6px", marginTop: "10px" });
+  const undoButton = makeButton("Undo");
+  const exportButton = makeButton("Export heightmap");
+  actions.append(undoButton, exportButton);
+  wrap.appendChild(actions);
+
+  const notice = document.createElement("div");
+  Object.assign(notice.style, { minHeight: "16px", marginTop: "6px", color: "#ffd56a" });
+  wrap.appendChild(notice);
+
+  const hint = document.createElement("div");
+  hint.textContent = "Drag on the ground to paint. Alt+drag orbits, Ctrl+Z undoes, [ ] resize.";
+  Object.assign(hint.style, { opacity: "0.6", fontSize: "11px" });
+  wrap.appendChild(hint);
+
+  const render = () => {
+    for (const [mode, button] of modeButtons) {
+      button.style.border = mode === brush.mode ? ACTIVE_BORDER : BUTTON_STYLE.border;
+    }
+    radius.input.value = String(brush.radius);
+    radius.readout.textContent = `${brush.radius} m`;
+    strength.readout.textContent = brush.strength.toFixed(2);
+    undoButton.disabled = !sculptor.canUndo();
+    undoButton.style.opacity = undoButton.disabled ? "0.35" : "1";
+  };
+
+  const isOpen = () => wrap.style.display !== "none";
+  const setOpen = (open) => {
+    wrap.style.display = open ? "block" : "none";
+    if (open) {
+      if (!sculptor.cursor.parent) scene.add(sculptor.cursor);
+      render();
+    } else {
+      stopPainting();
+      sculptor.setCursor(null);
+    }
+  };
+
+  const updateHover = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    pointer.set(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1,
+    );
+    hasPointer = true;
+  };
+
+  const stopPainting = () => {
+    if (!painting) return;
+    try {
+      canvas.releasePointerCapture(painting.pointerId);
+    } catch {}
+    painting = null;
+    sculptor.endStroke();
+    render();
+  };
+
+  // Capture phase on window so the camera orbit, pointer lock and click-to-use
+  // handlers on the canvas never see a brush stroke.
+  const onPointerDown = (event) => {
+    if (!isOpen() || event.target !== canvas || event.button !== 0 || event.altKey) return;
+    event.stopPropagation();
+    event.preventDefault();
+    updateHover(event);
+    painting = { pointerId: event.pointerId };
+    try {
+      canvas.setPointerCapture(event.pointerId);
+    } catch {}
+    sculptor.beginStroke();
+  };
+  const onPointerMove = (event) => {
+    if (!isOpen()) return;
+    if (event.target === canvas) updateHover(event);
+    if (painting?.pointerId === event.pointerId) event.stopPropagation();
+  };
+  const onPointerUp = (event) => {
+    if (painting?.pointerId !== event.pointerId) return;
+    event.stopPropagation();
+    stopPainting();
+  };
+  window.addEventListener("pointerdown", onPointerDown, true);
+  window.addEventListener("pointermove", onPointerMove, true);
+  window.addEventListener("pointerup", onPointerUp, true);
+  window.addEventListener("pointercancel", onPointerUp, true);
+  canvas.addEventListener("pointerleave", () => {
+    if (!painting) hasPointer = false;
+  });
+
+  const undo = () => {
+    stopPainting();
+    notice.textContent = sculptor.undo() ? "Undid the last stroke." : "Nothing to undo.";
+    render();
+  };
+
+  const onKey = (event) => {
+    if (!isOpen()) return;
+    if (event.code === "Escape") {
+      setOpen(false);
+    } else if (event.code === "KeyZ" && (event.ctrlKey || event.metaKey)) {
+      event.preventDefault();
+      undo();
+    } else if (event.code === "BracketLeft" || event.code === "BracketRight") {
+      const change = event.code === "BracketLeft" ? -2 : 2;
+      brush.radius = Math.min(MAX_RADIUS, Math.max(MIN_RADIUS, brush.radius + change));
+      render();
+    }
+  };
+  window.addEventListener("keydown", onKey);
+
+  undoButton.addEventListener("click", undo);
+  exportButton.addEventListener("click", () => {
+    const { png, config } = sculptor.exportHeightmap();
+    download(png, config.heightmap.url.split("/").pop(), "image/png");
+    download(`${JSON.stringify(config, null, 2)}\n`, "terrain.json", "application/json");
+    notice.textContent = `Saved: put the PNG in public/${config.heightmap.url} and replace public/config/terrain.json.`;
+  });
+  closeButton.addEventListener("click", () => setOpen(false));
+
+  getUISlot("bottomRight").appendChild(wrap);
+
+  /** Per frame: track the ground under the mouse and paint while held. */
+  const update = (dt) => {
+    if (!isOpen()) return;
+    hover = null;
+    if (hasPointer) {
+      raycaster.setFromCamera(pointer, camera);
+      const hit = raycaster.intersectObject(terrain, true)[0];
+      if (hit) hover = hit.point;
+    }
+    if (!hover) {
+      sculptor.setCursor(null);
+      return;
+    }
+    if (painting) {
+      sculptor.applyBrush(hover.x, hover.z, { ...brush, dt: Math.min(dt, 0.1) });
+    }
+    sculptor.setCursor(hover.x, hover.z, brush.radius);
+  };
+
+  return {
+    setOpen,
+    isOpen,
+    toggle: () => setOpen(!isOpen()),
+    update,
+    dispose() {
+      setOpen(false);
+      window.removeEventListener("pointerdown", onPointerDown, true);
+      window.removeEventListener("pointermove", onPointerMove, true);
+      window.removeEventListener("pointerup", onPointerUp, true);
+      window.removeEventListener("pointercancel", onPointerUp, true);
+      window.removeEventListener("keydown", onKey);
+      sculptor.dispose();
+      wrap.remove();
+    },
+  };
+}
@@ -0,0 +1,334 @@
+// On-screen controls for touch devices: a floating joystick on the left half
+// of the screen, a look pad on the right half and a column of action buttons.
+// Everything feeds InputMap as an alternate input source, so the player
+// controller and cameras need no touch-specific code. Each control tracks its
+// own pointer id, which is what lets one thumb walk while the other looks.
+
+const JOYSTICK_RADIUS = 56; // px the knob can travel from the base centre
+const KNOB_SIZE = 52;
+const BUTTON_SIZE = 58;
+
+/** True on phones/tablets whose primary pointer is a finger. */
+export function prefersTouchControls() {
+  if (typeof window === "undefined" || typeof window.matchMedia !== "function") return false;
+  return window.matchMedia("(pointer: coarse)").matches;
+}
+
+function makeCircle(size, style = {}) {
+  const el = document.createElement("div");
+  Object.assign(el.style, {
+    position: "absolute",
+    width: `${size}px`,
+    height: `${size}px`,
+    borderRadius: "50%",
+    pointerEvents: "none",
+    ...style,
+  });
+  return el;
+}
+
+function makeButton(label, title) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.textContent = label;
+  button.setAttribute("aria-label", title);
+  Object.assign(button.style, {
+    width: `${BUTTON_SIZE}px`,
+    height: `${BUTTON_SIZE}px`,
+    borderRadius: "50%",
+    border: "2px solid rgba(255,255,255,0.55)",
+    background: "rgba(0,0,0,0.35)",
+    color: "#fff",
+    font: "600 12px/1 ui-sans-serif, system-ui",
+    letterSpacing: "0.04em",
+    padding: "0",
+    pointerEvents: "auto",
+    touchAction: "none",
+    userSelect: "none",
+    WebkitUserSelect: "none",
+    WebkitTapHighlightColor: "transparent",
+  });
+  return button;
+}
+
+function setActiveLook(button, active) {
+  button.style.background = active ? "rgba(255,255,255,0.35)" : "rgba(0,0,0,0.35)";
+}
+
+/**
+ * Capture a pointer on `el` and route its move/up events to the handlers.
+ * Returns a cleanup function.
+ */
+function trackPointers(el, { down, move, up }) {
+  const onDown = (event) => {
+    event.preventDefault();
+    try {
+      el.setPointerCapture(event.pointerId);
+    } catch {}
+    down(event);
+  };
+  const onMove = (event) => {
+    move?.(event);
+  };
+  const onUp = (event) => {
+    up(event);
+  };
+  el.addEventListener("pointerdown", onDown);
+  el.addEventListener("pointermove", onMove);
+  el.addEventListener("pointerup", onUp);
+  el.addEventListener("pointercancel", onUp);
+  el.addEventListener("lostpointercapture", onUp);
+  return () => {
+    el.removeEventListener("pointerdown", onDown);
+    el.removeEventListener("pointermove", onMove);
+    el.removeEventListener("pointerup", onUp);
+    el.removeEventListener("pointercancel", onUp);
+    el.removeEventListener("lostpointercapture", onUp);
+  };
+}
+
+/**
+ * @param {{
+ *   input: import("../input/InputMap.js").InputMap,
+ *   getFlying?: () => boolean,
+ * }} options
+ */
+export function mountTouchControls({ input, getFlying = () => false } = {}) {
+  const root = document.createElement("div");
+  root.className = "touch-controls";
+  Object.assign(root.style, {
+    position: "fixed",
+    inset: "0",
+    zIndex: "1100", // under the HUD panels (ui-root is 1200)
+    pointerEvents: "none",
+    touchAction: "none",
+  });
+
+  // Left half: joystick appears wherever the thumb lands.
+  const moveZone = document.createElement("div");
+  Object.assign(moveZone.style, {
+    position: "absolute",
+    left: "0",
+    bottom: "0",
+    width: "50%",
+    height: "60%",
+    pointerEvents: "auto",
+    touchAction: "none",
+  });
+  const base = makeCircle(JOYSTICK_RADIUS * 2, {
+    border: "2px solid rgba(255,255,255,0.45)",
+    background: "rgba(0,0,0,0.2)",
+  });
+  const knob = makeCircle(KNOB_SIZE, {
+    background: "rgba(255,255,255,0.55)",
+    boxShadow: "0 2px 8px rgba(0,0,0,0.35)",
+  });
+  moveZone.append(base, knob);
+
+  // Right half: drag to look.
+  const lookZone = document.createElement("div");
+  Object.assign(lookZone.style, {
+    position: "absolute",
+    right: "0",
+    bottom: "0",
+    width: "50%",
+    height: "60%",
+    pointerEvents: "auto",
+    touchAction: "none",
+  });
+
+  const buttons = document.createElement("div");
+  Object.assign(buttons.style, {
+    position: "absolute",
+    right: "16px",
+    bottom: "24px",
+    display: "grid",
+    gridTemplateColumns: `repeat(2, ${BUTTON_SIZE}px)`,
+    gap: "12px",
+    pointerEvents: "none",
+  });
+
+  root.append(moveZone, lookZone, buttons);
+  document.body.appendChild(root);
+
+  const cleanups = [];
+
+  // --- Joystick ------------------------------------------------------------
+  const joystick = { pointerId: null, originX: 0, originY: 0 };
+
+  const placeJoystick = (x, y, knobX, knobY) => {
+    const rect = moveZone.getBoundingClientRect();
+    base.style.left = `${x - rect.left - JOYSTICK_RADIUS}px`;
+    base.style.top = `${y - rect.top - JOYSTICK_RADIUS}px`;
+    knob.style.left = `${knobX - rect.left - KNOB_SIZE / 2}px`;
+    knob.style.top = `${knobY - rect.top - KNOB_SIZE / 2}px`;
+  };
+
+  const restJoystick = () => {
+    const rect = moveZone.getBoundingClientRect();
+    const x = rect.left + 32 + JOYSTICK_RADIUS;
+    const y = rect.bottom - 32 - JOYSTICK_RADIUS;
+    placeJoystick(x, y, x, y);
+    base.style.opacity = "0.5";
+    knob.style.opacity = "0.5";
+  };
+
+  cleanups.push(
+    trackPointers(moveZone, {
+      down(event) {
+        if (joystick.pointerId !== null) return;
+        joystick.pointerId = event.pointerId;
+        joystick.originX = event.clientX;
+        joystick.originY = event.clientY;
+        base.style.opacity = "1";
+        knob.style.opacity = "1";
+        placeJoystick(event.clientX, event.clientY, event.clientX, event.clientY);
+      },
+      move(event) {
+        if (event.pointerId !== joystick.pointerId) return;
+        let dx = event.clientX - joystick.originX;
+        let dy = event.clientY - joystick.originY;
+        const distance = Math.hypot(dx, dy);
+        if (distance > JOYSTICK_RADIUS) {
+          dx *= JOYSTICK_RADIUS / distance;
+          dy *= JOYSTICK_RADIUS / distance;
+        }
+        placeJoystick(joystick.originX, joystick.originY, joystick.originX + dx, joystick.originY + dy);
+        input.setTouchMove(dx / JOYSTICK_RADIUS, dy / JOYSTICK_RADIUS);
+      },
+      up(event) {
+        if (event.pointerId !== joystick.pointerId) return;
+        joystick.pointerId = null;
+        input.setTouchMove(0, 0);
+        restJoystick();
+      },
+    })
+  );
+
+  // --- Look pad ------------------------------------------------------------
+  const look = { pointerId: null, lastX: 0, lastY: 0 };
+  cleanups.push(
+    trackPointers(lookZone, {
+      down(event) {
+        if (look.pointerId !== null) return;
+        look.pointerId = event.pointerId;
+        look.lastX = event.clientX;
+        look.lastY = event.clientY;
+      },
+      move(event) {
+        if (event.pointerId !== look.pointerId) return;
+        input.addTouchLook(event.clientX - look.lastX, event.clientY - look.lastY);
+        look.lastX = event.clientX;
+        look.lastY = event.clientY;
+      },
+      up(event) {
+        if (event.pointerId !== look.pointerId) return;
+        look.pointerId = null;
+      },
+    })
+  );
+
+  // --- Buttons -------------------------------------------------------------
+  /** @param {HTMLButtonElement} button @param {string} action */
+  const holdButton = (button, action) => {
+    const pointers = new Set();
+    cleanups.push(
+      trackPointers(button, {
+        down(event) {
+          pointers.add(event.pointerId);
+          input.setTouchButton(action, true);
+          setActiveLook(button, true);
+        },
+        up(event) {
+          if (!pointers.delete(event.pointerId) || pointers.size > 0) return;
+          input.setTouchButton(action, false);
+          setActiveLook(button, false);
+        },
+      })
+    );
+  };
+  /** @param {HTMLButtonElement} button @param {() => void} onTap */
+  const tapButton = (button, onTap) => {
+    cleanups.push(
+      trackPointers(button, {
+        down() {
+          setActiveLook(button, true);
+          onTap();
+        },
+        up() {
+          setActiveLook(button, false);
+        },
+      })
+    );
+  };
+
+  const useButton = makeButton("USE", "Interact");
+  const jumpButton = makeButton("JUMP", "Jump / fly up");
+  const sprintButton = makeButton("RUN", "Sprint (toggle)");
+  const flyButton = makeButton("FLY", "Toggle flight");
+  const downButton = makeButton("DOWN", "Fly down");
+
+  tapButton(useButton, () => input.queueAction("interact"));
+  holdButton(jumpButton, "jump");
+  holdButton(downButton, "flyDown");
+  tapButton(flyButton, () => input.queueAction("flyToggle"));
+
+  // Sprint latches: holding it with a thumb that also steers is awkward.
+  let sprintLatched = false;
+  cleanups.push(
+    trackPointers(sprintButton, {
+      down() {
+        sprintLatched = !sprintLatched;
+        input.setTouchButton("sprint", sprintLatched);
+        setActiveLook(sprintButton, sprintLatched);
+      },
+      up() {},
+    })
+  );
+
+  buttons.append(useButton, jumpButton, sprintButton, flyButton, downButton);
+
+  const onResize = () => {
+    if (joystick.pointerId === null) restJoystick();
+  };
+  window.addEventListener("resize", onResize);
+  restJoystick();
+
+  let visible = true;
+  let flying = null;
+  const setVisible = (value) => {
+    visible = !!value;
+    root.style.display = visible ? "block" : "none";
+    if (!visible) {
+      joystick.pointerId = null;
+      look.pointerId = null;
+      input.setTouchMove(0, 0);
+      for (const action of ["jump", "sprint", "flyDown"]) input.setTouchButton(action, false);
+      sprintLatched = false;
+      for (const button of [jumpButton, sprintButton, downButton]) setActiveLook(button, false);
+    } else {
+      restJoystick();
+    }
+  };
+
+  return {
+    /** Call once per frame; shows the descend button only while flying. */
+    update() {
+      if (!visible) return;
+      const nextFlying = !!getFlying();
+      if (nextFlying === flying) return;
+      flying = nextFlying;
+      downButton.style.visibility = flying ? "visible" : "hidden";
+      if (!flying) input.setTouchButton("flyDown", false);
+    },
+    setVisible,
+    isVisible: () => visible,
+    rootElement: root,
+    dispose() {
+      cleanups.forEach((cleanup) => cleanup());
+      window.removeEventListener("resize", onResize);
+      setVisible(false);
+      root.remove();
+    },
+  };
+}
@@ -0,0 +1,447 @@
+import { HARBOR_WATER_BOUNDS } from "../world/locations.js";
+import {
+  MAP_COLORS,
+  createMapProjection,
+  mapBearing,
+  drawTerrainLayer,
+  drawMapFeatures,
+  drawLandmarkMarker,
+  drawPlayerArrow,
+} from "./mapLayers.js";
+import { isActionKey, getActionKeyLabel, subscribeKeyBindings } from "../input/keyBindings.js";
+
+// Full-screen world map (the `worldMap` binding, M by default, toggles). Shows
+// the whole terrain with every landmark group from the layout config plus the
+// named anchors, and asks the host to fast-travel when a marker or list entry
+// is clicked. Travel itself (ground snapping, collision checks) stays in
+// main.js.
+
+const SIDEBAR_WIDTH = 320;
+const PICK_RADIUS = 10; // CSS pixels around a marker that count as a hit
+const ANCHOR_COLOR = "#ffffff";
+const PLANNED_COLOR = "rgba(245, 215, 110, 0.45)";
+
+/**
+ * @typedef {{
+ *   id: string,
+ *   name: string,
+ *   description: string,
+ *   x: number,
+ *   z: number,
+ *   planned?: boolean,
+ *   anchor?: boolean,
+ * }} MapDestination
+ */
+
+/**
+ * Flatten layout config groups into map destinations. Disabled entries are
+ * kept (flagged `planned`) so the map still shows where they will stand.
+ * @param {{ groups?: any[] } | null | undefined} layout
+ * @returns {{ id: string, label: string, description: string, destinations: MapDestination[] }[]}
+ */
+export function collectLayoutDestinations(layout) {
+  const groups = Array.isArray(layout?.groups) ? layout.groups : [];
+  return groups
+    .map((group) => {
+      const destinations = [];
+      for (const entry of Array.isArray(group?.landmarks) ? group.landmarks : []) {
+        const position = entry?.placement?.position;
+        if (!Number.isFinite(position?.x) || !Number.isFinite(position?.z)) continue;
+        destinations.push({
+          id: entry.id || entry.name,
+          name: entry.name || entry.id || "Landmark",
+          description: typeof entry.description === "string" ? entry.description : "",
+          x: position.x,
+          z: position.z,
+          planned: group.enabled === false || entry.enabled === false,
+        });
+      }
+      return {
+        id: group?.id || "",
+        label: group?.label || group?.id || "Landmarks",
+        description: typeof group?.description === "string" ? group.description : "",
+        destinations,
+      };
+    })
+    .filter((group) => group.destinations.length > 0);
+}
+
+function makeEntryButton(destination, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  Object.assign(button.style, {
+    display: "block",
+    width: "100%",
+    textAlign: "left",
+    margin: "4px 0 0",
+    padding: "6px 8px",
+    borderRadius: "6px",
+    border: "1px solid rgba(255,255,255,0.18)",
+    background: "rgba(255,255,255,0.05)",
+    color: "inherit",
+    font: "inherit",
+    cursor: "pointer",
+    opacity: destination.planned ? "0.7" : "1",
+  });
+  const name = document.createElement("div");
+  name.textContent = destination.planned ? `${destination.name} (planned)` : destination.name;
+  name.style.fontWeight = "600";
+  button.appendChild(name);
+  if (destination.description) {
+    const description = document.createElement("div");
+    description.textContent = destination.description;
+    Object.assign(description.style, { opacity: "0.75", fontSize: "12px" });
+    button.appendChild(description);
+  }
+  button.addEventListener("click", (event) => {
+    event.preventDefault();
+    onClick(destination);
+  });
+  return button;
+}
+
+/**
+ * @param {{
+ *   terrainLayer: HTMLCanvasElement,
+ *   worldBounds: { minX: number, maxX: number, minZ: number, maxZ: number },
+ *   waterBounds?: { west: number, east: number, north: number, south: number } | null,
+ *   roadSegments?: { ax: number, az: number, bx: number, bz: number }[],
+ *   hillRoad?: { getPoints: (divisions: number) => { x: number, z: number }[] } | null,
+ *   civicOutline?: { x: number, y: number }[] | null,
+ *   getLayout?: () => ({ groups?: any[] } | null),
+ *   anchors?: {
+ *     id: string,
+ *     name: string,
+ *     description?: string,
+ *     position: { x: number, z: number },
+ *   }[],
+ *   getPosition?: () => { x: number, z: number } | null,
+ *   getDirection?: () => { x: number, z: number } | null,
+ *   onTravel?: (destination: MapDestination) => void,
+ *   onOpenChange?: (open: boolean) => void,
+ *   action?: string,
+ * }} options
+ */
+export function mountWorldMap({
+  terrainLayer,
+  worldBounds,
+  waterBounds = HARBOR_WATER_BOUNDS,
+  roadSegments = [],
+  hillRoad = null,
+  civicOutline = null,
+  getLayout = () => null,
+  anchors = [],
+  getPosition,
+  getDirection,
+  onTravel,
+  onOpenChange,
+  action = "worldMap",
+} = {}) {
+  const anchorDestinations = anchors.map((anchor) => ({
+    id: anchor.id,
+    name: anchor.name,
+    description: anchor.description ?? "",
+    x: anchor.position.x,
+    z: anchor.position.z,
+    anchor: true,
+  }));
+  /** @type {MapDestination[]} */
+  let destinations = [];
+  const hillRoadPoints = hillRoad?.getPoints ? hillRoad.getPoints(240) : [];
+
+  const overlay = document.createElement("div");
+  Object.assign(overlay.style, {
+    position: "fixed",
+    inset: "0",
+    display: "none",
+    gap: "16px",
+    padding: "24px",
+    boxSizing: "border-box",
+    background: "rgba(8,10,14,0.86)",
+    backdropFilter: "blur(3px)",
+    color: "#fff",
+    font: "13px/1.35 ui-sans-serif, system-ui",
+    zIndex: "1250",
+    justifyContent: "center",
+    alignItems: "center",
+  });
+
+  const mapWrap = document.createElement("div");
+  Object.assign(mapWrap.style, { position: "relative", flex: "0 0 auto" });
+  overlay.appendChild(mapWrap);
+
+  const canvas = document.createElement("canvas");
+  Object.assign(canvas.style, {
+    display: "block",
+    borderRadius: "10px",
+    border: "2px solid rgba(255,255,255,0.5)",
+    cursor: "crosshair",
+  });
+  mapWrap.appendChild(canvas);
+  const ctx = canvas.getContext("2d");
+
+  const tooltip = document.createElement("div");
+  Object.assign(tooltip.style, {
+    position: "absolute",
+    maxWidth: "240px",
+    padding: "6px 8px",
+    borderRadius: "6px",
+    background: "rgba(0,0,0,0.8)",
+    pointerEvents: "none",
+    display: "none",
+    transform: "translate(12px, 12px)",
+  });
+  mapWrap.appendChild(tooltip);
+
+  const sidebar = document.createElement("div");
+  Object.assign(sidebar.style, {
+    width: `${SIDEBAR_WIDTH}px`,
+    maxHeight: "100%",
+    overflowY: "auto",
+    flex: "0 0 auto",
+    alignSelf: "stretch",
+  });
+  overlay.appendChild(sidebar);
+
+  const title = document.createElement("div");
+  title.textContent = "Map of Athens";
+  Object.assign(title.style, {
+    fontWeight: 700,
+    letterSpacing: "0.08em",
+    textTransform: "uppercase",
+    marginBottom: "4px",
+  });
+  sidebar.appendChild(title);
+
+  const hint = document.createElement("div");
+  Object.assign(hint.style, { opacity: "0.65", fontSize: "12px", marginBottom: "10px" });
+  sidebar.appendChild(hint);
+  const unsubscribeKeys = subscribeKeyBindings(() => {
+    const key = getActionKeyLabel(action);
+    hint.textContent = `Click a place to travel there. ${key} or Esc to close.`;
+  });
+
+  const travelTo = (destination) => {
+    setOpen(false);
+    onTravel?.(destination);
+  };
+
+  const addSection = (label, description, entries) => {
+    const heading = document.createElement("div");
+    heading.textContent = label;
+    Object.assign(heading.style, {
+      marginTop: "12px",
+      fontWeight: 600,
+      fontSize: "11px",
+      letterSpacing: "0.08em",
+      textTransform: "uppercase",
+    });
+    sections.appendChild(heading);
+    if (description) {
+      const text = document.createElement("div");
+      text.textContent = description;
+      Object.assign(text.style, { opacity: "0.65", fontSize: "12px" });
+      sections.appendChild(text);
+    }
+    entries.forEach((destination) => sections.appendChild(makeEntryButton(destination, travelTo)));
+  };
+
+  const sections = document.createElement("div");
+  sidebar.appendChild(sections);
+
+  // The layout object is replaced whenever it is reloaded; rebuild the list
+  // and markers from the new one.
+  let listedLayout;
+  const syncDestinations = () => {
+    const layout = getLayout();
+    if (layout === listedLayout) return;
+    listedLayout = layout;
+    const groups = collectLayoutDestinations(layout);
+    destinations = [...anchorDestinations, ...groups.flatMap((group) => group.destinations)];
+    sections.replaceChildren();
+    if (anchorDestinations.length) addSection("Districts", "", anchorDestinations);
+    groups.forEach((group) => addSection(group.label, group.description, group.destinations));
+  };
+  syncDestinations();
+
+  document.body.appendChild(overlay);
+
+  let cssSize = 0;
+  let dpr = 1;
+  let hovered = null;
+
+  const layoutCanvas = () => {
+    dpr = Math.min(2, window.devicePixelRatio || 1);
+    cssSize = Math.max(
+      240,
+      Math.floor(Math.min(window.innerHeight - 48, window.innerWidth - SIDEBAR_WIDTH - 64))
+    );
+    canvas.style.width = `${cssSize}px`;
+    canvas.style.height = `${cssSize}px`;
+    canvas.width = Math.round(cssSize * dpr);
+    canvas.height = Math.round(cssSize * dpr);
+  };
+
+  const worldWidth = worldBounds.maxX - worldBounds.minX;
+  const worldDepth = worldBounds.maxZ - worldBounds.minZ;
+  const span = Math.max(worldWidth, worldDepth);
+  // World → canvas pixels (device pixels when `ratio` is dpr, CSS pixels when 1).
+  const projectionFor = (ratio) =>
+    createMapProjection({
+      originX: worldBounds.minX,
+      originZ: worldBounds.minZ,
+      scale: (cssSize * ratio) / span,
+    });
+
+  const draw = () => {
+    syncDestinations();
+    const pixels = canvas.width;
+    const projection = projectionFor(dpr);
+    const { toX, toY, scale } = projection;
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.fillStyle = MAP_COLORS.background;
+    ctx.fillRect(0, 0, pixels, pixels);
+    drawTerrainLayer(ctx, terrainLayer, worldBounds, projection);
+
+    drawMapFeatures(ctx, {
+      toX,
+      toY,
+      scale,
+      dpr,
+      waterBounds,
+      roadSegments,
+      hillRoadPoints,
+      civicOutline,
+    });
+
+    for (const destination of destinations) {
+      const isHovered = destination === hovered;
+      drawLandmarkMarker(ctx, toX(destination.x), toY(destination.z), {
+        dpr,
+        radius: destination.anchor ? 7 : isHovered ? 6 : 5,
+        color: destination.anchor
+          ? ANCHOR_COLOR
+          : destination.planned && !isHovered
+          ? PLANNED_COLOR
+          : MAP_COLORS.landmark,
+        label: destination.anchor || isHovered ? destination.name : "",
+        fontSize: destination.anchor ? 13 : 11,
+      });
+    }
+
+    const position = getPosition?.();
+    if (position) {
+      const direction = getDirection?.();
+      drawPlayerArrow(
+        ctx,
+        toX(position.x),
+        toY(position.z),
+        mapBearing(direction),
+        dpr * 1.4
+      );
+    }
+  };
+
+  const pick = (event) => {
+    const rect = canvas.getBoundingClientRect();
+    const mx = event.clientX - rect.left;
+    const my = event.clientY - rect.top;
+    let best = null;
+    let bestDistance = PICK_RADIUS * PICK_RADIUS;
+    const { toX, toY } = projectionFor(1);
+    for (const destination of destinations) {
+      const d = (toX(destination.x) - mx) ** 2 + (toY(destination.z) - my) ** 2;
+      if (d <= bestDistance) {
+        best = destination;
+        bestDistance = d;
+      }
+    }
+    return { destination: best, mx, my };
+  };
+
+  canvas.addEventListener("pointermove", (event) => {
+    const { destination, mx, my } = pick(event);
+    if (destination !== hovered) {
+      hovered = destination;
+      draw();
+    }
+    if (destination) {
+      tooltip.replaceChildren();
+      const name = document.createElement("div");
+      name.textContent = destination.planned ? `${destination.name} (planned)` : destination.name;
+      name.style.fontWeight = "600";
+      tooltip.appendChild(name);
+      if (destination.description) {
+        const description = document.createElement("div");
+        description.textContent = destination.description;
+        description.style.opacity = "0.8";
+        tooltip.appendChild(description);
+      }
+      tooltip.style.left = `${mx}px`;
+      tooltip.style.top = `${my}px`;
+      tooltip.style.display = "block";
+      canvas.style.cursor = "pointer";
+    } else {
+      tooltip.style.display = "none";
+      canvas.style.cursor = "crosshair";
+    }
+  });
+  canvas.addEventListener("pointerleave", () => {
+    tooltip.style.display = "none";
+    if (hovered) {
+      hovered = null;
+      draw();
+    }
+  });
+  canvas.addEventListener("click", (event) => {
+    const { destination } = pick(event);
+    if (destination) travelTo(destination);
+  });
+
+  const isOpen = () => overlay.style.display !== "none";
+  function setOpen(open) {
+    if (open === isOpen()) return;
+    overlay.style.display = open ? "flex" : "none";
+    tooltip.style.display = "none";
+    hovered = null;
+    if (open) {
+      layoutCanvas();
+      draw();
+    }
+    onOpenChange?.(open);
+  }
+
+  // Capture phase: while the map is open, keep movement/hotkeys from reaching
+  // the game. Key-ups still pass so held keys are released.
+  const onKey = (event) => {
+    if (isActionKey(action, event.code) && !event.repeat) {
+      setOpen(!isOpen());
+      event.preventDefault();
+      event.stopPropagation();
+      return;
+    }
+    if (!isOpen()) return;
+    if (event.code === "Escape") setOpen(false);
+    event.stopPropagation();
+  };
+  window.addEventListener("keydown", onKey, true);
+
+  const onResize = () => {
+    if (!isOpen()) return;
+    layoutCanvas();
+    draw();
+  };
+  window.addEventListener("resize", onResize);
+
+  return {
+    setOpen,
+    isOpen,
+    dispose() {
+      unsubscribeKeys();
+      window.removeEventListener("keydown", onKey, true);
+      window.removeEventListener("resize", onResize);
+      overlay.remove();
+    },
+  };
+}
@@ -0,0 +1,224 @@
+// src/utils/png.js
+import { unzlibSync, zlibSync } from "three/examples/jsm/libs/fflate.module.js";
+
+// Minimal PNG codec for data images. Browsers decode PNGs to 8 bits per
+// channel, which throws away the precision of 16-bit heightmaps, so we read the
+// samples ourselves. Handles non-interlaced greyscale, RGB, grey+alpha and RGBA
+// images at 8 or 16 bits, plus 8-bit palette images; encodes greyscale/RGB(A)
+// at 8 or 16 bits.
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const CHANNELS_BY_COLOR_TYPE = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 };
+const COLOR_TYPE_BY_CHANNELS = { 1: 0, 2: 4, 3: 2, 4: 6 };
+
+/** True when the buffer starts with the PNG signature. */
+export function isPng(buffer) {
+  const bytes = new Uint8Array(buffer, 0, Math.min(8, buffer.byteLength));
+  return bytes.length === 8 && PNG_SIGNATURE.every((value, i) => bytes[i] === value);
+}
+
+/**
+ * @param {ArrayBuffer} buffer
+ * @returns {{
+ *   width: number,
+ *   height: number,
+ *   bitDepth: 8 | 16,
+ *   channels: number,
+ *   data: Uint8Array | Uint16Array,
+ * }} samples interleaved by channel, row-major from the top-left pixel
+ */
+export function decodePng(buffer) {
+  if (!isPng(buffer)) {
+    throw new Error("Not a PNG file");
+  }
+  const view = new DataView(buffer);
+  const bytes = new Uint8Array(buffer);
+  let header = null;
+  let palette = null;
+  const idat = [];
+  let idatLength = 0;
+
+  for (let offset = 8; offset + 8 <= bytes.length; ) {
+    const length = view.getUint32(offset);
+    const type = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8));
+    const data = bytes.subarray(offset + 8, offset + 8 + length);
+    if (type === "IHDR") {
+      header = {
+        width: view.getUint32(offset + 8),
+        height: view.getUint32(offset + 12),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+      idatLength += data.length;
+    } else if (type === "IEND") {
+      break;
+    }
+    offset += 12 + length;
+  }
+
+  if (!header) throw new Error("PNG is missing its IHDR chunk");
+  const { width, height, bitDepth, colorType, interlace } = header;
+  const channels = CHANNELS_BY_COLOR_TYPE[colorType];
+  if (!channels) throw new Error(`Unsupported PNG colour type ${colorType}`);
+  if (interlace) throw new Error("Interlaced PNGs are not supported");
+  if (bitDepth !== 8 && bitDepth !== 16) {
+    throw new Error(`Unsupported PNG bit depth ${bitDepth} (use 8 or 16)`);
+  }
+  if (colorType === 3 && (!palette || bitDepth !== 8)) {
+    throw new Error("Palette PNGs must be 8-bit with a PLTE chunk");
+  }
+
+  const compressed = new Uint8Array(idatLength);
+  let cursor = 0;
+  for (const part of idat) {
+    compressed.set(part, cursor);
+    cursor += part.length;
+  }
+  const raw = unzlibSync(compressed);
+
+  const bytesPerPixel = (channels * bitDepth) / 8;
+  const rowBytes = width * bytesPerPixel;
+  if (raw.length < height * (rowBytes + 1)) {
+    throw new Error("PNG image data is truncated");
+  }
+  const pixels = new Uint8Array(height * rowBytes);
+  unfilter(raw, pixels, width, height, rowBytes, bytesPerPixel);
+
+  if (colorType === 3) {
+    const rgb = new Uint8Array(width * height * 3);
+    for (let i = 0; i < width * height; i++) {
+      const entry = pixels[i] * 3;
+      rgb[i * 3] = palette[entry] ?? 0;
+      rgb[i * 3 + 1] = palette[entry + 1] ?? 0;
+      rgb[i * 3 + 2] = palette[entry + 2] ?? 0;
+    }
+    return { width, height, bitDepth: 8, channels: 3, data: rgb };
+  }
+
+  if (bitDepth === 16) {
+    const samples = new Uint16Array(width * height * channels);
+    for (let i = 0; i < samples.length; i++) {
+      samples[i] = (pixels[i * 2] << 8) | pixels[i * 2 + 1];
+    }
+    return { width, height, bitDepth: 16, channels, data: samples };
+  }
+  return { width, height, bitDepth: 8, channels, data: pixels };
+}
+
+// Undo the per-scanline PNG filters (None, Sub, Up, Average, Paeth).
+function unfilter(raw, out, width, height, rowBytes, bpp) {
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (rowBytes + 1)];
+    const src = y * (rowBytes + 1) + 1;
+    const dst = y * rowBytes;
+    const prev = dst - rowBytes;
+    for (let x = 0; x < rowBytes; x++) {
+      const value = raw[src + x];
+      const left = x >= bpp ? out[dst + x - bpp] : 0;
+      const up = y > 0 ? out[prev + x] : 0;
+      const upLeft = y > 0 && x >= bpp ? out[prev + x - bpp] : 0;
+      let predicted = 0;
+      if (filter === 1) {
+        predicted = left;
+      } else if (filter === 2) {
+        predicted = up;
+      } else if (filter === 3) {
+        predicted = (left + up) >> 1;
+      } else if (filter === 4) {
+        const p = left + up - upLeft;
+        const pa = Math.abs(p - left);
+        const pb = Math.abs(p - up);
+        const pc = Math.abs(p - upLeft);
+        predicted = pa <= pb && pa <= pc ? left : pb <= pc ? up : upLeft;
+      } else if (filter !== 0) {
+        throw new Error(`Unknown PNG filter type ${filter} on row ${y}`);
+      }
+      out[dst + x] = (value + predicted) & 0xff;
+    }
+  }
+}
+
+/**
+ * Encode samples as a PNG (no filtering; zlib does the work).
+ * @param {{
+ *   width: number,
+ *   height: number,
+ *   bitDepth?: 8 | 16,
+ *   channels?: 1 | 2 | 3 | 4,
+ *   data: ArrayLike<number>,
+ * }} image  samples interleaved by channel, row-major from the top-left pixel
+ * @returns {Uint8Array}
+ */
+export function encodePng({ width, height, bitDepth = 8, channels = 1, data }) {
+  const colorType = COLOR_TYPE_BY_CHANNELS[channels];
+  if (colorType === undefined) throw new Error(`Cannot encode ${channels} channels`);
+  if (bitDepth !== 8 && bitDepth !== 16) throw new Error(`Cannot encode bit depth ${bitDepth}`);
+
+  const rowBytes = (width * channels * bitDepth) / 8;
+  const raw = new Uint8Array(height * (rowBytes + 1));
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (rowBytes + 1) + 1; // leading 0 = filter "None"
+    for (let x = 0; x < width * channels; x++) {
+      const value = data[y * width * channels + x];
+      if (bitDepth === 16) {
+        raw[rowStart + x * 2] = (value >> 8) & 0xff;
+        raw[rowStart + x * 2 + 1] = value & 0xff;
+      } else {
+        raw[rowStart + x] = value & 0xff;
+      }
+    }
+  }
+
+  const header = new Uint8Array(13);
+  const headerView = new DataView(header.buffer);
+  headerView.setUint32(0, width);
+  headerView.setUint32(4, height);
+  header[8] = bitDepth;
+  header[9] = colorType;
+
+  const chunks = [
+    Uint8Array.from(PNG_SIGNATURE),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlibSync(raw)),
+    pngChunk("IEND", new Uint8Array(0)),
+  ];
+  const out = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.length, 0));
+  let offset = 0;
+  for (const chunk of chunks) {
+    out.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return out;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(12 + data.length);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(8 + data.length, crc32(chunk.subarray(4, 8 + data.length)));
+  return chunk;
+}
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
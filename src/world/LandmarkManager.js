@@ -8,6 +8,8 @@
 //   • retrying fallbacks when the preferred model is absent
 //   • marking meshes as collidable and refreshing the shared environment collider
 //   • optionally spawning a handcrafted placeholder monument when nothing loads
+//   • making whatever was placed usable, so the player can read its description
+//   • re-placing only what changed when a layout is loaded again (dev hot reload)
 // By funnelling the configuration through this helper we keep `main.js`
 // approachable for beginners while still supporting historically rich layouts.
 // -----------------------------------------------------------------------------
@@ -17,6 +19,26 @@ import { loadLandmark } from "./landmarks.js";
 import { SEA_LEVEL_Y } from "./locations.js";
 import { snapAboveGround } from "./ground.js";
 import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+import { resolveLayoutAnchors } from "./layoutAnchors.js";
+import { reportConfigLoadError, validateConfig } from "../config/configValidation.js";
+import { LANDMARK_LAYOUT_SCHEMA } from "../config/configSchemas.js";
+
+// Custom HMR event sent by the dev server when a file under public/config
+// changes (see vite.config.ts).
+const CONFIG_CHANGE_EVENT = "athens:config-change";
+
+// How close (m) the player has to be before a landmark's floating label shows,
+// unless the layout sets `labelDistance`.
+const DEFAULT_LABEL_DISTANCE = 30;
+
+function disposeObject(object) {
+  object?.traverse?.((child) => {
+    if (!child.isMesh) return;
+    child.geometry?.dispose?.();
+    const materials = Array.isArray(child.material) ? child.material : [child.material];
+    for (const material of materials) material?.dispose?.();
+  });
+}
 
 function isPlainObject(value) {
   return Object.prototype.toString.call(value) === "[object Object]";
@@ -101,6 +123,9 @@ export class LandmarkManager {
     envCollider = null,
     renderer = null,
     spawnPlaceholder = null,
+    spawnCollectible = null,
+    despawnCollectible = null,
+    onInspect = null,
     logger = console,
     quietMissing = false,
   } = {}) {
@@ -114,11 +139,24 @@ export class LandmarkManager {
     this.envCollider = envCollider;
     this.renderer = renderer;
     this.spawnPlaceholder = typeof spawnPlaceholder === "function" ? spawnPlaceholder : null;
+    this.spawnCollectible = typeof spawnCollectible === "function" ? spawnCollectible : null;
+    this.despawnCollectible = typeof despawnCollectible === "function" ? despawnCollectible : null;
+    this.onInspect = typeof onInspect === "function" ? onInspect : null;
     this.logger = logger || console;
     this.quietMissing = !!quietMissing;
     this.baseUrl = resolveBaseUrl();
     this.globalDefaults = {};
     this.results = [];
+    this.collectibles = [];
+    // The layout currently placed (and as written, before anchors were
+    // resolved), and a counter bumped on every (re)load so views built from
+    // `results` know when to rebuild.
+    this.config = null;
+    this.rawConfig = null;
+    this.revision = 0;
+    // key -> { signature, spec, object, placeholder } for each placed landmark.
+    this.placed = new Map();
+    this.stopWatching = null;
   }
 
   setTerrain(terrain) {
@@ -139,6 +177,14 @@ export class LandmarkManager {
     this.spawnPlaceholder = typeof spawnPlaceholder === "function" ? spawnPlaceholder : null;
   }
 
+  setSpawnCollectible(spawnCollectible) {
+    this.spawnCollectible = typeof spawnCollectible === "function" ? spawnCollectible : null;
+  }
+
+  setOnInspect(onInspect) {
+    this.onInspect = typeof onInspect === "function" ? onInspect : null;
+  }
+
   resolveSurfaceOffset(spec = {}) {
     const placementOffset = spec.placement?.surfaceOffset;
     if (typeof placementOffset === "number") return placementOffset;
@@ -287,6 +333,44 @@ export class LandmarkManager {
     }
   }
 
+  /**
+   * What the info panel and floating label show for a landmark.
+   * @returns {{ id: string, name: string, description: string, groupLabel: string, image: string | null, labelDistance: number }}
+   */
+  getLandmarkInfo(spec = {}) {
+    const [image = null] = this.resolveUrls(spec.image ? [spec.image] : []);
+    const labelDistance = Number.isFinite(spec.labelDistance) ? Math.max(0, spec.labelDistance) : DEFAULT_LABEL_DISTANCE;
+    return {
+      id: spec.id ?? "",
+      name: spec.name || spec.id || "Landmark",
+      description: spec.description ?? "",
+      groupLabel: spec.groupLabel ?? "",
+      image,
+      labelDistance,
+    };
+  }
+
+  /**
+   * Make a placed model or placeholder usable: the interact prompt names it and
+   * using it hands its info to the onInspect hook. Replaces the loader's
+   * generic onUse.
+   */
+  makeInspectable(object, spec) {
+    if (!object) return;
+    const info = this.getLandmarkInfo(spec);
+    object.userData = object.userData || {};
+    object.userData.interactable = true;
+    object.userData.landmarkInfo = info;
+    object.userData.prompt = `Press E to read about ${info.name}`;
+    object.userData.onUse = () => {
+      if (this.onInspect) {
+        this.onInspect(info, object);
+      } else {
+        this.logMessage("info", info.description ? `${info.name}: ${info.description}` : info.name);
+      }
+    };
+  }
+
   reparent(object) {
     if (!object || !this.parent || object.parent === this.parent) {
       return;
@@ -381,6 +465,15 @@ export class LandmarkManager {
   }
 
   async placeLandmark(spec = {}) {
+    return (await this.placeLandmarkEntry(spec)).object;
+  }
+
+  /**
+   * Like placeLandmark, but also hands back the placeholder spawned in place
+   * of a missing model so a reload can remove it again.
+   * @returns {Promise<{ object: THREE.Object3D | null, placeholder: THREE.Object3D | null }>}
+   */
+  async placeLandmarkEntry(spec = {}) {
     const name = spec.name || spec.id || "Landmark";
     const transformInfo = this.prepareTransform(spec);
     const primaryUrls = this.resolveUrls(spec.assetFiles || []);
@@ -408,21 +501,103 @@ export class LandmarkManager {
       }
     }
 
+    let placeholder = null;
     if (!result) {
       if (!fallbackUrls.length && messages.allMissing && !this.quietMissing) {
         this.logMessage("info", messages.allMissing);
       }
-      this.spawnFallbackPlaceholder(spec, transformInfo);
+      placeholder = this.spawnFallbackPlaceholder(spec, transformInfo) ?? null;
     }
+    this.makeInspectable(result?.object ?? placeholder, spec);
 
-    return result?.object ?? null;
+    return { object: result?.object ?? null, placeholder };
   }
 
-  async loadConfig(config) {
+  /**
+   * Take a placed landmark (model or placeholder) out of the scene and free
+   * its geometries and materials. Every placement loads or builds its own
+   * meshes, so nothing freed here is shared with another landmark.
+   */
+  removePlaced(record) {
+    for (const object of [record?.object, record?.placeholder]) {
+      object?.parent?.remove?.(object);
+      disposeObject(object);
+    }
+  }
+
+  /**
+   * Every landmark currently in the scene, keyed like the reload diff
+   * (`groupId/entryId`). `object` is the model, or the placeholder standing in
+   * for it.
+   * @returns {Array<{ key: string, spec: object, object: THREE.Object3D, placeholder: boolean }>}
+   */
+  getPlacedLandmarks() {
+    const list = [];
+    for (const [key, record] of this.placed) {
+      const object = record.object ?? record.placeholder;
+      if (!object) continue;
+      list.push({ key, spec: record.spec, object, placeholder: !record.object });
+    }
+    return list;
+  }
+
+  /**
+   * Rebuild the environment collider, e.g. after a collidable landmark was
+   * moved at runtime.
+   */
+  refreshColliders() {
+    if (typeof this.envCollider?.refresh === "function") {
+      this.envCollider.refresh();
+    }
+  }
+
+  /**
+   * Switch collision for a placed landmark at runtime and rebuild the
+   * environment collider. The layout itself is not changed.
+   * @param {string} key  from getPlacedLandmarks
+   * @param {boolean} enabled
+   */
+  setLandmarkCollision(key, enabled) {
+    const record = this.placed.get(key);
+    const object = record?.object ?? record?.placeholder;
+    if (!object) return;
+    // Placeholders also flag their root group.
+    object.userData.noCollision = !enabled;
+    this.applyCollisionSettings(object, enabled);
+    if (!enabled && typeof this.envCollider?.refresh === "function") {
+      this.envCollider.refresh();
+    }
+  }
+
+  /**
+   * Place every enabled landmark and collectible from a layout config. The
+   * layout is checked against LANDMARK_LAYOUT_SCHEMA first; problems go to the
+   * boot config report and loading carries on.
+   * Loading again (a hot reload) keeps landmarks whose resolved settings did
+   * not change, re-places the ones that did and removes the ones that are gone
+   * or now disabled.
+   * @param {object} config
+   * @param {{ source?: string, validate?: boolean, raw?: object }} [options]
+   *   source is where the layout came from, for the report; validate=false
+   *   when the caller already checked the raw file; raw is the layout before
+   *   anchors were resolved (defaults to config)
+   */
+  async loadConfig(config, { source = "", validate = true, raw = config } = {}) {
     if (!config) return [];
+    if (validate) {
+      validateConfig("landmark layout", config, LANDMARK_LAYOUT_SCHEMA, { source });
+    }
+    const reload = this.config !== null;
+    this.config = config;
+    this.rawConfig = raw;
     this.globalDefaults = mergeSettings(config.defaults);
     this.results = [];
 
+    const previous = this.placed;
+    this.placed = new Map();
+    const changes = { added: 0, replaced: 0, removed: 0 };
+    let collidersChanged = false;
+
     const groups = Array.isArray(config.groups) ? config.groups : [];
     for (const group of groups) {
       if (group?.enabled === false) {
@@ -437,12 +612,45 @@ export class LandmarkManager {
         const spec = mergeSettings(groupDefaults, entry);
         spec.groupId = group?.id;
         spec.groupLabel = group?.label;
-        const object = await this.placeLandmark(spec);
-        this.results.push({ spec, object });
+
+        let key = `${group?.id ?? ""}/${entry?.id ?? entry?.name ?? this.results.length}`;
+        while (this.placed.has(key)) key += "'";
+        const signature = JSON.stringify(spec);
+        let record = previous.get(key);
+        previous.delete(key);
+        if (!record || record.signature !== signature) {
+          if (record) {
+            this.removePlaced(record);
+            collidersChanged ||= Boolean(record.spec.collision);
+            changes.replaced += 1;
+          } else {
+            changes.added += 1;
+          }
+          record = { signature, spec, ...(await this.placeLandmarkEntry(spec)) };
+        }
+        this.placed.set(key, record);
+        this.results.push({ spec: record.spec, object: record.object });
       }
     }
 
-    if (config.metadata?.description) {
+    for (const record of previous.values()) {
+      this.removePlaced(record);
+      collidersChanged ||= Boolean(record.spec.collision);
+      changes.removed += 1;
+    }
+    if (collidersChanged && typeof this.envCollider?.refresh === "function") {
+      this.envCollider.refresh();
+    }
+
+    this.placeCollectibles(config.collectibles);
+    this.revision += 1;
+
+    if (reload) {
+      this.logMessage(
+        "info",
+        `[LandmarkManager] Layout reloaded: ${changes.added} added, ${changes.replaced} re-placed, ${changes.removed} removed.`
+      );
+    } else if (config.metadata?.description) {
       this.logMessage(
         "info",
         `[LandmarkManager] Loaded ${this.results.length} landmarks: ${config.metadata.description}`
@@ -453,6 +661,108 @@ export class LandmarkManager {
 
     return this.results;
   }
+
+  /**
+   * Spawn the layout's `collectibles` entries through the spawnCollectible hook.
+   * Positions resolve like landmark placements (terrain aligned + surface offset).
+   * @param {Array<Record<string, any>> | undefined} entries
+   */
+  placeCollectibles(entries) {
+    // On a reload, pickups that did not change stay put (with their collected
+    // state); the rest are despawned and spawned again. Without a despawn hook
+    // the first set stays as it is.
+    const previous = new Map();
+    for (const record of this.collectibles) {
+      previous.set(record.spec.id, record);
+    }
+    if (previous.size > 0 && !this.despawnCollectible) {
+      return this.collectibles;
+    }
+    this.collectibles = [];
+    const list = Array.isArray(entries) && typeof this.spawnCollectible === "function" ? entries : [];
+    for (const entry of list) {
+      if (!entry || entry.enabled === false) continue;
+      const kept = previous.get(entry.id);
+      if (kept && JSON.stringify(kept.spec) === JSON.stringify(entry)) {
+        previous.delete(entry.id);
+        this.collectibles.push(kept);
+        continue;
+      }
+      const position = this.resolvePosition(entry);
+      if (!position) {
+        this.logMessage("warn", `[LandmarkManager] Collectible ${entry.id || "?"} has no position`);
+        continue;
+      }
+      const placement = entry.placement || {};
+      try {
+        const object = this.spawnCollectible({
+          id: entry.id,
+          item: entry.item,
+          count: entry.count,
+          position,
+          rotateY: placement.rotateY ?? placement.rotation?.y ?? 0,
+        });
+        if (object) this.collectibles.push({ spec: entry, object });
+      } catch (error) {
+        this.logMessage("warn", `[LandmarkManager] Failed to spawn collectible ${entry.id || "?"}`);
+        this.logMessage("warn", error);
+      }
+    }
+    for (const record of previous.values()) {
+      this.despawnCollectible?.(record.object);
+    }
+    return this.collectibles;
+  }
+
+  /**
+   * Fetch a JSON layout, resolve its anchor-relative positions (see
+   * layoutAnchors.js) and place it. With `watch` in a Vite dev server, saving
+   * the file loads it again, so landmarks move, appear and disappear without a
+   * page reload. A file that fails to load or parse leaves the current layout
+   * in place.
+   * @param {string} url
+   * @param {{ watch?: boolean, onReload?: (results: Array<{ spec: object, object: THREE.Object3D | null }>) => void }} [options]
+   *   onReload runs after each reload triggered by the watcher
+   * @returns {Promise<Array<{ spec: object, object: THREE.Object3D | null }>>} the placed landmarks
+   */
+  async loadConfigFromUrl(url, { watch = false, onReload = null } = {}) {
+    const results = await this.fetchAndLoad(url);
+    if (watch && import.meta.hot && !this.stopWatching) {
+      const path = new URL(url, window.location.href).pathname;
+      let pending = Promise.resolve();
+      const onChange = (data) => {
+        // Vite reports the path relative to the public dir; the URL may carry the base.
+        if (!data?.path || !path.endsWith(data.path)) return;
+        pending = pending
+          .then(() => this.fetchAndLoad(url))
+          .then((placed) => placed && onReload?.(placed))
+          .catch((error) => this.logMessage("warn", error));
+      };
+      import.meta.hot.on(CONFIG_CHANGE_EVENT, onChange);
+      this.stopWatching = () => {
+        import.meta.hot?.off?.(CONFIG_CHANGE_EVENT, onChange);
+        this.stopWatching = null;
+      };
+    }
+    return results;
+  }
+
+  async fetchAndLoad(url) {
+    let raw;
+    try {
+      const response = await fetch(url, { method: "GET", cache: "no-cache" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      raw = await response.json();
+    } catch (error) {
+      reportConfigLoadError("landmark layout", url, error);
+      this.logMessage("warn", `[LandmarkManager] Could not load layout ${url}: ${error?.message || error}`);
+      return null;
+    }
+    validateConfig("landmark layout", raw, LANDMARK_LAYOUT_SCHEMA, { source: url });
+    return this.loadConfig(resolveLayoutAnchors(raw), { source: url, validate: false, raw });
+  }
 }
 
 export default LandmarkManager;
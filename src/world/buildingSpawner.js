@@ -132,12 +132,12 @@ function makeGableRoof(w, d, h = 1.2) {
 
 // Parametric “prefabs” (fast + zero textures). All return a Group.
 const Prefabs = {
-  house({ w = 5, d = 7, h = 3.8 } = {}) {
+  house({ w = 5, d = 7, h = 3.8, rng = Math.random } = {}) {
     const g = new THREE.Group();
     const base = makeBox(w, h, d, MAT.clay);
     base.position.y = h * 0.5;
     g.add(base);
-    const roof = makeGableRoof(w * 1.02, d * 1.02, 1.0 + 0.3 * Math.random());
+    const roof = makeGableRoof(w * 1.02, d * 1.02, 1.0 + 0.3 * rng());
     roof.position.y = h + roof.geometry.parameters.height * 0.5;
     g.add(roof);
     return g;
@@ -228,9 +228,10 @@ export async function spawnBuildingsFromPads(worldRoot, options = {}) {
 
   for (const pad of padsGroup.children.slice()) {
     const districtId = pad.userData?.district || "default";
-    // Decide a type — ideally you stashed allowedTypes on the pad; if not, pick by districtId heuristic
-    const allowedGuess = guessAllowedTypes(districtId);
-    const typeKey = pick(allowedGuess, rng);
+    // Decide a type — from the district's allowedTypes on the pad; if not, pick by districtId heuristic
+    const padTypes = pad.userData?.allowedTypes;
+    const allowed = Array.isArray(padTypes) && padTypes.length > 0 ? padTypes : guessAllowedTypes(districtId);
+    const typeKey = pick(allowed, rng);
     const map = TYPE_MAP[typeKey] || TYPE_MAP.house;
 
     // 1) Try GLB (if present in public/…)
@@ -289,7 +290,8 @@ export async function spawnBuildingsFromPads(worldRoot, options = {}) {
     // 2) Fallback to a parametric prefab (always works)
     if (!built) {
       const prefab = Prefabs[map.prefab] || Prefabs.house;
-      built = prefab({});
+      built = prefab({ rng });
+      applyPalette(built, pad.userData?.palette, rng);
     }
 
     built.position.copy(pad.position);
@@ -307,6 +309,28 @@ export async function spawnBuildingsFromPads(worldRoot, options = {}) {
 
 function clamp(v, a, b) { return Math.min(Math.max(v, a), b); }
 
+// Recolour a prefab from the district palette: roofs from `roofs`, every other
+// kit material from `walls`. Tinted materials are shared per colour.
+const tintedMaterials = new Map();
+function applyPalette(root, palette, rnd) {
+  if (!palette) return;
+  const wallColor = palette.walls?.length ? pick(palette.walls, rnd) : null;
+  const roofColor = palette.roofs?.length ? pick(palette.roofs, rnd) : null;
+  root.traverse((child) => {
+    if (!child.isMesh) return;
+    const color = child.material === MAT.roof ? roofColor : wallColor;
+    if (color === null) return;
+    const key = `${child.material.uuid}:${color}`;
+    let material = tintedMaterials.get(key);
+    if (!material) {
+      material = child.material.clone();
+      material.color.setHex(color);
+      tintedMaterials.set(key, material);
+    }
+    child.material = material;
+  });
+}
+
 function guessAllowedTypes(districtId) {
   switch (districtId) {
     case "acropolis": return ["temple", "monument", "stoa", "plaza"];
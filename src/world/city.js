@@ -18,7 +18,12 @@ import {
 import { createRoad } from "./roads.js";
 import { addFoundationPad } from "./foundations.js";
 import { applyTextureBudgetToObject } from "../utils/textureBudget.js";
-import { loadDistrictRules, resolveDistrictAt, spacingForDensity } from "./districtRules.js";
+import {
+  allowsHousing,
+  loadDistrictRules,
+  resolveDistrictAt,
+  spacingForDensity,
+} from "./districtRules.js";
 import { spawnBuildingsFromPads } from "./buildingSpawner.js";
 
 function cullByMinSeparation(pads, minDist) {
@@ -190,7 +195,8 @@ function distanceToNearestRoad(worldX, worldZ, roadGrid, cellSize, gridWidth, gr
   return (maxRings + 1) * safeCell;
 }
 
-function getDistrictCenter(id) {
+function getDistrictCenter(id, district = null) {
+  if (district?.center) return district.center;
   switch (id) {
     case "agora":
       if (AGORA_CENTER_3D) return { x: AGORA_CENTER_3D.x, z: AGORA_CENTER_3D.z };
@@ -294,7 +300,12 @@ function createVisibleRoad(start, end, scene, terrain, options = {}) {
   geometry.computeVertexNormals();
 
   // If we’re collecting, return geometry for a later merge (no per-segment mesh).
+  // The merged mesh shares one material, so each piece carries its colour.
   if (collect) {
+    const tint = new THREE.Color(color);
+    const colors = new Float32Array(vertCount * 3);
+    for (let i = 0; i < vertCount; i++) tint.toArray(colors, i * 3);
+    geometry.setAttribute("color", new THREE.BufferAttribute(colors, 3));
     collect.push(geometry);
     return null;
   }
@@ -311,6 +322,16 @@ function createVisibleRoad(start, end, scene, terrain, options = {}) {
 
 const SURFACE_OFFSET = 0.05;
 
+// Colour from a district palette (random pick, slight lightness jitter), or the
+// stock colour when the district has none. Both paths draw two numbers from
+// rng, so adding a palette never reshuffles the rest of the layout.
+function paletteColor(colors, rng, stock) {
+  if (!colors?.length) return stock();
+  const color = new THREE.Color(colors[Math.floor(rng() * colors.length)]);
+  color.offsetHSL(0, 0, (rng() - 0.5) * 0.06);
+  return color;
+}
+
 const _matrix = new THREE.Matrix4();
 const _quaternion = new THREE.Quaternion();
 const _scale = new THREE.Vector3();
@@ -537,6 +558,11 @@ export async function createCity(scene, terrain, options = {}) {
         continue;
       }
 
+      const district = resolveDistrictAt(terrain, districtRules, centerX, centerZ);
+      if (!allowsHousing(district)) {
+        continue;
+      }
+
       let skipProbability;
       if (inQuayBand) {
         skipProbability = 0.02;
@@ -572,8 +598,12 @@ export async function createCity(scene, terrain, options = {}) {
         wallHeight,
         roofHeight,
         rotation,
-        wallColor: new THREE.Color().setHSL(THREE.MathUtils.lerp(0.08, 0.13, rng()), 0.45, THREE.MathUtils.lerp(0.62, 0.74, rng())),
-        roofColor: new THREE.Color().setHSL(THREE.MathUtils.lerp(0.02, 0.04, rng()), 0.55, THREE.MathUtils.lerp(0.23, 0.32, rng())),
+        wallColor: paletteColor(district?.palette?.walls, rng, () =>
+          new THREE.Color().setHSL(THREE.MathUtils.lerp(0.08, 0.13, rng()), 0.45, THREE.MathUtils.lerp(0.62, 0.74, rng()))
+        ),
+        roofColor: paletteColor(district?.palette?.roofs, rng, () =>
+          new THREE.Color().setHSL(THREE.MathUtils.lerp(0.02, 0.04, rng()), 0.55, THREE.MathUtils.lerp(0.23, 0.32, rng()))
+        ),
       });
     }
   }
@@ -616,6 +646,9 @@ export async function createCity(scene, terrain, options = {}) {
   // --- Collect all road segment geometries for one merged mesh (perf + fewer draw calls)
   const roadGeometries = [];
   const roadCenterSegments = [];
+  // Exposed so navigation (navGraph.js) can route over the same streets.
+  city.userData.roadGrid = roadGrid;
+  city.userData.roadCenterSegments = roadCenterSegments;
   const recordRoadSegment = (a, b) => {
     if (!a || !b) return;
     const dx = b.x - a.x;
@@ -943,9 +976,13 @@ export async function createCity(scene, terrain, options = {}) {
     const merged = mergeGeometries(roadGeometries, false) || new THREE.BufferGeometry();
     // dispose the temp pieces
     for (const g of roadGeometries) g.dispose();
-    const roadMaterial =
-      createVisibleRoad._material ||
-      new THREE.MeshStandardMaterial({ color: 0x2f2f2f, roughness: 1.0, metalness: 0.0, side: THREE.DoubleSide });
+    const roadMaterial = new THREE.MeshStandardMaterial({
+      color: 0xffffff,
+      vertexColors: true,
+      roughness: 1.0,
+      metalness: 0.0,
+      side: THREE.DoubleSide,
+    });
     const roadsMesh = new THREE.Mesh(merged, roadMaterial);
     roadsMesh.name = "CityRoads";
     roadsMesh.renderOrder = 1;        // win depth vs semi-transparent water
@@ -1135,7 +1172,7 @@ export async function createCity(scene, terrain, options = {}) {
 
     const cap = Number.isFinite(district?.maxPerDistrict) ? Math.max(0, district.maxPerDistrict) : Infinity;
     if (Number.isFinite(cap) && districtKept.length > cap) {
-      const center = getDistrictCenter(districtId);
+      const center = getDistrictCenter(districtId, district);
       districtKept.sort((a, b) => {
         const slopeA = Number.isFinite(a.slopeDeg) ? a.slopeDeg : 0;
         const slopeB = Number.isFinite(b.slopeDeg) ? b.slopeDeg : 0;
@@ -1160,6 +1197,10 @@ export async function createCity(scene, terrain, options = {}) {
     pad.receiveShadow = true;
     pad.userData = pad.userData || {};
     pad.userData.district = padData.districtId || "unknown";
+    if (padData.district) {
+      pad.userData.allowedTypes = padData.district.allowedTypes;
+      pad.userData.palette = padData.district.palette;
+    }
     pad.userData.noCollision = true;
     lotPads.add(pad);
   }
@@ -1656,7 +1697,10 @@ export async function createCity(scene, terrain, options = {}) {
   }
 
   // Spawn simple buildings on top of the lot pads (safe + fast)
-  spawnBuildingsFromPads(city, { seed: options.seed ?? 12345, leavePadsVisible: false });
+  spawnBuildingsFromPads(city, {
+    seed: options.buildingSeed ?? options.seed ?? 12345,
+    leavePadsVisible: false,
+  });
 
   const instanceCount = placements.length;
   if (instanceCount === 0) {
@@ -1815,13 +1859,21 @@ export function createHillCity(scene, terrain, curve, opts = {}) {
     avoidHarborRadius = HARBOR_EXCLUDE_RADIUS + 18,
   } = opts;
   const showHillFoundationPads = opts.showFoundationPads === true;
+  // Same rules object createCity uses (loadDistrictRules); optional.
+  const districtRules = opts.districtRules ?? null;
+  const mediumSpacing = districtRules ? spacingForDensity(districtRules, "medium") : 0;
 
   const rng = makeRng(seed);
   const lots = [];
+  const lotDistricts = [];
   const getH = terrain?.userData?.getHeightAt?.bind(terrain?.userData);
+  const getSlope = terrain?.userData?.getSlopeAt?.bind(terrain?.userData);
   const cell = (spacing || 6) * 0.8; // slightly tighter than visual spacing
   const hash = new Map();
-  const keyFrom = (x, z) => `${Math.round(x / cell)}_${Math.round(z / cell)}`;
+  const keyFrom = (x, z, scale = 1) =>
+    scale === 1
+      ? `${Math.round(x / cell)}_${Math.round(z / cell)}`
+      : `${scale}:${Math.round(x / (cell * scale))}_${Math.round(z / (cell * scale))}`;
   const center2 = new THREE.Vector2(AGORA_CENTER_3D.x, AGORA_CENTER_3D.z);
 
   const targets = [
@@ -1852,18 +1904,32 @@ export function createHillCity(scene, terrain, curve, opts = {}) {
       if (h < band[0] || h > band[1]) continue;
       if (h < SEA_LEVEL_Y + MIN_ABOVE_SEA) continue;
 
-      const k = keyFrom(x, z);
+      const district = districtRules ? resolveDistrictAt(terrain, districtRules, x, z) : null;
+      if (!allowsHousing(district)) continue;
+      // Denser/sparser districts shrink/grow the duplicate-check cell.
+      const densityScale =
+        district && mediumSpacing > 0
+          ? spacingForDensity(districtRules, district.buildingDensity) / mediumSpacing
+          : 1;
+
+      const k = keyFrom(x, z, densityScale);
       if (hash.has(k)) continue; // avoid duplicates early
 
-      // slope check (1m samples)
-      const hX = getH ? getH(x + 1.2, z) : h;
-      const hZ = getH ? getH(x, z + 1.2) : h;
-      if (!Number.isFinite(hX) || !Number.isFinite(hZ)) continue;
-      const slope = Math.max(Math.abs(hX - h), Math.abs(hZ - h));
+      // slope check: rise over a ~1.2 m step
+      let slope;
+      if (getSlope) {
+        slope = getSlope(x, z) * 1.2;
+      } else {
+        const hX = getH ? getH(x + 1.2, z) : h;
+        const hZ = getH ? getH(x, z + 1.2) : h;
+        if (!Number.isFinite(hX) || !Number.isFinite(hZ)) continue;
+        slope = Math.max(Math.abs(hX - h), Math.abs(hZ - h));
+      }
       if (slope > MAX_SLOPE_DELTA) continue;
 
       hash.set(k, true);
       lots.push(new THREE.Vector3(x, h, z));
+      lotDistricts.push(district);
       placed++;
     }
   }
@@ -1876,6 +1942,7 @@ export function createHillCity(scene, terrain, curve, opts = {}) {
   let i = 0;
 
   for (const p of lots) {
+    const district = lotDistricts[i];
     // orientation by road tangent if nearby, else face downhill
     let yaw = 0;
     if (curve) {
@@ -1895,7 +1962,13 @@ export function createHillCity(scene, terrain, curve, opts = {}) {
       : p.y + SURFACE_OFFSET;
     const baseY = Math.max(liftedSample, SEA_LEVEL_Y + MIN_ABOVE_SEA + SURFACE_OFFSET);
 
-    const buildingScale = 0.9 + rng() * 0.3;
+    let buildingScale = 0.9 + rng() * 0.3;
+    if (district) {
+      const types = district.allowedTypes.filter((type) => type in HILL_TYPE_SCALE);
+      if (types.length > 0) {
+        buildingScale *= HILL_TYPE_SCALE[types[Math.floor(rng() * types.length)]];
+      }
+    }
     const padRadius = Math.max(2.0, 1.8 * buildingScale);
     if (showHillFoundationPads) {
       addFoundationPad(scene, p.x, baseY, p.z, padRadius);
@@ -1914,16 +1987,27 @@ export function createHillCity(scene, terrain, curve, opts = {}) {
     dummy.updateMatrix();
     roofs.setMatrixAt(i, dummy.matrix);
 
+    if (district?.palette) {
+      walls.setColorAt(i, paletteColor(district.palette.walls, rng, WHITE));
+      roofs.setColorAt(i, paletteColor(district.palette.roofs, rng, WHITE));
+    }
+
     i++;
   }
 
   walls.count = roofs.count = i;
   walls.instanceMatrix.needsUpdate = true;
   roofs.instanceMatrix.needsUpdate = true;
+  if (walls.instanceColor) walls.instanceColor.needsUpdate = true;
+  if (roofs.instanceColor) roofs.instanceColor.needsUpdate = true;
 
   return group;
 }
 
+// Footprint scale of the hill city's generic houses per district building type.
+const HILL_TYPE_SCALE = { house: 1, shop: 1, workshop: 1.1, warehouse: 1.35 };
+const WHITE = () => new THREE.Color(0xffffff);
+
 function makeRng(seed = 1337) {
   let s = (seed >>> 0) || 1;
   return () => ((s = (s * 1664525 + 1013904223) >>> 0) / 0xffffffff);
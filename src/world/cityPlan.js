@@ -319,9 +319,20 @@ export function createCivicDistrict(scene, options = {}) {
   ];
   const walkingLoop = new THREE.CatmullRomCurve3(curvePoints, true, 'catmullrom', 0.1);
 
+  // World-space footprint (greens + end plazas) for maps and overlays.
+  const halfWidth = promenadeWidth / 2 + greensWidth;
+  const halfLength = plazaLength / 2 + 18;
+  const outline = [
+    new THREE.Vector2(center.x - halfWidth, center.z - halfLength),
+    new THREE.Vector2(center.x + halfWidth, center.z - halfLength),
+    new THREE.Vector2(center.x + halfWidth, center.z + halfLength),
+    new THREE.Vector2(center.x - halfWidth, center.z + halfLength),
+  ];
+
   return {
     group,
     walkingLoop,
+    outline,
     plazaLength,
     promenadeWidth,
   };
@@ -0,0 +1,230 @@
+import * as THREE from "three";
+
+// Collectible props: small items lying around the city that go into the
+// player's inventory when used. Placement comes from the `collectibles`
+// section of public/config/athensLayout.json (see LandmarkManager), item looks
+// and stack sizes from public/config/items.json.
+
+const BOB_HEIGHT = 0.08;
+const BOB_SPEED = 2.2;
+const SPIN_SPEED = 0.8;
+const PICK_RADIUS = 0.55; // invisible hit sphere so small props are easy to aim at
+
+const geometryCache = new Map();
+
+function cachedGeometry(key, create) {
+  if (!geometryCache.has(key)) geometryCache.set(key, create());
+  return geometryCache.get(key);
+}
+
+function amphoraGeometry() {
+  const profile = [
+    [0.0, 0.0],
+    [0.07, 0.0],
+    [0.1, 0.06],
+    [0.16, 0.2],
+    [0.17, 0.3],
+    [0.12, 0.42],
+    [0.06, 0.48],
+    [0.06, 0.56],
+    [0.09, 0.6],
+  ].map(([x, y]) => new THREE.Vector2(x, y));
+  return new THREE.LatheGeometry(profile, 16);
+}
+
+/**
+ * Build the visible mesh for an item definition.
+ * @param {{ shape: string, color: string }} def
+ */
+export function createCollectibleProp(def) {
+  const material = new THREE.MeshStandardMaterial({
+    color: new THREE.Color(def.color),
+    roughness: def.shape === "coin" ? 0.35 : 0.75,
+    metalness: def.shape === "coin" ? 0.8 : 0.0,
+    emissive: new THREE.Color(def.color).multiplyScalar(0.15),
+  });
+
+  let mesh;
+  switch (def.shape) {
+    case "coin":
+      mesh = new THREE.Mesh(
+        cachedGeometry("coin", () => new THREE.CylinderGeometry(0.12, 0.12, 0.025, 20)),
+        material
+      );
+      mesh.rotation.x = Math.PI / 2;
+      mesh.position.y = 0.25;
+      break;
+    case "shard":
+      mesh = new THREE.Mesh(
+        cachedGeometry("shard", () => new THREE.CylinderGeometry(0.16, 0.12, 0.03, 5)),
+        material
+      );
+      mesh.rotation.set(0.3, 0, 0.2);
+      mesh.position.y = 0.12;
+      break;
+    case "amphora":
+      mesh = new THREE.Mesh(cachedGeometry("amphora", amphoraGeometry), material);
+      break;
+    case "scroll":
+      mesh = new THREE.Mesh(
+        cachedGeometry("scroll", () => new THREE.CylinderGeometry(0.05, 0.05, 0.32, 12)),
+        material
+      );
+      mesh.rotation.z = Math.PI / 2;
+      mesh.position.y = 0.15;
+      break;
+    case "wreath":
+      mesh = new THREE.Mesh(
+        cachedGeometry("wreath", () => new THREE.TorusGeometry(0.14, 0.035, 8, 20)),
+        material
+      );
+      mesh.position.y = 0.25;
+      break;
+    default:
+      mesh = new THREE.Mesh(
+        cachedGeometry("box", () => new THREE.BoxGeometry(0.25, 0.25, 0.25)),
+        material
+      );
+      mesh.position.y = 0.125;
+  }
+  mesh.castShadow = true;
+  return mesh;
+}
+
+/**
+ * Turn any object into an inventory pickup. The interactor treats it like any
+ * other `userData.interactable`; `interaction: "pickup"` lets UI such as the
+ * interact prompt tell pickups apart.
+ *
+ * @param {THREE.Object3D} object
+ * @param {{
+ *   id: string,
+ *   itemId: string,
+ *   count?: number,
+ *   inventory: import("../inventory/Inventory.js").Inventory,
+ *   onPickedUp?: (object: THREE.Object3D) => void,
+ * }} options
+ */
+export function attachPickup(object, { id, itemId, count = 1, inventory, onPickedUp }) {
+  const def = inventory.getDefinition(itemId);
+  const label = def ? def.name : itemId;
+  object.userData.interactable = true;
+  object.userData.interaction = "pickup";
+  object.userData.collectibleId = id;
+  object.userData.itemId = itemId;
+  object.userData.itemCount = count;
+  object.userData.questId = id;
+  object.userData.prompt = `Press E to pick up ${count > 1 ? `${count}× ` : ""}${label}`;
+  object.userData.onUse = (used) => {
+    if (inventory.collect(id, itemId, count)) {
+      onPickedUp?.(used);
+    }
+  };
+  return object;
+}
+
+/**
+ * Spawns collectibles and keeps them in step with the inventory: props whose id
+ * is already collected stay hidden, and reappear if a loaded save predates the
+ * pickup.
+ *
+ * @param {{
+ *   parent: THREE.Object3D,
+ *   inventory: import("../inventory/Inventory.js").Inventory,
+ * }} options
+ */
+export function createCollectibleSpawner({ parent, inventory }) {
+  /** @type {THREE.Group[]} */
+  const spawned = [];
+  let elapsed = 0;
+
+  const setPresent = (group, present) => {
+    group.visible = present;
+    // Raycasts ignore `visible`, so hidden pickups must also stop being usable.
+    group.userData.interactable = present;
+  };
+
+  /**
+   * @param {{ id: string, item: string, count?: number, position: { x: number, y: number, z: number }, rotateY?: number }} spec
+   */
+  const spawn = (spec) => {
+    const def = inventory.getDefinition(spec?.item);
+    if (!spec?.id || !def || !spec.position) {
+      console.warn("[Collectibles] Skipping invalid collectible", spec?.id ?? spec);
+      return null;
+    }
+    const group = new THREE.Group();
+    group.name = `Collectible:${spec.id}`;
+    group.position.set(spec.position.x, spec.position.y, spec.position.z);
+    group.rotation.y = spec.rotateY ?? 0;
+    group.userData.noCollision = true;
+
+    const pivot = new THREE.Group();
+    const prop = createCollectibleProp(def);
+    pivot.add(prop);
+    group.add(pivot);
+
+    const hit = new THREE.Mesh(
+      cachedGeometry("hit", () => new THREE.SphereGeometry(PICK_RADIUS, 8, 6)),
+      new THREE.MeshBasicMaterial()
+    );
+    hit.visible = false;
+    hit.position.y = 0.25;
+    group.add(hit);
+
+    group.userData.highlightTarget = prop;
+    group.userData.bobPivot = pivot;
+    group.userData.bobPhase = spawned.length * 1.7;
+    attachPickup(group, {
+      id: spec.id,
+      itemId: spec.item,
+      count: Number.isInteger(spec.count) && spec.count > 0 ? spec.count : 1,
+      inventory,
+      onPickedUp: () => setPresent(group, false),
+    });
+    setPresent(group, !inventory.hasCollected(spec.id));
+
+    parent.add(group);
+    spawned.push(group);
+    return group;
+  };
+
+  /** Remove a pickup made by `spawn` (layout hot reload). */
+  const despawn = (group) => {
+    const index = spawned.indexOf(group);
+    if (index === -1) return;
+    spawned.splice(index, 1);
+    group.parent?.remove(group);
+  };
+
+  const sync = () => {
+    for (const group of spawned) {
+      setPresent(group, !inventory.hasCollected(group.userData.collectibleId));
+    }
+  };
+  const unsubscribe = inventory.subscribe(sync);
+
+  const update = (dt) => {
+    if (!Number.isFinite(dt)) return;
+    elapsed += dt;
+    for (const group of spawned) {
+      if (!group.visible) continue;
+      const pivot = group.userData.bobPivot;
+      pivot.position.y = Math.sin(elapsed * BOB_SPEED + group.userData.bobPhase) * BOB_HEIGHT + BOB_HEIGHT;
+      pivot.rotation.y += dt * SPIN_SPEED;
+    }
+  };
+
+  return {
+    spawn,
+    despawn,
+    sync,
+    update,
+    getObjects: () => [...spawned],
+    dispose() {
+      unsubscribe();
+      for (const group of spawned) group.parent?.remove(group);
+      spawned.length = 0;
+    },
+  };
+}
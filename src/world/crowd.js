@@ -0,0 +1,276 @@
+import * as THREE from 'three';
+import { Capsule } from 'three/examples/jsm/math/Capsule.js';
+
+// Local steering layered on top of the NPC path updaters. Updaters keep
+// writing the position an NPC *wants* to be at; the crowd then adds a small
+// lateral offset so agents keep apart, step around the player and slide off
+// static geometry, and publishes `userData.crowdSpeedScale` so updaters can
+// slow down to queue behind someone or yield to the player.
+//
+// Per frame: beginFrame() → NPC updaters → update(dt, player).
+
+const DEFAULT_RADIUS = 0.45;
+const SEPARATION_MARGIN = 0.15;
+const SEPARATION_STIFFNESS = 0.6;
+const RETURN_RATE = 1.2; // how fast offsets relax back onto the path (1/s)
+const MAX_OFFSET = 2.2;
+const LOOKAHEAD = 2.2; // metres ahead checked for someone to queue behind
+const YIELD_DISTANCE = 2.6;
+const YIELD_SPEED = 0.2;
+const SIDESTEP_SPEED = 2; // m/s of sideways push while yielding
+const SPEED_LERP = 5;
+const OBSTACLE_STAGGER = 3; // obstacle queries run for 1/N of agents per frame
+const CAPSULE_LIFT = 0.35; // keep the probe above kerbs and gentle slopes
+const CAPSULE_HEIGHT = 1.5;
+const FLOOR_NORMAL_Y = 0.7;
+
+const _forward = new THREE.Vector3();
+const _toOther = new THREE.Vector3();
+const _push = new THREE.Vector3();
+
+export class CrowdSimulation {
+  /**
+   * @param {{
+   *   envCollider?: import('../env/EnvironmentCollider.js').EnvironmentCollider | null,
+   *   getHeightAt?: ((x: number, z: number) => number) | null,
+   *   cellSize?: number,
+   * }} [options]
+   */
+  constructor({ envCollider = null, getHeightAt = null, cellSize = 4 } = {}) {
+    this.envCollider = envCollider;
+    this.getHeightAt = getHeightAt;
+    this.cellSize = cellSize;
+    this.agents = [];
+    this.grid = new Map();
+    this.frame = 0;
+    this.capsule = new Capsule(new THREE.Vector3(), new THREE.Vector3(), DEFAULT_RADIUS);
+  }
+
+  /**
+   * Register an NPC root object.
+   * @param {THREE.Object3D} object
+   * @param {{ radius?: number, heightOffset?: number }} [options]
+   */
+  add(object, { radius = DEFAULT_RADIUS, heightOffset = 0 } = {}) {
+    if (!object || object.userData.crowdAgent) return object?.userData.crowdAgent ?? null;
+    const agent = {
+      object,
+      radius,
+      heightOffset,
+      desired: new THREE.Vector3().copy(object.position),
+      offset: new THREE.Vector3(),
+      push: new THREE.Vector3(),
+      speedTarget: 1,
+      index: this.agents.length,
+    };
+    object.userData.crowdAgent = agent;
+    object.userData.crowdSpeedScale = 1;
+    this.agents.push(agent);
+    return agent;
+  }
+
+  remove(object) {
+    const agent = object?.userData?.crowdAgent;
+    if (!agent) return;
+    const i = this.agents.indexOf(agent);
+    if (i >= 0) this.agents.splice(i, 1);
+    object.position.x -= agent.offset.x;
+    object.position.z -= agent.offset.z;
+    delete object.userData.crowdAgent;
+    delete object.userData.crowdSpeedScale;
+  }
+
+  /** NPC objects currently managed by the crowd (for maps and debug views). */
+  getObjects() {
+    return this.agents.map((agent) => agent.object);
+  }
+
+  /** Strip last frame's steering offset so updaters see their own positions. */
+  beginFrame() {
+    for (const agent of this.agents) {
+      agent.object.position.x -= agent.offset.x;
+      agent.object.position.z -= agent.offset.z;
+    }
+  }
+
+  /** @private */
+  isActive(agent) {
+    return agent.object.visible && !!agent.object.parent;
+  }
+
+  /** @private */
+  cellKey(cx, cz) {
+    return `${cx}_${cz}`;
+  }
+
+  /** @private */
+  rebuildGrid() {
+    this.grid.clear();
+    for (const agent of this.agents) {
+      if (!this.isActive(agent)) continue;
+      const p = agent.object.position;
+      const key = this.cellKey(Math.floor(p.x / this.cellSize), Math.floor(p.z / this.cellSize));
+      let bucket = this.grid.get(key);
+      if (!bucket) {
+        bucket = [];
+        this.grid.set(key, bucket);
+      }
+      bucket.push(agent);
+    }
+  }
+
+  /** @private */
+  forEachNeighbour(x, z, callback) {
+    const cx = Math.floor(x / this.cellSize);
+    const cz = Math.floor(z / this.cellSize);
+    for (let dz = -1; dz <= 1; dz++) {
+      for (let dx = -1; dx <= 1; dx++) {
+        const bucket = this.grid.get(this.cellKey(cx + dx, cz + dz));
+        if (bucket) bucket.forEach(callback);
+      }
+    }
+  }
+
+  /**
+   * @param {number} dt
+   * @param {{ position?: THREE.Vector3 | null, radius?: number }} [player]
+   */
+  update(dt, player = {}) {
+    if (!Number.isFinite(dt) || dt <= 0) return;
+    this.frame++;
+
+    for (const agent of this.agents) {
+      agent.desired.copy(agent.object.position);
+    }
+    this.rebuildGrid();
+
+    const playerPos = player?.position ?? null;
+    const playerRadius = player?.radius ?? 0.35;
+
+    // 1) Accumulate separation pushes and decide who needs to slow down.
+    for (const agent of this.agents) {
+      agent.push.set(0, 0, 0);
+      agent.speedTarget = 1;
+      if (!this.isActive(agent)) continue;
+
+      const self = agent.object;
+      const sx = agent.desired.x + agent.offset.x;
+      const sz = agent.desired.z + agent.offset.z;
+      _forward.set(Math.sin(self.rotation.y), 0, Math.cos(self.rotation.y));
+
+      this.forEachNeighbour(agent.desired.x, agent.desired.z, (other) => {
+        if (other === agent) return;
+        const ox = other.desired.x + other.offset.x;
+        const oz = other.desired.z + other.offset.z;
+        const ahead = this.accumulate(agent, sx, sz, ox, oz, other.radius, true);
+        if (ahead >= LOOKAHEAD) return;
+        const otherYaw = other.object.rotation.y;
+        const heading = _forward.x * Math.sin(otherYaw) + _forward.z * Math.cos(otherYaw);
+        if (heading > 0) {
+          // Same direction: queue behind slower traffic instead of walking through it.
+          agent.speedTarget = Math.min(
+            agent.speedTarget,
+            THREE.MathUtils.clamp(ahead / LOOKAHEAD, 0.15, 1)
+          );
+        } else {
+          // Oncoming: both keep to their right.
+          agent.push.x += -_forward.z * SIDESTEP_SPEED * 0.5 * dt;
+          agent.push.z += _forward.x * SIDESTEP_SPEED * 0.5 * dt;
+        }
+      });
+
+      if (playerPos) {
+        const inFront = this.accumulate(agent, sx, sz, playerPos.x, playerPos.z, playerRadius, false);
+        if (inFront <= YIELD_DISTANCE) {
+          // Yield: slow right down and step aside, away from the player's side.
+          agent.speedTarget = Math.min(agent.speedTarget, YIELD_SPEED);
+          const side = _forward.x * _toOther.z - _forward.z * _toOther.x > 0 ? -1 : 1;
+          agent.push.x += -_forward.z * side * SIDESTEP_SPEED * dt;
+          agent.push.z += _forward.x * side * SIDESTEP_SPEED * dt;
+        }
+      }
+    }
+
+    // 2) Integrate offsets, resolve static obstacles and write positions back.
+    const relax = Math.exp(-RETURN_RATE * dt);
+    for (const agent of this.agents) {
+      const object = agent.object;
+      const pinned = !!object.userData.talking;
+      const active = this.isActive(agent);
+
+      if (active && !pinned) {
+        agent.offset.multiplyScalar(relax);
+        agent.offset.addScaledVector(agent.push, SEPARATION_STIFFNESS);
+        agent.offset.y = 0;
+        if (agent.offset.lengthSq() > MAX_OFFSET * MAX_OFFSET) {
+          agent.offset.setLength(MAX_OFFSET);
+        }
+        if (this.envCollider && agent.index % OBSTACLE_STAGGER === this.frame % OBSTACLE_STAGGER) {
+          this.resolveObstacle(agent);
+        }
+      }
+
+      object.position.x = agent.desired.x + agent.offset.x;
+      object.position.z = agent.desired.z + agent.offset.z;
+      if (agent.offset.lengthSq() > 1e-6 && this.getHeightAt) {
+        const y = this.getHeightAt(object.position.x, object.position.z);
+        if (Number.isFinite(y)) object.position.y = y + agent.heightOffset;
+      }
+
+      const current = object.userData.crowdSpeedScale ?? 1;
+      const target = active && !pinned ? agent.speedTarget : 1;
+      object.userData.crowdSpeedScale = THREE.MathUtils.lerp(
+        current,
+        target,
+        Math.min(1, dt * SPEED_LERP)
+      );
+    }
+  }
+
+  /**
+   * Push `agent` away from an overlapping body. Returns the forward distance
+   * to the body if it is in the agent's lane ahead, otherwise Infinity.
+   * @private
+   */
+  accumulate(agent, sx, sz, ox, oz, otherRadius, isAgent) {
+    _toOther.set(ox - sx, 0, oz - sz);
+    const distance = _toOther.length();
+    const minDistance = agent.radius + otherRadius + SEPARATION_MARGIN;
+
+    if (distance < minDistance) {
+      if (distance > 1e-4) {
+        _push.copy(_toOther).multiplyScalar(-(minDistance - distance) / distance);
+      } else {
+        // Perfectly overlapping: split sideways by index so they don't stick.
+        _push.set(agent.index % 2 ? 1 : -1, 0, 0).multiplyScalar(minDistance * 0.5);
+      }
+      // Bodies share the correction; the player doesn't move for NPCs.
+      agent.push.addScaledVector(_push, isAgent ? 0.5 : 1);
+    }
+
+    const ahead = _toOther.dot(_forward);
+    if (ahead <= 0) return Infinity;
+    const lateral = Math.sqrt(Math.max(0, distance * distance - ahead * ahead));
+    if (lateral > minDistance) return Infinity;
+    return ahead;
+  }
+
+  /** @private */
+  resolveObstacle(agent) {
+    const { desired, offset, radius } = agent;
+    const x = desired.x + offset.x;
+    const z = desired.z + offset.z;
+    const y = desired.y;
+    this.capsule.radius = radius;
+    this.capsule.start.set(x, y + CAPSULE_LIFT + radius, z);
+    this.capsule.end.set(x, y + CAPSULE_HEIGHT, z);
+    const hit = this.envCollider.capsuleIntersect(this.capsule);
+    if (!hit || hit.normal.y > FLOOR_NORMAL_Y) return;
+    _push.set(hit.normal.x, 0, hit.normal.z);
+    if (_push.lengthSq() < 1e-6) return;
+    _push.normalize().multiplyScalar(hit.depth);
+    offset.add(_push);
+  }
+}
+
+export default CrowdSimulation;
@@ -1,4 +1,29 @@
 import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+import { reportConfigLoadError, validateConfig } from "../config/configValidation.js";
+import { DISTRICTS_SCHEMA } from "../config/configSchemas.js";
+
+// Districts from public/config/districts.json. Each district is a named area
+// with its own building types, density, road style and colours:
+//
+// {
+//   "id": "harbor",
+//   "name": "Harbor quarter",
+//   "polygon": [[-116, 15], [-92, 15], [-92, 140], [-116, 140]],  // world [x, z]
+//   "heightRange": [0, 12],            // optional height band (m)
+//   "buildingDensity": "high",         // high | medium | low
+//   "minSeparation": 12,
+//   "allowedTypes": ["warehouse", "workshop"],
+//   "road": { "width": 3.6, "color": "#3a3a3a" },
+//   "palette": { "walls": ["#c9a77c"], "roofs": ["#8a3b26"] }
+// }
+//
+// A point belongs to the first district, in file order, whose polygon holds
+// it and whose height band (if any) holds its ground height. Districts without
+// a polygon match on height alone, so list specific areas before broad ones.
+
+const DENSITIES = new Set(["high", "medium", "low"]);
+// Types the generic instanced houses stand in for.
+const HOUSING_TYPES = new Set(["house", "shop", "workshop", "warehouse"]);
 
 /** Load district rules from /config/districts.json with safe fallbacks. */
 export async function loadDistrictRules(baseUrl = "") {
@@ -9,9 +34,15 @@ export async function loadDistrictRules(baseUrl = "") {
     const res = await fetch(url, { method: "GET", cache: "no-cache" });
     if (res.ok) {
       const json = await res.json();
+      validateConfig("districts.json", json, DISTRICTS_SCHEMA, { source: url, baseUrl: resolvedBase });
       return normalizeRules(json);
     }
-  } catch {}
+    reportConfigLoadError("districts.json", url, `HTTP ${res.status}; using one default district`, {
+      severity: "warning",
+    });
+  } catch (error) {
+    reportConfigLoadError("districts.json", url, error);
+  }
   // Minimal fallback (keeps city rendering even if file missing)
   return normalizeRules({
     seed: 1337,
@@ -32,16 +63,23 @@ export async function loadDistrictRules(baseUrl = "") {
 }
 
 function normalizeRules(cfg) {
-  const toColor = (v) => (typeof v === "number" ? v : 0x333333);
   const defaultSpacing = { high: 11, medium: 16, low: 22 };
-  for (const d of cfg.districts || []) {
+  cfg.districts = Array.isArray(cfg.districts) ? cfg.districts.filter((d) => d && typeof d === "object") : [];
+  cfg.districts.forEach((d, index) => {
+    d.id = typeof d.id === "string" && d.id ? d.id : `district-${index + 1}`;
+    d.name = typeof d.name === "string" && d.name ? d.name : d.id;
+    d.polygon = normalizePolygon(d.polygon);
+    d.bounds = d.polygon ? polygonBounds(d.polygon) : null;
+    d.center = d.polygon ? polygonCentroid(d.polygon) : null;
     d.heightRange = Array.isArray(d.heightRange) ? d.heightRange : [-999, 999];
+    d.buildingDensity = DENSITIES.has(d.buildingDensity) ? d.buildingDensity : "medium";
     d.allowedTypes = Array.isArray(d.allowedTypes) ? d.allowedTypes : ["house"];
     d.minSeparation = Number.isFinite(d.minSeparation) ? d.minSeparation : 0;
     d.road = d.road || {};
     d.road.width = Number.isFinite(d.road.width) ? d.road.width : 3.2;
-    d.road.color = toColor(d.road.color);
-  }
+    d.road.color = parseColor(d.road.color) ?? 0x333333;
+    d.palette = normalizePalette(d.palette);
+  });
   const spacingSource = cfg.densitySpacingMeters || cfg.densityToLotSpacing || {};
   cfg.densitySpacingMeters = {
     high: Number.isFinite(spacingSource.high) ? spacingSource.high : defaultSpacing.high,
@@ -54,20 +92,112 @@ function normalizeRules(cfg) {
   return cfg;
 }
 
-/** Pick a district for a given world (x,z) by sampling height from terrain. */
+/**
+ * Pick the district for a world (x,z): polygon first, then the height band
+ * sampled from the terrain. Off the terrain only polygons can match.
+ */
 export function resolveDistrictAt(terrain, rules, x, z, fallback = "default") {
   const getH = terrain?.userData?.getHeightAt;
   const h = typeof getH === "function" ? getH(x, z) : null;
-  if (!Number.isFinite(h)) return rules.districts.find(d => d.id === fallback) || rules.districts[0];
+  const hasHeight = Number.isFinite(h);
 
   for (const d of rules.districts) {
-    const [minH, maxH] = d.heightRange;
-    if (h >= minH && h <= maxH) return d;
+    if (d.polygon) {
+      if (!pointInPolygon(x, z, d.polygon, d.bounds)) continue;
+    } else if (!hasHeight) {
+      continue;
+    }
+    if (hasHeight) {
+      const [minH, maxH] = d.heightRange;
+      if (h < minH || h > maxH) continue;
+    }
+    return d;
   }
   return rules.districts.find(d => d.id === fallback) || rules.districts[0];
 }
 
+/**
+ * Even-odd test of a world (x,z) against a polygon of {x,z} vertices.
+ * @param {{ minX: number, maxX: number, minZ: number, maxZ: number }} [bounds]  optional quick reject
+ */
+export function pointInPolygon(x, z, polygon, bounds = null) {
+  if (bounds && (x < bounds.minX || x > bounds.maxX || z < bounds.minZ || z > bounds.maxZ)) {
+    return false;
+  }
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if (a.z > z !== b.z > z && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+/** Whether the generic instanced houses may stand in this district. */
+export function allowsHousing(district) {
+  return !district || district.allowedTypes.some((type) => HOUSING_TYPES.has(type));
+}
+
 /** Convert density → nominal lot spacing (in world units). */
 export function spacingForDensity(rules, density) {
   return rules.densitySpacingMeters?.[density] ?? rules.densityToLotSpacing?.[density] ?? 12;
 }
+
+// JSON has no hex literals, so colours may be numbers or "#rrggbb"/"0xrrggbb".
+function parseColor(value) {
+  if (Number.isFinite(value)) return value;
+  if (typeof value !== "string") return null;
+  const match = /^(?:#|0x)([0-9a-f]{6})$/i.exec(value.trim());
+  return match ? Number.parseInt(match[1], 16) : null;
+}
+
+function normalizePalette(palette) {
+  if (!palette || typeof palette !== "object") return null;
+  const list = (value) => (Array.isArray(value) ? value.map(parseColor).filter((c) => c !== null) : []);
+  const walls = list(palette.walls);
+  const roofs = list(palette.roofs);
+  return walls.length || roofs.length ? { walls, roofs } : null;
+}
+
+// Accepts [[x, z], ...] or [{ x, z }, ...]; fewer than three points means none.
+function normalizePolygon(points) {
+  if (!Array.isArray(points)) return null;
+  const polygon = [];
+  for (const point of points) {
+    const x = Array.isArray(point) ? point[0] : point?.x;
+    const z = Array.isArray(point) ? point[1] : point?.z;
+    if (Number.isFinite(x) && Number.isFinite(z)) polygon.push({ x, z });
+  }
+  return polygon.length >= 3 ? polygon : null;
+}
+
+function polygonBounds(polygon) {
+  const bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  for (const { x, z } of polygon) {
+    bounds.minX = Math.min(bounds.minX, x);
+    bounds.maxX = Math.max(bounds.maxX, x);
+    bounds.minZ = Math.min(bounds.minZ, z);
+    bounds.maxZ = Math.max(bounds.maxZ, z);
+  }
+  return bounds;
+}
+
+// Area-weighted centroid; falls back to the vertex average for degenerate shapes.
+function polygonCentroid(polygon) {
+  let area = 0;
+  let cx = 0;
+  let cz = 0;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const cross = polygon[j].x * polygon[i].z - polygon[i].x * polygon[j].z;
+    area += cross;
+    cx += (polygon[j].x + polygon[i].x) * cross;
+    cz += (polygon[j].z + polygon[i].z) * cross;
+  }
+  if (Math.abs(area) < 1e-9) {
+    const sum = polygon.reduce((acc, p) => ({ x: acc.x + p.x, z: acc.z + p.z }), { x: 0, z: 0 });
+    return { x: sum.x / polygon.length, z: sum.z / polygon.length };
+  }
+  return { x: cx / (3 * area), z: cz / (3 * area) };
+}
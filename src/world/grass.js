@@ -95,6 +95,8 @@ function createGrassMaterial() {
   const uniforms = {
     uTime: { value: 0 },
     uWindDir: { value: WIND_DIR.clone() },
+    uWindStrength: { value: 1 },
+    uHeightScale: { value: 1 },
     uColor: { value: BASE_COLOR.clone() },
     uNightFactor: { value: 0 },
   };
@@ -106,6 +108,8 @@ function createGrassMaterial() {
 
     uniform float uTime;
     uniform vec2 uWindDir;
+    uniform float uWindStrength;
+    uniform float uHeightScale;
 
     varying float vTipFactor;
     varying float vWorldY;
@@ -120,12 +124,14 @@ function createGrassMaterial() {
       float phase = instancePhase * 6.28318530718;
       float fastSway = sin(uTime * 7.0 + phase) * 0.05;
       float slowSway = sin(uTime * 1.3 + phase * 1.7) * 0.02;
-      float sway = fastSway + slowSway;
+      // Stronger wind sways harder and leans the blades downwind.
+      float lean = max(uWindStrength - 1.0, 0.0) * 0.08;
+      float sway = (fastSway + slowSway) * uWindStrength + lean;
 
       vec3 transformed = position;
       float tip = clamp(position.y, 0.0, 1.0);
 
-      transformed.y *= instanceScale;
+      transformed.y *= instanceScale * uHeightScale;
 
       vec2 rotated = rotation2D(phase) * vec2(transformed.x, transformed.z);
       transformed.x = rotated.x;
@@ -331,9 +337,16 @@ function updateTileAssignments(state, centerX, centerZ) {
   }
 }
 
-export function mount(scene) {
+/**
+ * @param {THREE.Scene} scene
+ * @param {{ seed?: number }} [options]  scatter seed from world/worldSeed.js
+ */
+export function mount(scene, options = {}) {
   const state = ensureState(scene);
   if (!state) return null;
+  if (Number.isFinite(options.seed)) {
+    state.seed = options.seed >>> 0;
+  }
   state.heightSampler = resolveHeightSampler(scene);
   for (const tile of state.tiles) {
     tile.coord.set(Number.POSITIVE_INFINITY, Number.POSITIVE_INFINITY);
@@ -361,6 +374,16 @@ export function update(dt = 0, playerPosition = null) {
   }
 }
 
+/** Re-sample blade heights for the current tiles after the ground changes (e.g. sculpting). */
+export function refresh() {
+  if (!grassState) return;
+  for (const tile of grassState.tiles) {
+    if (Number.isFinite(tile.coord.x)) {
+      populateTile(tile, tile.coord.x, tile.coord.y, grassState);
+    }
+  }
+}
+
 export function setNightFactor(value) {
   if (!grassState) return;
   grassState.material.uniforms.uNightFactor.value = THREE.MathUtils.clamp(
@@ -370,6 +393,26 @@ export function setNightFactor(value) {
   );
 }
 
+// Weather wind, 0 = still air .. 1 = gale. 0.2 keeps the original sway.
+export function setWind(value) {
+  if (!grassState) return;
+  const wind = THREE.MathUtils.clamp(value ?? 0.2, 0, 1);
+  grassState.material.uniforms.uWindStrength.value = 0.5 + wind * 2.5;
+}
+
+/**
+ * Seasonal look: blade colour plus a height multiplier (1 = spring growth,
+ * lower for the dry summer and autumn; capped at 1 so the culling bounds hold).
+ * @param {THREE.Color} color
+ * @param {number} heightScale
+ */
+export function setSeasonLook(color, heightScale = 1) {
+  if (!grassState) return;
+  const { uniforms } = grassState.material;
+  if (color?.isColor) uniforms.uColor.value.copy(color);
+  uniforms.uHeightScale.value = THREE.MathUtils.clamp(heightScale ?? 1, 0.2, 1);
+}
+
 export function dispose() {
   if (!grassState) return;
   const { root, tiles, material } = grassState;
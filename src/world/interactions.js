@@ -17,6 +17,7 @@ import * as THREE from "three";
  *   clearHover: () => void,
  *   getCurrentHover: () => THREE.Object3D | null,
  *   useObject: () => void,
+ *   addUseListener: (listener: (object: THREE.Object3D) => void) => () => void,
  * }}
  */
 export function createInteractor(renderer, camera, scene) {
@@ -26,6 +27,7 @@ export function createInteractor(renderer, camera, scene) {
   const HOVER_COLOR = 0x222244;
   const HOVER_UPDATE_INTERVAL = 1 / 24; // limit expensive raycasts to ~24 Hz
   const storedMaterialState = new Map();
+  const useListeners = new Set();
   let currentHover = null;
   let hoverTimer = HOVER_UPDATE_INTERVAL; // ensure the first call performs a hit test
 
@@ -188,13 +190,38 @@ export function createInteractor(renderer, camera, scene) {
       return;
     }
 
-    const onUse = currentHover.userData && currentHover.userData.onUse;
+    const used = currentHover;
+    const onUse = used.userData && used.userData.onUse;
     if (typeof onUse === "function") {
-      onUse(currentHover);
+      onUse(used);
     } else {
-      const name = currentHover.name || currentHover.type || "object";
+      const name = used.name || used.type || "object";
       console.log(`Nothing to interact with on ${name}.`);
+      return;
     }
+
+    for (const listener of useListeners) {
+      try {
+        listener(used);
+      } catch (error) {
+        console.error("[Interactor] use listener error", error);
+      }
+    }
+  }
+
+  /**
+   * Observe every successful use (an object whose onUse ran) so systems such
+   * as quests can react without wrapping each object's onUse callback.
+   *
+   * @param {(object: THREE.Object3D) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  function addUseListener(listener) {
+    if (typeof listener !== "function") return () => {};
+    useListeners.add(listener);
+    return () => {
+      useListeners.delete(listener);
+    };
   }
 
   return {
@@ -206,5 +233,6 @@ export function createInteractor(renderer, camera, scene) {
     clearHover,
     getCurrentHover,
     useObject,
+    addUseListener,
   };
 }
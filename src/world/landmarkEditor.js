@@ -0,0 +1,309 @@
+// src/world/landmarkEditor.js
+
+import * as THREE from "three";
+import { anchorOffset } from "./layoutAnchors.js";
+
+// Dev-mode placement editing for the landmarks LandmarkManager has placed. The
+// panel (src/ui/landmarkEditorPanel.js) moves them with a transform gizmo; this
+// module remembers where each one started, snaps it to the terrain the way the
+// manager does at load, and writes the result back out as layout JSON: the
+// placement block of one landmark, or the whole athensLayout.json with every
+// edit applied. Edits live on the objects only until the layout is reloaded.
+
+const POSITION_DIGITS = 2;
+const ROTATION_DIGITS = 4;
+const SCALE_DIGITS = 3;
+const EPSILON = 1e-4;
+
+// Arrays of plain values stay on one line while they end by this column.
+const MAX_INLINE_COLUMN = 90;
+// Objects made only of these keys stay on one line, as in athensLayout.json.
+const INLINE_KEYS = new Set(["anchor", "x", "y", "z"]);
+// Placement keys the editor writes itself; anything else (surfaceOffset,
+// snapOptions, …) is copied over from the layout unchanged.
+const TRANSFORM_KEYS = new Set(["position", "rotation", "euler", "rotateY", "scale", "alignToTerrain"]);
+
+// `+ 0` turns -0 into 0 so it prints as "0".
+const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits + 0;
+
+const isPrimitive = (value) => value === null || typeof value !== "object";
+
+function toScale(value) {
+  if (typeof value === "number") return new THREE.Vector3(value, value, value);
+  if (Array.isArray(value)) {
+    const x = value[0] ?? 1;
+    return new THREE.Vector3(x, value[1] ?? x, value[2] ?? x);
+  }
+  if (value && typeof value === "object") {
+    const x = value.x ?? 1;
+    return new THREE.Vector3(x, value.y ?? x, value.z ?? x);
+  }
+  return new THREE.Vector3(1, 1, 1);
+}
+
+/**
+ * JSON in the layout file's style: two-space indents, with short arrays of
+ * plain values and `{ anchor, x, y, z }` objects kept on one line.
+ * @param {any} value
+ * @param {string} [indent]
+ * @param {number} [column]  where the value starts on its line
+ */
+export function formatLayoutJson(value, indent = "", column = indent.length) {
+  const inner = `${indent}  `;
+  if (Array.isArray(value)) {
+    if (value.length === 0) return "[]";
+    if (value.every(isPrimitive)) {
+      const line = `[${value.map((item) => JSON.stringify(item)).join(", ")}]`;
+      if (column + line.length <= MAX_INLINE_COLUMN) return line;
+    }
+    return `[\n${value.map((item) => inner + formatLayoutJson(item, inner)).join(",\n")}\n${indent}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return "{}";
+    if (entries.every(([key, item]) => INLINE_KEYS.has(key) && isPrimitive(item))) {
+      return `{ ${entries.map(([key, item]) => `${JSON.stringify(key)}: ${JSON.stringify(item)}`).join(", ")} }`;
+    }
+    const lines = entries.map(([key, item]) => {
+      const prefix = `${inner}${JSON.stringify(key)}: `;
+      return prefix + formatLayoutJson(item, inner, prefix.length);
+    });
+    return `{\n${lines.join(",\n")}\n${indent}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function findLayoutEntry(layout, spec) {
+  const group = layout?.groups?.find?.((candidate) => candidate?.id === spec.groupId);
+  return group?.landmarks?.find?.((candidate) => candidate?.id === spec.id) ?? null;
+}
+
+/**
+ * @typedef {{
+ *   key: string,
+ *   spec: Record<string, any>,
+ *   object: THREE.Object3D,
+ *   placeholder: boolean,
+ *   start: { position: THREE.Vector3, rotation: THREE.Euler, scale: THREE.Vector3 },
+ *   align: boolean,
+ *   collision: boolean,
+ *   changed: boolean,
+ * }} LandmarkEdit
+ */
+
+/**
+ * @param {import("./LandmarkManager.js").LandmarkManager} manager
+ */
+export function createLandmarkEditor(manager) {
+  /** @type {Map<string, LandmarkEdit>} every landmark selected since the last layout load */
+  const edits = new Map();
+  /** @type {LandmarkEdit | null} */
+  let selected = null;
+  let revision = manager.revision;
+  // The selection moved since the collider was last rebuilt.
+  let moved = false;
+
+  const alignDefault = (spec) =>
+    (spec.placement?.alignToTerrain ?? spec.alignToTerrain ?? manager.globalDefaults.alignToTerrain) !== false;
+
+  const snap = (edit) => {
+    if (!edit.align) return;
+    manager.snapObject(edit.object, {
+      position: edit.object.position,
+      surfaceOffset: manager.resolveSurfaceOffset(edit.spec),
+      snapOptions: manager.resolveSnapOptions(edit.spec),
+    });
+  };
+
+  /** Forget edits whose landmark a layout reload replaced or removed. */
+  const sync = () => {
+    if (revision === manager.revision) return;
+    revision = manager.revision;
+    const placed = new Map(manager.getPlacedLandmarks().map((entry) => [entry.key, entry]));
+    for (const [key, edit] of edits) {
+      if (placed.get(key)?.object !== edit.object) edits.delete(key);
+    }
+    if (selected && !edits.has(selected.key)) selected = null;
+  };
+
+  /** @param {LandmarkEdit} edit */
+  const buildPlacement = (edit) => {
+    const { spec, object, start } = edit;
+    const raw = findLayoutEntry(manager.rawConfig, spec) ?? spec;
+    const rawPlacement = raw.placement ?? {};
+    const placement = {};
+
+    const anchor = rawPlacement.position?.anchor;
+    const at = object.position;
+    const position = anchor
+      ? anchorOffset(anchor, at, { includeY: !edit.align })
+      : edit.align
+      ? { x: at.x, z: at.z }
+      : { x: at.x, y: at.y, z: at.z };
+    for (const axis of ["x", "y", "z"]) {
+      if (axis in position) position[axis] = round(position[axis], POSITION_DIGITS);
+    }
+    placement.position = position;
+
+    const { x, y, z } = object.rotation;
+    placement.rotation = { y: round(y, ROTATION_DIGITS) };
+    if (Math.abs(x) > EPSILON || Math.abs(z) > EPSILON) {
+      placement.rotation = { x: round(x, ROTATION_DIGITS), ...placement.rotation, z: round(z, ROTATION_DIGITS) };
+    }
+
+    // Gizmo scaling is relative to however the loader sized the model.
+    const factor = object.scale.clone().divide(start.scale);
+    const scale = toScale(spec.placement?.scale ?? spec.scale).multiply(factor);
+    if (rawPlacement.scale !== undefined || factor.distanceTo(new THREE.Vector3(1, 1, 1)) > EPSILON) {
+      const uniform = Math.abs(scale.x - scale.y) < EPSILON && Math.abs(scale.x - scale.z) < EPSILON;
+      placement.scale = uniform
+        ? round(scale.x, SCALE_DIGITS)
+        : { x: round(scale.x, SCALE_DIGITS), y: round(scale.y, SCALE_DIGITS), z: round(scale.z, SCALE_DIGITS) };
+    }
+
+    if (rawPlacement.alignToTerrain !== undefined || edit.align !== alignDefault(spec)) {
+      placement.alignToTerrain = edit.align;
+    }
+    for (const [key, value] of Object.entries(rawPlacement)) {
+      if (!TRANSFORM_KEYS.has(key)) placement[key] = value;
+    }
+
+    const fields = {};
+    if (raw.collision !== undefined || edit.collision !== Boolean(spec.collision)) {
+      fields.collision = edit.collision;
+    }
+    fields.placement = placement;
+    return fields;
+  };
+
+  return {
+    sync,
+
+    /** Bumped by LandmarkManager whenever the layout is (re)loaded. */
+    revision: () => manager.revision,
+
+    /** @returns {LandmarkEdit | null} */
+    getSelected: () => selected,
+
+    /** Placed landmarks, for a picker list and for raycasting. */
+    list: () => manager.getPlacedLandmarks(),
+
+    /**
+     * Landmark key that owns a raycast hit, if any.
+     * @param {THREE.Object3D} hit
+     */
+    keyForObject(hit) {
+      const byObject = new Map(manager.getPlacedLandmarks().map((entry) => [entry.object, entry.key]));
+      for (let node = hit; node; node = node.parent) {
+        if (byObject.has(node)) return byObject.get(node);
+      }
+      return null;
+    },
+
+    /** @param {string | null} key */
+    select(key) {
+      sync();
+      const entry = key ? manager.getPlacedLandmarks().find((candidate) => candidate.key === key) : null;
+      if (!entry) {
+        selected = null;
+        return null;
+      }
+      let edit = edits.get(key);
+      if (!edit) {
+        edit = {
+          key,
+          spec: entry.spec,
+          object: entry.object,
+          placeholder: entry.placeholder,
+          start: {
+            position: entry.object.position.clone(),
+            rotation: entry.object.rotation.clone(),
+            scale: entry.object.scale.clone(),
+          },
+          align: alignDefault(entry.spec),
+          collision: Boolean(entry.spec.collision),
+          changed: false,
+        };
+        edits.set(key, edit);
+      }
+      selected = edit;
+      return edit;
+    },
+
+    /** Call after the gizmo moved the selection: re-snaps it to the ground. */
+    objectChanged() {
+      if (!selected) return;
+      snap(selected);
+      selected.changed = true;
+      moved = true;
+    },
+
+    /** Call when a gizmo drag ends: rebuilds the collider if the selection collides. */
+    finishChange() {
+      if (!selected || !moved) return;
+      moved = false;
+      if (selected.collision) manager.refreshColliders();
+    },
+
+    /** @param {boolean} enabled */
+    setSnap(enabled) {
+      if (!selected) return;
+      selected.align = Boolean(enabled);
+      snap(selected);
+      selected.changed = true;
+      if (selected.collision) manager.refreshColliders();
+    },
+
+    /** @param {boolean} enabled */
+    setCollision(enabled) {
+      if (!selected) return;
+      selected.collision = Boolean(enabled);
+      manager.setLandmarkCollision(selected.key, selected.collision);
+      selected.changed = true;
+    },
+
+    /** Put the selection back where the layout placed it. */
+    reset() {
+      if (!selected) return;
+      const { object, start, spec } = selected;
+      object.position.copy(start.position);
+      object.rotation.copy(start.rotation);
+      object.scale.copy(start.scale);
+      if (selected.collision !== Boolean(spec.collision)) {
+        selected.collision = Boolean(spec.collision);
+        manager.setLandmarkCollision(selected.key, selected.collision);
+      } else if (selected.collision) {
+        manager.refreshColliders();
+      }
+      selected.align = alignDefault(spec);
+      selected.changed = false;
+    },
+
+    changedCount: () => Array.from(edits.values()).filter((edit) => edit.changed).length,
+
+    /**
+     * The selection's `collision` and `placement` fields, ready to paste over
+     * the ones in its layout entry.
+     * @param {"json" | "js"} [format]  "js" leaves keys unquoted
+     */
+    exportSelection(format = "json") {
+      if (!selected) return "";
+      const text = Object.entries(buildPlacement(selected))
+        .map(([key, value]) => `${JSON.stringify(key)}: ${formatLayoutJson(value)}`)
+        .join(",\n");
+      return format === "js" ? text.replace(/"([A-Za-z_$][\w$]*)":/g, "$1:") : text;
+    },
+
+    /** The whole layout file with every changed landmark written back. */
+    exportLayout() {
+      sync();
+      const layout = structuredClone(manager.rawConfig ?? {});
+      for (const edit of edits.values()) {
+        if (!edit.changed) continue;
+        const entry = findLayoutEntry(layout, edit.spec);
+        if (entry) Object.assign(entry, buildPlacement(edit));
+      }
+      return `${formatLayoutJson(layout)}\n`;
+    },
+  };
+}
@@ -0,0 +1,65 @@
+// src/world/layoutAnchors.js
+// Named reference points that layout JSON can place things relative to, so a
+// landmark reads `{ "anchor": "acropolis", "x": 6, "z": -6 }` instead of world
+// coordinates. The x/y/z next to an anchor are offsets from it.
+
+import { ACROPOLIS_PEAK_3D, AGORA_CENTER_3D, HARBOR_CENTER_3D } from "./locations.js";
+
+export const LAYOUT_ANCHORS = {
+  harbor: HARBOR_CENTER_3D,
+  agora: AGORA_CENTER_3D,
+  acropolis: ACROPOLIS_PEAK_3D,
+};
+
+/**
+ * World position of an anchor plus an offset.
+ * @param {{ x?: number, y?: number, z?: number } | null | undefined} anchor
+ * @param {{ x?: number, y?: number, z?: number } | number[]} [delta]
+ */
+export function anchorPosition(anchor, delta = {}) {
+  const base = anchor || { x: 0, y: 0, z: 0 };
+  const dx = delta.x ?? delta[0] ?? 0;
+  const dy = delta.y ?? delta[1] ?? 0;
+  const dz = delta.z ?? delta[2] ?? 0;
+  return {
+    x: (base.x ?? 0) + dx,
+    y: (base.y ?? 0) + dy,
+    z: (base.z ?? 0) + dz,
+  };
+}
+
+/**
+ * The reverse of anchorPosition: a world position written relative to a named
+ * anchor, as layout JSON stores it. Leave out `y` for terrain-aligned entries.
+ * @param {string} name  a LAYOUT_ANCHORS key
+ * @param {{ x: number, y: number, z: number }} position
+ * @param {{ includeY?: boolean }} [options]
+ */
+export function anchorOffset(name, position, { includeY = true } = {}) {
+  const base = LAYOUT_ANCHORS[name] || { x: 0, y: 0, z: 0 };
+  const offset = { anchor: name, x: position.x - (base.x ?? 0) };
+  if (includeY) offset.y = position.y - (base.y ?? 0);
+  offset.z = position.z - (base.z ?? 0);
+  return offset;
+}
+
+/**
+ * Deep copy of a layout with every `{ anchor, x, y, z }` object replaced by
+ * its world position. Unknown anchor names are left in place for the config
+ * check to report.
+ * @template T
+ * @param {T} layout
+ * @returns {T}
+ */
+export function resolveLayoutAnchors(layout) {
+  if (Array.isArray(layout)) return layout.map(resolveLayoutAnchors);
+  if (!layout || typeof layout !== "object") return layout;
+  if (typeof layout.anchor === "string" && LAYOUT_ANCHORS[layout.anchor]) {
+    return anchorPosition(LAYOUT_ANCHORS[layout.anchor], layout);
+  }
+  const out = {};
+  for (const [key, value] of Object.entries(layout)) {
+    out[key] = resolveLayoutAnchors(value);
+  }
+  return out;
+}
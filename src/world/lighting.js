@@ -22,6 +22,9 @@ const SKY_COLOR_DAY = new Color("#bde0fe");
 const GROUND_COLOR_NIGHT = new Color("#1f1f2e");
 const GROUND_COLOR_DAY = new Color("#9d8189");
 
+// Overcast light loses its warmth; cloudiness pulls the sun toward this grey.
+const SUN_COLOR_OVERCAST = new Color("#c8ccd4");
+
 const scratchColor = new Color();
 const scratchDir = new Vector3();
 
@@ -53,7 +56,13 @@ export function createLighting(scene) {
   return { sunLight, hemiLight, nightFactor: 0 };
 }
 
-export function updateLighting(lights, sunDir) {
+/**
+ * @param {{ sunLight: DirectionalLight, hemiLight: HemisphereLight, nightFactor: number }} lights
+ * @param {Vector3} sunDir
+ * @param {{ sunScale?: number, hemiScale?: number, cloudiness?: number, flash?: number } | null} [weather]
+ *   Blended weather parameters (see world/weather.js); omit for a clear sky.
+ */
+export function updateLighting(lights, sunDir, weather = null) {
   // Validate the light container before attempting to update state.
   if (!lights || !lights.sunLight || !lights.hemiLight) return;
   const { sunLight, hemiLight } = lights;
@@ -72,17 +81,24 @@ export function updateLighting(lights, sunDir) {
   sunLight.target.updateMatrixWorld();
 
   // Smoothly fade the sun intensity below the horizon so the moon can take over.
-  const targetSunIntensity = MathUtils.lerp(0.05, 1.4, dayFactor);
+  const sunScale = weather?.sunScale ?? 1;
+  const targetSunIntensity = MathUtils.lerp(0.05, 1.4, dayFactor) * sunScale;
   sunLight.intensity = MathUtils.lerp(sunLight.intensity, targetSunIntensity, 0.1);
 
   // Sun color blending: Dawn → Noon, with a nudge toward Dusk as night approaches.
   const c0 = lerpColor(scratchColor, SUN_COLOR_DAWN, SUN_COLOR_NOON, dayFactor);
   const sunColor = c0.lerp(SUN_COLOR_DUSK, nightFactor * 0.55);
+  sunColor.lerp(SUN_COLOR_OVERCAST, MathUtils.clamp(weather?.cloudiness ?? 0, 0, 1) * 0.6);
   sunLight.color.copy(sunColor);
 
   // Hemisphere ambient blending (cooler and dimmer at night).
-  const hemiTarget = MathUtils.lerp(0.12, 0.95, dayFactor);
+  const hemiTarget = MathUtils.lerp(0.12, 0.95, dayFactor) * (weather?.hemiScale ?? 1);
   hemiLight.intensity = MathUtils.lerp(hemiLight.intensity, hemiTarget, 0.1);
+  // Lightning: a flash lifts the ambient for a few frames, skipping the easing.
+  const flash = weather?.flash ?? 0;
+  if (flash > 0) {
+    hemiLight.intensity = Math.max(hemiLight.intensity, hemiTarget + flash * 1.6);
+  }
   lerpColor(hemiLight.color, SKY_COLOR_NIGHT, SKY_COLOR_DAY, dayFactor);
   lerpColor(hemiLight.groundColor, GROUND_COLOR_NIGHT, GROUND_COLOR_DAY, dayFactor);
 
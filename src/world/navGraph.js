@@ -0,0 +1,434 @@
+import * as THREE from 'three';
+
+// Walkable network for NPCs and guidance: city streets (createCity's
+// roadCenterSegments), the main hill road curve and the civic promenade loop,
+// stitched together into one graph with an A* query.
+
+const NODE_MERGE_DISTANCE = 0.75;
+const MAX_EDGE_LENGTH = 10;
+const STITCH_RADIUS = 24;
+const HASH_CELL = 16;
+
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(id, priority) {
+    const items = this.items;
+    items.push({ id, priority });
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent].priority <= items[i].priority) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+        if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+export class NavGraph {
+  /**
+   * @param {{ getHeightAt?: ((x: number, z: number) => number) | null }} [options]
+   */
+  constructor({ getHeightAt = null } = {}) {
+    this.getHeightAt = getHeightAt;
+    /** @type {{ id: number, position: THREE.Vector3, kind: string }[]} */
+    this.nodes = [];
+    /** @type {Map<number, Map<number, number>>} node id → (neighbour id → cost) */
+    this.edges = new Map();
+    this.hash = new Map();
+  }
+
+  /** @private */
+  hashKey(cx, cz) {
+    return `${cx}_${cz}`;
+  }
+
+  /** @private */
+  sampleY(x, z, fallback = 0) {
+    const y = this.getHeightAt ? this.getHeightAt(x, z) : NaN;
+    return Number.isFinite(y) ? y : fallback;
+  }
+
+  /**
+   * Add (or reuse, if one is already within NODE_MERGE_DISTANCE) a node.
+   * @returns {number} node id
+   */
+  addNode(x, z, kind = 'road', y = undefined) {
+    const existing = this.nearestNode(x, z, NODE_MERGE_DISTANCE);
+    if (existing) return existing.id;
+
+    const id = this.nodes.length;
+    const position = new THREE.Vector3(x, Number.isFinite(y) ? y : this.sampleY(x, z), z);
+    this.nodes.push({ id, position, kind });
+    this.edges.set(id, new Map());
+    const key = this.hashKey(Math.floor(x / HASH_CELL), Math.floor(z / HASH_CELL));
+    if (!this.hash.has(key)) this.hash.set(key, []);
+    this.hash.get(key).push(id);
+    return id;
+  }
+
+  addEdge(a, b, cost = undefined) {
+    if (a === b || !this.edges.has(a) || !this.edges.has(b)) return;
+    const weight = Number.isFinite(cost)
+      ? cost
+      : this.nodes[a].position.distanceTo(this.nodes[b].position);
+    this.edges.get(a).set(b, weight);
+    this.edges.get(b).set(a, weight);
+  }
+
+  /**
+   * Add a chain of points, subdividing long spans so every stretch of road has
+   * nodes nearby to snap to.
+   * @param {{ x: number, z: number }[]} points
+   */
+  addPolyline(points, { closed = false, kind = 'road' } = {}) {
+    if (!Array.isArray(points) || points.length < 2) return;
+    const chain = closed ? [...points, points[0]] : points;
+    let previous = this.addNode(chain[0].x, chain[0].z, kind);
+    for (let i = 1; i < chain.length; i++) {
+      const a = chain[i - 1];
+      const b = chain[i];
+      const length = Math.hypot(b.x - a.x, b.z - a.z);
+      const steps = Math.max(1, Math.ceil(length / MAX_EDGE_LENGTH));
+      for (let s = 1; s <= steps; s++) {
+        const t = s / steps;
+        const id = this.addNode(
+          THREE.MathUtils.lerp(a.x, b.x, t),
+          THREE.MathUtils.lerp(a.z, b.z, t),
+          kind
+        );
+        this.addEdge(previous, id);
+        previous = id;
+      }
+    }
+  }
+
+  /**
+   * Sample a curve (e.g. CatmullRomCurve3) into a polyline.
+   * @param {THREE.Curve<THREE.Vector3>} curve
+   */
+  addCurve(curve, { spacing = 6, kind = 'road' } = {}) {
+    if (!curve || typeof curve.getSpacedPoints !== 'function') return;
+    const length = typeof curve.getLength === 'function' ? curve.getLength() : 0;
+    const divisions = Math.max(2, Math.ceil(length / Math.max(1, spacing)));
+    const points = curve.getSpacedPoints(divisions);
+    const closed = !!curve.closed;
+    // getSpacedPoints repeats the first point at the end of closed curves.
+    if (closed) points.pop();
+    this.addPolyline(points, { closed, kind });
+  }
+
+  /**
+   * @param {(node: { id: number, position: THREE.Vector3, kind: string }) => boolean} [filter]
+   *   only consider nodes it accepts
+   * @returns {{ id: number, position: THREE.Vector3, kind: string } | null}
+   */
+  nearestNode(x, z, maxDistance = Infinity, filter = null) {
+    if (!this.nodes.length) return null;
+    const cx = Math.floor(x / HASH_CELL);
+    const cz = Math.floor(z / HASH_CELL);
+    const ringLimit = Number.isFinite(maxDistance)
+      ? Math.ceil(maxDistance / HASH_CELL)
+      : Infinity;
+
+    let best = null;
+    let bestDistSq = maxDistance * maxDistance;
+    for (let ring = 0; ring <= ringLimit; ring++) {
+      for (let dz = -ring; dz <= ring; dz++) {
+        for (let dx = -ring; dx <= ring; dx++) {
+          if (Math.max(Math.abs(dx), Math.abs(dz)) !== ring) continue;
+          const bucket = this.hash.get(this.hashKey(cx + dx, cz + dz));
+          if (!bucket) continue;
+          for (const id of bucket) {
+            if (filter && !filter(this.nodes[id])) continue;
+            const p = this.nodes[id].position;
+            const d = (p.x - x) ** 2 + (p.z - z) ** 2;
+            if (d <= bestDistSq) {
+              bestDistSq = d;
+              best = this.nodes[id];
+            }
+          }
+        }
+      }
+      // Anything in a later ring is at least `ring * HASH_CELL` away.
+      if (best && Math.sqrt(bestDistSq) <= ring * HASH_CELL) break;
+      if (!Number.isFinite(ringLimit) && ring > 4096) break;
+    }
+    return best;
+  }
+
+  /** Nodes in the hash cells overlapping a square of half-size `radius`. @private */
+  *nodesNear(x, z, radius) {
+    const minX = Math.floor((x - radius) / HASH_CELL);
+    const maxX = Math.floor((x + radius) / HASH_CELL);
+    const minZ = Math.floor((z - radius) / HASH_CELL);
+    const maxZ = Math.floor((z + radius) / HASH_CELL);
+    for (let cz = minZ; cz <= maxZ; cz++) {
+      for (let cx = minX; cx <= maxX; cx++) {
+        const bucket = this.hash.get(this.hashKey(cx, cz));
+        if (!bucket) continue;
+        for (const id of bucket) yield this.nodes[id];
+      }
+    }
+  }
+
+  /**
+   * Link dead ends to the closest node of another road within `radius` so the
+   * separate networks (grid, hill road, promenade) join where they meet.
+   */
+  stitch(radius = STITCH_RADIUS) {
+    for (const node of this.nodes) {
+      const neighbours = this.edges.get(node.id);
+      if (neighbours.size > 1) continue;
+      let best = null;
+      let bestDist = radius;
+      for (const other of this.nodesNear(node.position.x, node.position.z, radius)) {
+        if (other.id === node.id || neighbours.has(other.id)) continue;
+        const d = node.position.distanceTo(other.position);
+        if (d >= bestDist) continue;
+        // Checked last: the hop search is the expensive part.
+        if (other.kind === node.kind && this.hopDistance(node.id, other.id, 3)) continue;
+        bestDist = d;
+        best = other;
+      }
+      if (best) this.addEdge(node.id, best.id);
+    }
+  }
+
+  /** True if `b` is reachable from `a` within `maxHops` edges. @private */
+  hopDistance(a, b, maxHops) {
+    let frontier = new Set([a]);
+    const seen = new Set([a]);
+    for (let hop = 0; hop < maxHops; hop++) {
+      const next = new Set();
+      for (const id of frontier) {
+        for (const n of this.edges.get(id).keys()) {
+          if (n === b) return true;
+          if (!seen.has(n)) {
+            seen.add(n);
+            next.add(n);
+          }
+        }
+      }
+      frontier = next;
+    }
+    return false;
+  }
+
+  /**
+   * Join disconnected islands to the largest component with an off-road edge
+   * between their closest nodes, so any two points stay routable.
+   */
+  connectComponents() {
+    const component = new Int32Array(this.nodes.length).fill(-1);
+    /** @type {number[][]} node ids per component */
+    const members = [];
+    for (const node of this.nodes) {
+      if (component[node.id] !== -1) continue;
+      const label = members.length;
+      const ids = [];
+      const stack = [node.id];
+      component[node.id] = label;
+      while (stack.length) {
+        const id = stack.pop();
+        ids.push(id);
+        for (const n of this.edges.get(id).keys()) {
+          if (component[n] === -1) {
+            component[n] = label;
+            stack.push(n);
+          }
+        }
+      }
+      members.push(ids);
+    }
+    if (members.length <= 1) return;
+
+    let main = 0;
+    members.forEach((ids, label) => {
+      if (ids.length > members[main].length) main = label;
+    });
+    const inMain = (node) => component[node.id] === main;
+    for (let label = 0; label < members.length; label++) {
+      if (label === main) continue;
+      let best = null;
+      let bestDist = Infinity;
+      for (const id of members[label]) {
+        const a = this.nodes[id];
+        const b = this.nearestNode(a.position.x, a.position.z, Infinity, inMain);
+        if (!b) continue;
+        const d = a.position.distanceToSquared(b.position);
+        if (d < bestDist) {
+          bestDist = d;
+          best = [a.id, b.id];
+        }
+      }
+      if (best) {
+        this.addEdge(best[0], best[1]);
+        for (const id of members[label]) component[id] = main;
+      }
+    }
+  }
+
+  /**
+   * A* between two node ids.
+   * @returns {number[] | null} node ids from start to goal
+   */
+  findNodePath(startId, goalId) {
+    if (!this.edges.has(startId) || !this.edges.has(goalId)) return null;
+    if (startId === goalId) return [startId];
+
+    const goal = this.nodes[goalId].position;
+    const heuristic = (id) => this.nodes[id].position.distanceTo(goal);
+    const open = new MinHeap();
+    const cameFrom = new Map();
+    const gScore = new Map([[startId, 0]]);
+    const closed = new Set();
+    open.push(startId, heuristic(startId));
+
+    while (open.size) {
+      const { id } = open.pop();
+      if (id === goalId) {
+        const path = [id];
+        let current = id;
+        while (cameFrom.has(current)) {
+          current = cameFrom.get(current);
+          path.push(current);
+        }
+        return path.reverse();
+      }
+      if (closed.has(id)) continue;
+      closed.add(id);
+
+      const base = gScore.get(id);
+      for (const [neighbour, cost] of this.edges.get(id)) {
+        if (closed.has(neighbour)) continue;
+        const tentative = base + cost;
+        if (tentative < (gScore.get(neighbour) ?? Infinity)) {
+          gScore.set(neighbour, tentative);
+          cameFrom.set(neighbour, id);
+          open.push(neighbour, tentative + heuristic(neighbour));
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Route between two world points: walk to the nearest road node, follow the
+   * network, then walk off it to the destination.
+   * @param {{ x: number, z: number }} from
+   * @param {{ x: number, z: number }} to
+   * @returns {THREE.Vector3[] | null} waypoints including both endpoints
+   */
+  findPath(from, to) {
+    const start = this.nearestNode(from.x, from.z);
+    const goal = this.nearestNode(to.x, to.z);
+    if (!start || !goal) return null;
+
+    const directDistance = Math.hypot(to.x - from.x, to.z - from.z);
+    const viaNetwork =
+      Math.hypot(start.position.x - from.x, start.position.z - from.z) +
+      Math.hypot(goal.position.x - to.x, goal.position.z - to.z);
+    const startPoint = new THREE.Vector3(from.x, this.sampleY(from.x, from.z, from.y ?? 0), from.z);
+    const endPoint = new THREE.Vector3(to.x, this.sampleY(to.x, to.z, to.y ?? 0), to.z);
+    // Short hops (or trips that would spend longer reaching the road than
+    // walking there directly) go straight.
+    if (start.id === goal.id || directDistance <= viaNetwork) {
+      return [startPoint, endPoint];
+    }
+
+    const ids = this.findNodePath(start.id, goal.id);
+    if (!ids) return null;
+    return [startPoint, ...ids.map((id) => this.nodes[id].position.clone()), endPoint];
+  }
+
+  /**
+   * Line segments for a debug overlay.
+   * @returns {THREE.LineSegments}
+   */
+  createDebugLines({ color = 0x00e0ff, lift = 0.4 } = {}) {
+    const positions = [];
+    for (const [a, neighbours] of this.edges) {
+      for (const b of neighbours.keys()) {
+        if (b < a) continue;
+        const pa = this.nodes[a].position;
+        const pb = this.nodes[b].position;
+        positions.push(pa.x, pa.y + lift, pa.z, pb.x, pb.y + lift, pb.z);
+      }
+    }
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+    const lines = new THREE.LineSegments(
+      geometry,
+      new THREE.LineBasicMaterial({ color, depthTest: false, transparent: true, opacity: 0.8 })
+    );
+    lines.name = 'NavGraphDebug';
+    lines.renderOrder = 10;
+    lines.userData.noCollision = true;
+    return lines;
+  }
+}
+
+/**
+ * Build the navigation graph from the world's road sources.
+ * @param {{
+ *   terrain?: THREE.Object3D | null,
+ *   city?: THREE.Object3D | null,
+ *   hillRoad?: THREE.Curve<THREE.Vector3> | null,
+ *   promenade?: THREE.Curve<THREE.Vector3> | null,
+ * }} sources
+ */
+export function buildNavGraph({ terrain = null, city = null, hillRoad = null, promenade = null } = {}) {
+  const getHeightAt = terrain?.userData?.getHeightAt?.bind(terrain?.userData) ?? null;
+  const graph = new NavGraph({ getHeightAt });
+
+  const segments = city?.userData?.roadCenterSegments;
+  if (Array.isArray(segments)) {
+    for (const { ax, az, bx, bz } of segments) {
+      graph.addPolyline(
+        [
+          { x: ax, z: az },
+          { x: bx, z: bz },
+        ],
+        { kind: 'street' }
+      );
+    }
+  }
+  if (hillRoad) graph.addCurve(hillRoad, { kind: 'hillRoad' });
+  if (promenade) graph.addCurve(promenade, { kind: 'promenade' });
+
+  graph.stitch();
+  graph.connectComponents();
+
+  let edgeCount = 0;
+  for (const neighbours of graph.edges.values()) edgeCount += neighbours.size;
+  console.log(`[NavGraph] ${graph.nodes.length} nodes, ${edgeCount / 2} edges`);
+  return graph;
+}
@@ -0,0 +1,313 @@
+import * as THREE from 'three';
+import {
+  AGORA_CENTER_3D,
+  AGORA_RADIUS,
+  ACROPOLIS_PEAK_3D,
+  ACROPOLIS_RADIUS,
+  HARBOR_CENTER_3D,
+  CITY_CHUNK_CENTER,
+} from './locations.js';
+
+// Places NPCs gather during the day. `route` is special: it means "walk the
+// path curve this NPC was spawned on" (the original looping behaviour).
+export const SCHEDULE_ANCHORS = {
+  agora: { x: AGORA_CENTER_3D.x, z: AGORA_CENTER_3D.z, radius: AGORA_RADIUS * 0.6 },
+  // Stay on the quay, east of the pier edge where the water starts.
+  harbor: { x: HARBOR_CENTER_3D.x + 14, z: HARBOR_CENTER_3D.z, radius: 10 },
+  acropolis: { x: ACROPOLIS_PEAK_3D.x, z: ACROPOLIS_PEAK_3D.z, radius: ACROPOLIS_RADIUS * 0.5 },
+  home: { x: CITY_CHUNK_CENTER.x, z: CITY_CHUNK_CENTER.z, radius: 35 },
+};
+
+// Phases follow sky.js: 0 = midnight, 0.25 = dawn, 0.5 = noon, 0.75 = dusk.
+// A block whose `from` is greater than `to` wraps past midnight.
+export const NPC_SCHEDULES = {
+  merchant: [
+    { from: 0.25, to: 0.45, anchor: 'agora' },
+    { from: 0.45, to: 0.58, anchor: 'harbor' },
+    { from: 0.58, to: 0.8, anchor: 'agora' },
+    { from: 0.8, to: 0.25, anchor: 'home' },
+  ],
+  sailor: [
+    { from: 0.22, to: 0.55, anchor: 'harbor' },
+    { from: 0.55, to: 0.7, anchor: 'agora' },
+    { from: 0.7, to: 0.85, anchor: 'harbor' },
+    { from: 0.85, to: 0.22, anchor: 'home' },
+  ],
+  stroller: [
+    { from: 0.3, to: 0.75, anchor: 'route' },
+    { from: 0.75, to: 0.85, anchor: 'agora' },
+    { from: 0.85, to: 0.3, anchor: 'home' },
+  ],
+  pilgrim: [
+    { from: 0.24, to: 0.4, anchor: 'acropolis' },
+    { from: 0.4, to: 0.7, anchor: 'route' },
+    { from: 0.7, to: 0.8, anchor: 'acropolis' },
+    { from: 0.8, to: 0.24, anchor: 'home' },
+  ],
+};
+
+export const DEFAULT_SCHEDULE_ROTATION = ['stroller', 'merchant', 'sailor', 'stroller', 'pilgrim'];
+
+// Fraction of NPCs that ignore nightfall and keep their schedule after dark.
+const NIGHT_OWL_CHANCE = 0.2;
+const ARRIVE_DISTANCE = 0.8;
+const ROUTE_JOIN_DISTANCE = 1.5;
+const PHASE_JUMP = 0.05;
+const NAV_MIN_DISTANCE = 20;
+
+const ROUTE_STATE = Object.freeze({ onRoute: true, moving: true });
+
+function phaseInBlock(phase, block) {
+  return block.from <= block.to
+    ? phase >= block.from && phase < block.to
+    : phase >= block.from || phase < block.to;
+}
+
+/**
+ * @param {{ from: number, to: number, anchor: string }[]} schedule
+ * @param {number} phase
+ * @returns {string}
+ */
+export function resolveScheduledAnchor(schedule, phase) {
+  if (!Array.isArray(schedule) || !schedule.length) return 'route';
+  const block = schedule.find((entry) => phaseInBlock(phase, entry));
+  return block?.anchor ?? 'route';
+}
+
+function phaseDistance(a, b) {
+  const d = Math.abs(a - b) % 1;
+  return Math.min(d, 1 - d);
+}
+
+/**
+ * Moves one NPC between schedule anchors. While the schedule says `route`
+ * (or no time of day is supplied) step() reports onRoute and the caller keeps
+ * driving the NPC along its curve; otherwise the agent walks the object
+ * itself, wanders inside the anchor, and hides it once it gets home at night.
+ * Longer trips follow the navigation graph when one is supplied.
+ */
+export class NpcScheduleAgent {
+  /**
+   * @param {{
+   *   object: THREE.Object3D,
+   *   schedule: { from: number, to: number, anchor: string }[],
+   *   speed: number,
+   *   getHeightAt?: ((x: number, z: number) => number) | null,
+   *   getRoutePoint?: () => THREE.Vector3 | null,
+   *   navGraph?: import('./navGraph.js').NavGraph | null,
+   *   heightOffset?: number,
+   *   random?: () => number,
+   * }} options
+   */
+  constructor({
+    object,
+    schedule,
+    speed,
+    getHeightAt = null,
+    getRoutePoint = null,
+    navGraph = null,
+    heightOffset = 0,
+    random = Math.random,
+  }) {
+    this.object = object;
+    this.schedule = schedule;
+    this.speed = speed;
+    this.getHeightAt = getHeightAt;
+    this.getRoutePoint = getRoutePoint;
+    this.navGraph = navGraph;
+    this.heightOffset = heightOffset;
+    this.random = random;
+    // Lower thresholds go indoors earlier, so crowds thin out gradually.
+    this.nightThreshold =
+      random() < NIGHT_OWL_CHANCE ? Infinity : THREE.MathUtils.lerp(0.3, 0.95, random());
+
+    this.anchor = null;
+    this.target = new THREE.Vector3();
+    this.hasTarget = false;
+    /** @type {THREE.Vector3[]} road waypoints to visit before `target` */
+    this.waypoints = [];
+    this.idleTimer = 0;
+    this.onRoute = true;
+    this.indoors = false;
+    this.lastPhase = null;
+  }
+
+  /**
+   * @param {number} dt
+   * @param {{ timeOfDayPhase?: number, nightFactor?: number }} [context]
+   * @returns {{ onRoute: boolean, moving: boolean }}
+   */
+  step(dt, context) {
+    const phase = context?.timeOfDayPhase;
+    if (!Number.isFinite(phase)) {
+      this.setIndoors(false);
+      return ROUTE_STATE;
+    }
+
+    const nightFactor = Number.isFinite(context.nightFactor) ? context.nightFactor : 0;
+    const bedtime = nightFactor > this.nightThreshold;
+    const anchor = bedtime ? 'home' : resolveScheduledAnchor(this.schedule, phase);
+    if (!bedtime) this.setIndoors(false);
+
+    // Presets, save loads and the first frame jump the clock; snap to the new
+    // anchor instead of marching across the whole city.
+    const jumped = this.lastPhase === null || phaseDistance(phase, this.lastPhase) > PHASE_JUMP;
+    this.lastPhase = phase;
+
+    if (anchor !== this.anchor) {
+      this.anchor = anchor;
+      this.hasTarget = false;
+      this.waypoints.length = 0;
+      this.idleTimer = 0;
+      this.onRoute = false;
+      if (jumped) this.teleportToAnchor(anchor, bedtime);
+    }
+
+    if (this.indoors) return { onRoute: false, moving: false };
+
+    if (anchor === 'route') {
+      if (this.onRoute) return ROUTE_STATE;
+      const joinPoint = this.getRoutePoint?.();
+      if (!joinPoint) {
+        this.onRoute = true;
+        return ROUTE_STATE;
+      }
+      if (!this.hasTarget) {
+        this.target.copy(joinPoint);
+        this.hasTarget = true;
+        this.planRoute();
+      }
+      if (this.moveTowardTarget(dt, ROUTE_JOIN_DISTANCE)) {
+        this.onRoute = true;
+      }
+      return { onRoute: this.onRoute, moving: true };
+    }
+
+    const area = SCHEDULE_ANCHORS[anchor];
+    if (!area) {
+      this.onRoute = true;
+      return ROUTE_STATE;
+    }
+
+    if (this.idleTimer > 0) {
+      this.idleTimer -= dt;
+      return { onRoute: false, moving: false };
+    }
+
+    if (!this.hasTarget) {
+      this.pickPointIn(area);
+      this.planRoute();
+    }
+
+    if (this.moveTowardTarget(dt, ARRIVE_DISTANCE)) {
+      this.hasTarget = false;
+      if (bedtime) {
+        this.setIndoors(true);
+        return { onRoute: false, moving: false };
+      }
+      this.idleTimer = THREE.MathUtils.lerp(2, 8, this.random());
+    }
+    return { onRoute: false, moving: this.idleTimer <= 0 };
+  }
+
+  /** @private */
+  pickPointIn(area) {
+    const angle = this.random() * Math.PI * 2;
+    const radius = Math.sqrt(this.random()) * area.radius;
+    this.target.set(area.x + Math.cos(angle) * radius, 0, area.z + Math.sin(angle) * radius);
+    this.hasTarget = true;
+  }
+
+  /** Fill `waypoints` with a road route to `target` for longer trips. @private */
+  planRoute() {
+    this.waypoints.length = 0;
+    const position = this.object.position;
+    const distance = Math.hypot(this.target.x - position.x, this.target.z - position.z);
+    if (!this.navGraph || distance < NAV_MIN_DISTANCE) return;
+    const path = this.navGraph.findPath(position, this.target);
+    if (path && path.length > 2) {
+      this.waypoints = path.slice(1, -1);
+    }
+  }
+
+  /** @private */
+  teleportToAnchor(anchor, goIndoors) {
+    this.waypoints.length = 0;
+    if (anchor === 'route') {
+      const point = this.getRoutePoint?.();
+      if (point) this.object.position.copy(point);
+      this.onRoute = true;
+      return;
+    }
+    const area = SCHEDULE_ANCHORS[anchor];
+    if (!area) return;
+    this.pickPointIn(area);
+    this.object.position.set(this.target.x, this.object.position.y, this.target.z);
+    this.snapToGround();
+    this.hasTarget = false;
+    if (anchor === 'home' && goIndoors) this.setIndoors(true);
+  }
+
+  /**
+   * Walk toward the next waypoint (or `this.target` once they are used up);
+   * returns true once within `tolerance` of the target.
+   * @private
+   */
+  moveTowardTarget(dt, tolerance) {
+    const following = this.waypoints.length > 0;
+    const goal = following ? this.waypoints[0] : this.target;
+    const reach = following ? ARRIVE_DISTANCE : tolerance;
+    const position = this.object.position;
+    const dx = goal.x - position.x;
+    const dz = goal.z - position.z;
+    const distance = Math.hypot(dx, dz);
+    if (distance > reach) {
+      const stepLength = Math.min(distance, this.speed * (Number.isFinite(dt) ? dt : 0));
+      position.x += (dx / distance) * stepLength;
+      position.z += (dz / distance) * stepLength;
+      this.snapToGround();
+      this.object.rotation.set(0, Math.atan2(dx, dz), 0);
+      if (distance - stepLength > reach) return false;
+    }
+    if (following) {
+      this.waypoints.shift();
+      return false;
+    }
+    return true;
+  }
+
+  /** @private */
+  snapToGround() {
+    const position = this.object.position;
+    const sampledY = this.getHeightAt ? this.getHeightAt(position.x, position.z) : NaN;
+    if (Number.isFinite(sampledY)) {
+      position.y = sampledY + this.heightOffset;
+    }
+  }
+
+  /** @private */
+  setIndoors(indoors) {
+    if (this.indoors === indoors) return;
+    this.indoors = indoors;
+    this.object.visible = !indoors;
+    // Raycasts ignore `visible`, so also stop hidden NPCs from being usable.
+    const data = this.object.userData;
+    if (indoors) {
+      data.scheduleInteractable = !!data.interactable;
+      data.interactable = false;
+    } else if ('scheduleInteractable' in data) {
+      data.interactable = data.scheduleInteractable;
+      delete data.scheduleInteractable;
+    }
+  }
+}
+
+/**
+ * Resolve a schedule spec (template name or explicit block list).
+ * @param {string | { from: number, to: number, anchor: string }[] | null | undefined} spec
+ */
+export function resolveSchedule(spec) {
+  if (Array.isArray(spec)) return spec;
+  if (typeof spec === 'string' && NPC_SCHEDULES[spec]) return NPC_SCHEDULES[spec];
+  return null;
+}
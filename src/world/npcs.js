@@ -1,6 +1,9 @@
 import * as THREE from 'three';
 import { Character } from '../characters/Character.js';
 import { resolveBaseUrl, joinPath } from '../utils/baseUrl.js';
+import { reportConfigLoadError, validateConfig } from '../config/configValidation.js';
+import { NPC_MANIFEST_SCHEMA } from '../config/configSchemas.js';
+import { NpcScheduleAgent, resolveSchedule } from './npcSchedules.js';
 
 function sanitizeRelativePath(value) {
   if (typeof value !== 'string') return '';
@@ -97,6 +100,38 @@ function createCitizenModel(primaryColor, secondaryColor) {
   return { group, body };
 }
 
+function npcIdFromFileName(fileName) {
+  const base = fileName.split('/').pop() || fileName;
+  return base.replace(/\.[^.]+$/, '').toLowerCase();
+}
+
+// Flag an NPC as interactable so the dialogue system can start a conversation.
+// `userData.talking` is toggled by the dialogue system and pauses the walker.
+function makeTalkable(npc, npcId, onTalk, highlightTarget = null) {
+  npc.userData.npcId = npcId;
+  npc.userData.talking = false;
+  if (typeof onTalk !== 'function') return;
+  npc.userData.interactable = true;
+  if (highlightTarget) {
+    npc.userData.highlightTarget = highlightTarget;
+  }
+  npc.userData.onUse = (object) => onTalk(object);
+}
+
+// Optional daily schedule; returns null when the NPC should just loop its path.
+function createScheduleAgent(object, index, options, extra) {
+  const specs = options.schedules;
+  if (!Array.isArray(specs) || !specs.length) return null;
+  const schedule = resolveSchedule(specs[index % specs.length]);
+  if (!schedule) return null;
+  return new NpcScheduleAgent({
+    object,
+    schedule,
+    navGraph: options.navGraph ?? null,
+    ...extra,
+  });
+}
+
 function createCurveLengthLookup(curve) {
   const divisions = 100;
   const lengths = curve.getLengths(divisions);
@@ -110,6 +145,8 @@ export function spawnCitizenCrowd(scene, pathCurve, options = {}) {
   }
 
   const count = options.count ?? 6;
+  // Seeded by the world seed so the same world spawns the same crowd.
+  const random = options.random ?? Math.random;
   const minSpeed = options.minSpeed ?? 0.6;
   const maxSpeed = options.maxSpeed ?? 1.2;
   const terrain = options.terrain ?? null;
@@ -123,6 +160,8 @@ export function spawnCitizenCrowd(scene, pathCurve, options = {}) {
 
   const { totalLength } = createCurveLengthLookup(pathCurve);
   const getHeightAt = terrain?.userData?.getHeightAt?.bind(terrain?.userData);
+  const idPrefix = options.idPrefix ?? 'citizen';
+  const onTalk = options.onTalk ?? null;
 
   const citizens = [];
   const updaters = [];
@@ -131,17 +170,46 @@ export function spawnCitizenCrowd(scene, pathCurve, options = {}) {
     const paletteEntry = palette[i % palette.length];
     const { group, body } = createCitizenModel(paletteEntry.primary, paletteEntry.secondary);
     group.userData.noCollision = true;
+    makeTalkable(group, `${idPrefix}-${i}`, onTalk, body);
+    options.crowd?.add(group, { radius: 0.45, heightOffset: 0.05 });
     scene.add(group);
     citizens.push(group);
 
-    const speed = THREE.MathUtils.lerp(minSpeed, maxSpeed, Math.random());
-    let progress = (i / count + Math.random() * 0.1) % 1;
-    let stepPhase = Math.random() * Math.PI * 2;
-
-    const update = (dt) => {
+    const speed = THREE.MathUtils.lerp(minSpeed, maxSpeed, random());
+    let progress = (i / count + random() * 0.1) % 1;
+    let stepPhase = random() * Math.PI * 2;
+    const agent = createScheduleAgent(group, i, options, {
+      speed,
+      random,
+      getHeightAt,
+      heightOffset: 0.05,
+      getRoutePoint: () => pathCurve.getPointAt(progress),
+    });
+
+    const update = (dt, context) => {
       if (!Number.isFinite(dt)) return;
+      // Hold position while in conversation; the dialogue system turns us.
+      if (group.userData.talking) {
+        body.position.y = 1.1;
+        body.rotation.z = 0;
+        return;
+      }
+      // The crowd layer slows us down to queue or to yield to the player.
+      const moveDt = dt * (group.userData.crowdSpeedScale ?? 1);
+      const scheduled = agent ? agent.step(moveDt, context) : null;
+      if (scheduled && !scheduled.onRoute) {
+        if (scheduled.moving) {
+          stepPhase += dt * speed * 6;
+          body.position.y = 1.1 + Math.sin(stepPhase) * 0.07;
+          body.rotation.z = Math.sin(stepPhase) * 0.2;
+        } else {
+          body.position.y = 1.1;
+          body.rotation.z = 0;
+        }
+        return;
+      }
       const distancePerSecond = speed;
-      const deltaProgress = (distancePerSecond * dt) / totalLength;
+      const deltaProgress = (distancePerSecond * moveDt) / totalLength;
       progress = (progress + deltaProgress) % 1;
 
       const position = pathCurve.getPointAt(progress);
@@ -185,11 +253,16 @@ export async function spawnGLBNPCs(scene, pathCurve, options = {}) {
         'missing-manifest',
         '[NPC Manifest] Missing models/npcs/manifest.json; skipping GLB NPCs.'
       );
+      reportConfigLoadError('models/npcs/manifest.json', manifestUrl, `HTTP ${response.status}; no GLB NPCs`, {
+        severity: 'warning',
+      });
       return { npcs: [], updaters: [] };
     }
     manifest = await response.json();
+    validateConfig('models/npcs/manifest.json', manifest, NPC_MANIFEST_SCHEMA, { source: manifestUrl, baseUrl });
   } catch (error) {
     const statusMessage = error?.message || error;
+    reportConfigLoadError('models/npcs/manifest.json', manifestUrl, error);
     warnOnce(
       manifestWarnings,
       'manifest-error',
@@ -214,6 +287,7 @@ export async function spawnGLBNPCs(scene, pathCurve, options = {}) {
   const { totalLength } = createCurveLengthLookup(pathCurve);
   const terrain = options.terrain ?? null;
   const getHeightAt = terrain?.userData?.getHeightAt?.bind(terrain?.userData);
+  const random = options.random ?? Math.random;
   const minSpeed = options.minSpeed ?? 0.6;
   const maxSpeed = options.maxSpeed ?? 1.2;
 
@@ -251,6 +325,7 @@ export async function spawnGLBNPCs(scene, pathCurve, options = {}) {
     const character = new Character();
     character.name = `GLBNPC:${fileName}`;
     character.userData.noCollision = true;
+    makeTalkable(character, npcIdFromFileName(fileName), options.onTalk ?? null);
 
     try {
       await character.load(prioritizedCandidates, scene.userData?.renderer, { targetHeight: 1.7 });
@@ -276,6 +351,7 @@ export async function spawnGLBNPCs(scene, pathCurve, options = {}) {
     }
 
     scene.add(character);
+    options.crowd?.add(character, { radius: 0.35 });
     npcs.push(character);
 
     const targetAction = character.actions?.get('Swagger')
@@ -291,8 +367,8 @@ export async function spawnGLBNPCs(scene, pathCurve, options = {}) {
       }
     }
 
-    const speed = THREE.MathUtils.lerp(minSpeed, maxSpeed, Math.random());
-    let progress = ((i / fileNames.length) + Math.random() * 0.1) % 1;
+    const speed = THREE.MathUtils.lerp(minSpeed, maxSpeed, random());
+    let progress = ((i / fileNames.length) + random() * 0.1) % 1;
 
     const initialPosition = pathCurve.getPointAt(progress);
     if (initialPosition) {
@@ -310,12 +386,41 @@ export async function spawnGLBNPCs(scene, pathCurve, options = {}) {
       }
     }
 
-    const update = (dt) => {
+    const agent = createScheduleAgent(character, i, options, {
+      speed,
+      random,
+      getHeightAt,
+      getRoutePoint: () => pathCurve.getPointAt(progress),
+    });
+
+    let currentAction = targetAction;
+    const playAction = (name) => {
+      if (name === currentAction || !character.actions?.get(name)) return;
+      currentAction = name;
+      character.play(name, 0.3);
+    };
+
+    const update = (dt, context) => {
       if (!Number.isFinite(dt)) return;
 
+      if (character.userData.talking) {
+        playAction('Idle');
+        character.update(dt);
+        return;
+      }
+
+      const moveDt = dt * (character.userData.crowdSpeedScale ?? 1);
+      const scheduled = agent ? agent.step(moveDt, context) : null;
+      if (scheduled && !scheduled.onRoute) {
+        playAction(scheduled.moving ? targetAction : 'Idle');
+        if (character.visible) character.update(dt);
+        return;
+      }
+      playAction(targetAction);
+
       const distancePerSecond = speed;
       const length = totalLength > 0 ? totalLength : 1;
-      const deltaProgress = (distancePerSecond * dt) / length;
+      const deltaProgress = (distancePerSecond * moveDt) / length;
       progress = (progress + deltaProgress) % 1;
 
       const position = pathCurve.getPointAt(progress);
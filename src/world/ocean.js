@@ -107,6 +107,8 @@ function createProceduralWaterNormals(size = 256) {
 const _dayWaterColor = new THREE.Color(0x1a4e80);
 const _nightWaterColor = new THREE.Color(0x091c2a);
 const _moodWaterColor = new THREE.Color();
+const _stormWaterColor = new THREE.Color(0x3a4a55);
+const _sunGlintColor = new THREE.Color(0xf2f8ff);
 
 const FRONT_Z_HARD = -117;
 
@@ -282,7 +284,7 @@ export async function createOcean(scene, options = {}) {
     textureHeight: renderTargetSize,
     waterNormals,
     sunDirection: new THREE.Vector3(0.707, 0.5, 0.5).normalize(),
-    sunColor: 0xf2f8ff,
+    sunColor: _sunGlintColor.clone(),
     waterColor: _dayWaterColor.clone(),
     distortionScale: 3.2,
     fog: Boolean(scene.fog),
@@ -367,13 +369,20 @@ export function mountWaterClipDebug(scene, west, east, north, south) {
   return line;
 }
 
-export function updateOcean(ocean, deltaSeconds = 0, sunDir, mood = 0) {
+/**
+ * @param {{ waves?: number, cloudiness?: number, sunScale?: number } | null} [weather]
+ *   Blended weather parameters: `waves` scales ripple strength and speed,
+ *   cloud cover greys the water and dims the sun glint.
+ */
+export function updateOcean(ocean, deltaSeconds = 0, sunDir, mood = 0, weather = null) {
   if (!ocean) return;
   const uniforms = ocean.uniforms ?? ocean.mesh?.material?.uniforms;
   if (!uniforms) return;
 
+  const waves = Math.max(0, weather?.waves ?? 1);
   if (Number.isFinite(deltaSeconds)) {
-    uniforms.time.value += deltaSeconds;
+    // Rougher seas also churn faster.
+    uniforms.time.value += deltaSeconds * (0.6 + 0.4 * waves);
   }
   if (sunDir && uniforms.sunDirection) {
     uniforms.sunDirection.value.copy(sunDir);
@@ -381,11 +390,14 @@ export function updateOcean(ocean, deltaSeconds = 0, sunDir, mood = 0) {
 
   const calmFactor = THREE.MathUtils.clamp(typeof mood === "number" ? mood : 0, 0, 1);
   if (uniforms.distortionScale) {
-    uniforms.distortionScale.value = THREE.MathUtils.lerp(3.2, 1.2, calmFactor);
+    uniforms.distortionScale.value = THREE.MathUtils.lerp(3.2, 1.2, calmFactor) * waves;
   }
+  const cloudiness = THREE.MathUtils.clamp(weather?.cloudiness ?? 0, 0, 1);
   if (uniforms.waterColor) {
-    uniforms.waterColor.value.copy(
-      _moodWaterColor.copy(_dayWaterColor).lerp(_nightWaterColor, calmFactor)
-    );
+    _moodWaterColor.copy(_dayWaterColor).lerp(_stormWaterColor, cloudiness * 0.5);
+    uniforms.waterColor.value.copy(_moodWaterColor.lerp(_nightWaterColor, calmFactor));
+  }
+  if (uniforms.sunColor) {
+    uniforms.sunColor.value.copy(_sunGlintColor).multiplyScalar(weather?.sunScale ?? 1);
   }
 }
@@ -0,0 +1,168 @@
+// src/world/seasons.js
+
+import * as THREE from "three";
+
+// Season calendar layered on the day cycle. Every wrap of the time-of-day phase
+// advances the calendar by one day; `daysPerSeason` days make a season and four
+// seasons a year. The year position drives the sun's declination (higher, longer
+// summer days; low, short winter ones) and a set of look/sound parameters that
+// blend between per-season keyframes, so nothing snaps at a season boundary.
+//
+// The palette is Attic rather than northern: grass is greenest in winter and
+// spring and dries to straw over the summer, while the peaks frost over in
+// winter.
+
+export const SEASON_IDS = ["spring", "summer", "autumn", "winter"];
+
+const MAX_DECLINATION = THREE.MathUtils.degToRad(23.44);
+
+/**
+ * Keyframes sit at the middle of each season (spring = year phase 0, the
+ * equinox; summer = 0.25, the solstice; and so on).
+ */
+const SEASON_KEYFRAMES = {
+  spring: {
+    label: "Spring",
+    grassColor: 0x4c8f3a,
+    grassHeight: 1,
+    terrainGrass: [0.3, 0.55, 0.22],
+    terrainSoil: [0.43, 0.31, 0.18],
+    terrainRock: [0.62, 0.62, 0.62],
+    crowd: 1,
+    wind: 0.1,
+  },
+  summer: {
+    label: "Summer",
+    grassColor: 0x9a9448,
+    grassHeight: 0.8,
+    terrainGrass: [0.55, 0.52, 0.28],
+    terrainSoil: [0.5, 0.38, 0.23],
+    terrainRock: [0.68, 0.66, 0.62],
+    crowd: 1.15,
+    wind: 0,
+  },
+  autumn: {
+    label: "Autumn",
+    grassColor: 0x7d8440,
+    grassHeight: 0.75,
+    terrainGrass: [0.44, 0.45, 0.22],
+    terrainSoil: [0.42, 0.29, 0.17],
+    terrainRock: [0.6, 0.59, 0.58],
+    crowd: 0.9,
+    wind: 0.2,
+  },
+  winter: {
+    label: "Winter",
+    grassColor: 0x477f3c,
+    grassHeight: 0.9,
+    terrainGrass: [0.27, 0.45, 0.22],
+    terrainSoil: [0.36, 0.28, 0.19],
+    terrainRock: [0.8, 0.82, 0.86],
+    crowd: 0.65,
+    wind: 0.35,
+  },
+};
+
+function wrap01(value) {
+  return value - Math.floor(value);
+}
+
+/**
+ * @param {{ daysPerSeason?: number, startSeason?: string }} [options]
+ */
+export function createSeasonCalendar({ daysPerSeason = 2, startSeason = "summer" } = {}) {
+  const days = Number.isFinite(daysPerSeason) ? Math.max(1, Math.round(daysPerSeason)) : 2;
+  const startIndex = Math.max(0, SEASON_IDS.indexOf(startSeason));
+  const calendar = {
+    daysPerSeason: days,
+    // Start at the first day of the chosen season, half a season before its
+    // keyframe.
+    yearStart: wrap01(startIndex * 0.25 - 0.125),
+    day: 0,
+    params: {
+      yearPhase: 0,
+      season: SEASON_IDS[startIndex],
+      dayOfSeason: 1,
+      declination: 0,
+      grassColor: new THREE.Color(),
+      grassHeight: 1,
+      terrainPalette: {
+        grass: new THREE.Color(),
+        soil: new THREE.Color(),
+        rock: new THREE.Color(),
+      },
+      crowd: 1,
+      wind: 0,
+    },
+  };
+  updateSeason(calendar, 0);
+  return calendar;
+}
+
+/** Move the calendar on by whole days (the day cycle calls this at midnight). */
+export function advanceCalendarDay(calendar, days = 1) {
+  if (!calendar || !Number.isFinite(days)) return;
+  calendar.day = Math.max(0, calendar.day + Math.round(days));
+}
+
+export function setCalendarDay(calendar, day) {
+  if (!calendar) return;
+  calendar.day = Number.isFinite(day) ? Math.max(0, Math.round(day)) : 0;
+}
+
+const scratchA = new THREE.Color();
+const scratchB = new THREE.Color();
+
+function blendColor(target, a, b, t) {
+  if (Array.isArray(a)) {
+    scratchA.setRGB(a[0], a[1], a[2]);
+    scratchB.setRGB(b[0], b[1], b[2]);
+  } else {
+    scratchA.setHex(a);
+    scratchB.setHex(b);
+  }
+  return target.copy(scratchA).lerp(scratchB, t);
+}
+
+/**
+ * Recompute calendar.params for the current day and time-of-day phase.
+ * @param {ReturnType<typeof createSeasonCalendar>} calendar
+ * @param {number} phase  time of day, 0..1
+ */
+export function updateSeason(calendar, phase = 0) {
+  if (!calendar) return null;
+  const { params, daysPerSeason } = calendar;
+  const daysPerYear = daysPerSeason * SEASON_IDS.length;
+  const yearPhase = wrap01(calendar.yearStart + (calendar.day + (phase || 0)) / daysPerYear);
+  params.yearPhase = yearPhase;
+  params.declination = MAX_DECLINATION * Math.sin(yearPhase * Math.PI * 2);
+
+  // Seasons run from half a season before their keyframe to half after.
+  const seasonPosition = wrap01(yearPhase + 0.125) * SEASON_IDS.length;
+  params.season = SEASON_IDS[Math.floor(seasonPosition) % SEASON_IDS.length];
+  params.dayOfSeason =
+    (Math.floor((seasonPosition % 1) * daysPerSeason) % daysPerSeason) + 1;
+
+  // Blend between the two keyframes either side of the current year phase.
+  const keyPosition = yearPhase * SEASON_IDS.length;
+  const index = Math.floor(keyPosition) % SEASON_IDS.length;
+  const from = SEASON_KEYFRAMES[SEASON_IDS[index]];
+  const to = SEASON_KEYFRAMES[SEASON_IDS[(index + 1) % SEASON_IDS.length]];
+  const t = THREE.MathUtils.smoothstep(keyPosition - Math.floor(keyPosition), 0, 1);
+
+  blendColor(params.grassColor, from.grassColor, to.grassColor, t);
+  params.grassHeight = THREE.MathUtils.lerp(from.grassHeight, to.grassHeight, t);
+  blendColor(params.terrainPalette.grass, from.terrainGrass, to.terrainGrass, t);
+  blendColor(params.terrainPalette.soil, from.terrainSoil, to.terrainSoil, t);
+  blendColor(params.terrainPalette.rock, from.terrainRock, to.terrainRock, t);
+  params.crowd = THREE.MathUtils.lerp(from.crowd, to.crowd, t);
+  params.wind = THREE.MathUtils.lerp(from.wind, to.wind, t);
+  return params;
+}
+
+/** "Summer, day 2 of 3" */
+export function describeSeason(calendar) {
+  if (!calendar) return "";
+  const { season, dayOfSeason } = calendar.params;
+  return `${SEASON_KEYFRAMES[season].label}, day ${dayOfSeason} of ${calendar.daysPerSeason}`;
+}
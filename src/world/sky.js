@@ -6,6 +6,15 @@ import * as THREE from "three";
 // Constants describing the star field radius to wrap the camera.
 const STAR_FIELD_RADIUS = 1000;
 
+// Scattering values for a clear sky and a fully clouded one; weather
+// cloudiness blends between them so overcast skies wash out to grey.
+const SKY_CLEAR = { turbidity: 10, rayleigh: 2, mieCoefficient: 0.005, mieDirectionalG: 0.8 };
+const SKY_CLOUDED = { turbidity: 20, rayleigh: 0.4, mieCoefficient: 0.04, mieDirectionalG: 0.6 };
+
+// Athens sits at roughly 38°N; with the sun's seasonal declination this sets
+// how high the noon sun climbs and how long the day lasts.
+const SUN_LATITUDE = THREE.MathUtils.degToRad(38);
+
 export function createSky(scene) {
   // Build and configure the sky dome shader.
   const sky = new Sky();
@@ -17,10 +26,10 @@ export function createSky(scene) {
   sky.userData.noCollision = true;
 
   const uniforms = sky.material.uniforms;
-  uniforms.turbidity.value = 10;
-  uniforms.rayleigh.value = 2;
-  uniforms.mieCoefficient.value = 0.005;
-  uniforms.mieDirectionalG.value = 0.8;
+  uniforms.turbidity.value = SKY_CLEAR.turbidity;
+  uniforms.rayleigh.value = SKY_CLEAR.rayleigh;
+  uniforms.mieCoefficient.value = SKY_CLEAR.mieCoefficient;
+  uniforms.mieDirectionalG.value = SKY_CLEAR.mieDirectionalG;
 
   // initialize sunPosition so shader is defined
   uniforms.sunPosition.value.set(0, 1, 0);
@@ -46,14 +55,30 @@ export function setTimeOfDayPhase(state, phase01) {
   return clamped;
 }
 
-export function getSunDirectionFromPhase(phase01, target = scratchSunDirection) {
+/**
+ * Sun direction for a time-of-day phase (0 = midnight, 0.5 = noon). The sun
+ * rises in the east (+X), crosses the southern sky (-Z) and sets in the west.
+ * @param {number} phase01
+ * @param {THREE.Vector3} [target]
+ * @param {number} [declination]  radians; + in summer (long, high days), - in winter
+ */
+export function getSunDirectionFromPhase(phase01, target = scratchSunDirection, declination = 0) {
   const phase = clamp01(phase01);
-  const theta = phase * Math.PI * 2;
-  target.set(Math.cos(theta), Math.sin(theta), 0);
+  const hourAngle = (phase - 0.5) * Math.PI * 2;
+  const sinLat = Math.sin(SUN_LATITUDE);
+  const cosLat = Math.cos(SUN_LATITUDE);
+  const sinDec = Math.sin(declination || 0);
+  const cosDec = Math.cos(declination || 0);
+  const cosHour = Math.cos(hourAngle);
+  target.set(
+    -cosDec * Math.sin(hourAngle),
+    sinLat * sinDec + cosLat * cosDec * cosHour,
+    cosLat * sinDec - sinLat * cosDec * cosHour
+  );
   return target;
 }
 
-export function updateSky(skyObj, state) {
+export function updateSky(skyObj, state, weather = null) {
   // Guard against missing uniforms or objects so runtime stays safe.
   const { sky } = skyObj || {};
   if (
@@ -66,12 +91,25 @@ export function updateSky(skyObj, state) {
   }
   // Copy normalized sun direction into the shader uniform
   const phase = state?.timeOfDayPhase ?? 0;
-  const sunDir = getSunDirectionFromPhase(phase, scratchSunDirection);
+  const sunDir = getSunDirectionFromPhase(
+    phase,
+    scratchSunDirection,
+    state?.sunDeclination ?? 0
+  );
   sky.material.uniforms.sunPosition.value.copy(sunDir).normalize();
+
+  if (weather) {
+    const uniforms = sky.material.uniforms;
+    const cloudiness = clamp01(weather.cloudiness ?? 0);
+    for (const key of Object.keys(SKY_CLEAR)) {
+      if (!uniforms[key]) continue;
+      uniforms[key].value = THREE.MathUtils.lerp(SKY_CLEAR[key], SKY_CLOUDED[key], cloudiness);
+    }
+  }
   return sunDir;
 }
 
-export function createStars(scene, count) {
+export function createStars(scene, count, random = Math.random) {
   // Generate a star field using random points on a sphere surface.
   const starCount = Math.max(0, count ?? 1000);
   const geometry = new THREE.BufferGeometry();
@@ -81,11 +119,11 @@ export function createStars(scene, count) {
     // Pick a random direction, normalise it, then place it on a shell so
     // stars surround the camera at a consistent distance.
     const direction = new THREE.Vector3(
-      Math.random() * 2 - 1,
-      Math.random() * 2 - 1,
-      Math.random() * 2 - 1
+      random() * 2 - 1,
+      random() * 2 - 1,
+      random() * 2 - 1
     ).normalize();
-    const distance = STAR_FIELD_RADIUS * (0.8 + Math.random() * 0.2);
+    const distance = STAR_FIELD_RADIUS * (0.8 + random() * 0.2);
     const index = i * 3;
     positions[index] = direction.x * distance;
     positions[index + 1] = direction.y * distance;
@@ -116,22 +154,24 @@ export function createStars(scene, count) {
   return stars;
 }
 
-export function updateStars(stars, phase) {
+export function updateStars(stars, sunDir, weather = null) {
   // Bail out when stars are not ready yet.
-  if (!stars) return;
+  if (!stars || !sunDir) return;
 
   const material = stars.material;
   if (!material) return;
 
-  // Convert the current phase of the day (0 = midnight, 0.5 = midday) into
-  // the sun's height in the sky using a sine wave: -1 (midnight) to +1 (midday).
-  const sunElevation = Math.sin(phase * Math.PI * 2);
+  // The sun's height in the sky: -1 (straight below) to +1 (overhead).
+  const sunElevation = sunDir.y;
 
   // Fade the stars out shortly before the sun reaches the horizon and keep them
   // invisible while it is high in the sky for a gentle transition.
   const fadeStart = -0.2; // sun just below the horizon
   const fadeEnd = 0.1;    // sun a little way into the sky
-  const nightStrength = 1 - THREE.MathUtils.smoothstep(sunElevation, fadeStart, fadeEnd);
+  // Cloud cover hides most of them.
+  const nightStrength =
+    (1 - THREE.MathUtils.smoothstep(sunElevation, fadeStart, fadeEnd)) *
+    (1 - clamp01(weather?.cloudiness ?? 0) * 0.9);
 
   // Slowly interpolate towards the desired opacity so the change is smooth.
   material.opacity = THREE.MathUtils.lerp(material.opacity, nightStrength, 0.05);
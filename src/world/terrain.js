@@ -11,33 +11,34 @@ import {
 } from "./groundTextures.js";
 import { GROUND_TEXTURE_CONFIG } from "./groundTextureConfig.js";
 import { applyTextureBudgetToMaterial } from "../utils/textureBudget.js";
+import { createTerrainChunks } from "./terrainChunks.js";
+import { normalizeTerrainConfig, sampleTerrainImage } from "./terrainSource.js";
+import { createHeightfieldSampler } from "./terrainHeight.js";
 
 // Utility: basic pseudo-random gradient noise using deterministic hashing so we can
 // produce repeatable rolling hills without pulling in an additional dependency.
 // This gives us smooth height transitions similar to Perlin noise by interpolating
 // the dot product of gradients at the corners of a grid cell.
-function gradientNoise(x, z) {
+// `seedPhase` shifts the hash so each world seed gets its own hills (0 keeps
+// the original landscape).
+function gradientNoise(x, z, seedPhase = 0) {
   const x0 = Math.floor(x);
   const z0 = Math.floor(z);
   const xf = x - x0;
   const zf = z - z0;
 
-  const gradients = new Array(4);
-  for (let i = 0; i < 4; i++) {
-    const ix = x0 + (i & 1);
-    const iz = z0 + (i >> 1);
-    const seed = Math.sin(ix * 374761393 + iz * 668265263) * 43758.5453;
-    const angle = seed - Math.floor(seed);
-    gradients[i] = {
-      x: Math.cos(angle * Math.PI * 2),
-      z: Math.sin(angle * Math.PI * 2),
-    };
-  }
+  // Dot product of the corner's pseudo-random unit gradient with the offset
+  // from that corner.
+  const cornerDot = (ix, iz, ox, oz) => {
+    const seed = Math.sin(ix * 374761393 + iz * 668265263 + seedPhase) * 43758.5453;
+    const angle = (seed - Math.floor(seed)) * Math.PI * 2;
+    return Math.cos(angle) * ox + Math.sin(angle) * oz;
+  };
 
-  const dot00 = gradients[0].x * (xf) + gradients[0].z * (zf);
-  const dot10 = gradients[1].x * (xf - 1) + gradients[1].z * (zf);
-  const dot01 = gradients[2].x * (xf) + gradients[2].z * (zf - 1);
-  const dot11 = gradients[3].x * (xf - 1) + gradients[3].z * (zf - 1);
+  const dot00 = cornerDot(x0, z0, xf, zf);
+  const dot10 = cornerDot(x0 + 1, z0, xf - 1, zf);
+  const dot01 = cornerDot(x0, z0 + 1, xf, zf - 1);
+  const dot11 = cornerDot(x0 + 1, z0 + 1, xf - 1, zf - 1);
 
   const fade = (t) => t * t * t * (t * (t * 6 - 15) + 10);
   const u = fade(xf);
@@ -52,14 +53,14 @@ function gradientNoise(x, z) {
 // Helper for fractal Brownian motion: summing several octaves of the base noise
 // lets us control amplitude (height) and frequency (feature size). Increase
 // frequency for craggier mountains, increase amplitude for taller peaks.
-function fbm(x, z, octaves, persistence, lacunarity) {
+function fbm(x, z, octaves, persistence, lacunarity, seedPhase = 0) {
   let amplitude = 1;
   let frequency = 1;
   let sum = 0;
   let max = 0;
 
   for (let i = 0; i < octaves; i++) {
-    sum += gradientNoise(x * frequency, z * frequency) * amplitude;
+    sum += gradientNoise(x * frequency, z * frequency, seedPhase) * amplitude;
     max += amplitude;
     amplitude *= persistence;
     frequency *= lacunarity;
@@ -68,56 +69,51 @@ function fbm(x, z, octaves, persistence, lacunarity) {
   return sum / max;
 }
 
-// Cache vector instances so updateTerrain can reuse them without churn.
-const _scratchVec = new THREE.Vector3();
+// Vertex colour bands; setTerrainPalette repaints each band for the season.
+const COLOR_BAND_GRASS = 0;
+const COLOR_BAND_SOIL = 1;
+const COLOR_BAND_ROCK = 2;
 const HARBOR_INNER_RADIUS = 18;
 const HARBOR_OUTER_RADIUS = 70;
 
-export function createTerrain(scene) {
-  // A large subdivided plane gives us enough vertices to push around and create
-  // rolling hills. More segments = smoother displacement at the cost of perf.
-  const size = 500;
-  const segments = 256;
-  const geometry = new THREE.PlaneGeometry(size, size, segments, segments);
-
-  const positionAttribute = geometry.attributes.position;
-  const vertexCount = positionAttribute.count;
-
-  // Store the unanimated base heights so our update loop can add gentle motion
-  // on top without permanently altering the terrain.
-  const baseHeights = new Float32Array(vertexCount);
-
-  // Optional vertex colors: we will paint grass/dirt/rock based on height to
-  // make the surface readable even without texture maps.
-  const colors = new Float32Array(vertexCount * 3);
-  const colorAttribute = new THREE.BufferAttribute(colors, 3);
-  geometry.setAttribute("color", colorAttribute);
+const TERRAIN_SIZE = 500;
+// Finest grid the chunks can refine to (~1 m cells); getHeightAt samples it
+// directly, so CPU heights match the closest (highest detail) chunks exactly.
+const TERRAIN_SEGMENTS = 512;
+const HEIGHT_SCALE = 25; // Raise this for taller peaks, lower for gentle plains.
+const BASE_FREQUENCY = 0.01; // Higher frequency = more, smaller details.
+
+// --- City plateau targets (slightly wider + slightly flatter)
+// Keep the same approach (flat inner, smooth falloff to natural terrain),
+// but expand the inner zone and soften the blend so the city core looks
+// more like an urban plain and less like rolling countryside.
+const CITY_INNER = Math.max(48, CITY_AREA_RADIUS * 0.65); // (CPU + GPU agree)
+const CITY_OUTER = Math.max(CITY_INNER + 32, CITY_AREA_RADIUS * 1.05); // (CPU + GPU agree)
+const CITY_TARGET_Y = AGORA_CENTER_3D.y; // same target elevation as before
+
+/**
+ * Procedural (FBM) height at a world position, before any flattening.
+ * @param {number} x  world x
+ * @param {number} z  world z
+ * @param {number} seedPhase
+ */
+function sampleNoiseHeight(x, z, seedPhase) {
+  // The noise is read at (x, -z): the old single plane mesh fed it plane-local
+  // coordinates, and this keeps the same hills in the same places.
+  return fbm(x * BASE_FREQUENCY, -z * BASE_FREQUENCY, 5, 0.5, 2.1, seedPhase) * HEIGHT_SCALE;
+}
 
-  const color = new THREE.Color();
-  const heightScale = 25; // Raise this for taller peaks, lower for gentle plains.
-  const baseFrequency = 0.01; // Higher frequency = more, smaller details.
-
-  // --- City plateau targets (slightly wider + slightly flatter)
-  // Keep the same approach (flat inner, smooth falloff to natural terrain),
-  // but expand the inner zone and soften the blend so the city core looks
-  // more like an urban plain and less like rolling countryside.
-  const CITY_CENTER_XZ = new THREE.Vector2(AGORA_CENTER_3D.x, AGORA_CENTER_3D.z);
-  const CITY_INNER = Math.max(48, CITY_AREA_RADIUS * 0.65); // (CPU + GPU agree)
-  const CITY_OUTER = Math.max(CITY_INNER + 32, CITY_AREA_RADIUS * 1.05); // (CPU + GPU agree)
-  const CITY_TARGET_Y = AGORA_CENTER_3D.y; // same target elevation as before
-
-  for (let i = 0; i < vertexCount; i++) {
-    // PlaneGeometry is built on the XY plane. We'll treat x as east-west and
-    // y as north-south; z will become height once we rotate the mesh.
-    const x = positionAttribute.getX(i);
-    const z = positionAttribute.getY(i);
-
-    // Fractal noise builds interesting shapes while remaining deterministic.
-    let height = fbm(x * baseFrequency, z * baseFrequency, 5, 0.5, 2.1) * heightScale;
-
-    const dx = x - HARBOR_CENTER.x;
-    const dz = z - HARBOR_CENTER.y;
-    const distance = Math.hypot(dx, dz);
+/**
+ * Harbor basin, city plateau and height clamps, applied to procedural and
+ * imported heights alike.
+ * @param {number} height
+ * @param {number} x  world x
+ * @param {number} z  world z
+ * @param {import("./terrainSource.js").TerrainSource["rules"]} rules
+ */
+function applyTerrainRules(height, x, z, rules) {
+  if (rules.harbor) {
+    const distance = Math.hypot(x - HARBOR_CENTER.x, z - HARBOR_CENTER.y);
     if (distance < HARBOR_OUTER_RADIUS) {
       const flatten = 1 - THREE.MathUtils.smoothstep(
         distance,
@@ -128,64 +124,177 @@ export function createTerrain(scene) {
         height = THREE.MathUtils.lerp(height, HARBOR_SEA_LEVEL, flatten);
       }
     }
+  }
 
-    // --- City plateau flattening (softly level the urban core; wider + flatter)
-    {
-      const dxCity = x - CITY_CENTER_XZ.x;
-      const dzCity = z - CITY_CENTER_XZ.y;
-      const dCity = Math.hypot(dxCity, dzCity);
-      if (dCity < CITY_OUTER) {
-        // 0 in inner ring (full flatten), 1 outside the outer ring (no change).
-        // Use a gentler S-curve for the blend (easeInOut-ish), which keeps more
-        // area near the core close to CITY_TARGET_Y without a hard edge.
-        const tLin = THREE.MathUtils.clamp(
-          (dCity - CITY_INNER) / Math.max(1e-3, CITY_OUTER - CITY_INNER),
-          0,
-          1,
-        );
-        const t = tLin * tLin * (3.0 - 2.0 * tLin); // smoothstep curve without extra overhead
-        // Blend original 'height' toward city target elevation.
-        height = THREE.MathUtils.lerp(CITY_TARGET_Y, height, t);
+  // --- City plateau flattening (softly level the urban core; wider + flatter)
+  if (rules.cityPlateau) {
+    const dCity = Math.hypot(x - AGORA_CENTER_3D.x, z - AGORA_CENTER_3D.z);
+    if (dCity < CITY_OUTER) {
+      // 0 in inner ring (full flatten), 1 outside the outer ring (no change).
+      // Use a gentler S-curve for the blend (easeInOut-ish), which keeps more
+      // area near the core close to CITY_TARGET_Y without a hard edge.
+      const tLin = THREE.MathUtils.clamp(
+        (dCity - CITY_INNER) / Math.max(1e-3, CITY_OUTER - CITY_INNER),
+        0,
+        1,
+      );
+      const t = tLin * tLin * (3.0 - 2.0 * tLin); // smoothstep curve without extra overhead
+      // Blend original 'height' toward city target elevation.
+      height = THREE.MathUtils.lerp(CITY_TARGET_Y, height, t);
+    }
+  }
+
+  if (rules.minHeight !== null) height = Math.max(height, rules.minHeight);
+  if (rules.maxHeight !== null) height = Math.min(height, rules.maxHeight);
+  return height;
+}
+
+/**
+ * Sample the whole terrain once into a regular grid. Chunks of every LOD read
+ * their vertices from it, so neighbouring chunks always agree on shared points.
+ * @param {number} seedPhase
+ * @param {import("./terrainSource.js").TerrainSource} source
+ * @returns {import("./terrainChunks.js").TerrainHeightfield}
+ */
+function buildHeightfield(seedPhase, source) {
+  const size = TERRAIN_SIZE;
+  const segments = TERRAIN_SEGMENTS;
+  const stride = segments + 1;
+  const cellSize = size / segments;
+  const minX = -size / 2;
+  const minZ = -size / 2;
+  const heights = new Float32Array(stride * stride);
+  const colorBands = new Uint8Array(stride * stride);
+  const { heightmap, splatMap, colorMap, rules, bands } = source;
+
+  for (let row = 0; row < stride; row++) {
+    const z = minZ + row * cellSize;
+    // Images run north to south from the top row; the grid runs south to north.
+    const v = 1 - row / segments;
+    for (let col = 0; col < stride; col++) {
+      const x = minX + col * cellSize;
+      let height;
+      if (heightmap) {
+        height = heightmap.offset + sampleTerrainImage(heightmap, col / segments, v) * heightmap.scale;
+        if (heightmap.detail) {
+          height += (sampleNoiseHeight(x, z, seedPhase) / HEIGHT_SCALE) * heightmap.detail;
+        }
+      } else {
+        height = sampleNoiseHeight(x, z, seedPhase);
       }
+      height = applyTerrainRules(height, x, z, rules);
+      const i = row * stride + col;
+      heights[i] = height;
+      colorBands[i] = colorBandFor(height, bands);
     }
-    positionAttribute.setZ(i, height);
-    baseHeights[i] = height;
-
-    // Blend colors based on altitude. Low areas get lush greens, mid elevations
-    // expose soil, and high peaks fade into cold rock tones.
-    const normalized = THREE.MathUtils.clamp((height + heightScale) / (heightScale * 2), 0, 1);
-    // richer grass/dirt/rock palette
-    if (normalized < 0.42) {
-      // richer, Mediterranean grass (was 0.24,0.42,0.17)
-      color.setRGB(0.30, 0.55, 0.22);
-    } else if (normalized < 0.72) {
-      // warmer soil (was 0.38,0.27,0.16)
-      color.setRGB(0.43, 0.31, 0.18);
-    } else {
-      // slightly brighter rock (was 0.6,0.6,0.6)
-      color.setRGB(0.62, 0.62, 0.62);
+  }
+
+  const heightfield = { size, segments, cellSize, minX, minZ, heights, colorBands, bands };
+  heightfield.normals = new Float32Array(stride * stride * 3);
+  computeNormals(heightfield);
+  if (splatMap) heightfield.splatWeights = resampleSplat(splatMap, segments);
+  if (colorMap) heightfield.vertexColors = resampleColors(colorMap, segments);
+  return heightfield;
+}
+
+// Band by altitude. Low areas get lush greens, mid elevations expose soil, and
+// high peaks fade into cold rock tones.
+function colorBandFor(height, bands) {
+  return height < bands.soil ? COLOR_BAND_GRASS : height < bands.rock ? COLOR_BAND_SOIL : COLOR_BAND_ROCK;
+}
+
+// Central-difference normals from the full-resolution grid, expressed in the
+// chunks' plane-local frame (x, -z, up). Coarse chunks reuse them, which keeps
+// lighting smooth across LOD borders. Writes heightfield.normals in place,
+// optionally only for an inclusive grid rectangle.
+function computeNormals(heightfield, region = null) {
+  const { segments, cellSize, heights, normals } = heightfield;
+  const stride = segments + 1;
+  const { col0 = 0, row0 = 0, col1 = segments, row1 = segments } = region ?? {};
+  for (let row = row0; row <= row1; row++) {
+    const up = Math.max(0, row - 1);
+    const down = Math.min(segments, row + 1);
+    for (let col = col0; col <= col1; col++) {
+      const left = Math.max(0, col - 1);
+      const right = Math.min(segments, col + 1);
+      const dhdx =
+        (heights[row * stride + right] - heights[row * stride + left]) / ((right - left) * cellSize);
+      const dhdz =
+        (heights[down * stride + col] - heights[up * stride + col]) / ((down - up) * cellSize);
+      const invLength = 1 / Math.hypot(dhdx, dhdz, 1);
+      const n = (row * stride + col) * 3;
+      normals[n] = -dhdx * invLength;
+      normals[n + 1] = dhdz * invLength;
+      normals[n + 2] = invLength;
     }
-    colorAttribute.setXYZ(i, color.r, color.g, color.b);
   }
+}
 
-  positionAttribute.needsUpdate = true;
-  colorAttribute.needsUpdate = true;
-  geometry.computeVertexNormals();
-
-  // Pack info we need later for animation and sampling.
-  geometry.userData.baseHeights = baseHeights;
-  geometry.userData.segmentCount = segments;
-  geometry.userData.size = size;
-
-  // --- GPU sway setup: capture the original positions so the shader can gently
-  // displace them at runtime without mutating the CPU-side buffers.
-  if (!geometry.getAttribute("basePos")) {
-    const basePos = new THREE.BufferAttribute(
-      new Float32Array(positionAttribute.array),
-      3,
-    );
-    geometry.setAttribute("basePos", basePos);
+// Grass/soil/rock weights per grid vertex from the splat map's r/g/b.
+function resampleSplat(image, segments) {
+  const stride = segments + 1;
+  const weights = new Float32Array(stride * stride * 3);
+  for (let row = 0; row < stride; row++) {
+    const v = 1 - row / segments;
+    for (let col = 0; col < stride; col++) {
+      const u = col / segments;
+      const grass = sampleTerrainImage(image, u, v, 0);
+      const soil = sampleTerrainImage(image, u, v, 1);
+      const rock = sampleTerrainImage(image, u, v, 2);
+      const total = grass + soil + rock;
+      const i = (row * stride + col) * 3;
+      if (total > 1e-4) {
+        weights[i] = grass / total;
+        weights[i + 1] = soil / total;
+        weights[i + 2] = rock / total;
+      } else {
+        weights[i] = 1;
+      }
+    }
+  }
+  return weights;
+}
+
+// Fixed per-vertex colours (sRGB in the image, linear in the buffer).
+function resampleColors(image, segments) {
+  const stride = segments + 1;
+  const colors = new Float32Array(stride * stride * 3);
+  const color = new THREE.Color();
+  for (let row = 0; row < stride; row++) {
+    const v = 1 - row / segments;
+    for (let col = 0; col < stride; col++) {
+      const u = col / segments;
+      color.setRGB(
+        sampleTerrainImage(image, u, v, 0),
+        sampleTerrainImage(image, u, v, 1),
+        sampleTerrainImage(image, u, v, 2),
+        THREE.SRGBColorSpace,
+      );
+      color.toArray(colors, (row * stride + col) * 3);
+    }
   }
+  return colors;
+}
+
+/**
+ * Chunked terrain: a quadtree of chunks that refines around the camera (see
+ * terrainChunks.js). Returns a Group named "Terrain" whose children are the
+ * active chunks; raycasts against it recurse into them as before.
+ * @param {THREE.Scene} scene
+ * @param {{
+ *   seed?: number,
+ *   source?: import("./terrainSource.js").TerrainSource,
+ *   chunkSegments?: number,
+ *   splitDistance?: number,
+ * }} [options]
+ *   seed is the terrain sub-seed from world/worldSeed.js; source is the
+ *   authored input from loadTerrainSource (procedural when omitted)
+ */
+export function createTerrain(scene, options = {}) {
+  // Map the 32-bit seed to a phase offset for the noise hash.
+  const seedPhase = Number.isFinite(options.seed) ? ((options.seed >>> 0) % 100003) * 0.7548776662 : 0;
+  const source = options.source ?? normalizeTerrainConfig();
+  const heightfield = buildHeightfield(seedPhase, source);
 
   let terrainMaterial = new THREE.MeshStandardMaterial({
     color: 0xa3ae8b,
@@ -199,15 +308,15 @@ export function createTerrain(scene) {
     GROUND_TEXTURE_CONFIG,
   );
   const shouldTrackGroundHeight = groundTextureState.detailLayers.length > 0;
-  const basePosAttr = geometry.getAttribute("basePos");
 
   const swayUniforms = {
     uTime: { value: 0 },
     // softer ground sway
     uWindStrength: { value: 0.18 },
     uWindFreq: { value: 0.15 },
+    // Plane-local (x, -z), the frame basePos is stored in.
     uCityCenter: {
-      value: new THREE.Vector2(AGORA_CENTER_3D.x, AGORA_CENTER_3D.z),
+      value: new THREE.Vector2(AGORA_CENTER_3D.x, -AGORA_CENTER_3D.z),
     },
     // Use the SAME values as CPU flattening above so the shader & geometry match.
     uCityInner: { value: CITY_INNER },
@@ -236,7 +345,7 @@ export function createTerrain(scene) {
     shader.vertexShader = shader.vertexShader.replace(
       "#include <begin_vertex>",
       `
-        // Start from the stored base position. PlaneGeometry is XY with height in Z.
+        // Start from the stored base position. Chunks are XY with height in Z.
         vec3 transformed = basePos;
 ${shouldTrackGroundHeight ? "\n        vGroundHeight = basePos.z;" : ""}
 
@@ -272,107 +381,140 @@ ${shouldTrackGroundHeight ? "\n        vGroundHeight = basePos.z;" : ""}
     renderer: scene?.userData?.renderer ?? null,
   });
 
-  const terrain = new THREE.Mesh(geometry, terrainMaterial);
-  terrain.rotation.x = -Math.PI / 2; // Rotate so the plane lies flat on the XZ axis.
-  terrain.receiveShadow = true;
+  const chunks = createTerrainChunks(heightfield, terrainMaterial, {
+    chunkSegments: options.chunkSegments,
+    splitDistance: options.splitDistance,
+  });
+  // The original spring colours until the season cycle repaints them.
+  chunks.setPalette(
+    new THREE.Color(0.30, 0.55, 0.22),
+    new THREE.Color(0.43, 0.31, 0.18),
+    new THREE.Color(0.62, 0.62, 0.62),
+  );
+  const terrain = chunks.group;
+  terrain.rotation.x = -Math.PI / 2; // Chunks are built on XY; lay them flat on XZ.
   terrain.name = "Terrain";
+  // Start refined around the origin; updateTerrain follows the camera after.
+  chunks.update({ x: 0, y: 0, z: 0 }, { force: true });
   scene.add(terrain);
 
-  // Static terrain would only run the block above. Because we also animate,
-  // attach helpers for dynamic behaviour and runtime height queries.
-  const stride = segments + 1;
-  terrain.userData.getHeightAt = (worldX, worldZ) => {
-    _scratchVec.set(worldX, 0, worldZ);
-    terrain.worldToLocal(_scratchVec);
-
-    const halfSize = size / 2;
-    const localX = _scratchVec.x + halfSize;
-    const localZ = _scratchVec.z + halfSize;
-
-    if (localX < 0 || localX > size || localZ < 0 || localZ > size) {
-      return null;
+  // Same wave as the vertex shader, evaluated on the CPU.
+  const sampleSway = (planarX, planarY) => {
+    const windStrength = swayUniforms.uWindStrength.value ?? 0;
+    if (windStrength === 0) {
+      return 0;
     }
 
-    const percentX = localX / size;
-    const percentZ = localZ / size;
-    const gridX = percentX * segments;
-    const gridZ = percentZ * segments;
-
-    const x0 = Math.floor(gridX);
-    const x1 = Math.min(x0 + 1, segments);
-    const z0 = Math.floor(gridZ);
-    const z1 = Math.min(z0 + 1, segments);
-
-    const sx = gridX - x0;
-    const sz = gridZ - z0;
-
-    const index00 = z0 * stride + x0;
-    const index10 = z0 * stride + x1;
-    const index01 = z1 * stride + x0;
-    const index11 = z1 * stride + x1;
-
-    const uniforms = terrain.userData.swayUniforms;
-
-    const sampleSway = (vertexIndex) => {
-      if (!uniforms) return 0;
-
-      const windStrength = uniforms.uWindStrength?.value ?? 0;
-      if (windStrength === 0) {
-        return 0;
-      }
-
-      const planarX = basePosAttr.getX(vertexIndex);
-      const planarY = basePosAttr.getY(vertexIndex);
-
-      const cityCenter = uniforms.uCityCenter?.value;
-      const cityInner = uniforms.uCityInner?.value ?? 0;
-      const cityOuter = uniforms.uCityOuter?.value ?? cityInner;
-
-      let cityFactor = 1;
-      if (cityCenter) {
-        const dx = planarX - cityCenter.x;
-        const dz = planarY - cityCenter.y;
-        const distance = Math.hypot(dx, dz);
-
-        if (distance <= cityInner) {
-          cityFactor = 0;
-        } else if (distance < cityOuter) {
-          const range = Math.max(0.0001, cityOuter - cityInner);
-          const t = (distance - cityInner) / range;
-          cityFactor = THREE.MathUtils.clamp(t, 0, 1);
-        }
-      }
-
-      if (cityFactor === 0) {
-        return 0;
-      }
-
-      const windFreq = uniforms.uWindFreq?.value ?? 0;
-      const time = uniforms.uTime?.value ?? 0;
-      const swayPhase = (planarX + planarY) * windFreq + time * 0.5;
-      return Math.sin(swayPhase) * 0.3 * windStrength * cityFactor;
-    };
+    const cityCenter = swayUniforms.uCityCenter.value;
+    const cityInner = swayUniforms.uCityInner.value ?? 0;
+    const cityOuter = swayUniforms.uCityOuter.value ?? cityInner;
+
+    let cityFactor = 1;
+    const distance = Math.hypot(planarX - cityCenter.x, planarY - cityCenter.y);
+    if (distance <= cityInner) {
+      cityFactor = 0;
+    } else if (distance < cityOuter) {
+      const range = Math.max(0.0001, cityOuter - cityInner);
+      cityFactor = THREE.MathUtils.clamp((distance - cityInner) / range, 0, 1);
+    }
 
-    const h00 = baseHeights[index00] + sampleSway(index00);
-    const h10 = baseHeights[index10] + sampleSway(index10);
-    const h01 = baseHeights[index01] + sampleSway(index01);
-    const h11 = baseHeights[index11] + sampleSway(index11);
+    if (cityFactor === 0) {
+      return 0;
+    }
 
-    const h0 = h00 + (h10 - h00) * sx;
-    const h1 = h01 + (h11 - h01) * sx;
-    return h0 + (h1 - h0) * sz;
+    const windFreq = swayUniforms.uWindFreq.value ?? 0;
+    const time = swayUniforms.uTime.value ?? 0;
+    const swayPhase = (planarX + planarY) * windFreq + time * 0.5;
+    return Math.sin(swayPhase) * 0.3 * windStrength * cityFactor;
   };
 
+  // Barycentric over the full-resolution grid (what the nearest chunks
+  // render), plus the current sway. No raycasts; see terrainHeight.js.
+  Object.assign(
+    terrain.userData,
+    createHeightfieldSampler(heightfield, {
+      origin: terrain.position,
+      getOffsetAt: (x, z) => sampleSway(x - terrain.position.x, -(z - terrain.position.z)),
+    }),
+  );
+  // The chunks only refine near the camera, so baking them into the static
+  // collider would leave coarse, mismatched ground far from where it was
+  // built. EnvironmentCollider resolves the terrain from the sampler instead.
+  terrain.userData.noCollision = true;
+
+  terrain.userData.size = heightfield.size;
+  terrain.userData.heightfield = heightfield;
+  terrain.userData.source = source;
+  terrain.userData.chunks = chunks;
   terrain.userData.swayUniforms = swayUniforms;
   terrain.userData.groundTextureState = groundTextureState;
 
   return terrain;
 }
 
-export function updateTerrain(terrain, time) {
+/**
+ * Repaint the grass/soil/rock vertex colour bands (used by the season cycle).
+ * Only rewrites the buffers when a colour changes at 8-bit precision, so it is
+ * cheap to call every frame.
+ * @param {THREE.Group} terrain
+ * @param {{ grass: THREE.Color, soil: THREE.Color, rock: THREE.Color }} palette
+ */
+export function setTerrainPalette(terrain, palette) {
+  const chunks = terrain?.userData?.chunks;
+  if (!chunks || !palette) return;
+
+  const bandColors = [palette.grass, palette.soil, palette.rock];
+  if (bandColors.some((entry) => !entry?.isColor)) return;
+  const key = bandColors.map((entry) => entry.getHex()).join(":");
+  if (terrain.userData.paletteKey === key) return;
+  terrain.userData.paletteKey = key;
+  chunks.setPalette(palette.grass, palette.soil, palette.rock);
+}
+
+/**
+ * Push edits to `heightfield.heights` (e.g. from the sculpt brushes) out to
+ * the normals, altitude bands and any built chunks. The height sampler reads
+ * the grid live, so it needs no refresh.
+ * @param {THREE.Group} terrain
+ * @param {{ col0: number, row0: number, col1: number, row1: number }} region
+ *   inclusive grid rectangle whose heights changed
+ */
+export function refreshTerrainRegion(terrain, region) {
+  const heightfield = terrain?.userData?.heightfield;
+  if (!heightfield || !region) return;
+  const { segments, heights, colorBands, bands } = heightfield;
+  const stride = segments + 1;
+  const clampIndex = (value) => Math.min(Math.max(Math.round(value), 0), segments);
+  // Normals on the ring just outside the edit read the edited heights too.
+  const col0 = clampIndex(region.col0 - 1);
+  const row0 = clampIndex(region.row0 - 1);
+  const col1 = clampIndex(region.col1 + 1);
+  const row1 = clampIndex(region.row1 + 1);
+  if (col0 > col1 || row0 > row1) return;
+
+  computeNormals(heightfield, { col0, row0, col1, row1 });
+  for (let row = row0; row <= row1; row++) {
+    for (let col = col0; col <= col1; col++) {
+      const i = row * stride + col;
+      colorBands[i] = colorBandFor(heights[i], bands);
+    }
+  }
+  terrain.userData.chunks?.refreshRegion({ col0, row0, col1, row1 });
+}
+
+/**
+ * Advance the GPU sway and refine the chunk LOD around the camera.
+ * @param {THREE.Group} terrain
+ * @param {number} time
+ * @param {THREE.Vector3} [cameraPosition]
+ */
+export function updateTerrain(terrain, time, cameraPosition) {
   if (!terrain) return;
   const uniforms = terrain.userData.swayUniforms;
   if (uniforms) {
     uniforms.uTime.value = time;
   }
+  if (cameraPosition) {
+    terrain.userData.chunks?.update(cameraPosition);
+  }
 }
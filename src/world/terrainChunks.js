@@ -0,0 +1,431 @@
+import * as THREE from "three";
+
+// Quadtree LOD for the terrain heightfield. Every node is a square chunk drawn
+// with the same number of quads (`chunkSegments`), so a node one level deeper
+// covers a quarter of the area at twice the detail. Nodes split while the
+// camera is within `splitDistance` × their width and merge back (with a little
+// hysteresis) once it moves away; the leaves are the chunks in the scene.
+//
+// Chunks live in the terrain's plane-local frame (x east, y = -world z, z up),
+// the same frame the old single PlaneGeometry used, so the material's `basePos`
+// sway and ground-texture height contract carry over unchanged.
+//
+// Seams: where a chunk borders a coarser one, the in-between vertices on that
+// edge are pulled onto the coarse edge line so the two surfaces meet exactly.
+
+const MERGE_HYSTERESIS = 1.15;
+// Re-evaluate the tree once the camera has moved this far (m).
+const RELAYOUT_DISTANCE = 2;
+
+const SIDE_ROW_MIN = 0;
+const SIDE_COL_MAX = 1;
+const SIDE_ROW_MAX = 2;
+const SIDE_COL_MIN = 3;
+
+/**
+ * @typedef {object} TerrainHeightfield
+ * @property {number} size       world width/depth (m)
+ * @property {number} segments   grid cells per side
+ * @property {number} cellSize   size / segments
+ * @property {number} minX       world x of column 0
+ * @property {number} minZ       world z of row 0
+ * @property {Float32Array} heights     (segments + 1)² heights, row-major by world z
+ * @property {Float32Array} normals     plane-local normals, 3 per vertex
+ * @property {Uint8Array} colorBands    grass/soil/rock band per vertex
+ * @property {{ soil: number, rock: number }} [bands]  altitude thresholds behind colorBands
+ * @property {Float32Array} [splatWeights]  grass/soil/rock weights, 3 per vertex (splat map)
+ * @property {Float32Array} [vertexColors]  fixed linear colours, 3 per vertex (colour map)
+ */
+
+/**
+ * @param {TerrainHeightfield} heightfield
+ * @param {THREE.Material} material  shared by every chunk
+ * @param {{ chunkSegments?: number, splitDistance?: number }} [options]
+ */
+export function createTerrainChunks(heightfield, material, options = {}) {
+  const chunkSegments = options.chunkSegments ?? 32;
+  const splitDistance = options.splitDistance ?? 1;
+  const { segments, cellSize, minX, minZ, heights, normals, colorBands } = heightfield;
+  const { splatWeights = null, vertexColors = null } = heightfield;
+  const stride = segments + 1;
+  const maxDepth = Math.max(0, Math.round(Math.log2(segments / chunkSegments)));
+  if (chunkSegments << maxDepth !== segments) {
+    throw new Error(
+      `[terrain] ${segments} grid segments cannot be split into ${chunkSegments}-quad chunks`,
+    );
+  }
+
+  const group = new THREE.Group();
+  const index = buildChunkIndex(chunkSegments);
+  const bandColors = [new THREE.Color(), new THREE.Color(), new THREE.Color()];
+  let paletteSet = false;
+
+  const measureNode = (node) => {
+    const { col0, row0, step } = node;
+    let minH = Infinity;
+    let maxH = -Infinity;
+    for (let j = 0; j <= chunkSegments; j++) {
+      const rowOffset = (row0 + j * step) * stride + col0;
+      for (let i = 0; i <= chunkSegments; i++) {
+        const h = heights[rowOffset + i * step];
+        if (h < minH) minH = h;
+        if (h > maxH) maxH = h;
+      }
+    }
+    node.minH = minH;
+    node.maxH = maxH;
+  };
+
+  const makeNode = (depth, col0, row0, cells) => {
+    const node = {
+      depth,
+      col0,
+      row0,
+      cells,
+      step: cells / chunkSegments,
+      minH: 0,
+      maxH: 0,
+      split: false,
+      children: null,
+      mesh: null,
+      // Coarser-neighbour ratio per side that the edge vertices currently match.
+      stitch: [1, 1, 1, 1],
+    };
+    measureNode(node);
+    return node;
+  };
+
+  const root = makeNode(0, 0, 0, segments);
+  /** @type {Set<ReturnType<typeof makeNode>>} */
+  let activeLeaves = new Set();
+  const lastLayoutAt = new THREE.Vector3(Infinity, Infinity, Infinity);
+
+  const gridIndex = (node, i, j) => (node.row0 + j * node.step) * stride + node.col0 + i * node.step;
+
+  // A colour map fixes the colours outright; a splat map blends the palette
+  // per vertex; otherwise each vertex takes its altitude band's colour.
+  const paintChunk = (node) => {
+    const colors = node.mesh.geometry.getAttribute("color");
+    const array = colors.array;
+    const [grass, soil, rock] = bandColors;
+    let v = 0;
+    for (let j = 0; j <= chunkSegments; j++) {
+      for (let i = 0; i <= chunkSegments; i++, v++) {
+        const g = gridIndex(node, i, j);
+        if (vertexColors) {
+          array[v * 3] = vertexColors[g * 3];
+          array[v * 3 + 1] = vertexColors[g * 3 + 1];
+          array[v * 3 + 2] = vertexColors[g * 3 + 2];
+        } else if (splatWeights) {
+          const wg = splatWeights[g * 3];
+          const ws = splatWeights[g * 3 + 1];
+          const wr = splatWeights[g * 3 + 2];
+          array[v * 3] = grass.r * wg + soil.r * ws + rock.r * wr;
+          array[v * 3 + 1] = grass.g * wg + soil.g * ws + rock.g * wr;
+          array[v * 3 + 2] = grass.b * wg + soil.b * ws + rock.b * wr;
+        } else {
+          const entry = bandColors[colorBands[g]];
+          array[v * 3] = entry.r;
+          array[v * 3 + 1] = entry.g;
+          array[v * 3 + 2] = entry.b;
+        }
+      }
+    }
+    colors.needsUpdate = true;
+  };
+
+  const buildChunk = (node) => {
+    const vertsPerSide = chunkSegments + 1;
+    const count = vertsPerSide * vertsPerSide;
+    const positions = new Float32Array(count * 3);
+    const normalArray = new Float32Array(count * 3);
+    const uvs = new Float32Array(count * 2);
+    let v = 0;
+    for (let j = 0; j < vertsPerSide; j++) {
+      const row = node.row0 + j * node.step;
+      const worldZ = minZ + row * cellSize;
+      for (let i = 0; i < vertsPerSide; i++, v++) {
+        const col = node.col0 + i * node.step;
+        const g = row * stride + col;
+        positions[v * 3] = minX + col * cellSize;
+        positions[v * 3 + 1] = -worldZ;
+        positions[v * 3 + 2] = heights[g];
+        normalArray[v * 3] = normals[g * 3];
+        normalArray[v * 3 + 1] = normals[g * 3 + 1];
+        normalArray[v * 3 + 2] = normals[g * 3 + 2];
+        // Same mapping PlaneGeometry used across the whole terrain, so texture
+        // repeats stay continuous from chunk to chunk.
+        uvs[v * 2] = col / segments;
+        uvs[v * 2 + 1] = 1 - row / segments;
+      }
+    }
+
+    const geometry = new THREE.BufferGeometry();
+    geometry.setIndex(index);
+    geometry.setAttribute("position", new THREE.BufferAttribute(positions, 3));
+    geometry.setAttribute("basePos", new THREE.BufferAttribute(positions.slice(), 3));
+    geometry.setAttribute("normal", new THREE.BufferAttribute(normalArray, 3));
+    geometry.setAttribute("uv", new THREE.BufferAttribute(uvs, 2));
+    geometry.setAttribute("color", new THREE.BufferAttribute(new Float32Array(count * 3), 3));
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+
+    const mesh = new THREE.Mesh(geometry, material);
+    mesh.name = `TerrainChunk_${node.depth}_${node.col0}_${node.row0}`;
+    mesh.receiveShadow = true;
+    mesh.userData.terrainChunk = { depth: node.depth, step: node.step };
+    node.mesh = mesh;
+    if (paletteSet) {
+      paintChunk(node);
+    }
+    return mesh;
+  };
+
+  const ensureChildren = (node) => {
+    if (node.children) return node.children;
+    const half = node.cells / 2;
+    const depth = node.depth + 1;
+    node.children = [
+      makeNode(depth, node.col0, node.row0, half),
+      makeNode(depth, node.col0 + half, node.row0, half),
+      makeNode(depth, node.col0, node.row0 + half, half),
+      makeNode(depth, node.col0 + half, node.row0 + half, half),
+    ];
+    return node.children;
+  };
+
+  const distanceToNode = (node, position) => {
+    const x0 = minX + node.col0 * cellSize;
+    const z0 = minZ + node.row0 * cellSize;
+    const width = node.cells * cellSize;
+    const dx = Math.max(x0 - position.x, 0, position.x - (x0 + width));
+    const dz = Math.max(z0 - position.z, 0, position.z - (z0 + width));
+    const dy = Math.max(node.minH - position.y, 0, position.y - node.maxH);
+    return Math.hypot(dx, dy, dz);
+  };
+
+  const refine = (node, position, leaves) => {
+    if (node.depth < maxDepth) {
+      const width = node.cells * cellSize;
+      const threshold = width * splitDistance * (node.split ? MERGE_HYSTERESIS : 1);
+      node.split = distanceToNode(node, position) < threshold;
+    } else {
+      node.split = false;
+    }
+    if (node.split) {
+      for (const child of ensureChildren(node)) refine(child, position, leaves);
+    } else {
+      leaves.add(node);
+    }
+  };
+
+  // Step of the active leaf covering a grid point, or 0 outside the terrain.
+  const leafStepAt = (col, row) => {
+    if (col < 0 || row < 0 || col > segments || row > segments) return 0;
+    let node = root;
+    while (node.split && node.children) {
+      const half = node.cells / 2;
+      const east = col >= node.col0 + half ? 1 : 0;
+      const south = row >= node.row0 + half ? 2 : 0;
+      node = node.children[east + south];
+    }
+    return node.step;
+  };
+
+  const neighbourRatio = (node, side) => {
+    const mid = node.cells / 2;
+    let step;
+    if (side === SIDE_ROW_MIN) step = leafStepAt(node.col0 + mid, node.row0 - 0.5);
+    else if (side === SIDE_ROW_MAX) step = leafStepAt(node.col0 + mid, node.row0 + node.cells + 0.5);
+    else if (side === SIDE_COL_MIN) step = leafStepAt(node.col0 - 0.5, node.row0 + mid);
+    else if (side === SIDE_COL_MAX) step = leafStepAt(node.col0 + node.cells + 0.5, node.row0 + mid);
+    else throw new Error(`[terrain] unknown chunk side ${side}`);
+    return step > node.step ? step / node.step : 1;
+  };
+
+  const stitchEdge = (node, side, ratio) => {
+    const geometry = node.mesh.geometry;
+    const position = geometry.getAttribute("position");
+    const basePos = geometry.getAttribute("basePos");
+    const vertsPerSide = chunkSegments + 1;
+    for (let k = 0; k <= chunkSegments; k++) {
+      let i;
+      let j;
+      if (side === SIDE_ROW_MIN) [i, j] = [k, 0];
+      else if (side === SIDE_ROW_MAX) [i, j] = [k, chunkSegments];
+      else if (side === SIDE_COL_MIN) [i, j] = [0, k];
+      else if (side === SIDE_COL_MAX) [i, j] = [chunkSegments, k];
+      else throw new Error(`[terrain] unknown chunk side ${side}`);
+
+      let h;
+      const offset = k % ratio;
+      if (offset === 0) {
+        h = heights[gridIndex(node, i, j)];
+      } else {
+        const k0 = k - offset;
+        const k1 = k0 + ratio;
+        const along = side === SIDE_ROW_MIN || side === SIDE_ROW_MAX;
+        const h0 = heights[along ? gridIndex(node, k0, j) : gridIndex(node, i, k0)];
+        const h1 = heights[along ? gridIndex(node, k1, j) : gridIndex(node, i, k1)];
+        h = h0 + (h1 - h0) * (offset / ratio);
+      }
+      const v = j * vertsPerSide + i;
+      position.setZ(v, h);
+      basePos.setZ(v, h);
+    }
+    position.needsUpdate = true;
+    basePos.needsUpdate = true;
+    node.stitch[side] = ratio;
+  };
+
+  const stitchLeaves = () => {
+    for (const node of activeLeaves) {
+      for (let side = 0; side < 4; side++) {
+        const ratio = neighbourRatio(node, side);
+        if (ratio !== node.stitch[side]) stitchEdge(node, side, ratio);
+      }
+    }
+  };
+
+  /**
+   * Re-layout the tree around a world-space position (normally the camera).
+   * Cheap to call every frame: nothing happens until it has moved a little.
+   * @param {THREE.Vector3 | { x: number, y: number, z: number }} position
+   * @param {{ force?: boolean }} [opts]
+   */
+  const update = (position, { force = false } = {}) => {
+    if (!position) return false;
+    const moved = Math.hypot(
+      position.x - lastLayoutAt.x,
+      position.y - lastLayoutAt.y,
+      position.z - lastLayoutAt.z,
+    );
+    if (!force && moved < RELAYOUT_DISTANCE) return false;
+    lastLayoutAt.set(position.x, position.y, position.z);
+
+    const leaves = new Set();
+    refine(root, position, leaves);
+    for (const node of activeLeaves) {
+      if (!leaves.has(node)) group.remove(node.mesh);
+    }
+    for (const node of leaves) {
+      if (!activeLeaves.has(node)) group.add(node.mesh ?? buildChunk(node));
+    }
+    activeLeaves = leaves;
+    stitchLeaves();
+    return true;
+  };
+
+  // Re-read a built chunk's heights and normals from the grid. Its edges go
+  // back to unstitched; stitchLeaves() (or the next update) redoes them.
+  const rewriteChunk = (node) => {
+    const geometry = node.mesh.geometry;
+    const position = geometry.getAttribute("position");
+    const basePos = geometry.getAttribute("basePos");
+    const normal = geometry.getAttribute("normal");
+    let v = 0;
+    for (let j = 0; j <= chunkSegments; j++) {
+      for (let i = 0; i <= chunkSegments; i++, v++) {
+        const g = gridIndex(node, i, j);
+        position.setZ(v, heights[g]);
+        basePos.setZ(v, heights[g]);
+        normal.setXYZ(v, normals[g * 3], normals[g * 3 + 1], normals[g * 3 + 2]);
+      }
+    }
+    position.needsUpdate = true;
+    basePos.needsUpdate = true;
+    normal.needsUpdate = true;
+    node.stitch.fill(1);
+    geometry.computeBoundingBox();
+    geometry.computeBoundingSphere();
+    if (paletteSet) {
+      paintChunk(node);
+    }
+  };
+
+  /**
+   * Pick up edits to the heightfield inside an inclusive grid rectangle:
+   * refreshes the LOD height bounds and rewrites every built chunk touching it.
+   * @param {{ col0: number, row0: number, col1: number, row1: number }} region
+   */
+  const refreshRegion = ({ col0, row0, col1, row1 }) => {
+    const visit = (node) => {
+      if (
+        node.col0 > col1 ||
+        node.row0 > row1 ||
+        node.col0 + node.cells < col0 ||
+        node.row0 + node.cells < row0
+      ) {
+        return;
+      }
+      measureNode(node);
+      if (node.mesh) rewriteChunk(node);
+      if (node.children) {
+        for (const child of node.children) visit(child);
+      }
+    };
+    visit(root);
+    stitchLeaves();
+  };
+
+  /** Repaint every built chunk with new grass/soil/rock colours. */
+  const setPalette = (grass, soil, rock) => {
+    bandColors[0].copy(grass);
+    bandColors[1].copy(soil);
+    bandColors[2].copy(rock);
+    paletteSet = true;
+    forEachBuiltNode(root, (node) => paintChunk(node));
+  };
+
+  const stats = () => {
+    let triangles = 0;
+    let finest = 0;
+    for (const node of activeLeaves) {
+      triangles += chunkSegments * chunkSegments * 2;
+      finest = Math.max(finest, node.depth);
+    }
+    return { chunks: activeLeaves.size, triangles, finestDepth: finest, maxDepth };
+  };
+
+  const dispose = () => {
+    forEachBuiltNode(root, (node) => {
+      group.remove(node.mesh);
+      node.mesh.geometry.dispose();
+      node.mesh = null;
+    });
+    activeLeaves.clear();
+  };
+
+  return { group, update, refreshRegion, setPalette, stats, dispose, maxDepth };
+}
+
+function forEachBuiltNode(node, callback) {
+  if (node.mesh) callback(node);
+  if (node.children) {
+    for (const child of node.children) forEachBuiltNode(child, callback);
+  }
+}
+
+// Same triangle layout as PlaneGeometry (rows run towards +world z), shared by
+// every chunk since they all have the same vertex grid.
+function buildChunkIndex(chunkSegments) {
+  const vertsPerSide = chunkSegments + 1;
+  const IndexArray = vertsPerSide * vertsPerSide > 65535 ? Uint32Array : Uint16Array;
+  const indices = new IndexArray(chunkSegments * chunkSegments * 6);
+  let n = 0;
+  for (let j = 0; j < chunkSegments; j++) {
+    for (let i = 0; i < chunkSegments; i++) {
+      const a = j * vertsPerSide + i;
+      const b = (j + 1) * vertsPerSide + i;
+      const c = (j + 1) * vertsPerSide + i + 1;
+      const d = j * vertsPerSide + i + 1;
+      indices[n++] = a;
+      indices[n++] = b;
+      indices[n++] = d;
+      indices[n++] = b;
+      indices[n++] = c;
+      indices[n++] = d;
+    }
+  }
+  return new THREE.BufferAttribute(indices, 1);
+}
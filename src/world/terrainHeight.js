@@ -1,28 +1,137 @@
 import * as THREE from "three";
 
-/** Ensure terrain.userData.getHeightAt(x,z) exists. */
+const UP = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Analytic queries over a terrain heightfield grid. Each grid cell is split
+ * along the same diagonal the terrain chunks use, and heights are
+ * interpolated barycentrically inside the triangle, so the answers match the
+ * rendered full-detail surface rather than a smoothed approximation of it.
+ * No raycasts: a query is a couple of array reads.
+ *
+ * Off the terrain, heights are null, normals point straight up and slopes are 0.
+ *
+ * @param {import("./terrainChunks.js").TerrainHeightfield} heightfield
+ * @param {{
+ *   origin?: { x: number, z: number },
+ *   getOffsetAt?: ((x: number, z: number) => number) | null,
+ * }} [options]
+ *   origin is the terrain object's position (read live, so moving it works);
+ *   getOffsetAt adds a per-point height offset such as the ground sway
+ */
+export function createHeightfieldSampler(heightfield, { origin = null, getOffsetAt = null } = {}) {
+  const { segments, cellSize, minX, minZ } = heightfield;
+  const stride = segments + 1;
+
+  // Fills `cell` for a world position and returns false off the terrain.
+  // gradX/gradZ are the rise per metre east/north inside the triangle.
+  const cell = { height: 0, gradX: 0, gradZ: 0 };
+  const locate = (worldX, worldZ) => {
+    const gridX = (worldX - (origin?.x ?? 0) - minX) / cellSize;
+    const gridZ = (worldZ - (origin?.z ?? 0) - minZ) / cellSize;
+    if (!(gridX >= 0 && gridX <= segments && gridZ >= 0 && gridZ <= segments)) {
+      return false;
+    }
+
+    // Read heights live so sculpting shows up without rebuilding the sampler.
+    const { heights } = heightfield;
+    const x0 = Math.min(Math.floor(gridX), segments - 1);
+    const z0 = Math.min(Math.floor(gridZ), segments - 1);
+    const sx = gridX - x0;
+    const sz = gridZ - z0;
+    const i00 = z0 * stride + x0;
+    const h00 = heights[i00];
+    const h10 = heights[i00 + 1];
+    const h01 = heights[i00 + stride];
+    const h11 = heights[i00 + stride + 1];
+
+    if (sx + sz <= 1) {
+      cell.height = h00 + (h10 - h00) * sx + (h01 - h00) * sz;
+      cell.gradX = (h10 - h00) / cellSize;
+      cell.gradZ = (h01 - h00) / cellSize;
+    } else {
+      cell.height = h11 + (h01 - h11) * (1 - sx) + (h10 - h11) * (1 - sz);
+      cell.gradX = (h11 - h01) / cellSize;
+      cell.gradZ = (h11 - h10) / cellSize;
+    }
+    return true;
+  };
+
+  /** Ground height (m) at a world position, or null off the terrain. */
+  const getHeightAt = (x, z) => {
+    if (!locate(x, z)) return null;
+    return getOffsetAt ? cell.height + getOffsetAt(x, z) : cell.height;
+  };
+
+  /**
+   * World-space unit normal of the ground triangle under a position.
+   * @param {THREE.Vector3} [target]
+   */
+  const getNormalAt = (x, z, target = new THREE.Vector3()) => {
+    if (!locate(x, z)) return target.copy(UP);
+    return target.set(-cell.gradX, 1, -cell.gradZ).normalize();
+  };
+
+  /** Steepness as rise over run (tan of the incline); 1 is a 45° slope. */
+  const getSlopeAt = (x, z) => (locate(x, z) ? Math.hypot(cell.gradX, cell.gradZ) : 0);
+
+  return { getHeightAt, getNormalAt, getSlopeAt };
+}
+
+/**
+ * Ensure terrain.userData has getHeightAt(x,z), getNormalAt(x,z,target) and
+ * getSlopeAt(x,z). Terrain built from a heightfield gets the analytic sampler;
+ * anything else falls back to raycasting the mesh.
+ */
 export function attachHeightSampler(terrain) {
   if (!terrain) return;
-  const existing = terrain?.userData?.getHeightAt;
-  if (typeof existing === "function") {
-    const test = existing(0, 0);
-    if (Number.isFinite(test)) return;
+  terrain.userData = terrain.userData || {};
+  const { userData } = terrain;
+  if (
+    typeof userData.getHeightAt === "function" &&
+    typeof userData.getNormalAt === "function" &&
+    typeof userData.getSlopeAt === "function"
+  ) {
+    return;
   }
-  const raycaster = new THREE.Raycaster();
-  raycaster.firstHitOnly = true;
-  const targets = [terrain];
-  const UP = 200;
-  const DOWN = -400;
-
-  function getHeightAt(x, z) {
-    raycaster.set(new THREE.Vector3(x, UP, z), new THREE.Vector3(0, -1, 0));
-    const hit = raycaster.intersectObjects(targets, true)[0];
-    if (hit) return hit.point.y;
-    raycaster.set(new THREE.Vector3(x, DOWN, z), new THREE.Vector3(0, 1, 0));
-    const hit2 = raycaster.intersectObjects(targets, true)[0];
-    return hit2 ? hit2.point.y : 0;
+  if (userData.heightfield) {
+    Object.assign(
+      userData,
+      createHeightfieldSampler(userData.heightfield, { origin: terrain.position }),
+    );
+    return;
   }
 
-  terrain.userData = terrain.userData || {};
-  terrain.userData.getHeightAt = getHeightAt;
+  const existing = userData.getHeightAt;
+  let getHeightAt = existing;
+  if (typeof existing !== "function" || !Number.isFinite(existing(0, 0))) {
+    const raycaster = new THREE.Raycaster();
+    raycaster.firstHitOnly = true;
+    const targets = [terrain];
+    const RAY_UP = 200;
+    const RAY_DOWN = -400;
+
+    getHeightAt = (x, z) => {
+      raycaster.set(new THREE.Vector3(x, RAY_UP, z), new THREE.Vector3(0, -1, 0));
+      const hit = raycaster.intersectObjects(targets, true)[0];
+      if (hit) return hit.point.y;
+      raycaster.set(new THREE.Vector3(x, RAY_DOWN, z), new THREE.Vector3(0, 1, 0));
+      const hit2 = raycaster.intersectObjects(targets, true)[0];
+      return hit2 ? hit2.point.y : 0;
+    };
+    userData.getHeightAt = getHeightAt;
+  }
+
+  // Finite differences over whatever getHeightAt is.
+  const STEP = 0.5;
+  const gradient = (x, z) => {
+    const hx = (getHeightAt(x + STEP, z) ?? 0) - (getHeightAt(x - STEP, z) ?? 0);
+    const hz = (getHeightAt(x, z + STEP) ?? 0) - (getHeightAt(x, z - STEP) ?? 0);
+    return [hx / (2 * STEP), hz / (2 * STEP)];
+  };
+  userData.getNormalAt = (x, z, target = new THREE.Vector3()) => {
+    const [gx, gz] = gradient(x, z);
+    return target.set(-gx, 1, -gz).normalize();
+  };
+  userData.getSlopeAt = (x, z) => Math.hypot(...gradient(x, z));
 }
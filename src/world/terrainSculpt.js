@@ -0,0 +1,262 @@
+// src/world/terrainSculpt.js
+
+import * as THREE from "three";
+import { encodePng } from "../utils/png.js";
+import { refreshTerrainRegion } from "./terrain.js";
+
+// Dev-mode height brushes over the terrain heightfield. Brushes edit
+// `heightfield.heights` in place and push the change to the chunks, so the
+// height sampler, the EnvironmentCollider (which asks the sampler) and the
+// rendered mesh all agree straight away. Each stroke keeps the heights it
+// overwrote for undo, and the result can be exported as a 16-bit heightmap that
+// terrain.json loads back at startup.
+
+export const SCULPT_MODES = ["raise", "lower", "flatten", "smooth"];
+
+const MAX_UNDO = 20;
+// Raise/lower speed at full strength and the brush centre (m/s).
+const RAISE_RATE = 8;
+// Fraction per second that flatten/smooth move towards their target at full strength.
+const BLEND_RATE = 6;
+const CURSOR_SEGMENTS = 64;
+
+/**
+ * @param {THREE.Group} terrain  from createTerrain (needs userData.heightfield)
+ * @param {{ onChange?: (region: { col0: number, row0: number, col1: number, row1: number }) => void }} [options]
+ *   onChange runs after each finished stroke and each undo, for systems that
+ *   cache ground heights (grass, map layers)
+ */
+export function createTerrainSculptor(terrain, { onChange = null } = {}) {
+  const heightfield = terrain?.userData?.heightfield;
+  if (!heightfield) {
+    throw new Error("[terrain] Sculpting needs a heightfield terrain");
+  }
+  const { segments, cellSize, minX, minZ, heights } = heightfield;
+  const stride = segments + 1;
+
+  /** @type {{ before: Map<number, number>, region: object | null, flattenTarget: number | null } | null} */
+  let stroke = null;
+  const undoStack = [];
+
+  const toGrid = (x, z) => ({
+    col: (x - terrain.position.x - minX) / cellSize,
+    row: (z - terrain.position.z - minZ) / cellSize,
+  });
+
+  // Bilinear grid height without the sway offset the sampler adds.
+  const gridHeightAt = (col, row) => {
+    const c = Math.min(Math.max(col, 0), segments);
+    const r = Math.min(Math.max(row, 0), segments);
+    const c0 = Math.min(Math.floor(c), segments - 1);
+    const r0 = Math.min(Math.floor(r), segments - 1);
+    const sc = c - c0;
+    const sr = r - r0;
+    const i = r0 * stride + c0;
+    const south = heights[i] + (heights[i + 1] - heights[i]) * sc;
+    const north = heights[i + stride] + (heights[i + stride + 1] - heights[i + stride]) * sc;
+    return south + (north - south) * sr;
+  };
+
+  const unionRegion = (a, b) =>
+    a
+      ? {
+          col0: Math.min(a.col0, b.col0),
+          row0: Math.min(a.row0, b.row0),
+          col1: Math.max(a.col1, b.col1),
+          row1: Math.max(a.row1, b.row1),
+        }
+      : { ...b };
+
+  const beginStroke = () => {
+    endStroke();
+    stroke = { before: new Map(), region: null, flattenTarget: null };
+  };
+
+  /**
+   * Apply one brush step centred on a world position. Starts a stroke if none
+   * is open. Returns the grid rectangle it touched, or null when it missed the
+   * terrain.
+   * @param {number} x
+   * @param {number} z
+   * @param {{ mode?: string, radius?: number, strength?: number, dt?: number }} [brush]
+   *   radius in metres, strength 0..1, dt the frame time in seconds
+   */
+  const applyBrush = (x, z, { mode = "raise", radius = 12, strength = 0.5, dt = 1 / 60 } = {}) => {
+    if (!SCULPT_MODES.includes(mode)) return null;
+    const { col, row } = toGrid(x, z);
+    const reach = radius / cellSize;
+    const region = {
+      col0: Math.max(0, Math.ceil(col - reach)),
+      row0: Math.max(0, Math.ceil(row - reach)),
+      col1: Math.min(segments, Math.floor(col + reach)),
+      row1: Math.min(segments, Math.floor(row + reach)),
+    };
+    if (region.col0 > region.col1 || region.row0 > region.row1) return null;
+
+    if (!stroke) beginStroke();
+    if (mode === "flatten" && stroke.flattenTarget === null) {
+      stroke.flattenTarget = gridHeightAt(col, row);
+    }
+
+    // Smoothing reads neighbours from before this step so it does not smear
+    // in scan order.
+    let snapshot = null;
+    let snapCol0 = 0;
+    let snapRow0 = 0;
+    let snapWidth = 0;
+    if (mode === "smooth") {
+      snapCol0 = Math.max(0, region.col0 - 1);
+      snapRow0 = Math.max(0, region.row0 - 1);
+      const snapCol1 = Math.min(segments, region.col1 + 1);
+      const snapRow1 = Math.min(segments, region.row1 + 1);
+      snapWidth = snapCol1 - snapCol0 + 1;
+      snapshot = new Float32Array(snapWidth * (snapRow1 - snapRow0 + 1));
+      for (let r = snapRow0; r <= snapRow1; r++) {
+        snapshot.set(heights.subarray(r * stride + snapCol0, r * stride + snapCol1 + 1), (r - snapRow0) * snapWidth);
+      }
+    }
+    const snapAt = (c, r) => {
+      const cc = Math.min(Math.max(c, 0), segments);
+      const rr = Math.min(Math.max(r, 0), segments);
+      return snapshot[(rr - snapRow0) * snapWidth + (cc - snapCol0)];
+    };
+
+    const blend = Math.min(1, strength * BLEND_RATE * dt);
+    for (let r = region.row0; r <= region.row1; r++) {
+      for (let c = region.col0; c <= region.col1; c++) {
+        const distance = Math.hypot(c - col, r - row) / reach;
+        if (distance >= 1) continue;
+        // Smooth cosine falloff: full effect at the centre, none at the rim.
+        const weight = 0.5 + 0.5 * Math.cos(Math.PI * distance);
+        const i = r * stride + c;
+        if (!stroke.before.has(i)) stroke.before.set(i, heights[i]);
+
+        if (mode === "raise") {
+          heights[i] += RAISE_RATE * strength * dt * weight;
+        } else if (mode === "lower") {
+          heights[i] -= RAISE_RATE * strength * dt * weight;
+        } else if (mode === "flatten") {
+          heights[i] += (stroke.flattenTarget - heights[i]) * blend * weight;
+        } else {
+          const average =
+            (snapAt(c - 1, r - 1) + snapAt(c, r - 1) + snapAt(c + 1, r - 1) +
+              snapAt(c - 1, r) + snapAt(c, r) + snapAt(c + 1, r) +
+              snapAt(c - 1, r + 1) + snapAt(c, r + 1) + snapAt(c + 1, r + 1)) /
+            9;
+          heights[i] += (average - heights[i]) * blend * weight;
+        }
+      }
+    }
+
+    refreshTerrainRegion(terrain, region);
+    stroke.region = unionRegion(stroke.region, region);
+    return region;
+  };
+
+  /** Close the open stroke and make it one undo step. */
+  function endStroke() {
+    const finished = stroke;
+    stroke = null;
+    if (!finished || finished.before.size === 0) return;
+    const indices = Uint32Array.from(finished.before.keys());
+    const values = Float32Array.from(finished.before.values());
+    undoStack.push({ indices, values, region: finished.region });
+    if (undoStack.length > MAX_UNDO) undoStack.shift();
+    onChange?.(finished.region);
+  }
+
+  /** Revert the most recent stroke. Returns false when there is nothing to undo. */
+  const undo = () => {
+    endStroke();
+    const entry = undoStack.pop();
+    if (!entry) return false;
+    for (let k = 0; k < entry.indices.length; k++) {
+      heights[entry.indices[k]] = entry.values[k];
+    }
+    refreshTerrainRegion(terrain, entry.region);
+    onChange?.(entry.region);
+    return true;
+  };
+
+  /**
+   * The current heights as a 16-bit greyscale PNG (top row north, full range
+   * of the grid mapped onto 0..65535) plus a terrain.json that loads it back.
+   * The edited heights already include the harbor and plateau shaping, so the
+   * config switches those rules off; splat/colour maps and bands carry over.
+   * @param {{ url?: string }} [options]  where the PNG will live under public/
+   */
+  const exportHeightmap = ({ url = "terrain/sculpted_height.png" } = {}) => {
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = 0; i < heights.length; i++) {
+      if (heights[i] < min) min = heights[i];
+      if (heights[i] > max) max = heights[i];
+    }
+    const scale = max - min || 1;
+    const data = new Uint16Array(stride * stride);
+    for (let y = 0; y < stride; y++) {
+      const row = segments - y;
+      for (let col = 0; col < stride; col++) {
+        data[y * stride + col] = Math.round(((heights[row * stride + col] - min) / scale) * 65535);
+      }
+    }
+    const png = encodePng({ width: stride, height: stride, bitDepth: 16, channels: 1, data });
+
+    const base = terrain.userData.source?.config ?? {};
+    const config = {
+      version: 1,
+      ...base,
+      heightmap: { url, scale, offset: min, detail: 0 },
+      rules: { harbor: false, cityPlateau: false, minHeight: null, maxHeight: null },
+    };
+    return { png, config };
+  };
+
+  // Ground-hugging ring that shows where and how wide the brush is.
+  const cursorPoints = new Float32Array((CURSOR_SEGMENTS + 1) * 3);
+  const cursorGeometry = new THREE.BufferGeometry();
+  cursorGeometry.setAttribute("position", new THREE.BufferAttribute(cursorPoints, 3));
+  const cursor = new THREE.Line(
+    cursorGeometry,
+    new THREE.LineBasicMaterial({ color: 0xffd56a, depthTest: false, transparent: true }),
+  );
+  cursor.name = "TerrainSculptCursor";
+  cursor.renderOrder = 999;
+  cursor.frustumCulled = false;
+  cursor.visible = false;
+
+  /** Show the ring at a world position, or hide it with `null`. */
+  const setCursor = (x, z, radius) => {
+    if (x === null || !Number.isFinite(x) || !Number.isFinite(z)) {
+      cursor.visible = false;
+      return;
+    }
+    const getHeightAt = terrain.userData.getHeightAt;
+    for (let k = 0; k <= CURSOR_SEGMENTS; k++) {
+      const angle = (k / CURSOR_SEGMENTS) * Math.PI * 2;
+      const px = x + Math.cos(angle) * radius;
+      const pz = z + Math.sin(angle) * radius;
+      cursorPoints[k * 3] = px;
+      cursorPoints[k * 3 + 1] = (getHeightAt?.(px, pz) ?? 0) + 0.3;
+      cursorPoints[k * 3 + 2] = pz;
+    }
+    cursorGeometry.getAttribute("position").needsUpdate = true;
+    cursor.visible = true;
+  };
+
+  return {
+    beginStroke,
+    applyBrush,
+    endStroke,
+    undo,
+    canUndo: () => undoStack.length > 0 || (stroke?.before.size ?? 0) > 0,
+    exportHeightmap,
+    cursor,
+    setCursor,
+    dispose() {
+      cursor.removeFromParent();
+      cursorGeometry.dispose();
+      cursor.material.dispose();
+    },
+  };
+}
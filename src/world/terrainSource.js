@@ -0,0 +1,196 @@
+// src/world/terrainSource.js
+
+import { resolveBaseUrl, joinPath } from "../utils/baseUrl.js";
+import { decodePng, isPng } from "../utils/png.js";
+
+// Authored terrain input from public/config/terrain.json. Without a heightmap
+// entry the terrain stays procedural (FBM noise); with one, heights come from a
+// 16-bit PNG or raw file stretched over the whole terrain, top of the image to
+// the north (+Z) and left to the west (-X). The harbor sea-level basin and the
+// city plateau are applied on top either way, unless `rules` turns them off.
+//
+// {
+//   "heightmap": {
+//     "url": "terrain/attica_height.png",  // .png (8/16-bit) or .raw/.r16
+//     "scale": 120,     // metres between the lowest and highest sample
+//     "offset": -20,    // metres added after scaling
+//     "detail": 0,      // metres of procedural noise layered on top
+//     "width": 1025, "height": 1025, "littleEndian": true  // raw files only
+//   },
+//   "splatMap": { "url": "terrain/attica_splat.png" },  // r/g/b = grass/soil/rock
+//   "colorMap": { "url": "terrain/attica_color.jpg" },  // fixed ground colours
+//   "rules": { "harbor": true, "cityPlateau": true, "minHeight": null, "maxHeight": null },
+//   "bands": { "soil": -4, "rock": 11 }  // altitude bands when there is no splat map
+// }
+
+const DEFAULT_BANDS = { soil: -4, rock: 11 };
+
+/**
+ * @typedef {{ width: number, height: number, channels: number, data: Float32Array }} TerrainImage
+ *   samples normalised to 0..1, interleaved by channel, top row first
+ */
+
+/**
+ * @typedef {object} TerrainSource
+ * @property {(TerrainImage & { scale: number, offset: number, detail: number }) | null} heightmap
+ * @property {TerrainImage | null} splatMap
+ * @property {TerrainImage | null} colorMap
+ * @property {{ harbor: boolean, cityPlateau: boolean, minHeight: number | null, maxHeight: number | null }} rules
+ * @property {{ soil: number, rock: number }} bands
+ * @property {object} [config]  the terrain.json it was loaded from
+ */
+
+/**
+ * Load terrain.json and any images it references. Resolves to the procedural
+ * defaults when the file or an image is missing or broken.
+ * @returns {Promise<TerrainSource>}
+ */
+export async function loadTerrainSource(baseUrl = "") {
+  const resolvedBase =
+    typeof baseUrl === "string" && baseUrl.length > 0 ? baseUrl : resolveBaseUrl();
+  let config = {};
+  try {
+    const res = await fetch(joinPath(resolvedBase, "config/terrain.json"), {
+      method: "GET",
+      cache: "no-cache",
+    });
+    if (res.ok) {
+      config = (await res.json()) ?? {};
+    }
+  } catch {}
+
+  const source = normalizeTerrainConfig(config);
+  source.config = config;
+  const [heightmap, splatMap, colorMap] = await Promise.all([
+    loadImageEntry(resolvedBase, config.heightmap, "heightmap"),
+    loadImageEntry(resolvedBase, config.splatMap, "splat map"),
+    loadImageEntry(resolvedBase, config.colorMap, "colour map"),
+  ]);
+
+  if (heightmap) {
+    const entry = config.heightmap;
+    source.heightmap = Object.assign(heightmap, {
+      scale: finiteOr(entry.scale, 50),
+      offset: finiteOr(entry.offset, 0),
+      detail: finiteOr(entry.detail, 0),
+    });
+    console.info(
+      `[terrain] heightmap ${entry.url} (${heightmap.width}×${heightmap.height}, ` +
+        `scale ${source.heightmap.scale} m, offset ${source.heightmap.offset} m)`,
+    );
+  }
+  source.splatMap = splatMap && splatMap.channels >= 3 ? splatMap : null;
+  source.colorMap = colorMap && colorMap.channels >= 3 ? colorMap : null;
+  return source;
+}
+
+/** Rules and bands from a terrain.json object (images are attached separately). */
+export function normalizeTerrainConfig(config = {}) {
+  const rules = config?.rules && typeof config.rules === "object" ? config.rules : {};
+  const bands = config?.bands && typeof config.bands === "object" ? config.bands : {};
+  return {
+    heightmap: null,
+    splatMap: null,
+    colorMap: null,
+    rules: {
+      harbor: rules.harbor !== false,
+      cityPlateau: rules.cityPlateau !== false,
+      minHeight: finiteOr(rules.minHeight, null),
+      maxHeight: finiteOr(rules.maxHeight, null),
+    },
+    bands: {
+      soil: finiteOr(bands.soil, DEFAULT_BANDS.soil),
+      rock: finiteOr(bands.rock, DEFAULT_BANDS.rock),
+    },
+  };
+}
+
+/**
+ * Bilinear sample of one channel at normalised image coordinates (u to the
+ * east, v to the south; both 0..1 corner to corner).
+ * @param {TerrainImage} image
+ */
+export function sampleTerrainImage(image, u, v, channel = 0) {
+  const { width, height, channels, data } = image;
+  const x = Math.min(Math.max(u, 0), 1) * (width - 1);
+  const y = Math.min(Math.max(v, 0), 1) * (height - 1);
+  const x0 = Math.floor(x);
+  const y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, width - 1);
+  const y1 = Math.min(y0 + 1, height - 1);
+  const sx = x - x0;
+  const sy = y - y0;
+  const at = (px, py) => data[(py * width + px) * channels + channel];
+  const top = at(x0, y0) + (at(x1, y0) - at(x0, y0)) * sx;
+  const bottom = at(x0, y1) + (at(x1, y1) - at(x0, y1)) * sx;
+  return top + (bottom - top) * sy;
+}
+
+function finiteOr(value, fallback) {
+  return Number.isFinite(value) ? value : fallback;
+}
+
+async function loadImageEntry(baseUrl, entry, label) {
+  if (!entry || typeof entry.url !== "string" || !entry.url) return null;
+  const url = joinPath(baseUrl, entry.url);
+  try {
+    const res = await fetch(url, { method: "GET", cache: "no-cache" });
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    const buffer = await res.arrayBuffer();
+    if (isRawEntry(entry)) return decodeRaw(buffer, entry);
+    if (isPng(buffer)) return fromDecoded(decodePng(buffer));
+    return await decodeWithBrowser(buffer);
+  } catch (error) {
+    console.warn(`[terrain] Could not load ${label} ${url}; skipping it`, error);
+    return null;
+  }
+}
+
+function isRawEntry(entry) {
+  if (entry.format) return entry.format === "raw";
+  return /\.(raw|r16)$/i.test(entry.url);
+}
+
+// Headerless 16-bit samples, row-major from the north-west corner.
+function decodeRaw(buffer, entry) {
+  const count = Math.floor(buffer.byteLength / 2);
+  let width = Number.isInteger(entry.width) ? entry.width : 0;
+  let height = Number.isInteger(entry.height) ? entry.height : 0;
+  if (!width || !height) {
+    const side = Math.round(Math.sqrt(count));
+    if (side * side !== count) {
+      throw new Error(`Raw heightmap has ${count} samples; give width and height in terrain.json`);
+    }
+    width = height = side;
+  }
+  if (width * height > count) {
+    throw new Error(`Raw heightmap is ${count} samples, expected ${width}×${height}`);
+  }
+  const view = new DataView(buffer);
+  const littleEndian = entry.littleEndian !== false;
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = view.getUint16(i * 2, littleEndian) / 65535;
+  }
+  return { width, height, channels: 1, data };
+}
+
+function fromDecoded({ width, height, bitDepth, channels, data }) {
+  const max = bitDepth === 16 ? 65535 : 255;
+  const values = new Float32Array(data.length);
+  for (let i = 0; i < data.length; i++) values[i] = data[i] / max;
+  return { width, height, channels, data: values };
+}
+
+// JPEG/WebP colour maps: let the browser decode them (8 bits is plenty there).
+async function decodeWithBrowser(buffer) {
+  const bitmap = await createImageBitmap(new Blob([buffer]));
+  const canvas = document.createElement("canvas");
+  canvas.width = bitmap.width;
+  canvas.height = bitmap.height;
+  const ctx = canvas.getContext("2d");
+  ctx.drawImage(bitmap, 0, 0);
+  bitmap.close?.();
+  const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+  return fromDecoded({ width: canvas.width, height: canvas.height, bitDepth: 8, channels: 4, data });
+}
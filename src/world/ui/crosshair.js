@@ -14,6 +14,17 @@ export function attachCrosshair() {
   document.body.appendChild(crosshair);
 }
 
+/**
+ * Show or hide the crosshair (it only makes sense in first-person view).
+ * @param {boolean} visible
+ */
+export function setCrosshairVisible(visible) {
+  const crosshair = document.querySelector(".crosshair-overlay");
+  if (crosshair) {
+    crosshair.style.display = visible ? "flex" : "none";
+  }
+}
+
 const STYLE_ID = "crosshair-overlay-style";
 
 function ensureCrosshairStyles() {
@@ -0,0 +1,382 @@
+// src/world/weather.js
+
+import * as THREE from "three";
+
+// Weather controller. One state is active at a time; every few minutes the
+// controller picks a neighbouring state and blends towards it. The blended
+// parameters (weather.params) are handed to updateSky, updateLighting,
+// updateOcean, the grass wind and the soundscape each frame, while fog and the
+// rain streaks around the camera are driven from here.
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   fogNear: number,
+ *   fogFar: number,
+ *   fogColor: number,
+ *   cloudiness: number,
+ *   sunScale: number,
+ *   hemiScale: number,
+ *   waves: number,
+ *   wind: number,
+ *   rain: number,
+ *   lightning: number,
+ * }} WeatherPreset
+ */
+
+/** @type {Record<string, WeatherPreset>} */
+export const WEATHER_PRESETS = {
+  clear: {
+    label: "Clear",
+    fogNear: 50,
+    fogFar: 400,
+    fogColor: 0xa0a0a0,
+    cloudiness: 0,
+    sunScale: 1,
+    hemiScale: 1,
+    waves: 1,
+    wind: 0.2,
+    rain: 0,
+    lightning: 0,
+  },
+  overcast: {
+    label: "Overcast",
+    fogNear: 40,
+    fogFar: 280,
+    fogColor: 0x9aa0a6,
+    cloudiness: 0.7,
+    sunScale: 0.45,
+    hemiScale: 0.8,
+    waves: 1.3,
+    wind: 0.45,
+    rain: 0,
+    lightning: 0,
+  },
+  rain: {
+    label: "Rain",
+    fogNear: 25,
+    fogFar: 180,
+    fogColor: 0x8a9096,
+    cloudiness: 0.9,
+    sunScale: 0.3,
+    hemiScale: 0.65,
+    waves: 1.6,
+    wind: 0.6,
+    rain: 0.6,
+    lightning: 0,
+  },
+  storm: {
+    label: "Storm",
+    fogNear: 15,
+    fogFar: 120,
+    fogColor: 0x6b7178,
+    cloudiness: 1,
+    sunScale: 0.15,
+    hemiScale: 0.5,
+    waves: 2.4,
+    wind: 1,
+    rain: 1,
+    lightning: 1,
+  },
+  seaMist: {
+    label: "Sea mist",
+    fogNear: 4,
+    fogFar: 90,
+    fogColor: 0xc4cbd0,
+    cloudiness: 0.45,
+    sunScale: 0.6,
+    hemiScale: 0.9,
+    waves: 0.6,
+    wind: 0.1,
+    rain: 0,
+    lightning: 0,
+  },
+};
+
+export const WEATHER_IDS = Object.keys(WEATHER_PRESETS);
+
+// Relative odds of the next state; storms only build out of rain and always
+// ease back through it.
+const TRANSITIONS = {
+  clear: { overcast: 3, seaMist: 1 },
+  overcast: { clear: 3, rain: 2, seaMist: 1 },
+  rain: { overcast: 2, storm: 1, clear: 0.5 },
+  storm: { rain: 1 },
+  seaMist: { clear: 2, overcast: 1 },
+};
+
+const HOLD_SECONDS_MIN = 120;
+const HOLD_SECONDS_MAX = 300;
+const TRANSITION_SECONDS = 25;
+
+// Matches the grass sway direction so blades and rain lean the same way.
+const WIND_DIRECTION = new THREE.Vector2(0.6, 0.4).normalize();
+
+const RAIN_DROP_COUNT = 2000;
+const RAIN_RADIUS = 22; // metres around the camera
+const RAIN_HEIGHT = 24;
+const RAIN_FALL_SPEED = 18; // metres per second
+const RAIN_STREAK_LENGTH = 0.55;
+
+const FOG_COLOR_NIGHT = new THREE.Color(0x1a1f2b);
+
+const NUMERIC_KEYS = [
+  "fogNear",
+  "fogFar",
+  "cloudiness",
+  "sunScale",
+  "hemiScale",
+  "waves",
+  "wind",
+  "rain",
+  "lightning",
+];
+
+function isWeatherId(id) {
+  return typeof id === "string" && Object.prototype.hasOwnProperty.call(WEATHER_PRESETS, id);
+}
+
+function presetToParams(id, target = {}) {
+  const preset = WEATHER_PRESETS[id];
+  for (const key of NUMERIC_KEYS) target[key] = preset[key];
+  if (target.fogColor instanceof THREE.Color) {
+    target.fogColor.setHex(preset.fogColor);
+  } else {
+    target.fogColor = new THREE.Color(preset.fogColor);
+  }
+  return target;
+}
+
+function pickNext(current, random) {
+  const options = Object.entries(TRANSITIONS[current] ?? {});
+  const total = options.reduce((sum, [, weight]) => sum + weight, 0);
+  let roll = random() * total;
+  for (const [id, weight] of options) {
+    roll -= weight;
+    if (roll <= 0) return id;
+  }
+  return options.length ? options[options.length - 1][0] : current;
+}
+
+function wrapAround(value, center, radius) {
+  const span = radius * 2;
+  const offset = value - center + radius;
+  return center - radius + (((offset % span) + span) % span);
+}
+
+function createRain(scene) {
+  const positions = new Float32Array(RAIN_DROP_COUNT * 6);
+  const drops = new Float32Array(RAIN_DROP_COUNT * 3);
+  for (let i = 0; i < RAIN_DROP_COUNT; i++) {
+    drops[i * 3] = (Math.random() * 2 - 1) * RAIN_RADIUS;
+    drops[i * 3 + 1] = Math.random() * RAIN_HEIGHT;
+    drops[i * 3 + 2] = (Math.random() * 2 - 1) * RAIN_RADIUS;
+  }
+
+  const geometry = new THREE.BufferGeometry();
+  const attribute = new THREE.BufferAttribute(positions, 3);
+  attribute.setUsage(THREE.DynamicDrawUsage);
+  geometry.setAttribute("position", attribute);
+  geometry.setDrawRange(0, 0);
+
+  const material = new THREE.LineBasicMaterial({
+    color: 0xaab4c0,
+    transparent: true,
+    opacity: 0,
+    depthWrite: false,
+  });
+
+  const lines = new THREE.LineSegments(geometry, material);
+  lines.name = "WeatherRain";
+  lines.frustumCulled = false; // vertices are rewritten around the camera every frame
+  lines.userData.noCollision = true;
+  // Keep hover/interaction raycasts from hitting the streaks.
+  lines.raycast = () => {};
+  lines.visible = false;
+  scene.add(lines);
+
+  return { lines, drops, positions, attribute, initialized: false };
+}
+
+function updateRain(rain, deltaSeconds, cameraPosition, params) {
+  const intensity = THREE.MathUtils.clamp(params.rain, 0, 1);
+  const { lines, drops, positions, attribute } = rain;
+  lines.visible = intensity > 0.01 && !!cameraPosition;
+  if (!lines.visible) return;
+
+  const count = Math.floor(RAIN_DROP_COUNT * intensity);
+  const fall = RAIN_FALL_SPEED * (0.85 + intensity * 0.3);
+  const drift = 2 + params.wind * 8;
+  const dx = WIND_DIRECTION.x * drift;
+  const dz = WIND_DIRECTION.y * drift;
+  // Streaks lean into the wind by the ratio of drift to fall speed.
+  const leanX = (dx / fall) * RAIN_STREAK_LENGTH;
+  const leanZ = (dz / fall) * RAIN_STREAK_LENGTH;
+  const cx = cameraPosition.x;
+  const cy = cameraPosition.y;
+  const cz = cameraPosition.z;
+  const top = cy + RAIN_HEIGHT * 0.5;
+
+  if (!rain.initialized) {
+    // Drops start relative to the origin; move the whole volume onto the camera.
+    for (let i = 0; i < RAIN_DROP_COUNT; i++) {
+      drops[i * 3] += cx;
+      drops[i * 3 + 1] += top - RAIN_HEIGHT;
+      drops[i * 3 + 2] += cz;
+    }
+    rain.initialized = true;
+  }
+
+  const dt = Number.isFinite(deltaSeconds) ? deltaSeconds : 0;
+  for (let i = 0; i < count; i++) {
+    const d = i * 3;
+    let x = drops[d] + dx * dt;
+    let y = drops[d + 1] - fall * dt;
+    let z = drops[d + 2] + dz * dt;
+    if (y < top - RAIN_HEIGHT || y > top) {
+      y = top - (((top - y) % RAIN_HEIGHT) + RAIN_HEIGHT) % RAIN_HEIGHT;
+    }
+    x = wrapAround(x, cx, RAIN_RADIUS);
+    z = wrapAround(z, cz, RAIN_RADIUS);
+    drops[d] = x;
+    drops[d + 1] = y;
+    drops[d + 2] = z;
+
+    const p = i * 6;
+    positions[p] = x;
+    positions[p + 1] = y;
+    positions[p + 2] = z;
+    positions[p + 3] = x - leanX;
+    positions[p + 4] = y + RAIN_STREAK_LENGTH;
+    positions[p + 5] = z - leanZ;
+  }
+
+  attribute.needsUpdate = true;
+  lines.geometry.setDrawRange(0, count * 2);
+  lines.material.opacity = 0.2 + intensity * 0.25;
+}
+
+/**
+ * Create the weather controller.
+ * @param {THREE.Scene} scene
+ * @param {{ initial?: string, pinned?: boolean, random?: () => number }} [options]
+ *   `pinned` keeps the initial state instead of cycling (used by `?weather=`).
+ */
+export function createWeather(scene, { initial = "clear", pinned = false, random = Math.random } = {}) {
+  const start = isWeatherId(initial) ? initial : "clear";
+  const weather = {
+    scene,
+    random,
+    pinned: !!pinned,
+    current: start,
+    target: start,
+    blend: 1,
+    holdRemaining: HOLD_SECONDS_MIN + random() * (HOLD_SECONDS_MAX - HOLD_SECONDS_MIN),
+    from: presetToParams(start),
+    to: presetToParams(start),
+    params: { ...presetToParams(start), flash: 0 },
+    flashCooldown: 0,
+    rain: createRain(scene),
+  };
+  return weather;
+}
+
+/**
+ * Start blending towards `id`. With `immediate` the new state applies at once
+ * (used when loading a save).
+ * @param {ReturnType<typeof createWeather>} weather
+ * @param {string} id
+ * @param {{ immediate?: boolean }} [options]
+ */
+export function setWeather(weather, id, { immediate = false } = {}) {
+  if (!weather || !isWeatherId(id)) return false;
+  if (immediate) {
+    weather.current = id;
+    weather.target = id;
+    weather.blend = 1;
+    presetToParams(id, weather.from);
+    presetToParams(id, weather.to);
+    presetToParams(id, weather.params);
+  } else if (id !== weather.target) {
+    // Blend from whatever is on screen right now, even mid-transition.
+    for (const key of NUMERIC_KEYS) weather.from[key] = weather.params[key];
+    weather.from.fogColor.copy(weather.params.fogColor);
+    presetToParams(id, weather.to);
+    weather.current = weather.target;
+    weather.target = id;
+    weather.blend = 0;
+  }
+  const { random } = weather;
+  weather.holdRemaining = HOLD_SECONDS_MIN + random() * (HOLD_SECONDS_MAX - HOLD_SECONDS_MIN);
+  return true;
+}
+
+/** The state being shown or blended towards. */
+export function getWeather(weather) {
+  return weather?.target ?? "clear";
+}
+
+/** Short status such as "Rain → Storm (40%)" for the dev HUD. */
+export function describeWeather(weather) {
+  if (!weather) return "";
+  const target = WEATHER_PRESETS[weather.target].label;
+  if (weather.blend >= 1) return target;
+  const from = WEATHER_PRESETS[weather.current].label;
+  return `${from} → ${target} (${Math.round(weather.blend * 100)}%)`;
+}
+
+/**
+ * Advance transitions, fog, lightning and rain. Call once per frame before the
+ * sky/lighting/ocean updates that read weather.params.
+ * @param {ReturnType<typeof createWeather>} weather
+ * @param {number} deltaSeconds
+ * @param {{ cameraPosition?: THREE.Vector3 | null, nightFactor?: number }} [context]
+ */
+export function updateWeather(weather, deltaSeconds, { cameraPosition = null, nightFactor = 0 } = {}) {
+  if (!weather) return;
+  const dt = Number.isFinite(deltaSeconds) ? Math.max(0, deltaSeconds) : 0;
+  const { params, from, to } = weather;
+
+  if (weather.blend < 1) {
+    weather.blend = Math.min(1, weather.blend + dt / TRANSITION_SECONDS);
+    const t = THREE.MathUtils.smoothstep(weather.blend, 0, 1);
+    for (const key of NUMERIC_KEYS) {
+      params[key] = THREE.MathUtils.lerp(from[key], to[key], t);
+    }
+    params.fogColor.copy(from.fogColor).lerp(to.fogColor, t);
+    if (weather.blend >= 1) weather.current = weather.target;
+  } else if (!weather.pinned) {
+    weather.holdRemaining -= dt;
+    if (weather.holdRemaining <= 0) {
+      setWeather(weather, pickNext(weather.target, weather.random));
+    }
+  }
+
+  // Lightning: brief flashes whose frequency follows the storm strength.
+  params.flash = Math.max(0, params.flash - dt * 5);
+  if (params.lightning > 0.05) {
+    weather.flashCooldown -= dt * params.lightning;
+    if (weather.flashCooldown <= 0) {
+      params.flash = 1;
+      weather.flashCooldown = 6 + weather.random() * 12;
+    }
+  }
+
+  const fog = weather.scene?.fog;
+  if (fog && fog.isFog) {
+    fog.near = params.fogNear;
+    fog.far = params.fogFar;
+    const night = THREE.MathUtils.clamp(nightFactor ?? 0, 0, 1);
+    fog.color.copy(params.fogColor).lerp(FOG_COLOR_NIGHT, night * 0.8);
+  }
+
+  updateRain(weather.rain, dt, cameraPosition, params);
+}
+
+export function disposeWeather(weather) {
+  const lines = weather?.rain?.lines;
+  if (!lines) return;
+  lines.parent?.remove(lines);
+  lines.geometry.dispose();
+  lines.material.dispose();
+}
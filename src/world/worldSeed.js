@@ -0,0 +1,94 @@
+// src/world/worldSeed.js
+
+import { loadWorldSeed } from "../state/settingsStore.js";
+
+// One seed for every procedural system: terrain noise, the harbor city layout
+// and its buildings, the hill city, grass scattering, stars and NPC spawning.
+// Each system asks deriveSeed() for its own sub-seed, so adding a consumer never
+// reshuffles the others and a given world seed always rebuilds the same world.
+//
+// Precedence: `?seed=` in the URL, then the seed saved in settings, then
+// DEFAULT_WORLD_SEED. Seeds may be numbers or any text ("athens" hashes to a
+// stable number).
+
+export const DEFAULT_WORLD_SEED = 20251007;
+
+/**
+ * Sub-seeds the hand-tuned default world was built with. The default world seed
+ * maps onto these so the stock world looks exactly as it always has.
+ */
+const LEGACY_SEEDS = {
+  terrain: 0,
+  city: 0x4d534349, // CITY_SEED
+  cityBuildings: 12345,
+  hillCity: 42,
+  grass: 1013904223,
+};
+
+function hashString(text) {
+  // FNV-1a, 32-bit.
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Turn user input into a 32-bit seed; returns null for empty/invalid input.
+ * @param {unknown} value
+ * @returns {number | null}
+ */
+export function parseWorldSeed(value) {
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? Math.trunc(value) >>> 0 : null;
+  }
+  if (typeof value !== "string") return null;
+  const trimmed = value.trim();
+  if (!trimmed) return null;
+  if (/^-?\d+$/.test(trimmed)) return Number.parseInt(trimmed, 10) >>> 0;
+  return hashString(trimmed);
+}
+
+/**
+ * The seed this session should build with, and where it came from.
+ * @returns {{ seed: number, source: "url" | "settings" | "default" }}
+ */
+export function resolveWorldSeed() {
+  if (typeof window !== "undefined") {
+    const fromUrl = parseWorldSeed(new URLSearchParams(window.location.search).get("seed"));
+    if (fromUrl !== null) return { seed: fromUrl, source: "url" };
+  }
+  const stored = parseWorldSeed(loadWorldSeed());
+  if (stored !== null) return { seed: stored, source: "settings" };
+  return { seed: DEFAULT_WORLD_SEED, source: "default" };
+}
+
+/**
+ * Stable sub-seed for one procedural system.
+ * @param {number} worldSeed
+ * @param {string} label  e.g. "terrain", "hillCity", "citizens"
+ */
+export function deriveSeed(worldSeed, label) {
+  if (worldSeed === DEFAULT_WORLD_SEED && label in LEGACY_SEEDS) {
+    return LEGACY_SEEDS[label];
+  }
+  return hashString(`${worldSeed >>> 0}:${label}`);
+}
+
+/**
+ * Seeded replacement for Math.random (mulberry32).
+ * @param {number} seed
+ * @returns {() => number}
+ */
+export function createRng(seed) {
+  let t = seed >>> 0;
+  return function () {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = t;
+    r = Math.imul(r ^ (r >>> 15), r | 1);
+    r ^= r + Math.imul(r ^ (r >>> 7), r | 61);
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
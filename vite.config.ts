@@ -1,6 +1,27 @@
-import { defineConfig } from "vite";
+import path from "node:path";
+import { defineConfig, type Plugin } from "vite";
+
+// Dev only: files in public/ are not modules, so Vite does not tell the page
+// when they change. Send a custom HMR event for edits under public/config so
+// LandmarkManager.loadConfigFromUrl can reload its layout in place.
+function publicConfigHotReload(): Plugin {
+  return {
+    name: "athens-public-config-hot-reload",
+    apply: "serve",
+    configureServer(server) {
+      const configDir = path.join(server.config.publicDir, "config") + path.sep;
+      server.watcher.on("change", (file) => {
+        if (!file.startsWith(configDir)) return;
+        const publicPath = "/" + path.relative(server.config.publicDir, file).split(path.sep).join("/");
+        server.ws.send({ type: "custom", event: "athens:config-change", data: { path: publicPath } });
+      });
+    },
+  };
+}
+
 export default defineConfig({
   base: "/athens-game-starter/",
+  plugins: [publicConfigHotReload()],
   build: {
     outDir: "docs",
     emptyOutDir: true,